@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for working with TeaForge logs without opening the
+ * debugger window.
+ *
+ * Parsing is done by the compiled Elm worker in dist/cli.js (src/Cli.elm),
+ * which shares LogParser, CompressionDict and Diff with the debugger; this
+ * script reads the file, feeds it line by line, and prints the results.
+ *
+ * Exit status is 0 on success, 1 when the log has invalid or unparseable
+ * lines, and 2 for usage or file errors.
+ */
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { detectCompression, createInputStream } = require("../lib/compressed-input");
+
+const USAGE = `Usage: teaforge-debugger <command> <file> [options]
+
+Commands:
+  validate <file>   Check every line against the TeaForge log schema
+  stats <file>      Print message and effect counts and timing statistics
+  convert <file>    Rewrite the log in another format
+
+Options:
+  --json            Print stats as JSON (stats)
+  --to <v1|v2>      Output format: v1 full model or v2 modelDiff (convert, default v2)
+  --compress        Write stringDict-compressed output (convert)
+  --output <file>   Write to a file instead of stdout (convert)
+  --help            Show this help
+
+Input files may be plain, gzip or zstd compressed JSONL.`;
+
+const WORKER_PATH = path.join(__dirname, "..", "dist", "cli.js");
+const SCHEMA_PATH = path.join(__dirname, "..", "docs", "teaforge-debugger-schema.json");
+
+/**
+ * Parse command-line arguments.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, filePath: string, json: boolean, to: string, compress: boolean, output: string|null}}
+ * @throws {Error} On unknown or incomplete arguments
+ */
+function parseArgs(argv) {
+  const options = { command: null, filePath: null, json: false, to: "v2", compress: false, output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--compress") {
+      options.compress = true;
+    } else if (arg === "--to" || arg === "--output") {
+      const value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = value;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.command) {
+      options.command = arg;
+    } else if (!options.filePath) {
+      options.filePath = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!["validate", "stats", "convert"].includes(options.command)) {
+    throw new Error(options.command ? `Unknown command: ${options.command}` : "No command given");
+  }
+  if (!options.filePath) {
+    throw new Error("No log file given");
+  }
+  if (!["v1", "v2"].includes(options.to)) {
+    throw new Error(`Unknown format for --to: ${options.to}`);
+  }
+  return options;
+}
+
+/**
+ * Compile the log schema into a validation function.
+ *
+ * @returns {function(object): boolean} Ajv validator; errors are on its `errors` property
+ */
+function createSchemaValidator() {
+  const Ajv2020 = require("ajv/dist/2020");
+  const ajv = new Ajv2020({ allErrors: true, strict: false });
+  return ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf-8")));
+}
+
+/**
+ * Format an Ajv error as a single line.
+ *
+ * @param {object} error
+ * @returns {string}
+ */
+function describeSchemaError(error) {
+  const location = error.instancePath || "(entry)";
+  return `${location} ${error.message}`;
+}
+
+/**
+ * Print statistics from the worker's summary in a readable form.
+ *
+ * @param {object} summary - LogStats.encode output
+ * @param {NodeJS.WritableStream} out
+ */
+function printStats(summary, out) {
+  const { entries, messages, effects, timing } = summary;
+  const formatMs = (value) => (value === null ? "-" : `${Math.round(value)} ms`);
+
+  out.write("Entries\n");
+  out.write(`  init                 ${entries.init}\n`);
+  out.write(`  update               ${entries.update}\n`);
+  out.write(`  subscriptionChange   ${entries.subscriptionChange}\n`);
+  out.write(`  error                ${entries.error}\n`);
+
+  for (const [title, counts] of [
+    ["Messages", messages],
+    ["Effects", effects],
+  ]) {
+    out.write(`\n${title} (${counts.length})\n`);
+    const width = Math.max(0, ...counts.map(({ count }) => String(count).length));
+    for (const { name, count } of counts) {
+      out.write(`  ${String(count).padStart(width)}  ${name}\n`);
+    }
+  }
+
+  out.write("\nTiming\n");
+  out.write(`  duration             ${formatMs(timing.durationMs)}\n`);
+  out.write(`  update interval min  ${formatMs(timing.updateIntervalMs.min)}\n`);
+  out.write(`  update interval mean ${formatMs(timing.updateIntervalMs.mean)}\n`);
+  out.write(`  update interval max  ${formatMs(timing.updateIntervalMs.max)}\n`);
+}
+
+/**
+ * Run a command over a log file.
+ *
+ * Lines are sent to the Elm worker one at a time and its replies arrive in
+ * the same order; the summary it sends after the last line marks the end.
+ *
+ * @param {ReturnType<typeof parseArgs>} options
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(options) {
+  if (!fs.existsSync(WORKER_PATH)) {
+    throw new Error("dist/cli.js not found. Build it with `npm run build:cli`.");
+  }
+  const { Elm } = require(WORKER_PATH);
+  const validateSchema = options.command === "validate" ? createSchemaValidator() : null;
+  const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+
+  const app = Elm.Cli.init({
+    flags: { command: options.command, format: options.to, compress: options.compress },
+  });
+
+  let problemCount = 0;
+  let resolveSummary;
+  const summaryReceived = new Promise((resolve) => {
+    resolveSummary = resolve;
+  });
+  const reportProblem = (lineNumber, message) => {
+    problemCount++;
+    process.stderr.write(`line ${lineNumber}: ${message}\n`);
+  };
+
+  app.ports.cliOutgoing.subscribe((msg) => {
+    switch (msg.type) {
+      case "validate":
+        if (!validateSchema(msg.payload.value)) {
+          for (const error of validateSchema.errors) {
+            reportProblem(msg.payload.lineNumber, describeSchemaError(error));
+          }
+        }
+        break;
+      case "output":
+        for (const line of msg.payload.lines) {
+          output.write(JSON.stringify(line) + "\n");
+        }
+        break;
+      case "problem":
+        reportProblem(msg.payload.lineNumber, msg.payload.message);
+        break;
+      case "summary":
+        resolveSummary(msg.payload);
+        break;
+    }
+  });
+
+  app.ports.cliIncoming.send({ type: "start" });
+
+  const compression = await detectCompression(options.filePath);
+  const rl = readline.createInterface({
+    input: createInputStream(options.filePath, compression),
+    crlfDelay: Infinity,
+  });
+
+  let lineNumber = 0;
+  for await (const line of rl) {
+    lineNumber++;
+    if (line.trim() === "") {
+      continue;
+    }
+    let payload;
+    try {
+      payload = { lineNumber, entry: JSON.parse(line) };
+    } catch (err) {
+      payload = { lineNumber, error: `Invalid JSON: ${err.message}` };
+    }
+    app.ports.cliIncoming.send({ type: "line", payload });
+  }
+  app.ports.cliIncoming.send({ type: "end" });
+  const summary = await summaryReceived;
+
+  if (options.output) {
+    await new Promise((resolve, reject) => {
+      output.on("error", reject);
+      output.end(resolve);
+    });
+  }
+
+  if (options.command === "stats") {
+    if (options.json) {
+      process.stdout.write(JSON.stringify(summary, null, 2) + "\n");
+    } else {
+      printStats(summary, process.stdout);
+    }
+  } else if (options.command === "validate") {
+    const lines = lineNumber === 1 ? "line" : "lines";
+    if (problemCount === 0) {
+      process.stdout.write(`${options.filePath}: valid (${lineNumber} ${lines})\n`);
+    } else {
+      process.stdout.write(`${options.filePath}: ${problemCount} problem(s) in ${lineNumber} ${lines}\n`);
+    }
+  }
+
+  return problemCount === 0 ? 0 : 1;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv.length === 0 || argv.includes("--help")) {
+    process.stdout.write(USAGE + "\n");
+    return argv.length === 0 ? 2 : 0;
+  }
+
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    return await run(options);
+  } catch (err) {
+    process.stderr.write(`teaforge-debugger: ${err.message}\n`);
+    return 2;
+  }
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
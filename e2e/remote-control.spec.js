@@ -0,0 +1,202 @@
+/**
+ * Remote control E2E tests
+ *
+ * Starts a small WebSocket server that stands in for an application
+ * supporting the control protocol (see docs/websocket-control-protocol.md),
+ * connects the debugger to it and checks the commands the debugger sends and
+ * how it shows the answers.
+ */
+
+const { test, expect } = require('@playwright/test');
+const crypto = require('crypto');
+const http = require('http');
+const { launchApp } = require('./electron-helper');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Encode a text frame. Frames from a server aren't masked.
+ */
+function encodeTextFrame(text) {
+  const payload = Buffer.from(text, 'utf-8');
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read the complete frames at the start of a buffer, calling onText with the
+ * text of each one. Returns the bytes of a frame that hasn't fully arrived.
+ * The debugger's commands are small, so fragmented frames aren't handled.
+ */
+function readFrames(buffer, onText) {
+  while (buffer.length >= 2) {
+    const opcode = buffer[0] & 0x0f;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    }
+
+    const mask = buffer.subarray(offset, offset + 4);
+    offset += 4;
+    if (buffer.length < offset + length) break;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    buffer = buffer.subarray(offset + length);
+
+    if (opcode === 0x1) {
+      onText(payload.toString('utf-8'));
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Start a WebSocket server that acts like an application announcing the
+ * given commands. It answers `hello` with `capabilities`, every announced
+ * command with `ack`, and `snapshot` with an `init` line as well.
+ *
+ * @param {string[]} commands - Commands the application announces
+ * @returns {Promise<{url: string, received: Object[], close: function(): Promise<void>}>}
+ */
+async function startControlledApp(commands) {
+  const received = [];
+  const sockets = new Set();
+  let paused = false;
+  const server = http.createServer();
+
+  server.on('upgrade', (request, socket) => {
+    const accept = crypto
+      .createHash('sha1')
+      .update(request.headers['sec-websocket-key'] + WEBSOCKET_GUID)
+      .digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+
+    const send = (frame) => socket.write(encodeTextFrame(JSON.stringify(frame)));
+    send({ type: 'header', version: 1 });
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = readFrames(Buffer.concat([buffer, chunk]), (text) => {
+        const frame = JSON.parse(text);
+        if (frame.type !== 'control') return;
+        received.push(frame);
+
+        if (frame.command === 'hello') {
+          send({ type: 'control', event: 'capabilities', commands, paused });
+        } else if (!commands.includes(frame.command)) {
+          send({ type: 'control', event: 'error', id: frame.id, command: frame.command, error: 'not supported' });
+        } else {
+          if (frame.command === 'pause') paused = true;
+          if (frame.command === 'resume') paused = false;
+          send({ type: 'control', event: 'ack', id: frame.id, command: frame.command, paused });
+          if (frame.command === 'snapshot') {
+            send({ type: 'init', timestamp: 1000, model: { counter: 7 }, effects: [] });
+          }
+        }
+      });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    received,
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolve());
+      }),
+  };
+}
+
+/**
+ * Connect the debugger to a WebSocket URL through the connection modal.
+ */
+async function connect(window, url) {
+  // The button shows in both the sidebar and the empty state
+  await window.locator('#btn-websocket').first().click();
+  await window.fill('#ws-url-input', url);
+  await window.click('#btn-ws-connect');
+}
+
+test.describe('remote control', () => {
+  let electronApp;
+  let window;
+  let controlledApp;
+
+  test.beforeEach(async () => {
+    controlledApp = await startControlledApp(['pause', 'resume', 'step', 'snapshot']);
+    ({ electronApp, window } = await launchApp());
+    await connect(window, controlledApp.url);
+  });
+
+  test.afterEach(async () => {
+    await electronApp.close();
+    await controlledApp.close();
+  });
+
+  test('sends hello and enables the announced commands', async () => {
+    await expect(window.locator('#remote-controls')).toBeVisible();
+
+    expect(controlledApp.received[0]).toMatchObject({ type: 'control', id: 1, command: 'hello' });
+    await expect(window.locator('#btn-remote-pause')).toBeEnabled();
+    await expect(window.locator('#btn-remote-snapshot')).toBeEnabled();
+    // Stepping needs the app to be paused first
+    await expect(window.locator('#btn-remote-step')).toBeDisabled();
+  });
+
+  test('asks for a snapshot straight away and shows it', async () => {
+    await expect
+      .poll(() => controlledApp.received.map((frame) => frame.command))
+      .toEqual(['hello', 'snapshot']);
+
+    await expect(window.locator('#message-item-0')).toBeVisible();
+  });
+
+  test('shows the app as paused once the pause is acknowledged', async () => {
+    await expect(window.locator('#btn-remote-pause')).toBeEnabled();
+    await window.click('#btn-remote-pause');
+
+    await expect(window.locator('#remote-paused-badge')).toBeVisible();
+    await expect(window.locator('#btn-remote-resume')).toBeVisible();
+    await expect(window.locator('#btn-remote-step')).toBeEnabled();
+
+    const pause = controlledApp.received.find((frame) => frame.command === 'pause');
+    expect(pause).toBeDefined();
+    expect(controlledApp.received.map((frame) => frame.id)).toEqual(
+      controlledApp.received.map((_, index) => index + 1)
+    );
+  });
+});
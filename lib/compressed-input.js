@@ -0,0 +1,150 @@
+/**
+ * Support for reading gzip and zstd compressed log files.
+ *
+ * Compressed files are decompressed as a stream, so the rest of the input
+ * pipeline (readline, indexing) sees plain JSONL text.
+ */
+const fs = require("fs");
+const { Transform } = require("stream");
+const zlib = require("zlib");
+const fzstd = require("fzstd");
+
+// Leading bytes that identify each format
+const MAGIC_BYTES = {
+  gzip: Buffer.from([0x1f, 0x8b]),
+  zstd: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]),
+};
+
+// File extensions used when the magic bytes are not recognized
+const EXTENSIONS = {
+  gzip: [".gz", ".gzip"],
+  zstd: [".zst", ".zstd"],
+};
+
+// Extensions offered in the open dialog, without the leading dot
+const DIALOG_EXTENSIONS = ["gz", "zst"];
+
+/**
+ * Work out whether a file is compressed.
+ *
+ * The magic bytes at the start of the file decide; the file extension is only
+ * used when they match neither format, so that a mislabelled file is still
+ * read correctly and a damaged `.gz` fails with a decompression error rather
+ * than being shown as garbage.
+ *
+ * @param {string} filePath
+ * @returns {Promise<"gzip"|"zstd"|null>} The compression format, or null for plain text
+ */
+async function detectCompression(filePath) {
+  const header = Buffer.alloc(4);
+  const handle = await fs.promises.open(filePath, "r");
+  let bytesRead;
+  try {
+    ({ bytesRead } = await handle.read(header, 0, header.length, 0));
+  } finally {
+    await handle.close();
+  }
+
+  for (const [format, magic] of Object.entries(MAGIC_BYTES)) {
+    if (bytesRead >= magic.length && header.subarray(0, magic.length).equals(magic)) {
+      return format;
+    }
+  }
+
+  const lowerPath = filePath.toLowerCase();
+  for (const [format, extensions] of Object.entries(EXTENSIONS)) {
+    if (extensions.some((ext) => lowerPath.endsWith(ext))) {
+      return format;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a transform stream that decompresses the given format.
+ *
+ * zstd uses the runtime's decoder where Node.js has one (22.15 and later) and
+ * falls back to fzstd, a pure JavaScript decoder, on the Node.js bundled with
+ * Electron.
+ *
+ * @param {"gzip"|"zstd"} format
+ * @returns {import("stream").Transform}
+ */
+function createDecompressor(format) {
+  if (format === "gzip") {
+    return zlib.createGunzip();
+  }
+  if (format === "zstd") {
+    if (typeof zlib.createZstdDecompress === "function") {
+      return zlib.createZstdDecompress();
+    }
+    return createFzstdDecompressor();
+  }
+  throw new Error(`Unknown compression format: ${format}`);
+}
+
+/**
+ * Wrap fzstd's push-based decoder in a transform stream.
+ *
+ * @returns {import("stream").Transform}
+ */
+function createFzstdDecompressor() {
+  let transform;
+  const decoder = new fzstd.Decompress((chunk) => {
+    if (chunk.length > 0) {
+      transform.push(Buffer.from(chunk));
+    }
+  });
+
+  transform = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        decoder.push(chunk);
+        callback();
+      } catch (err) {
+        callback(new Error(`Invalid zstd data: ${err.message}`));
+      }
+    },
+    flush(callback) {
+      try {
+        decoder.push(new Uint8Array(0), true);
+        callback();
+      } catch (err) {
+        callback(new Error(`Invalid zstd data: ${err.message}`));
+      }
+    },
+  });
+  return transform;
+}
+
+/**
+ * Open a readable stream of a log file's text, decompressing it if needed.
+ *
+ * Decompression errors (for example a truncated archive) are emitted as
+ * `error` events on the returned stream.
+ *
+ * @param {string} filePath
+ * @param {"gzip"|"zstd"|null} format - Result of detectCompression
+ * @param {function(number)} [onBytesRead] - Called with the number of file (compressed) bytes read so far
+ * @returns {import("stream").Readable}
+ */
+function createInputStream(filePath, format, onBytesRead) {
+  const decompressor = format ? createDecompressor(format) : null;
+  const fileStream = fs.createReadStream(filePath);
+  if (onBytesRead) {
+    fileStream.on("data", () => onBytesRead(fileStream.bytesRead));
+  }
+  if (!decompressor) {
+    return fileStream;
+  }
+
+  fileStream.on("error", (err) => decompressor.destroy(err));
+  return fileStream.pipe(decompressor);
+}
+
+module.exports = {
+  DIALOG_EXTENSIONS,
+  detectCompression,
+  createInputStream,
+};
@@ -0,0 +1,724 @@
+/**
+ * Byte-offset index for large TeaForge log files.
+ *
+ * Streaming a multi-gigabyte log to the renderer line by line keeps every
+ * entry in memory and eventually freezes the window. Instead the main process
+ * scans the file once, remembering where each entry starts, and the renderer
+ * asks for the entries it wants to show a page at a time.
+ *
+ * While scanning, the `modelDiff` patches are replayed so that a snapshot of
+ * the model is kept every CHECKPOINT_INTERVAL entries, along with the
+ * subscriptions active at that point and whether the rebuilt model had
+ * diverged from the app's by then. Reading a page then only replays the
+ * entries between the nearest checkpoint and the start of the page, however
+ * far into the file it is.
+ *
+ * Entries handed to the renderer are already decompressed, so the renderer
+ * does not need the string dictionary.
+ */
+const fs = require("fs");
+
+// Number of entries between stored model snapshots
+const CHECKPOINT_INTERVAL = 1000;
+
+// Minimum time between progress reports while scanning
+const PROGRESS_INTERVAL_MS = 100;
+
+// Line types that become entries in the message list. Header and stringDict
+// lines only configure decompression, and unknown types are skipped, matching
+// how the renderer treats a streamed file.
+const ENTRY_TYPES = new Set(["init", "update", "subscriptionChange"]);
+
+const REF_PATTERN = /^@(\d+)$/;
+
+/**
+ * Replace `@N` string references using the string dictionary.
+ *
+ * Object keys and string values are both decompressed. Unknown references are
+ * left as they are.
+ *
+ * @param {*} value - Parsed JSON value
+ * @param {Object<string, string>|null} dictionary - Merged stringDict strings, or null when uncompressed
+ * @returns {*} Decompressed copy of the value
+ */
+function decompress(value, dictionary) {
+  if (!dictionary) return value;
+
+  const lookup = (str) => {
+    const match = REF_PATTERN.exec(str);
+    if (match && Object.prototype.hasOwnProperty.call(dictionary, match[1])) {
+      return dictionary[match[1]];
+    }
+    return str;
+  };
+
+  const walk = (v) => {
+    if (typeof v === "string") return lookup(v);
+    if (Array.isArray(v)) return v.map(walk);
+    if (v !== null && typeof v === "object") {
+      const result = {};
+      for (const key of Object.keys(v)) {
+        result[lookup(key)] = walk(v[key]);
+      }
+      return result;
+    }
+    return v;
+  };
+
+  return walk(value);
+}
+
+/**
+ * Parse an RFC 6901 JSON Pointer into path segments.
+ *
+ * Mirrors `Diff.parsePointer`: pointers without a leading "/" address the root.
+ *
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+  if (!pointer.startsWith("/")) return [];
+  return pointer
+    .substring(1)
+    .split("/")
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Array indices as RFC 6901 spells them: digits without leading zeros
+function arrayIndex(key) {
+  return /^(0|[1-9]\d*)$/.test(key) ? Number(key) : null;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Parse a pointer for applying a patch, rejecting what isn't a JSON Pointer
+// rather than treating it as the root, like `Diff.strictPointer`.
+function strictPointer(pointer) {
+  if (pointer !== "" && !pointer.startsWith("/")) {
+    throw new Error(`"${pointer}" isn't a JSON Pointer`);
+  }
+  return parsePointer(pointer);
+}
+
+// The value at a path, or undefined if it doesn't exist
+function resolve(current, segments) {
+  for (const key of segments) {
+    if (Array.isArray(current)) {
+      const idx = arrayIndex(key);
+      if (idx === null || idx >= current.length) return undefined;
+      current = current[idx];
+    } else if (isObject(current) && hasOwn(current, key)) {
+      current = current[key];
+    } else {
+      return undefined;
+    }
+  }
+  return current;
+}
+
+// Encode a value with object keys sorted, mirroring `Diff.canonicalJson`
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (isObject(value)) {
+    const fields = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// FNV-1a hash of the UTF-8 bytes of the canonical JSON, as 8 hex digits,
+// mirroring `Diff.modelChecksum`
+function modelChecksum(value) {
+  let hash = 0x811c9dc5;
+  for (const byte of Buffer.from(canonicalJson(value), "utf8")) {
+    hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+// The following mirror `Diff.applyOp`: each modifies the model in place,
+// returns the updated model, and throws without changing it when the
+// operation can't be applied.
+
+function addAt(doc, segments, value) {
+  if (segments.length === 0) return value;
+
+  const parent = resolve(doc, segments.slice(0, -1));
+  const key = segments[segments.length - 1];
+
+  if (Array.isArray(parent)) {
+    const idx = key === "-" ? parent.length : arrayIndex(key);
+    if (idx === null || idx > parent.length) {
+      throw new Error("array index out of range");
+    }
+    parent.splice(idx, 0, value);
+    return doc;
+  }
+  if (isObject(parent)) {
+    parent[key] = value;
+    return doc;
+  }
+  throw new Error("path doesn't exist");
+}
+
+function replaceAt(doc, segments, value) {
+  if (segments.length === 0) return value;
+
+  const parent = resolve(doc, segments.slice(0, -1));
+  const key = segments[segments.length - 1];
+
+  if (Array.isArray(parent)) {
+    const idx = arrayIndex(key);
+    if (idx !== null && idx < parent.length) {
+      parent[idx] = value;
+      return doc;
+    }
+  } else if (isObject(parent) && hasOwn(parent, key)) {
+    parent[key] = value;
+    return doc;
+  }
+  throw new Error("path doesn't exist");
+}
+
+// Remove the value at a path and return it
+function removeAt(doc, segments) {
+  if (segments.length === 0) {
+    throw new Error("the whole model can't be removed");
+  }
+
+  const parent = resolve(doc, segments.slice(0, -1));
+  const key = segments[segments.length - 1];
+
+  if (Array.isArray(parent)) {
+    const idx = arrayIndex(key);
+    if (idx !== null && idx < parent.length) {
+      return parent.splice(idx, 1)[0];
+    }
+  } else if (isObject(parent) && hasOwn(parent, key)) {
+    const removed = parent[key];
+    delete parent[key];
+    return removed;
+  }
+  throw new Error("path doesn't exist");
+}
+
+function applyOperation(doc, op) {
+  switch (op.op) {
+    case "add":
+      return addAt(doc, strictPointer(op.path), structuredClone(op.value));
+
+    case "replace":
+      return replaceAt(doc, strictPointer(op.path), structuredClone(op.value));
+
+    case "remove":
+      removeAt(doc, strictPointer(op.path));
+      return doc;
+
+    case "move": {
+      const from = strictPointer(op.from);
+      const to = strictPointer(op.path);
+      if (resolve(doc, from) === undefined) {
+        throw new Error("path doesn't exist");
+      }
+      const insideFrom = from.every((key, i) => key === to[i]);
+      if (insideFrom && from.length === to.length) {
+        return doc;
+      }
+      if (insideFrom) {
+        throw new Error("a value can't be moved into itself");
+      }
+      const moved = removeAt(doc, from);
+      try {
+        return addAt(doc, to, moved);
+      } catch (error) {
+        addAt(doc, from, moved);
+        throw error;
+      }
+    }
+
+    case "copy": {
+      const copied = resolve(doc, strictPointer(op.from));
+      if (copied === undefined) {
+        throw new Error("path doesn't exist");
+      }
+      return addAt(doc, strictPointer(op.path), structuredClone(copied));
+    }
+
+    case "test": {
+      const actual = resolve(doc, strictPointer(op.path));
+      if (actual === undefined || canonicalJson(actual) !== canonicalJson(op.value)) {
+        throw new Error("test failed");
+      }
+      return doc;
+    }
+
+    default:
+      throw new Error(`Unknown JSON Patch op: ${op.op}`);
+  }
+}
+
+/**
+ * Check that a modelDiff is something `Diff.diffOperationDecoder` accepts.
+ *
+ * The renderer turns an entry with an undecodable patch into an error entry
+ * and leaves the model untouched, so the index must skip such patches too.
+ *
+ * @param {*} ops
+ * @returns {boolean}
+ */
+function isValidPatch(ops) {
+  return (
+    Array.isArray(ops) &&
+    ops.every((op) => {
+      if (!isObject(op) || typeof op.path !== "string") return false;
+      switch (op.op) {
+        case "remove":
+          return true;
+        case "add":
+        case "replace":
+        case "test":
+          return "value" in op;
+        case "move":
+        case "copy":
+          return typeof op.from === "string";
+        default:
+          return false;
+      }
+    })
+  );
+}
+
+/**
+ * Apply JSON Patch operations with the same semantics as `Diff.applyPatch`:
+ * operations that can't be applied are skipped.
+ *
+ * @param {*} base - Model to patch; modified in place
+ * @param {Array<{op: string, path: string, from?: string, value?: *}>} ops
+ * @returns {*} The patched model
+ */
+function applyPatch(base, ops) {
+  return ops.reduce((current, op) => {
+    try {
+      return applyOperation(current, op);
+    } catch (e) {
+      return current;
+    }
+  }, base);
+}
+
+/**
+ * The patch an init or update entry applies, as `LogParser` reads it: the v2
+ * `modelDiff`, or a v1 full `model` as a patch replacing the root.
+ *
+ * @param {Object} entry - Decompressed log line
+ * @returns {Array<Object>|null} The operations, or null if the entry has no valid patch
+ */
+function entryPatch(entry) {
+  if ("modelDiff" in entry) {
+    return isValidPatch(entry.modelDiff) ? entry.modelDiff : null;
+  }
+  if ("model" in entry) {
+    return [{ op: "replace", path: "", value: entry.model }];
+  }
+  return null;
+}
+
+/**
+ * Advance the replayed model past one decompressed entry. An entry sending a
+ * keyframe alongside its `modelDiff` resets the model to the keyframe.
+ *
+ * @param {*} model - Model before the entry
+ * @param {Object} entry - Decompressed log line
+ * @returns {*} Model after the entry
+ */
+function replayEntry(model, entry) {
+  const ops = entryPatch(entry);
+  const replayed =
+    ops !== null &&
+    (entry.type === "init" ||
+      (entry.type === "update" && isObject(entry.message)));
+  if (!replayed) return model;
+
+  if ("modelDiff" in entry && "model" in entry) {
+    // A keyframe holds the app's own model, whatever the patch rebuilds
+    return structuredClone(entry.model);
+  }
+  return applyPatch(entry.type === "init" ? {} : model, ops);
+}
+
+/**
+ * Replay an entry as `replayEntry` does, also working out whether the rebuilt
+ * model has diverged from the app's afterwards, the way `LogParser` does: a
+ * patch that doesn't apply, a keyframe that differs from the patched model or
+ * a checksum that doesn't match makes it diverge, and a keyframe or a whole
+ * new model brings it back in line unless its checksum is off.
+ *
+ * @param {{model: *, diverged: boolean}} replay - State before the entry
+ * @param {Object} entry - Decompressed log line
+ * @returns {{model: *, diverged: boolean}} State after the entry
+ */
+function replayChecked({ model, diverged }, entry) {
+  const ops = entryPatch(entry);
+  const replayed =
+    ops !== null &&
+    (entry.type === "init" ||
+      (entry.type === "update" && isObject(entry.message)));
+  if (!replayed) return { model, diverged };
+
+  let patchFailed = false;
+  const patched = ops.reduce((current, op) => {
+    try {
+      return applyOperation(current, op);
+    } catch (e) {
+      patchFailed = true;
+      return current;
+    }
+  }, entry.type === "init" ? {} : model);
+
+  const hasKeyframe = "modelDiff" in entry && "model" in entry;
+  const rebuilt = hasKeyframe ? structuredClone(entry.model) : patched;
+  const keyframeDiffers =
+    hasKeyframe &&
+    !patchFailed &&
+    canonicalJson(patched) !== canonicalJson(entry.model);
+  const checksumDiffers =
+    typeof entry.modelChecksum === "string" &&
+    entry.modelChecksum.toLowerCase() !== modelChecksum(rebuilt);
+  const resynced =
+    hasKeyframe ||
+    (ops.length === 1 &&
+      ops[0].path === "" &&
+      (ops[0].op === "replace" || ops[0].op === "add"));
+  // An init starts the model afresh
+  const wasDiverged = entry.type !== "init" && diverged;
+
+  return {
+    model: rebuilt,
+    diverged: resynced
+      ? checksumDiffers
+      : wasDiverged || patchFailed || keyframeDiffers || checksumDiffers,
+  };
+}
+
+/**
+ * Identify a subscription so a later stop can be matched to its start, the
+ * way the renderer's subscription timeline does: by its `_type` and
+ * `_subscriptionId`, or by its other fields apart from the `_reason` a stop
+ * may add.
+ *
+ * @param {*} subscription - Subscription as a subscriptionChange line lists it
+ * @returns {string}
+ */
+function subscriptionKey(subscription) {
+  if (!isObject(subscription)) {
+    return `Subscription ${JSON.stringify(subscription)}`;
+  }
+  const type =
+    typeof subscription._type === "string" ? subscription._type : "Subscription";
+  if (typeof subscription._subscriptionId === "string") {
+    return `${type}#${subscription._subscriptionId}`;
+  }
+  const { _reason, ...fields } = subscription;
+  return `${type} ${JSON.stringify(fields)}`;
+}
+
+/**
+ * Advance the active subscriptions past one decompressed entry. Stops are
+ * applied before starts, and starting a subscription that is already active
+ * keeps the entry that first started it, as in the renderer.
+ *
+ * @param {Map<string, ActiveSubscription>} active - Active subscriptions by key, updated in place
+ * @param {number} entryIndex - Index of the entry
+ * @param {Object} entry - Decompressed log line
+ */
+function trackSubscriptions(active, entryIndex, entry) {
+  if (entry.type !== "subscriptionChange") return;
+
+  const list = (value) => (Array.isArray(value) ? value : []);
+  for (const subscription of list(entry.stopped)) {
+    active.delete(subscriptionKey(subscription));
+  }
+  for (const subscription of list(entry.started)) {
+    const key = subscriptionKey(subscription);
+    if (!active.has(key)) {
+      active.set(key, {
+        entryIndex,
+        timestamp: typeof entry.timestamp === "number" ? entry.timestamp : 0,
+        subscription,
+      });
+    }
+  }
+}
+
+/**
+ * Classify one line of the file.
+ *
+ * @param {string} text - Trimmed line text
+ * @returns {{kind: "entry"|"header"|"stringDict"|"skip", parsed?: Object}}
+ */
+function classifyLine(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    // Unparseable lines are shown as error entries
+    return { kind: "entry" };
+  }
+
+  if (!isObject(parsed) || typeof parsed.type !== "string") {
+    return { kind: "entry", parsed };
+  }
+  if (parsed.type === "header" || parsed.type === "stringDict") {
+    return { kind: parsed.type, parsed };
+  }
+  if (ENTRY_TYPES.has(parsed.type)) {
+    return { kind: "entry", parsed };
+  }
+  return { kind: "skip" };
+}
+
+/**
+ * Scan a log file and build its index.
+ *
+ * @param {string} filePath - Absolute path of the log file
+ * @param {Object} [options]
+ * @param {function({bytesRead: number, totalBytes: number})} [options.onProgress] - Called periodically while scanning
+ * @param {AbortSignal} [options.signal] - Aborts the scan; the promise rejects with an AbortError
+ * @returns {Promise<LogIndex>}
+ */
+async function buildIndex(filePath, { onProgress, signal } = {}) {
+  const totalBytes = (await fs.promises.stat(filePath)).size;
+  const index = {
+    filePath,
+    offsets: [],
+    lengths: [],
+    lineNumbers: [],
+    checkpoints: new Map(),
+    subscriptionCheckpoints: new Map(),
+    divergedCheckpoints: new Set(),
+    dictionary: null,
+    typeRegistry: null,
+  };
+
+  let replay = { model: null, diverged: false };
+  const active = new Map();
+  let lineNumber = 0;
+  let lastProgress = 0;
+
+  const handleLine = (buffer, offset) => {
+    lineNumber++;
+    const text = buffer.toString("utf8").trim();
+    if (!text) return;
+
+    const line = classifyLine(text);
+
+    if (line.kind === "header") {
+      if (line.parsed.compression === "stringDict") {
+        index.dictionary = index.dictionary || {};
+      }
+      if (isObject(line.parsed.typeRegistry)) {
+        index.typeRegistry = line.parsed.typeRegistry;
+      }
+    } else if (line.kind === "stringDict") {
+      if (isObject(line.parsed.strings)) {
+        index.dictionary = Object.assign(
+          index.dictionary || {},
+          line.parsed.strings,
+        );
+      }
+    } else if (line.kind === "entry") {
+      const entryIndex = index.offsets.length;
+      if (entryIndex % CHECKPOINT_INTERVAL === 0) {
+        index.checkpoints.set(entryIndex, JSON.stringify(replay.model));
+        if (replay.diverged) index.divergedCheckpoints.add(entryIndex);
+        index.subscriptionCheckpoints.set(
+          entryIndex,
+          JSON.stringify([...active.values()]),
+        );
+      }
+      index.offsets.push(offset);
+      index.lengths.push(buffer.length);
+      index.lineNumbers.push(lineNumber);
+
+      if (line.parsed) {
+        const entry = decompress(line.parsed, index.dictionary);
+        replay = replayChecked(replay, entry);
+        trackSubscriptions(active, entryIndex, entry);
+      }
+    }
+  };
+
+  const stream = fs.createReadStream(filePath, { signal });
+  let carry = Buffer.alloc(0);
+  let carryOffset = 0;
+  let position = 0;
+
+  for await (const chunk of stream) {
+    const data = carry.length > 0 ? Buffer.concat([carry, chunk]) : chunk;
+    const dataOffset = carry.length > 0 ? carryOffset : position;
+    let lineStart = 0;
+    let newline;
+
+    while ((newline = data.indexOf(0x0a, lineStart)) !== -1) {
+      handleLine(data.subarray(lineStart, newline), dataOffset + lineStart);
+      lineStart = newline + 1;
+    }
+
+    carry = data.subarray(lineStart);
+    carryOffset = dataOffset + lineStart;
+    position += chunk.length;
+
+    if (onProgress && Date.now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+      lastProgress = Date.now();
+      onProgress({ bytesRead: position, totalBytes });
+    }
+  }
+
+  if (carry.length > 0) {
+    handleLine(carry, carryOffset);
+  }
+
+  if (onProgress) {
+    onProgress({ bytesRead: totalBytes, totalBytes });
+  }
+
+  return index;
+}
+
+/**
+ * Read the raw bytes of entries [start, end) in one read.
+ *
+ * @returns {Promise<string[]>} Trimmed line text for each entry
+ */
+async function readLines(handle, index, start, end) {
+  if (start >= end) return [];
+
+  const from = index.offsets[start];
+  const to = index.offsets[end - 1] + index.lengths[end - 1];
+  const buffer = Buffer.alloc(to - from);
+  await handle.read(buffer, 0, buffer.length, from);
+
+  const lines = [];
+  for (let i = start; i < end; i++) {
+    const lineStart = index.offsets[i] - from;
+    lines.push(
+      buffer
+        .subarray(lineStart, lineStart + index.lengths[i])
+        .toString("utf8")
+        .trim(),
+    );
+  }
+  return lines;
+}
+
+/**
+ * Read a range of entries along with the model as it was just before them.
+ *
+ * Each entry has the same shape as an `entry-received` event, so the renderer
+ * can feed them through its normal entry handling starting from `baseModel`,
+ * with the subscriptions in `activeSubscriptions` already active and
+ * `diverged` saying whether the model rebuilt up to there had already
+ * diverged from the app's.
+ *
+ * @param {LogIndex} index - Index built by buildIndex
+ * @param {number} start - Index of the first entry to read
+ * @param {number} count - Maximum number of entries to read
+ * @returns {Promise<{start: number, total: number, baseModel: *, diverged: boolean, activeSubscriptions: ActiveSubscription[], entries: Array<Object>}>}
+ */
+async function readEntries(index, start, count) {
+  const total = index.offsets.length;
+  const first = Math.max(0, Math.min(start, total));
+  const end = Math.min(total, first + Math.max(0, count));
+
+  const checkpoint =
+    Math.floor(first / CHECKPOINT_INTERVAL) * CHECKPOINT_INTERVAL;
+  let replay = {
+    model: JSON.parse(index.checkpoints.get(checkpoint) ?? "null"),
+    diverged: index.divergedCheckpoints.has(checkpoint),
+  };
+  const active = new Map(
+    JSON.parse(index.subscriptionCheckpoints.get(checkpoint) ?? "[]").map(
+      (activeSubscription) => [
+        subscriptionKey(activeSubscription.subscription),
+        activeSubscription,
+      ],
+    ),
+  );
+
+  const handle = await fs.promises.open(index.filePath, "r");
+  try {
+    // Replay from the checkpoint up to the start of the range
+    const replayLines = await readLines(handle, index, checkpoint, first);
+    replayLines.forEach((text, i) => {
+      const line = classifyLine(text);
+      if (line.parsed) {
+        const entry = decompress(line.parsed, index.dictionary);
+        replay = replayChecked(replay, entry);
+        trackSubscriptions(active, checkpoint + i, entry);
+      }
+    });
+
+    const lines = await readLines(handle, index, first, end);
+    const entries = lines.map((text, i) => {
+      const lineNumber = index.lineNumbers[first + i];
+      try {
+        return {
+          lineNumber,
+          entry: decompress(JSON.parse(text), index.dictionary),
+        };
+      } catch (e) {
+        return { lineNumber, error: e.message, rawText: text.substring(0, 200) };
+      }
+    });
+
+    return {
+      start: first,
+      total,
+      baseModel: replay.model,
+      diverged: replay.diverged,
+      activeSubscriptions: [...active.values()],
+      entries,
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * @typedef {Object} LogIndex
+ * @property {string} filePath - Absolute path of the indexed file
+ * @property {number[]} offsets - Byte offset of each entry's line
+ * @property {number[]} lengths - Byte length of each entry's line
+ * @property {number[]} lineNumbers - 1-based line number of each entry
+ * @property {Map<number, string>} checkpoints - JSON of the model before every CHECKPOINT_INTERVAL-th entry
+ * @property {Map<number, string>} subscriptionCheckpoints - JSON of the ActiveSubscription list before every CHECKPOINT_INTERVAL-th entry
+ * @property {Set<number>} divergedCheckpoints - Checkpoints at which the rebuilt model had diverged from the app's
+ * @property {Object<string, string>|null} dictionary - Merged stringDict strings, or null when uncompressed
+ * @property {Object|null} typeRegistry - The header's typeRegistry, or null when it has none
+ */
+
+/**
+ * @typedef {Object} ActiveSubscription
+ * @property {number} entryIndex - Index of the entry that started it
+ * @property {number} timestamp - Timestamp of that entry
+ * @property {*} subscription - The subscription as that entry lists it
+ */
+
+module.exports = {
+  CHECKPOINT_INTERVAL,
+  buildIndex,
+  readEntries,
+  applyPatch,
+  decompress,
+  replayEntry,
+};
@@ -0,0 +1,344 @@
+/**
+ * Built-in log server that applications can push entries to.
+ *
+ * A single port accepts newline-delimited JSON three ways, told apart by the
+ * first bytes a client sends:
+ *
+ * - Raw TCP: the connection sends log lines straight away.
+ * - HTTP POST: the request body holds log lines and may be streamed with
+ *   chunked transfer encoding. Requests from the same address to the same
+ *   path belong to the same client, so an application posting one batch at a
+ *   time shows up once.
+ * - WebSocket: each text message holds one or more log lines.
+ *
+ * Lines are passed on as received, without their newline; parsing them is
+ * left to the input pipeline they are fed to.
+ */
+const crypto = require("crypto");
+const http = require("http");
+const net = require("net");
+const { StringDecoder } = require("string_decoder");
+
+const DEFAULT_PORT = 9400;
+
+// Largest WebSocket message accepted; bigger ones close the connection
+const MAX_MESSAGE_BYTES = 64 * 1024 * 1024;
+
+// Appended to a client's key to accept a WebSocket handshake (RFC 6455)
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+
+/**
+ * Whether the first bytes of a connection are an HTTP request line.
+ *
+ * @param {Buffer} chunk - First data received
+ * @returns {boolean}
+ */
+function isHttpRequest(chunk) {
+  return /^[A-Z]{3,7} \S/.test(chunk.toString("latin1", 0, 16));
+}
+
+/**
+ * Split a stream of text into lines. Carriage returns before a newline are
+ * dropped and blank lines are skipped.
+ *
+ * @param {function(string): void} onLine - Called with each complete line
+ * @returns {{write: function(Buffer|string): void, end: function(): void}}
+ */
+function createLineSplitter(onLine) {
+  const decoder = new StringDecoder("utf8");
+  let pending = "";
+
+  const emit = (line) => {
+    const text = line.endsWith("\r") ? line.slice(0, -1) : line;
+    if (text.trim()) onLine(text);
+  };
+
+  return {
+    write(chunk) {
+      pending += typeof chunk === "string" ? chunk : decoder.write(chunk);
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      lines.forEach(emit);
+    },
+    end() {
+      pending += decoder.end();
+      emit(pending);
+      pending = "";
+    },
+  };
+}
+
+/**
+ * Encode an unmasked WebSocket frame, as a server sends them.
+ *
+ * @param {number} opcode
+ * @param {Buffer} [payload] - At most 125 bytes, which is all control frames need
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  return Buffer.concat([Buffer.from([0x80 | opcode, payload.length]), payload]);
+}
+
+/**
+ * Read WebSocket frames from a socket, reassembling fragmented messages and
+ * answering pings and close frames.
+ *
+ * @param {net.Socket} socket
+ * @param {Buffer} head - Data received after the handshake request
+ * @param {function(Buffer): void} onMessage - Called with each text or binary message
+ */
+function readFrames(socket, head, onMessage) {
+  let buffer = head;
+  let fragments = [];
+  let fragmentBytes = 0;
+
+  const close = (code) => {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(OPCODE_CLOSE, payload));
+  };
+
+  const readAvailable = () => {
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (fragmentBytes + length > MAX_MESSAGE_BYTES) {
+        close(1009);
+        buffer = Buffer.alloc(0);
+        return;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+      }
+      buffer = buffer.subarray(offset + length);
+
+      if (opcode === OPCODE_CLOSE) {
+        close(1000);
+        return;
+      } else if (opcode === OPCODE_PING) {
+        socket.write(encodeFrame(0xa, payload));
+      } else if (opcode === OPCODE_TEXT || opcode === OPCODE_BINARY || opcode === OPCODE_CONTINUATION) {
+        fragments.push(payload);
+        fragmentBytes += payload.length;
+        if (fin) {
+          onMessage(Buffer.concat(fragments));
+          fragments = [];
+          fragmentBytes = 0;
+        }
+      }
+      // Pongs need no answer
+    }
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    readAvailable();
+  });
+  readAvailable();
+}
+
+/**
+ * Create a log server. It doesn't listen until `listen` is called.
+ *
+ * @param {Object} handlers
+ * @param {function(LogClient): void} handlers.onConnect - A client connected, or an HTTP client posted again
+ * @param {function(string, string): void} handlers.onLine - A line was received from the client with the given id
+ * @param {function(string): void} handlers.onDisconnect - The client with the given id went away
+ * @returns {LogServer}
+ */
+function createLogServer({ onConnect, onLine, onDisconnect }) {
+  const sockets = new Set();
+  // HTTP clients by address and path, with how many requests they have open
+  const httpClients = new Map();
+  let nextId = 1;
+
+  const newClient = (protocol, address) => ({
+    id: String(nextId++),
+    protocol,
+    address,
+    connectedAt: Date.now(),
+  });
+
+  const remoteAddress = (socket) => `${socket.remoteAddress}:${socket.remotePort}`;
+
+  const acceptTcp = (socket, firstChunk) => {
+    const client = newClient("tcp", remoteAddress(socket));
+    const lines = createLineSplitter((line) => onLine(client.id, line));
+    onConnect(client);
+    lines.write(firstChunk);
+    socket.on("data", (chunk) => lines.write(chunk));
+    socket.on("close", () => {
+      lines.end();
+      onDisconnect(client.id);
+    });
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    if (req.method !== "POST") {
+      res.writeHead(405, { Allow: "POST" });
+      res.end("Send log lines with POST, or connect with a WebSocket\n");
+      return;
+    }
+
+    const key = `${req.socket.remoteAddress} ${req.url}`;
+    let entry = httpClients.get(key);
+    if (!entry) {
+      const address = `${req.socket.remoteAddress}${req.url === "/" ? "" : req.url}`;
+      entry = { client: newClient("http", address), open: 0 };
+      httpClients.set(key, entry);
+    }
+    if (entry.open === 0) {
+      onConnect(entry.client);
+    }
+    entry.open++;
+
+    const lines = createLineSplitter((line) => onLine(entry.client.id, line));
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      lines.end();
+      entry.open--;
+      if (entry.open === 0) {
+        onDisconnect(entry.client.id);
+      }
+    };
+
+    req.on("data", (chunk) => lines.write(chunk));
+    req.on("end", () => {
+      finish();
+      res.writeHead(204);
+      res.end();
+    });
+    req.on("close", finish);
+  });
+
+  httpServer.on("upgrade", (req, socket, head) => {
+    const key = req.headers["sec-websocket-key"];
+    if (String(req.headers.upgrade).toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+
+    const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+    );
+
+    const client = newClient("websocket", remoteAddress(socket));
+    const lines = createLineSplitter((line) => onLine(client.id, line));
+    onConnect(client);
+    readFrames(socket, head, (message) => lines.write(message.toString("utf8") + "\n"));
+    socket.on("close", () => onDisconnect(client.id));
+  });
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    // A client that fails mid-stream is reported through its close event
+    socket.on("error", () => {});
+
+    socket.once("data", (chunk) => {
+      if (isHttpRequest(chunk)) {
+        socket.pause();
+        socket.unshift(chunk);
+        httpServer.emit("connection", socket);
+        process.nextTick(() => socket.resume());
+      } else {
+        acceptTcp(socket, chunk);
+      }
+    });
+  });
+
+  return {
+    /**
+     * Start listening on every interface.
+     *
+     * @param {number} [port] - Port to listen on
+     * @returns {Promise<number>} The port listened on
+     */
+    listen(port = DEFAULT_PORT) {
+      return new Promise((resolve, reject) => {
+        const onError = (err) => {
+          server.removeListener("listening", onListening);
+          reject(err);
+        };
+        const onListening = () => {
+          server.removeListener("error", onError);
+          resolve(server.address().port);
+        };
+        server.once("error", onError);
+        server.once("listening", onListening);
+        server.listen(port);
+      });
+    },
+
+    /**
+     * Stop listening and drop every client.
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        sockets.clear();
+        if (!server.listening) {
+          resolve();
+          return;
+        }
+        server.close(() => resolve());
+      });
+    },
+  };
+}
+
+/**
+ * @typedef {Object} LogClient
+ * @property {string} id - Unique for the life of the server
+ * @property {"tcp"|"http"|"websocket"} protocol
+ * @property {string} address - Remote address and port, or address and path for HTTP
+ * @property {number} connectedAt - Milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} LogServer
+ * @property {function(number=): Promise<number>} listen - Start listening
+ * @property {function(): Promise<void>} close - Stop listening and drop every client
+ */
+
+module.exports = {
+  DEFAULT_PORT,
+  createLineSplitter,
+  createLogServer,
+};
@@ -0,0 +1,205 @@
+/**
+ * Recording of live WebSocket sessions to JSONL files.
+ *
+ * Every raw line received over the socket is appended as it arrives, header
+ * and stringDict lines included, so the recording opens like any other log.
+ * Once a file grows past the part size the recording moves on to a new part,
+ * `session.2.jsonl`, `session.3.jsonl` and so on. Each part starts with the
+ * header, every stringDict line seen so far and an `init` line holding the
+ * model at that point, so that any part can be opened on its own.
+ *
+ * Lines are written synchronously as they arrive, so a recording keeps every
+ * line received before the app crashed or was closed.
+ *
+ * The model is kept by replaying each entry the same way the index of a large
+ * file does. Snapshots hold the decompressed model.
+ */
+const fs = require("fs");
+const path = require("path");
+const logIndex = require("./log-index");
+
+// Size after which a recording moves on to its next part
+const DEFAULT_PART_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Path of a part of a recording: the file chosen for the first part, and the
+ * part number before the extension for the others.
+ *
+ * @param {string} basePath - Path of the first part
+ * @param {number} part - 1-based part number
+ * @returns {string}
+ */
+function partPath(basePath, part) {
+  if (part === 1) return basePath;
+  const ext = path.extname(basePath);
+  const stem = basePath.slice(0, basePath.length - ext.length);
+  return `${stem}.${part}${ext || ".jsonl"}`;
+}
+
+/**
+ * Start a recording.
+ *
+ * @param {string} basePath - Path of the first part; an existing file is replaced
+ * @param {Object} [options]
+ * @param {string[]} [options.preamble] - Header and stringDict lines received before recording started
+ * @param {Object|null} [options.snapshot] - Init line holding the model when recording started, if the session had one
+ * @param {number} [options.partBytes] - Size after which a new part is started
+ * @param {function(string): void} [options.onRotate] - Called with the path of each new part
+ * @param {function(Error): void} [options.onError] - Called when a part can't be written
+ * @returns {Recorder}
+ */
+function startRecording(basePath, { preamble = [], snapshot = null, partBytes = DEFAULT_PART_BYTES, onRotate, onError } = {}) {
+  const state = {
+    part: 1,
+    paths: [basePath],
+    bytes: 0,
+    header: null,
+    stringDicts: [],
+    dictionary: null,
+    model: null,
+    lastTimestamp: null,
+    fd: null,
+    failed: false,
+  };
+
+  const track = (text) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    if (parsed === null || typeof parsed !== "object") return;
+
+    if (parsed.type === "header") {
+      state.header = text;
+      state.stringDicts = [];
+      state.dictionary = parsed.compression === "stringDict" ? {} : null;
+    } else if (parsed.type === "stringDict") {
+      state.stringDicts.push(text);
+      if (parsed.strings !== null && typeof parsed.strings === "object") {
+        state.dictionary = Object.assign(state.dictionary || {}, parsed.strings);
+      }
+    } else if (parsed.type === "init" || parsed.type === "update") {
+      state.model = logIndex.replayEntry(state.model, logIndex.decompress(parsed, state.dictionary));
+      if (typeof parsed.timestamp === "number") {
+        state.lastTimestamp = parsed.timestamp;
+      }
+    }
+  };
+
+  const fail = (error) => {
+    state.failed = true;
+    if (state.fd !== null) {
+      try {
+        fs.closeSync(state.fd);
+      } catch (e) {
+        // Already failing; the first error is the one reported
+      }
+      state.fd = null;
+    }
+    if (onError) onError(error);
+  };
+
+  const write = (text) => {
+    const data = Buffer.from(text + "\n", "utf8");
+    fs.writeSync(state.fd, data);
+    state.bytes += data.length;
+  };
+
+  const openPart = (filePath) => {
+    state.fd = fs.openSync(filePath, "w");
+    state.bytes = 0;
+  };
+
+  const rotate = () => {
+    fs.closeSync(state.fd);
+    state.fd = null;
+    state.part++;
+    const filePath = partPath(basePath, state.part);
+    state.paths.push(filePath);
+    openPart(filePath);
+
+    if (state.header) write(state.header);
+    state.stringDicts.forEach(write);
+    if (state.model !== null) {
+      write(
+        JSON.stringify({
+          type: "init",
+          timestamp: state.lastTimestamp || Date.now(),
+          model: state.model,
+          effects: [],
+        }),
+      );
+    }
+    if (onRotate) onRotate(filePath);
+  };
+
+  openPart(basePath);
+  for (const text of preamble) {
+    track(text);
+    write(text);
+  }
+  if (snapshot) {
+    const text = JSON.stringify(snapshot);
+    track(text);
+    write(text);
+  }
+
+  return {
+    /**
+     * Append one raw line, moving on to a new part first if this one is full.
+     *
+     * @param {string} text - Line as received, without its newline
+     */
+    writeLine(text) {
+      if (state.failed) return;
+      const line = text.trim();
+      if (!line) return;
+      try {
+        if (state.bytes >= partBytes) {
+          rotate();
+        }
+        track(line);
+        write(line);
+      } catch (error) {
+        fail(error);
+      }
+    },
+
+    /**
+     * Finish the recording.
+     *
+     * @returns {string[]} Paths of every part, in order
+     */
+    stop() {
+      if (state.fd !== null) {
+        fs.closeSync(state.fd);
+        state.fd = null;
+      }
+      return state.paths.slice();
+    },
+
+    /**
+     * Path of the part being written.
+     *
+     * @returns {string}
+     */
+    get currentPath() {
+      return state.paths[state.paths.length - 1];
+    },
+  };
+}
+
+/**
+ * @typedef {Object} Recorder
+ * @property {function(string): void} writeLine - Append a raw line
+ * @property {function(): string[]} stop - Finish the recording
+ * @property {string} currentPath - Path of the part being written
+ */
+
+module.exports = {
+  DEFAULT_PART_BYTES,
+  partPath,
+  startRecording,
+};
@@ -1,9 +1,16 @@
 const { app, BrowserWindow, ipcMain, dialog, Menu } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const { pipeline } = require("stream/promises");
 const readline = require("readline");
+const { StringDecoder } = require("string_decoder");
 const log = require("electron-log");
 const { autoUpdater } = require("electron-updater");
+const logIndex = require("./lib/log-index");
+const compressedInput = require("./lib/compressed-input");
+const sessionRecorder = require("./lib/session-recorder");
+const logServer = require("./lib/log-server");
 
 // Set app name explicitly for development mode
 app.setName("TeaForge Debugger");
@@ -29,14 +36,103 @@ autoUpdater.on("error", (err) => {
   );
 });
 
-let mainWindow;
+/**
+ * What one window has open. Every window reads its own input source, so two
+ * logs, or a live robot and a simulator, can be watched side by side. Events
+ * are sent back to the window whose request started them.
+ *
+ * @typedef {Object} WindowState
+ * @property {Electron.WebContents} webContents - Renderer that events are sent to
+ * @property {{close: function()}|null} activeStream - Input stream being read
+ * @property {number} lineNumber - Lines read from the input so far
+ * @property {Object|null} activeIndex - Index of the open file when it is too
+ *   large to stream (see lib/log-index.js)
+ * @property {string|null} activeTempFile - Temporary decompressed copy of the
+ *   compressed file being paged through
+ * @property {Object|null} activeRecording - Recording of the live WebSocket
+ *   session (see lib/session-recorder.js)
+ * @property {Object|null} logServer - Built-in log server (see lib/log-server.js)
+ * @property {Map<string, {spoolPath: string, fd: number}>} logClients - Spool
+ *   file of each client of the log server
+ * @property {{close: function()}|null} logClientStream - Stream following the
+ *   selected client's spool file
+ */
 
-// Track active input stream
-let activeStream = null;
-let lineNumber = 0;
+// State of each open window, by the id of its webContents
+const windowStates = new Map();
 
-function createWindow() {
-  mainWindow = new BrowserWindow({
+/**
+ * State of the window an IPC request came from.
+ *
+ * @param {Electron.IpcMainInvokeEvent|Electron.IpcMainEvent} event
+ * @returns {WindowState}
+ */
+function stateFor(event) {
+  return windowStates.get(event.sender.id);
+}
+
+/**
+ * State of the focused window, which menu items act on.
+ *
+ * @returns {WindowState|undefined}
+ */
+function focusedState() {
+  const window = BrowserWindow.getFocusedWindow();
+  return window ? windowStates.get(window.webContents.id) : undefined;
+}
+
+// Send an event to a window's renderer, unless the window has been closed
+function sendTo(state, channel, payload) {
+  if (!state.webContents.isDestroyed()) {
+    state.webContents.send(channel, payload);
+  }
+}
+
+// Window that dialogs opened for a renderer's request are attached to
+function dialogParent(event) {
+  return BrowserWindow.fromWebContents(event.sender);
+}
+
+// Files at least this large are indexed and read a page at a time instead of
+// being streamed to the renderer in full
+const INDEXED_MODE_MIN_BYTES = 100 * 1024 * 1024;
+
+// Compressed files at least this large are expanded to a temporary file and
+// indexed. JSONL logs typically compress around 10:1.
+const COMPRESSED_INDEXED_MODE_MIN_BYTES = 10 * 1024 * 1024;
+
+function removeActiveTempFile(state) {
+  if (state.activeTempFile) {
+    fs.rm(state.activeTempFile, { force: true }, () => {});
+    state.activeTempFile = null;
+  }
+}
+
+// Close whatever a window has open, when it closes or the app quits
+function closeWindowState(state) {
+  if (state.activeStream) {
+    state.activeStream.close();
+    state.activeStream = null;
+  }
+  state.activeIndex = null;
+  stopActiveRecording(state);
+  stopLogServer(state);
+  if (state.activeTempFile) {
+    fs.rmSync(state.activeTempFile, { force: true });
+    state.activeTempFile = null;
+  }
+}
+
+/**
+ * Open a window with nothing loaded, or with a log file opened in it.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Log file to open once the window has loaded
+ * @param {boolean} [options.follow] - Follow the log file for new lines
+ * @returns {BrowserWindow}
+ */
+function createWindow({ filePath = null, follow = false } = {}) {
+  const window = new BrowserWindow({
     width: 1400,
     height: 900,
     minWidth: 800,
@@ -48,22 +144,297 @@ function createWindow() {
     },
   });
 
-  mainWindow.loadFile("index.html");
+  const id = window.webContents.id;
+  const state = {
+    webContents: window.webContents,
+    activeStream: null,
+    lineNumber: 0,
+    activeIndex: null,
+    // Path of the open input as the renderer gave it, sent back with each
+    // page so a reply for an input replaced since can be told apart
+    activeInputPath: null,
+    activeTempFile: null,
+    activeRecording: null,
+    logServer: null,
+    logClients: new Map(),
+    logClientStream: null,
+  };
+  windowStates.set(id, state);
+
+  window.loadFile("index.html");
+
+  if (filePath) {
+    window.webContents.once("did-finish-load", () => {
+      // Small delay to ensure Elm app initializes
+      setTimeout(() => {
+        // Send file-selected event to trigger streaming open
+        sendTo(state, "file-selected", { filePath, follow });
+      }, 100);
+    });
+  }
+
+  window.on("closed", () => {
+    closeWindowState(state);
+    windowStates.delete(id);
+  });
+
+  return window;
+}
+
+// Follow mode (tail -f) settings. Polling with fs.stat is used rather than
+// fs.watch because it behaves the same on every platform and keeps working
+// when the file is replaced by log rotation.
+const FOLLOW_POLL_INTERVAL_MS = 250;
+const FOLLOW_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Parse one raw log line into the payload the renderer expects for an entry.
+ *
+ * @param {number} number - 1-based line number
+ * @param {string} line - Raw line text
+ * @returns {object|null} `{lineNumber, entry}`, or `{lineNumber, error, rawText}`
+ *   for malformed JSON, or null for an empty line
+ */
+function parseInputLine(number, line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null; // skip empty lines
+
+  try {
+    return { lineNumber: number, entry: JSON.parse(trimmed) };
+  } catch (e) {
+    // Report parse error as an error entry
+    return {
+      lineNumber: number,
+      error: e.message,
+      rawText: trimmed.substring(0, 200),
+    };
+  }
+}
+
+// Parse one raw log line and forward it to the window reading it
+function sendInputLine(state, line) {
+  state.lineNumber++;
+  const payload = parseInputLine(state.lineNumber, line);
+  if (payload) {
+    sendTo(state, "entry-received", payload);
+  }
+}
+
+/**
+ * Follow a growing file like `tail -f`.
+ *
+ * Reads the file from the start and keeps polling for appended data. Only
+ * complete lines are emitted; a partially written last line is held back until
+ * its newline arrives. When the file shrinks (truncation) or is replaced by a
+ * new file (rotation), reading restarts from the beginning and `onReset` is
+ * called with the reason before any new lines are emitted.
+ *
+ * @param {string} filePath - Absolute path of the file to follow
+ * @param {{onLine: function(string), onReset: function(string), onError: function(Error)}} handlers
+ * @returns {{close: function()}} Handle with the same close() as a readline interface
+ */
+function followFile(filePath, { onLine, onReset, onError }) {
+  let handle = null;
+  let inode = null;
+  let position = 0;
+  let pending = "";
+  let decoder = new StringDecoder("utf8");
+  let busy = false;
+  let closed = false;
+  const buffer = Buffer.alloc(FOLLOW_CHUNK_SIZE);
+
+  async function openFromStart() {
+    if (handle) {
+      await handle.close();
+    }
+    handle = await fs.promises.open(filePath, "r");
+    inode = (await handle.stat()).ino;
+    position = 0;
+    pending = "";
+    decoder = new StringDecoder("utf8");
+  }
+
+  async function readAvailable() {
+    for (;;) {
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+      if (closed || bytesRead === 0) return;
+      position += bytesRead;
+      pending += decoder.write(buffer.subarray(0, bytesRead));
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      lines.forEach(onLine);
+    }
+  }
+
+  async function poll() {
+    if (busy || closed) return;
+    busy = true;
+    try {
+      if (!handle) {
+        await openFromStart();
+      }
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (err) {
+        // The file is briefly missing while it is being rotated; try again on
+        // the next poll.
+        return;
+      }
+
+      if (stats.ino !== inode) {
+        // Rotated: drain whatever was appended to the old file, then start
+        // over on the new one.
+        await readAvailable();
+        await openFromStart();
+        onReset("rotated");
+      } else if (stats.size < position) {
+        await openFromStart();
+        onReset("truncated");
+      }
+
+      await readAvailable();
+    } catch (err) {
+      // Reads still in flight when close() runs fail harmlessly
+      if (!closed) {
+        onError(err);
+      }
+    } finally {
+      busy = false;
+    }
+  }
+
+  const timer = setInterval(poll, FOLLOW_POLL_INTERVAL_MS);
+  poll();
+
+  return {
+    close() {
+      closed = true;
+      clearInterval(timer);
+      if (handle) {
+        handle.close().catch(() => {});
+        handle = null;
+      }
+    },
+  };
+}
+
+// Decompress a file into the temp directory so it can be indexed, reporting
+// progress through the compressed input
+async function expandToTempFile(state, sourcePath, compression, signal) {
+  const totalBytes = fs.statSync(sourcePath).size;
+  const tempPath = path.join(
+    os.tmpdir(),
+    `teaforge-debugger-${process.pid}-${Date.now()}.jsonl`,
+  );
+  let lastProgress = 0;
+
+  const input = compressedInput.createInputStream(
+    sourcePath,
+    compression,
+    (bytesRead) => {
+      if (Date.now() - lastProgress >= 100) {
+        lastProgress = Date.now();
+        sendTo(state, "index-progress", {
+          phase: "decompressing",
+          bytesRead,
+          totalBytes,
+        });
+      }
+    },
+  );
+
+  try {
+    await pipeline(input, fs.createWriteStream(tempPath), { signal });
+  } catch (err) {
+    fs.rm(tempPath, { force: true }, () => {});
+    throw err;
+  }
+
+  return tempPath;
+}
+
+// Index a large file instead of streaming it. The renderer then pages through
+// it with get-entries. Opening another input while indexing cancels the scan.
+async function openIndexed(state, absolutePath, compression) {
+  const controller = new AbortController();
+  state.activeStream = { close: () => controller.abort() };
+  let tempPath = null;
+
+  try {
+    if (compression) {
+      tempPath = await expandToTempFile(
+        state,
+        absolutePath,
+        compression,
+        controller.signal,
+      );
+    }
+
+    const index = await logIndex.buildIndex(tempPath || absolutePath, {
+      signal: controller.signal,
+      onProgress: (progress) => {
+        sendTo(state, "index-progress", {
+          phase: "indexing",
+          ...progress,
+        });
+      },
+    });
+
+    state.activeStream = null;
+    state.activeIndex = index;
+    state.activeTempFile = tempPath;
 
-  mainWindow.on("closed", () => {
-    mainWindow = null;
+    return {
+      success: true,
+      path: absolutePath,
+      follow: false,
+      entryCount: index.offsets.length,
+      typeRegistry: index.typeRegistry,
+    };
+  } catch (err) {
+    if (tempPath) {
+      fs.rm(tempPath, { force: true }, () => {});
+    }
+    if (controller.signal.aborted) {
+      // Superseded by another open-input or close-input; nothing to report
+      return { success: true, path: absolutePath, canceled: true };
+    }
+    state.activeStream = null;
+    return { success: false, error: err.message };
+  }
+}
+
+// Stream a file to the window, then keep streaming the lines appended to it
+function followInput(state, absolutePath) {
+  state.activeStream = followFile(absolutePath, {
+    onLine: (line) => sendInputLine(state, line),
+    onReset: (reason) => {
+      state.lineNumber = 0;
+      sendTo(state, "input-reset", { reason });
+    },
+    onError: (err) => {
+      sendTo(state, "input-error", { error: err.message });
+    },
   });
 }
 
 // IPC Handler: Open input source (streaming file read)
-ipcMain.handle("open-input", async (event, filePath) => {
+// Pass { follow: true } to keep the file open and stream appended lines.
+ipcMain.handle("open-input", async (event, filePath, options = {}) => {
+  const state = stateFor(event);
+
   // Close any existing stream
-  if (activeStream) {
-    activeStream.close();
-    activeStream = null;
+  if (state.activeStream) {
+    state.activeStream.close();
+    state.activeStream = null;
   }
 
-  lineNumber = 0;
+  state.activeIndex = null;
+  state.activeInputPath = filePath;
+  removeActiveTempFile(state);
+  state.lineNumber = 0;
   const absolutePath = path.resolve(filePath);
 
   // Check file exists
@@ -73,64 +444,93 @@ ipcMain.handle("open-input", async (event, filePath) => {
     return { success: false, error: `File not found: ${absolutePath}` };
   }
 
+  let compression;
   try {
-    const stream = fs.createReadStream(absolutePath, { encoding: "utf8" });
-    const rl = readline.createInterface({ input: stream });
+    compression = await compressedInput.detectCompression(absolutePath);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
 
-    activeStream = rl;
+  // Compressed files can't be appended to, so they are always read once
+  const follow = Boolean(options.follow) && !compression;
 
-    rl.on("line", (line) => {
-      lineNumber++;
-      const trimmed = line.trim();
-      if (!trimmed) return; // skip empty lines
+  const indexThreshold = compression
+    ? COMPRESSED_INDEXED_MODE_MIN_BYTES
+    : INDEXED_MODE_MIN_BYTES;
+  if (!follow && fs.statSync(absolutePath).size >= indexThreshold) {
+    return openIndexed(state, absolutePath, compression);
+  }
 
-      try {
-        const parsed = JSON.parse(trimmed);
-        mainWindow.webContents.send("entry-received", {
-          lineNumber,
-          entry: parsed,
-        });
-      } catch (e) {
-        // Send parse error as an error entry
-        mainWindow.webContents.send("entry-received", {
-          lineNumber,
-          error: e.message,
-          rawText: trimmed.substring(0, 200),
-        });
-      }
-    });
+  if (follow) {
+    followInput(state, absolutePath);
+    return { success: true, path: absolutePath, follow };
+  }
+
+  try {
+    const stream = compressedInput.createInputStream(absolutePath, compression);
+    const rl = readline.createInterface({ input: stream });
+
+    state.activeStream = rl;
+
+    rl.on("line", (line) => sendInputLine(state, line));
 
     rl.on("close", () => {
-      mainWindow.webContents.send("input-closed", {});
-      activeStream = null;
+      sendTo(state, "input-closed", {});
+      state.activeStream = null;
     });
 
     rl.on("error", (err) => {
-      mainWindow.webContents.send("input-error", { error: err.message });
+      sendTo(state, "input-error", { error: err.message });
     });
 
-    return { success: true, path: absolutePath };
+    return { success: true, path: absolutePath, follow };
   } catch (err) {
     return { success: false, error: err.message };
   }
 });
 
 // IPC Handler: Close input source
-ipcMain.handle("close-input", async () => {
-  if (activeStream) {
-    activeStream.close();
-    activeStream = null;
+ipcMain.handle("close-input", async (event) => {
+  const state = stateFor(event);
+  if (state.activeStream) {
+    state.activeStream.close();
+    state.activeStream = null;
   }
+  state.activeIndex = null;
+  removeActiveTempFile(state);
   return { success: true };
 });
 
+// IPC Handler: Read a page of entries from an indexed file
+ipcMain.handle("get-entries", async (event, start, count) => {
+  const { activeIndex, activeInputPath } = stateFor(event);
+  if (!activeIndex) {
+    return { success: false, path: activeInputPath, error: "No indexed file is open" };
+  }
+
+  try {
+    const page = await logIndex.readEntries(activeIndex, start, count);
+    return { success: true, path: activeInputPath, ...page };
+  } catch (err) {
+    return { success: false, path: activeInputPath, error: err.message };
+  }
+});
+
 // IPC Handler: Open file dialog (returns selected path, doesn't read file)
-ipcMain.handle("open-file-dialog", async () => {
+ipcMain.handle("open-file-dialog", async (event) => {
   try {
-    const result = await dialog.showOpenDialog(mainWindow, {
+    const result = await dialog.showOpenDialog(dialogParent(event), {
       properties: ["openFile"],
       filters: [
-        { name: "TeaForge Logs", extensions: ["log", "jsonl", "json"] },
+        {
+          name: "TeaForge Logs",
+          extensions: [
+            "log",
+            "jsonl",
+            "json",
+            ...compressedInput.DIALOG_EXTENSIONS,
+          ],
+        },
         { name: "All Files", extensions: ["*"] },
       ],
     });
@@ -145,6 +545,617 @@ ipcMain.handle("open-file-dialog", async () => {
   }
 });
 
+// Most entries read from a log opened for comparison; the rest are left out
+const MAX_COMPARISON_ENTRIES = 50000;
+
+/**
+ * Read a whole log to compare against the open one.
+ *
+ * The comparison log is read independently of the open input source, so it
+ * doesn't disturb a stream or an indexed file that is being paged through.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{path: string, entries: object[], truncated: boolean}>}
+ *   Entries are in the same form as `entry-received` payloads.
+ */
+async function readComparisonLog(filePath) {
+  const absolutePath = path.resolve(filePath);
+  const compression = await compressedInput.detectCompression(absolutePath);
+  const stream = compressedInput.createInputStream(absolutePath, compression);
+  const rl = readline.createInterface({ input: stream });
+
+  const entries = [];
+  let number = 0;
+  let truncated = false;
+
+  // readline doesn't forward errors from its input stream
+  const failed = new Promise((resolve, reject) => {
+    stream.on("error", reject);
+  });
+
+  const read = (async () => {
+    for await (const line of rl) {
+      number++;
+      const payload = parseInputLine(number, line);
+      if (!payload) continue;
+      if (entries.length >= MAX_COMPARISON_ENTRIES) {
+        truncated = true;
+        break;
+      }
+      entries.push(payload);
+    }
+  })();
+
+  try {
+    await Promise.race([read, failed]);
+  } finally {
+    rl.close();
+    stream.destroy();
+  }
+
+  return { path: absolutePath, entries, truncated };
+}
+
+// Show the open dialog for a log to compare with and hand its entries to the window
+async function promptOpenComparison(state) {
+  if (!state) return;
+
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(state.webContents), {
+    title: "Compare With",
+    properties: ["openFile"],
+    filters: [
+      {
+        name: "TeaForge Logs",
+        extensions: [
+          "log",
+          "json",
+          "jsonl",
+          ...compressedInput.DIALOG_EXTENSIONS,
+        ],
+      },
+      { name: "All Files", extensions: ["*"] },
+    ],
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
+
+  try {
+    const comparison = await readComparisonLog(result.filePaths[0]);
+    sendTo(state, "comparison-opened", {
+      success: true,
+      ...comparison,
+    });
+  } catch (err) {
+    sendTo(state, "comparison-opened", {
+      success: false,
+      error: `Could not open log for comparison: ${err.message}`,
+    });
+  }
+}
+
+// IPC Handler: Choose a log to compare with the open one (from the renderer)
+ipcMain.handle("open-comparison", async (event) => {
+  await promptOpenComparison(stateFor(event));
+  return { success: true };
+});
+
+// Save dialog filter for each export format
+const EXPORT_FILTERS = {
+  jsonl: { name: "TeaForge Log", extensions: ["jsonl"] },
+  csv: { name: "CSV", extensions: ["csv"] },
+  html: { name: "HTML Report", extensions: ["html"] },
+};
+
+/**
+ * IPC Handler: Ask where to save an export and write it.
+ *
+ * @param {string} format - "jsonl", "csv" or "html"
+ * @param {string} defaultName - Suggested file name
+ * @param {string} content - File contents
+ * @returns {Promise<{success: boolean, canceled?: boolean, path?: string, error?: string}>}
+ */
+ipcMain.handle("save-export", async (event, format, defaultName, content) => {
+  try {
+    const filter = EXPORT_FILTERS[format];
+    if (!filter) {
+      return { success: false, error: `Unknown export format: ${format}` };
+    }
+
+    const result = await dialog.showSaveDialog(dialogParent(event), {
+      defaultPath: defaultName,
+      filters: [filter, { name: "All Files", extensions: ["*"] }],
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: true, canceled: true };
+    }
+
+    await fs.promises.writeFile(result.filePath, content, "utf-8");
+    return { success: true, canceled: false, path: result.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Save and open dialog filter for session files
+const SESSION_FILTER = { name: "TeaForge Session", extensions: ["tfsession"] };
+
+/**
+ * IPC Handler: Ask where to save a session and write it.
+ *
+ * @param {string} defaultName - Suggested file name
+ * @param {string} content - Session file contents (JSON)
+ * @returns {Promise<{success: boolean, canceled?: boolean, path?: string, error?: string}>}
+ */
+ipcMain.handle("save-session", async (event, defaultName, content) => {
+  try {
+    const result = await dialog.showSaveDialog(dialogParent(event), {
+      defaultPath: defaultName,
+      filters: [SESSION_FILTER],
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: true, canceled: true };
+    }
+
+    await fs.promises.writeFile(result.filePath, content, "utf-8");
+    return { success: true, canceled: false, path: result.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Open and save dialog filter for shared filter preset files
+const PRESETS_FILTER = { name: "TeaForge Filter Presets", extensions: ["tfpresets"] };
+
+/**
+ * Path of the presets file in the user's settings folder.
+ *
+ * @returns {string}
+ */
+function filterPresetsPath() {
+  return path.join(app.getPath("userData"), "filter-presets.json");
+}
+
+/**
+ * IPC Handler: Read the saved filter presets.
+ *
+ * A missing file means no presets have been saved yet and returns no content.
+ *
+ * @returns {Promise<{success: boolean, content?: string, error?: string}>}
+ */
+ipcMain.handle("load-filter-presets", async () => {
+  try {
+    const content = await fs.promises.readFile(filterPresetsPath(), "utf-8");
+    return { success: true, content };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { success: true };
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * IPC Handler: Write the filter presets to the settings folder.
+ *
+ * @param {string} content - Presets file contents (JSON)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+ipcMain.handle("save-filter-presets", async (event, content) => {
+  try {
+    await fs.promises.writeFile(filterPresetsPath(), content, "utf-8");
+    return { success: true };
+  } catch (error) {
+    log.error("Failed to save filter presets:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * IPC Handler: Ask for a presets file shared by someone else and read it.
+ *
+ * @returns {Promise<{success: boolean, canceled?: boolean, content?: string, error?: string}>}
+ */
+ipcMain.handle("import-filter-presets", async (event) => {
+  try {
+    const result = await dialog.showOpenDialog(dialogParent(event), {
+      properties: ["openFile"],
+      filters: [PRESETS_FILTER, { name: "All Files", extensions: ["*"] }],
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: true, canceled: true };
+    }
+
+    const content = await fs.promises.readFile(result.filePaths[0], "utf-8");
+    return { success: true, canceled: false, content };
+  } catch (error) {
+    return { success: false, error: `Could not import presets: ${error.message}` };
+  }
+});
+
+/**
+ * IPC Handler: Ask where to save the presets for sharing and write them.
+ *
+ * @param {string} content - Presets file contents (JSON)
+ * @returns {Promise<{success: boolean, canceled?: boolean, path?: string, error?: string}>}
+ */
+ipcMain.handle("export-filter-presets", async (event, content) => {
+  try {
+    const result = await dialog.showSaveDialog(dialogParent(event), {
+      defaultPath: "filters.tfpresets",
+      filters: [PRESETS_FILTER],
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: true, canceled: true };
+    }
+
+    await fs.promises.writeFile(result.filePath, content, "utf-8");
+    return { success: true, canceled: false, path: result.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Path of the annotations sidecar file of a log file.
+ *
+ * @param {string} logPath - Path of the log file
+ * @returns {string}
+ */
+function annotationsPath(logPath) {
+  return `${logPath}.annotations.json`;
+}
+
+/**
+ * IPC Handler: Read the annotations saved next to a log file.
+ *
+ * A missing sidecar file means the log has no annotations yet and returns no
+ * content.
+ *
+ * @param {string} logPath - Path of the log file
+ * @returns {Promise<{logPath: string, success: boolean, content?: string, error?: string}>}
+ */
+ipcMain.handle("load-annotations", async (event, logPath) => {
+  try {
+    const content = await fs.promises.readFile(annotationsPath(logPath), "utf-8");
+    return { logPath, success: true, content };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { logPath, success: true };
+    }
+    return { logPath, success: false, error: error.message };
+  }
+});
+
+/**
+ * Pending annotation writes, by sidecar path. Each save waits for the one
+ * before it, so the file always ends up with the last annotations sent.
+ */
+const annotationWrites = new Map();
+
+/**
+ * IPC Handler: Write the annotations of a log file to its sidecar file.
+ *
+ * Writes of the same file happen in the order they were asked for.
+ *
+ * @param {string} logPath - Path of the log file
+ * @param {string} content - Annotations file contents (JSON)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+ipcMain.handle("save-annotations", (event, logPath, content) => {
+  const filePath = annotationsPath(logPath);
+  const previous = annotationWrites.get(filePath) || Promise.resolve();
+  const write = previous.then(async () => {
+    try {
+      await fs.promises.writeFile(filePath, content, "utf-8");
+      return { success: true };
+    } catch (error) {
+      log.error("Failed to save annotations:", error);
+      return { success: false, error: error.message };
+    }
+  });
+  annotationWrites.set(filePath, write);
+  write.then(() => {
+    if (annotationWrites.get(filePath) === write) {
+      annotationWrites.delete(filePath);
+    }
+  });
+  return write;
+});
+
+/**
+ * Finish a window's recording, if it has one.
+ *
+ * @param {WindowState} state
+ * @returns {string[]} Paths of the recording's parts, or none if nothing was being recorded
+ */
+function stopActiveRecording(state) {
+  if (!state.activeRecording) return [];
+  const paths = state.activeRecording.stop();
+  state.activeRecording = null;
+  return paths;
+}
+
+/**
+ * IPC Handler: Ask where to record the live WebSocket session and start
+ * recording to it.
+ *
+ * Lines received before recording started are not replayed, so the renderer
+ * passes the header and stringDict lines it has seen and an init line holding
+ * the current model, which start the file. Lines that arrive while the save
+ * dialog is open are held by the renderer and sent once this returns.
+ *
+ * @param {string} defaultName - Suggested file name
+ * @param {string[]} preamble - Header and stringDict lines already received
+ * @param {Object|null} snapshot - Init line holding the current model, or null before the first entry
+ * @returns {Promise<{success: boolean, canceled?: boolean, path?: string, error?: string}>}
+ */
+ipcMain.handle("start-recording", async (event, defaultName, preamble, snapshot) => {
+  const state = stateFor(event);
+  try {
+    const result = await dialog.showSaveDialog(dialogParent(event), {
+      defaultPath: defaultName,
+      filters: [EXPORT_FILTERS.jsonl],
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: true, canceled: true };
+    }
+
+    stopActiveRecording(state);
+    state.activeRecording = sessionRecorder.startRecording(result.filePath, {
+      preamble: Array.isArray(preamble) ? preamble : [],
+      snapshot,
+      onRotate: (partPath) => {
+        sendTo(state, "recording-rotated", { path: partPath });
+      },
+      onError: (error) => {
+        log.error("Failed to write recording:", error);
+        state.activeRecording = null;
+        sendTo(state, "recording-error", { error: error.message });
+      },
+    });
+    return { success: true, canceled: false, path: result.filePath };
+  } catch (error) {
+    return { success: false, error: `Could not start recording: ${error.message}` };
+  }
+});
+
+// Lines are sent without waiting for a reply, one per WebSocket message
+ipcMain.on("record-line", (event, text) => {
+  const { activeRecording } = stateFor(event);
+  if (activeRecording && typeof text === "string") {
+    activeRecording.writeLine(text);
+  }
+});
+
+/**
+ * IPC Handler: Finish the recording.
+ *
+ * @returns {Promise<{success: boolean, paths?: string[], error?: string}>}
+ */
+ipcMain.handle("stop-recording", async (event) => {
+  const state = stateFor(event);
+  try {
+    return { success: true, paths: stopActiveRecording(state) };
+  } catch (error) {
+    state.activeRecording = null;
+    return { success: false, error: error.message };
+  }
+});
+
+// Built-in log server (see lib/log-server.js). Lines from each client are
+// appended to a temporary spool file as they arrive, and the selected client's
+// file is followed like any other input. Switching clients therefore shows
+// everything the client sent since it first connected.
+let nextSpoolId = 1;
+
+/**
+ * Stop a window's log server, dropping its clients and their spool files.
+ *
+ * @param {WindowState} state
+ * @returns {Promise<void>}
+ */
+function stopLogServer(state) {
+  if (!state.logServer) return Promise.resolve();
+  const server = state.logServer;
+  state.logServer = null;
+
+  if (state.logClientStream && state.activeStream === state.logClientStream) {
+    state.activeStream.close();
+    state.activeStream = null;
+  }
+  state.logClientStream = null;
+
+  for (const { spoolPath, fd } of state.logClients.values()) {
+    fs.closeSync(fd);
+    fs.rmSync(spoolPath, { force: true });
+  }
+  state.logClients.clear();
+  return server.close();
+}
+
+/**
+ * IPC Handler: Start listening for applications pushing log lines over raw
+ * TCP, HTTP POST or WebSocket. A server already running is stopped first.
+ *
+ * Clients are reported with `log-client-connected` and
+ * `log-client-disconnected`; their entries are read with select-log-client.
+ *
+ * @param {number} port - Port to listen on
+ * @returns {Promise<{success: boolean, port?: number, error?: string}>}
+ */
+ipcMain.handle("start-log-server", async (event, port) => {
+  const state = stateFor(event);
+  await stopLogServer(state);
+
+  const logClients = state.logClients;
+  const server = logServer.createLogServer({
+    onConnect: (client) => {
+      if (!logClients.has(client.id)) {
+        const spoolPath = path.join(
+          os.tmpdir(),
+          `teaforge-client-${process.pid}-${nextSpoolId++}.jsonl`,
+        );
+        logClients.set(client.id, { spoolPath, fd: fs.openSync(spoolPath, "w") });
+      }
+      sendTo(state, "log-client-connected", client);
+    },
+    onLine: (id, line) => {
+      const client = logClients.get(id);
+      if (!client) return;
+      try {
+        fs.writeSync(client.fd, line + "\n");
+      } catch (err) {
+        log.error("Failed to spool log client line:", err);
+      }
+    },
+    onDisconnect: (id) => {
+      if (logClients.has(id)) {
+        sendTo(state, "log-client-disconnected", { id });
+      }
+    },
+  });
+
+  try {
+    const listeningPort = await server.listen(port);
+    state.logServer = server;
+    return { success: true, port: listeningPort };
+  } catch (err) {
+    await server.close();
+    return { success: false, error: `Could not listen on port ${port}: ${err.message}` };
+  }
+});
+
+// IPC Handler: Stop the log server
+ipcMain.handle("stop-log-server", async (event) => {
+  await stopLogServer(stateFor(event));
+  return { success: true };
+});
+
+/**
+ * IPC Handler: Stream the entries of a log server client to the renderer,
+ * from the first line it sent, and keep streaming the lines it sends next.
+ *
+ * @param {string} id - Client id from `log-client-connected`
+ * @returns {Promise<{success: boolean, id?: string, error?: string}>}
+ */
+ipcMain.handle("select-log-client", async (event, id) => {
+  const state = stateFor(event);
+  const client = state.logClients.get(id);
+  if (!client) {
+    return { success: false, error: "That client is no longer available" };
+  }
+
+  if (state.activeStream) {
+    state.activeStream.close();
+    state.activeStream = null;
+  }
+  state.activeIndex = null;
+  removeActiveTempFile(state);
+  state.lineNumber = 0;
+
+  followInput(state, client.spoolPath);
+  state.logClientStream = state.activeStream;
+  return { success: true, id };
+});
+
+/**
+ * Read a session file.
+ *
+ * A session saved on another machine usually refers to a log path that
+ * doesn't exist here. When the recorded file is missing but a file with the
+ * same name sits next to the session file, that file is used instead, so a
+ * session can be shared together with its log.
+ *
+ * @param {string} sessionPath
+ * @returns {Promise<object>} The parsed session
+ * @throws {Error} If the file can't be read or isn't JSON
+ */
+async function readSessionFile(sessionPath) {
+  const session = JSON.parse(await fs.promises.readFile(sessionPath, "utf-8"));
+  const source = session && session.source;
+
+  if (
+    source &&
+    source.kind === "file" &&
+    typeof source.path === "string" &&
+    !fs.existsSync(source.path)
+  ) {
+    const fileName = path.posix.basename(source.path.replace(/\\/g, "/"));
+    const nextToSession = path.join(path.dirname(sessionPath), fileName);
+    if (fs.existsSync(nextToSession)) {
+      session.source = { ...source, path: nextToSession };
+    }
+  }
+
+  return session;
+}
+
+// Show the open dialog for a session file and hand its contents to the focused window
+async function promptOpenSession() {
+  const state = focusedState();
+  if (!state) return;
+
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(state.webContents), {
+    properties: ["openFile"],
+    filters: [SESSION_FILTER, { name: "All Files", extensions: ["*"] }],
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
+
+  try {
+    const session = await readSessionFile(result.filePaths[0]);
+    sendTo(state, "session-opened", { success: true, session });
+  } catch (err) {
+    sendTo(state, "session-opened", {
+      success: false,
+      error: `Could not open session: ${err.message}`,
+    });
+  }
+}
+
+// Show the open dialog from the menu and hand the chosen file to the focused
+// window, or open it in a new window
+async function promptOpenFile({ follow, newWindow = false }) {
+  const state = focusedState();
+  if (!state && !newWindow) return;
+
+  const parent = state ? BrowserWindow.fromWebContents(state.webContents) : null;
+  const result = await dialog.showOpenDialog(parent, {
+    properties: ["openFile"],
+    filters: [
+      {
+        name: "TeaForge Logs",
+        extensions: [
+          "log",
+          "json",
+          "jsonl",
+          ...compressedInput.DIALOG_EXTENSIONS,
+        ],
+      },
+      { name: "All Files", extensions: ["*"] },
+    ],
+  });
+
+  if (!result.canceled && result.filePaths.length > 0) {
+    const filePath = result.filePaths[0];
+    if (newWindow) {
+      createWindow({ filePath, follow });
+    } else {
+      // Send the file path to open via streaming
+      sendTo(state, "file-selected", { filePath, follow });
+    }
+  }
+}
+
 // Create application menu
 function createMenu() {
   const isMac = process.platform === "darwin";
@@ -173,27 +1184,56 @@ function createMenu() {
     {
       label: "File",
       submenu: [
+        {
+          label: "New Window",
+          accelerator: "CmdOrCtrl+N",
+          click: () => createWindow(),
+        },
+        { type: "separator" },
         {
           label: "Open...",
           accelerator: "CmdOrCtrl+O",
-          click: async () => {
-            if (mainWindow) {
-              const result = await dialog.showOpenDialog(mainWindow, {
-                properties: ["openFile"],
-                filters: [
-                  {
-                    name: "TeaForge Logs",
-                    extensions: ["log", "json", "jsonl"],
-                  },
-                  { name: "All Files", extensions: ["*"] },
-                ],
-              });
-
-              if (!result.canceled && result.filePaths.length > 0) {
-                const filePath = result.filePaths[0];
-                // Send the file path to open via streaming
-                mainWindow.webContents.send("file-selected", { filePath });
-              }
+          click: () => promptOpenFile({ follow: false }),
+        },
+        {
+          label: "Open in New Window...",
+          accelerator: "CmdOrCtrl+Shift+N",
+          click: () => promptOpenFile({ follow: false, newWindow: true }),
+        },
+        {
+          label: "Open and Follow...",
+          accelerator: "CmdOrCtrl+Shift+O",
+          click: () => promptOpenFile({ follow: true }),
+        },
+        {
+          label: "Compare With...",
+          accelerator: "CmdOrCtrl+Shift+C",
+          click: () => promptOpenComparison(focusedState()),
+        },
+        { type: "separator" },
+        {
+          label: "Open Session...",
+          accelerator: "CmdOrCtrl+Alt+O",
+          click: () => promptOpenSession(),
+        },
+        {
+          label: "Save Session...",
+          accelerator: "CmdOrCtrl+S",
+          click: () => {
+            const state = focusedState();
+            if (state) {
+              sendTo(state, "save-session-requested");
+            }
+          },
+        },
+        { type: "separator" },
+        {
+          label: "Export Filtered View...",
+          accelerator: "CmdOrCtrl+E",
+          click: () => {
+            const state = focusedState();
+            if (state) {
+              sendTo(state, "export-requested");
             }
           },
         },
@@ -261,12 +1301,19 @@ const autoOpenFile = openFileArg
 // Handle --dev-tools flag to open DevTools on startup
 const openDevTools = process.argv.includes("--dev-tools");
 
+// Check for --follow flag (keep the --open-file file open and stream new lines)
+const followAutoOpenFile = process.argv.includes("--follow");
+
 // IPC Handler: Check if app is MCP-controlled
 ipcMain.handle("is-mcp-controlled", () => isMcpControlled);
 
 app.whenReady().then(() => {
   createMenu();
-  createWindow();
+  // Auto-open file if specified via --open-file argument
+  const mainWindow = createWindow({
+    filePath: autoOpenFile ? path.resolve(autoOpenFile) : null,
+    follow: followAutoOpenFile,
+  });
 
   // Check for updates when packaged (not in development)
   if (app.isPackaged) {
@@ -288,18 +1335,6 @@ app.whenReady().then(() => {
     });
   }
 
-  // Auto-open file if specified via --open-file argument
-  if (autoOpenFile) {
-    mainWindow.webContents.on("did-finish-load", () => {
-      // Small delay to ensure Elm app initializes
-      setTimeout(() => {
-        const filePath = path.resolve(autoOpenFile);
-        // Send file-selected event to trigger streaming open
-        mainWindow.webContents.send("file-selected", { filePath });
-      }, 100);
-    });
-  }
-
   app.on("activate", () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow();
@@ -312,3 +1347,9 @@ app.on("window-all-closed", () => {
     app.quit();
   }
 });
+
+// Delete the decompressed copies of large compressed files on exit, and close
+// recordings so their last part is complete
+app.on("will-quit", () => {
+  windowStates.forEach(closeWindowState);
+});
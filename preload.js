@@ -5,8 +5,15 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electron', {
     // Open an input source (file) for streaming log entries
     // @param {string} filePath - Path to the file to read
-    // @returns {Promise<{success: boolean, path?: string, error?: string}>}
-    openInput: (filePath) => ipcRenderer.invoke('open-input', filePath),
+    // @param {{follow?: boolean}} options - follow: keep the file open and stream appended lines
+    // @returns {Promise<{success: boolean, path?: string, follow?: boolean, entryCount?: number, error?: string}>}
+    openInput: (filePath, options) => ipcRenderer.invoke('open-input', filePath, options),
+
+    // Read a page of entries from a large file opened in indexed mode
+    // @param {number} start - Index of the first entry
+    // @param {number} count - Maximum number of entries to return
+    // @returns {Promise<{success: boolean, start?: number, total?: number, baseModel?: object, entries?: Array<object>, error?: string}>}
+    getEntries: (start, count) => ipcRenderer.invoke('get-entries', start, count),
 
     // Close the current input source
     // @returns {Promise<{success: boolean}>}
@@ -31,12 +38,148 @@ contextBridge.exposeInMainWorld('electron', {
         ipcRenderer.on('input-closed', (event, data) => callback(data));
     },
 
+    // Listen for index-progress events while a large file is being indexed
+    // @param {function} callback - Callback to receive
+    //   {phase: "decompressing" | "indexing", bytesRead: number, totalBytes: number}
+    onIndexProgress: (callback) => {
+        ipcRenderer.on('index-progress', (event, data) => callback(data));
+    },
+
+    // Listen for input-reset events (followed file was truncated or rotated)
+    // @param {function} callback - Callback to receive {reason: "truncated" | "rotated"}
+    onInputReset: (callback) => {
+        ipcRenderer.on('input-reset', (event, data) => callback(data));
+    },
+
     // Listen for file-selected events from main process menu (File > Open / Cmd+O)
-    // @param {function} callback - Callback to receive file path {filePath: string}
+    // @param {function} callback - Callback to receive file path {filePath: string, follow?: boolean}
     onFileSelected: (callback) => {
         ipcRenderer.on('file-selected', (event, data) => callback(data));
     },
 
+    // Listen for export-requested events from the main process menu (File > Export Filtered View)
+    // @param {function} callback - Callback with no arguments
+    onExportRequested: (callback) => {
+        ipcRenderer.on('export-requested', () => callback());
+    },
+
+    // Ask where to save an export and write it
+    // @param {string} format - "jsonl", "csv" or "html"
+    // @param {string} defaultName - Suggested file name
+    // @param {string} content - File contents
+    // @returns {Promise<{success: boolean, canceled?: boolean, path?: string, error?: string}>}
+    saveExport: (format, defaultName, content) => ipcRenderer.invoke('save-export', format, defaultName, content),
+
+    // Listen for save-session-requested events from the main process menu (File > Save Session)
+    // @param {function} callback - Callback with no arguments
+    onSaveSessionRequested: (callback) => {
+        ipcRenderer.on('save-session-requested', () => callback());
+    },
+
+    // Ask where to save a session and write it
+    // @param {string} defaultName - Suggested file name
+    // @param {string} content - Session file contents (JSON)
+    // @returns {Promise<{success: boolean, canceled?: boolean, path?: string, error?: string}>}
+    saveSession: (defaultName, content) => ipcRenderer.invoke('save-session', defaultName, content),
+
+    // Read the filter presets saved in the settings folder (no content if none were saved)
+    // @returns {Promise<{success: boolean, content?: string, error?: string}>}
+    loadFilterPresets: () => ipcRenderer.invoke('load-filter-presets'),
+
+    // Write the filter presets to the settings folder
+    // @param {string} content - Presets file contents (JSON)
+    // @returns {Promise<{success: boolean, error?: string}>}
+    saveFilterPresets: (content) => ipcRenderer.invoke('save-filter-presets', content),
+
+    // Ask for a shared presets file and read it
+    // @returns {Promise<{success: boolean, canceled?: boolean, content?: string, error?: string}>}
+    importFilterPresets: () => ipcRenderer.invoke('import-filter-presets'),
+
+    // Ask where to save the presets for sharing and write them
+    // @param {string} content - Presets file contents (JSON)
+    // @returns {Promise<{success: boolean, canceled?: boolean, path?: string, error?: string}>}
+    exportFilterPresets: (content) => ipcRenderer.invoke('export-filter-presets', content),
+
+    // Read the annotations saved next to a log file (no content if it has none)
+    // @param {string} logPath - Path of the log file
+    // @returns {Promise<{logPath: string, success: boolean, content?: string, error?: string}>}
+    loadAnnotations: (logPath) => ipcRenderer.invoke('load-annotations', logPath),
+
+    // Write the annotations of a log file next to it
+    // @param {string} logPath - Path of the log file
+    // @param {string} content - Annotations file contents (JSON)
+    // @returns {Promise<{success: boolean, error?: string}>}
+    saveAnnotations: (logPath, content) => ipcRenderer.invoke('save-annotations', logPath, content),
+
+    // Ask where to record the live WebSocket session and start recording
+    // @param {string} defaultName - Suggested file name
+    // @param {string[]} preamble - Header and stringDict lines already received
+    // @param {object|null} snapshot - Init line holding the current model
+    // @returns {Promise<{success: boolean, canceled?: boolean, path?: string, error?: string}>}
+    startRecording: (defaultName, preamble, snapshot) => ipcRenderer.invoke('start-recording', defaultName, preamble, snapshot),
+
+    // Append a raw line received over the WebSocket to the recording
+    // @param {string} text - Line as received
+    recordLine: (text) => ipcRenderer.send('record-line', text),
+
+    // Finish the recording
+    // @returns {Promise<{success: boolean, paths?: string[], error?: string}>}
+    stopRecording: () => ipcRenderer.invoke('stop-recording'),
+
+    // Listen for recording-rotated events (the recording moved on to a new file)
+    // @param {function} callback - Callback to receive {path: string}
+    onRecordingRotated: (callback) => {
+        ipcRenderer.on('recording-rotated', (event, data) => callback(data));
+    },
+
+    // Listen for recording-error events (the recording could not be written)
+    // @param {function} callback - Callback to receive {error: string}
+    onRecordingError: (callback) => {
+        ipcRenderer.on('recording-error', (event, data) => callback(data));
+    },
+
+    // Listen for applications pushing log lines over TCP, HTTP or WebSocket
+    // @param {number} port - Port to listen on
+    // @returns {Promise<{success: boolean, port?: number, error?: string}>}
+    startLogServer: (port) => ipcRenderer.invoke('start-log-server', port),
+
+    // Stop the log server and drop its clients
+    // @returns {Promise<{success: boolean}>}
+    stopLogServer: () => ipcRenderer.invoke('stop-log-server'),
+
+    // Stream the entries received from a log server client
+    // @param {string} id - Client id
+    // @returns {Promise<{success: boolean, id?: string, error?: string}>}
+    selectLogClient: (id) => ipcRenderer.invoke('select-log-client', id),
+
+    // Listen for log-client-connected events (a client connected to the log server)
+    // @param {function} callback - Callback to receive {id, protocol, address, connectedAt}
+    onLogClientConnected: (callback) => {
+        ipcRenderer.on('log-client-connected', (event, data) => callback(data));
+    },
+
+    // Listen for log-client-disconnected events (a log server client went away)
+    // @param {function} callback - Callback to receive {id: string}
+    onLogClientDisconnected: (callback) => {
+        ipcRenderer.on('log-client-disconnected', (event, data) => callback(data));
+    },
+
+    // Listen for session-opened events (File > Open Session)
+    // @param {function} callback - Callback to receive {success: boolean, session?: object, error?: string}
+    onSessionOpened: (callback) => {
+        ipcRenderer.on('session-opened', (event, data) => callback(data));
+    },
+
+    // Choose a log to compare with the open one; the entries arrive via onComparisonOpened
+    // @returns {Promise<{success: boolean}>}
+    openComparison: () => ipcRenderer.invoke('open-comparison'),
+
+    // Listen for comparison-opened events (File > Compare With)
+    // @param {function} callback - Callback to receive {success: boolean, path?: string, entries?: object[], truncated?: boolean, error?: string}
+    onComparisonOpened: (callback) => {
+        ipcRenderer.on('comparison-opened', (event, data) => callback(data));
+    },
+
     // Open native file dialog to select a TeaForge log file
     // @returns {Promise<{success: boolean, canceled?: boolean, filePath?: string, error?: string}>}
     openFileDialog: () => ipcRenderer.invoke('open-file-dialog'),
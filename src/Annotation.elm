@@ -0,0 +1,273 @@
+module Annotation exposing
+    ( Annotation
+    , Annotations
+    , Color(..)
+    , colors
+    , colorName
+    , colorCss
+    , empty
+    , toggle
+    , setColor
+    , setNote
+    , next
+    , previous
+    , encode
+    , decoder
+    )
+
+{-| Bookmarks on log entries, with an optional color tag and note, such as
+"brownout starts here".
+
+Annotations are kept by entry number, counting from 0 across the whole log,
+so they stay attached to the right entries of a large file that is loaded a
+page at a time. They are saved to a sidecar file next to the log,
+`<log>.annotations.json`, which can be committed along with it:
+
+    { "type": "tfannotations"
+    , "version": 1
+    , "annotations": [ { "entry": 42, "color": "red", "note": "brownout starts here" } ]
+    }
+
+@docs Annotation, Annotations, Color, colors, colorName, colorCss
+@docs empty, toggle, setColor, setNote, next, previous
+@docs encode, decoder
+
+-}
+
+import Dict exposing (Dict)
+import Json.Decode as D
+import Json.Encode as E
+
+
+{-| A bookmarked entry's color tag and note. Both are optional: an entry
+with an annotation is bookmarked.
+-}
+type alias Annotation =
+    { color : Maybe Color
+    , note : String
+    }
+
+
+{-| Annotations by entry number.
+-}
+type alias Annotations =
+    Dict Int Annotation
+
+
+{-| Color tags for bookmarks.
+-}
+type Color
+    = Red
+    | Orange
+    | Yellow
+    | Green
+    | Blue
+    | Purple
+
+
+{-| Every color tag, in the order they are offered.
+-}
+colors : List Color
+colors =
+    [ Red, Orange, Yellow, Green, Blue, Purple ]
+
+
+{-| The name of a color, as saved in the sidecar file.
+-}
+colorName : Color -> String
+colorName color =
+    case color of
+        Red ->
+            "red"
+
+        Orange ->
+            "orange"
+
+        Yellow ->
+            "yellow"
+
+        Green ->
+            "green"
+
+        Blue ->
+            "blue"
+
+        Purple ->
+            "purple"
+
+
+{-| The CSS color a tag is drawn with.
+-}
+colorCss : Color -> String
+colorCss color =
+    case color of
+        Red ->
+            "#ef4444"
+
+        Orange ->
+            "#f97316"
+
+        Yellow ->
+            "#eab308"
+
+        Green ->
+            "#22c55e"
+
+        Blue ->
+            "#3b82f6"
+
+        Purple ->
+            "#a855f7"
+
+
+colorFromName : String -> Maybe Color
+colorFromName colorString =
+    colors
+        |> List.filter (\color -> colorName color == colorString)
+        |> List.head
+
+
+{-| No annotations.
+-}
+empty : Annotations
+empty =
+    Dict.empty
+
+
+{-| Bookmark an entry, or remove its bookmark along with its color and note.
+-}
+toggle : Int -> Annotations -> Annotations
+toggle entryIndex annotations =
+    if Dict.member entryIndex annotations then
+        Dict.remove entryIndex annotations
+
+    else
+        Dict.insert entryIndex { color = Nothing, note = "" } annotations
+
+
+{-| Tag an entry with a color, bookmarking it if it wasn't.
+-}
+setColor : Int -> Maybe Color -> Annotations -> Annotations
+setColor entryIndex color =
+    update entryIndex (\annotation -> { annotation | color = color })
+
+
+{-| Set the note of an entry, bookmarking it if it wasn't.
+-}
+setNote : Int -> String -> Annotations -> Annotations
+setNote entryIndex note =
+    update entryIndex (\annotation -> { annotation | note = note })
+
+
+update : Int -> (Annotation -> Annotation) -> Annotations -> Annotations
+update entryIndex change =
+    Dict.update entryIndex
+        (\existing ->
+            existing
+                |> Maybe.withDefault { color = Nothing, note = "" }
+                |> change
+                |> Just
+        )
+
+
+{-| The first bookmarked entry after an entry, wrapping around to the first
+bookmark.
+-}
+next : Int -> Annotations -> Maybe Int
+next entryIndex annotations =
+    let
+        bookmarked =
+            Dict.keys annotations
+    in
+    case List.filter (\index -> index > entryIndex) bookmarked of
+        after :: _ ->
+            Just after
+
+        [] ->
+            List.head bookmarked
+
+
+{-| The last bookmarked entry before an entry, wrapping around to the last
+bookmark.
+-}
+previous : Int -> Annotations -> Maybe Int
+previous entryIndex annotations =
+    let
+        bookmarked =
+            List.reverse (Dict.keys annotations)
+    in
+    case List.filter (\index -> index < entryIndex) bookmarked of
+        before :: _ ->
+            Just before
+
+        [] ->
+            List.head bookmarked
+
+
+
+-- SIDECAR FILE
+
+
+currentVersion : Int
+currentVersion =
+    1
+
+
+{-| Encode annotations for the sidecar file, in entry order.
+-}
+encode : Annotations -> E.Value
+encode annotations =
+    E.object
+        [ ( "type", E.string "tfannotations" )
+        , ( "version", E.int currentVersion )
+        , ( "annotations"
+          , E.list
+                (\( entryIndex, annotation ) ->
+                    E.object
+                        (List.filterMap identity
+                            [ Just ( "entry", E.int entryIndex )
+                            , annotation.color |> Maybe.map (\color -> ( "color", E.string (colorName color) ))
+                            , if String.isEmpty annotation.note then
+                                Nothing
+
+                              else
+                                Just ( "note", E.string annotation.note )
+                            ]
+                        )
+                )
+                (Dict.toList annotations)
+          )
+        ]
+
+
+{-| Decode a sidecar file. An unknown color is dropped rather than failing
+the whole file.
+-}
+decoder : D.Decoder Annotations
+decoder =
+    D.field "type" D.string
+        |> D.andThen
+            (\fileType ->
+                if fileType /= "tfannotations" then
+                    D.fail "Not a TeaForge Debugger annotations file"
+
+                else
+                    D.field "version" D.int
+            )
+        |> D.andThen
+            (\version ->
+                if version > currentVersion then
+                    D.fail ("Annotations file version " ++ String.fromInt version ++ " is newer than this version of the debugger supports")
+
+                else
+                    D.field "annotations" (D.list annotationDecoder)
+                        |> D.map Dict.fromList
+            )
+
+
+annotationDecoder : D.Decoder ( Int, Annotation )
+annotationDecoder =
+    D.map3 (\entryIndex color note -> ( entryIndex, { color = color, note = note } ))
+        (D.field "entry" D.int)
+        (D.oneOf [ D.field "color" D.string |> D.map colorFromName, D.succeed Nothing ])
+        (D.oneOf [ D.field "note" D.string, D.succeed "" ])
@@ -0,0 +1,545 @@
+module Causality exposing
+    ( Causality
+    , Cause
+    , Origin(..)
+    , GraphNode
+    , GraphConfig
+    , empty
+    , addEntry
+    , fromEntries
+    , causeOf
+    , messageFromEffect
+    , graph
+    , viewGraph
+    )
+
+{-| Links between effects, subscriptions and the messages they produce.
+
+Effects and subscriptions describe their callbacks with a
+`_producesMessageType` field, and effects usually add a `_callbackId`:
+
+    { "_callbackId": "cb_001", "_producesMessageType": "Message.InitKraken" }
+
+A message is linked to the oldest earlier effect whose callback produces its
+type and has not produced a message yet. When no effect is waiting, it is
+linked to the most recently started subscription that produces its type and
+has not been stopped. Each effect produces at most one message, while a
+subscription can produce any number.
+
+Links are built one entry at a time as the log is read, so following a live
+source only processes each new entry once.
+
+@docs Causality, Cause, Origin, GraphNode, GraphConfig, empty, addEntry, fromEntries, causeOf, messageFromEffect, graph, viewGraph
+
+-}
+
+import Array exposing (Array)
+import Dict exposing (Dict)
+import Html exposing (Html)
+import Json.Decode as D
+import Json.Encode as E
+import Svg
+import Svg.Attributes as SA
+import Svg.Events
+import Types exposing (LogEntry(..), MessageData, getMessageName, getTimestamp)
+
+
+{-| The links found so far, plus the callbacks still waiting for a message.
+-}
+type Causality
+    = Causality State
+
+
+type alias State =
+    { nextIndex : Int
+    , causes : Dict Int Cause
+    , effectTargets : Dict ( Int, Int ) Int
+    , pendingEffects : List PendingEffect
+    , activeSubscriptions : List ActiveSubscription
+    }
+
+
+{-| What produced a message.
+
+  - `entryIndex`: Index of the entry that returned the effect or started the subscription
+  - `origin`: Whether it was an effect (with its position in the entry) or a subscription
+  - `name`: The `_type` of the effect or subscription
+
+-}
+type alias Cause =
+    { entryIndex : Int
+    , origin : Origin
+    , name : String
+    }
+
+
+{-| The kind of callback that produced a message.
+-}
+type Origin
+    = FromEffect Int
+    | FromSubscription
+
+
+type alias PendingEffect =
+    { entryIndex : Int
+    , effectIndex : Int
+    , name : String
+    , messageTypes : List String
+    }
+
+
+type alias ActiveSubscription =
+    { entryIndex : Int
+    , key : String
+    , name : String
+    , messageTypes : List String
+    }
+
+
+{-| No entries read yet.
+-}
+empty : Causality
+empty =
+    Causality
+        { nextIndex = 0
+        , causes = Dict.empty
+        , effectTargets = Dict.empty
+        , pendingEffects = []
+        , activeSubscriptions = []
+        }
+
+
+{-| Read the next entry of the log. Entries must be added in order, starting
+from the first.
+-}
+addEntry : LogEntry -> Causality -> Causality
+addEntry entry (Causality state) =
+    let
+        index =
+            state.nextIndex
+
+        withEffects effects s =
+            { s
+                | pendingEffects =
+                    s.pendingEffects
+                        ++ List.filterMap
+                            (\( effectIndex, effect ) ->
+                                case producedTypes effect.data of
+                                    [] ->
+                                        Nothing
+
+                                    messageTypes ->
+                                        Just
+                                            { entryIndex = index
+                                            , effectIndex = effectIndex
+                                            , name = effect.name
+                                            , messageTypes = messageTypes
+                                            }
+                            )
+                            (List.indexedMap Tuple.pair effects)
+            }
+
+        next =
+            case entry of
+                InitEntry data ->
+                    withEffects data.effects state
+
+                UpdateEntry data ->
+                    withEffects data.effects (linkMessage index data.message state)
+
+                SubscriptionChangeEntry data ->
+                    let
+                        stoppedKeys =
+                            List.map subscriptionKey data.stopped
+
+                        started =
+                            List.filterMap
+                                (\value ->
+                                    case producedTypes value of
+                                        [] ->
+                                            Nothing
+
+                                        messageTypes ->
+                                            Just
+                                                { entryIndex = index
+                                                , key = subscriptionKey value
+                                                , name = typeName "Subscription" value
+                                                , messageTypes = messageTypes
+                                                }
+                                )
+                                data.started
+                    in
+                    { state
+                        | activeSubscriptions =
+                            List.reverse started
+                                ++ List.filter (\sub -> not (List.member sub.key stoppedKeys)) state.activeSubscriptions
+                    }
+
+                ErrorEntry _ ->
+                    state
+    in
+    Causality { next | nextIndex = index + 1 }
+
+
+{-| Build the links for a whole log.
+-}
+fromEntries : Array LogEntry -> Causality
+fromEntries entries =
+    Array.foldl addEntry empty entries
+
+
+{-| What produced the message at an entry, if it was linked to a callback.
+-}
+causeOf : Int -> Causality -> Maybe Cause
+causeOf entryIndex (Causality state) =
+    Dict.get entryIndex state.causes
+
+
+{-| The entry of the message produced by an effect, given the index of the
+entry that returned the effect and the effect's position in that entry.
+-}
+messageFromEffect : Int -> Int -> Causality -> Maybe Int
+messageFromEffect entryIndex effectIndex (Causality state) =
+    Dict.get ( entryIndex, effectIndex ) state.effectTargets
+
+
+{-| Link a message to the effect or subscription that produced it.
+-}
+linkMessage : Int -> MessageData -> State -> State
+linkMessage index message state =
+    let
+        names =
+            messageNames message
+
+        produces messageTypes =
+            List.any (\messageType -> List.member messageType names) messageTypes
+
+        ( waiting, fromEffect ) =
+            splitFirst (.messageTypes >> produces) state.pendingEffects
+    in
+    case fromEffect of
+        Just pending ->
+            { state
+                | causes =
+                    Dict.insert index
+                        { entryIndex = pending.entryIndex
+                        , origin = FromEffect pending.effectIndex
+                        , name = pending.name
+                        }
+                        state.causes
+                , effectTargets = Dict.insert ( pending.entryIndex, pending.effectIndex ) index state.effectTargets
+                , pendingEffects = waiting
+            }
+
+        Nothing ->
+            case List.filter (.messageTypes >> produces) state.activeSubscriptions |> List.head of
+                Just sub ->
+                    { state
+                        | causes =
+                            Dict.insert index
+                                { entryIndex = sub.entryIndex
+                                , origin = FromSubscription
+                                , name = sub.name
+                                }
+                                state.causes
+                    }
+
+                Nothing ->
+                    state
+
+
+{-| Remove the first item matching a predicate, returning the other items in
+order along with the removed one.
+-}
+splitFirst : (a -> Bool) -> List a -> ( List a, Maybe a )
+splitFirst predicate items =
+    splitFirstHelp predicate [] items
+
+
+splitFirstHelp : (a -> Bool) -> List a -> List a -> ( List a, Maybe a )
+splitFirstHelp predicate skipped items =
+    case items of
+        [] ->
+            ( List.reverse skipped, Nothing )
+
+        item :: rest ->
+            if predicate item then
+                ( List.foldl (::) rest skipped, Just item )
+
+            else
+                splitFirstHelp predicate (item :: skipped) rest
+
+
+{-| The type names a message answers to: its name, and the `_type` of a
+wrapped `_unwrapped` message.
+-}
+messageNames : MessageData -> List String
+messageNames message =
+    case D.decodeValue (D.at [ "_unwrapped", "_type" ] D.string) message.payload of
+        Ok innerType ->
+            [ message.name, innerType ]
+
+        Err _ ->
+            [ message.name ]
+
+
+{-| Every `_producesMessageType` found in a value, at any depth.
+-}
+producedTypes : D.Value -> List String
+producedTypes value =
+    case D.decodeValue (D.field "_producesMessageType" D.string) value of
+        Ok messageType ->
+            [ messageType ]
+
+        Err _ ->
+            case D.decodeValue (D.keyValuePairs D.value) value of
+                Ok fields ->
+                    List.concatMap (Tuple.second >> producedTypes) fields
+
+                Err _ ->
+                    D.decodeValue (D.list D.value) value
+                        |> Result.map (List.concatMap producedTypes)
+                        |> Result.withDefault []
+
+
+{-| Identify a subscription so a later stop can be matched to its start.
+-}
+subscriptionKey : D.Value -> String
+subscriptionKey value =
+    case D.decodeValue (D.field "_subscriptionId" D.string) value of
+        Ok subscriptionId ->
+            subscriptionId
+
+        Err _ ->
+            typeName (E.encode 0 value) value
+
+
+typeName : String -> D.Value -> String
+typeName fallback value =
+    D.decodeValue (D.field "_type" D.string) value
+        |> Result.withDefault fallback
+
+
+
+-- GRAPH
+
+
+{-| A message in a causality chain, listed in depth-first order so each node
+follows the node that caused it.
+
+  - `entryIndex`: Index of the entry
+  - `depth`: Number of links between the node and the start of its chain
+  - `parent`: Index of the entry that caused this one, if it is in the graph
+
+-}
+type alias GraphNode =
+    { entryIndex : Int
+    , depth : Int
+    , parent : Maybe Int
+    }
+
+
+{-| The chains of links between entries that pass a test, such as being in a
+time range. Entries without any link to another included entry are left out.
+-}
+graph : (Int -> Bool) -> Causality -> List GraphNode
+graph include (Causality state) =
+    let
+        children : Dict Int (List Int)
+        children =
+            Dict.foldr
+                (\child cause acc ->
+                    if include child && include cause.entryIndex then
+                        Dict.update cause.entryIndex (\existing -> Just (child :: Maybe.withDefault [] existing)) acc
+
+                    else
+                        acc
+                )
+                Dict.empty
+                state.causes
+
+        isRoot entryIndex =
+            case Dict.get entryIndex state.causes of
+                Just cause ->
+                    not (include cause.entryIndex)
+
+                Nothing ->
+                    True
+
+        visit depth parent entryIndex =
+            { entryIndex = entryIndex, depth = depth, parent = parent }
+                :: List.concatMap (visit (depth + 1) (Just entryIndex))
+                    (Dict.get entryIndex children |> Maybe.withDefault [])
+    in
+    Dict.keys children
+        |> List.filter isRoot
+        |> List.concatMap (visit 0 Nothing)
+
+
+{-| Configuration for rendering the graph.
+
+  - `selectedIndex`: Index of the selected entry, which is highlighted
+  - `indexOffset`: Added to entry indices for display, when a page of a larger file is loaded
+  - `onSelect`: Called with the index of a clicked entry
+
+-}
+type alias GraphConfig msg =
+    { selectedIndex : Maybe Int
+    , indexOffset : Int
+    , onSelect : Int -> msg
+    }
+
+
+rowHeight : Float
+rowHeight =
+    22
+
+
+indentWidth : Float
+indentWidth =
+    20
+
+
+{-| Render the chains as a tree, one entry per row. Each entry is indented
+under the entry that caused it and labelled with the effect or subscription
+that linked them and the time since the start of its chain.
+-}
+viewGraph : GraphConfig msg -> Array LogEntry -> Causality -> List GraphNode -> Html msg
+viewGraph config entries causality nodes =
+    let
+        rows : Dict Int Int
+        rows =
+            nodes
+                |> List.indexedMap (\row node -> ( node.entryIndex, row ))
+                |> Dict.fromList
+
+        timeOf entryIndex =
+            Array.get entryIndex entries
+                |> Maybe.andThen getTimestamp
+                |> Maybe.withDefault 0
+
+        -- Rows are in depth-first order, so each chain starts at the
+        -- closest row above with depth 0
+        chainStarts =
+            List.foldl
+                (\node ( start, acc ) ->
+                    let
+                        chainStart =
+                            if node.depth == 0 then
+                                node.entryIndex
+
+                            else
+                                start
+                    in
+                    ( chainStart, Dict.insert node.entryIndex chainStart acc )
+                )
+                ( 0, Dict.empty )
+                nodes
+                |> Tuple.second
+
+        totalHeight =
+            toFloat (List.length nodes) * rowHeight + 4
+    in
+    Svg.svg
+        [ SA.width "100%"
+        , SA.height (String.fromFloat totalHeight)
+        , SA.class "select-none"
+        ]
+        (List.indexedMap
+            (\row node ->
+                let
+                    y =
+                        toFloat row * rowHeight + rowHeight / 2 + 2
+
+                    x =
+                        10 + toFloat node.depth * indentWidth
+
+                    parentRow =
+                        node.parent |> Maybe.andThen (\parent -> Dict.get parent rows)
+
+                    edge =
+                        case parentRow of
+                            Just parentIndex ->
+                                [ Svg.path
+                                    [ SA.d
+                                        ("M "
+                                            ++ String.fromFloat (x - indentWidth)
+                                            ++ " "
+                                            ++ String.fromFloat (toFloat parentIndex * rowHeight + rowHeight / 2 + 2)
+                                            ++ " V "
+                                            ++ String.fromFloat y
+                                            ++ " H "
+                                            ++ String.fromFloat x
+                                        )
+                                    , SA.fill "none"
+                                    , SA.stroke "currentColor"
+                                    , SA.strokeOpacity "0.3"
+                                    ]
+                                    []
+                                ]
+
+                            Nothing ->
+                                []
+
+                    isSelected =
+                        config.selectedIndex == Just node.entryIndex
+
+                    name =
+                        Array.get node.entryIndex entries
+                            |> Maybe.map getMessageName
+                            |> Maybe.withDefault "?"
+
+                    via =
+                        case ( node.parent, causeOf node.entryIndex causality ) of
+                            ( Just _, Just cause ) ->
+                                let
+                                    elapsed =
+                                        timeOf node.entryIndex - timeOf (Dict.get node.entryIndex chainStarts |> Maybe.withDefault node.entryIndex)
+                                in
+                                "  via " ++ cause.name ++ " · +" ++ String.fromInt elapsed ++ " ms"
+
+                            _ ->
+                                ""
+                in
+                Svg.g
+                    [ SA.class "cursor-pointer"
+                    , Svg.Events.onClick (config.onSelect node.entryIndex)
+                    ]
+                    (edge
+                        ++ [ Svg.rect
+                                [ SA.x "0"
+                                , SA.y (String.fromFloat (y - rowHeight / 2))
+                                , SA.width "100%"
+                                , SA.height (String.fromFloat rowHeight)
+                                , SA.fill
+                                    (if isSelected then
+                                        "currentColor"
+
+                                     else
+                                        "transparent"
+                                    )
+                                , SA.fillOpacity "0.08"
+                                ]
+                                []
+                           , Svg.circle
+                                [ SA.cx (String.fromFloat x)
+                                , SA.cy (String.fromFloat y)
+                                , SA.r "4"
+                                , SA.fill "currentColor"
+                                ]
+                                []
+                           , Svg.text_
+                                [ SA.x (String.fromFloat (x + 10))
+                                , SA.y (String.fromFloat (y + 4))
+                                , SA.fontSize "12"
+                                , SA.fill "currentColor"
+                                ]
+                                [ Svg.tspan [ SA.fillOpacity "0.6" ] [ Svg.text ("#" ++ String.fromInt (config.indexOffset + node.entryIndex + 1) ++ " ") ]
+                                , Svg.tspan [ SA.fontWeight "500" ] [ Svg.text name ]
+                                , Svg.tspan [ SA.fillOpacity "0.5" ] [ Svg.text via ]
+                                ]
+                           ]
+                    )
+            )
+            nodes
+        )
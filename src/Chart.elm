@@ -0,0 +1,443 @@
+module Chart exposing
+    ( Series
+    , Point
+    , Config
+    , series
+    , ticks
+    , view
+    , seriesColor
+    )
+
+{-| Line charts of numeric model fields over the entries of a log.
+
+Each pinned field becomes a `Series` with one point per entry whose model
+has a number at that path. The x axis is time since the first plotted entry,
+taken from the entry timestamps. A cursor marks the selected entry, and
+clicking the chart selects the entry closest to the click.
+
+@docs Series, Point, Config, series, ticks, view, seriesColor
+
+-}
+
+import Array exposing (Array)
+import Dict exposing (Dict)
+import Html exposing (Html)
+import Json.Decode as D
+import Svg exposing (Svg)
+import Svg.Attributes as SA
+import Svg.Events
+import Types exposing (LogEntry(..), TreePath)
+
+
+{-| The value of a field at one entry.
+-}
+type alias Point =
+    { entryIndex : Int
+    , time : Int
+    , value : Float
+    }
+
+
+{-| The values of one model field across the log, in entry order.
+-}
+type alias Series =
+    { path : TreePath
+    , points : List Point
+    }
+
+
+{-| Configuration for rendering a chart.
+
+  - `selectedIndex`: Index of the selected entry, drawn as a cursor
+  - `onSelect`: Called with the index of the entry closest to a click
+
+-}
+type alias Config msg =
+    { selectedIndex : Maybe Int
+    , onSelect : Int -> msg
+    }
+
+
+{-| Collect the values of a field from the model after each entry. Entries
+where the field is missing or not a number are skipped.
+-}
+series : Array LogEntry -> TreePath -> Series
+series entries path =
+    { path = path
+    , points =
+        entries
+            |> Array.toIndexedList
+            |> List.filterMap
+                (\( index, entry ) ->
+                    case entry of
+                        InitEntry data ->
+                            numberAt path data.model
+                                |> Maybe.map (Point index data.timestamp)
+
+                        UpdateEntry data ->
+                            numberAt path data.modelAfter
+                                |> Maybe.map (Point index data.timestamp)
+
+                        _ ->
+                            Nothing
+                )
+    }
+
+
+{-| Read a number at a path, where numeric segments index into arrays.
+-}
+numberAt : TreePath -> D.Value -> Maybe Float
+numberAt path value =
+    let
+        segmentDecoder segment inner =
+            case String.toInt segment of
+                Just index ->
+                    D.oneOf [ D.field segment inner, D.index index inner ]
+
+                Nothing ->
+                    D.field segment inner
+    in
+    D.decodeValue (List.foldr segmentDecoder D.float path) value
+        |> Result.toMaybe
+
+
+{-| Evenly spaced round values covering a range, for axis labels. Returns
+about `count` values that are multiples of 1, 2 or 5 times a power of ten.
+-}
+ticks : Int -> Float -> Float -> List Float
+ticks count low high =
+    if high <= low || count < 1 then
+        [ low ]
+
+    else
+        let
+            rough =
+                (high - low) / toFloat count
+
+            magnitude =
+                10 ^ toFloat (floor (logBase 10 rough))
+
+            step =
+                [ 1, 2, 5, 10 ]
+                    |> List.map (\factor -> factor * magnitude)
+                    |> List.filter (\candidate -> candidate >= rough)
+                    |> List.head
+                    |> Maybe.withDefault (10 * magnitude)
+
+            first =
+                toFloat (ceiling (low / step - 1.0e-9))
+        in
+        List.range 0 (floor ((high - low) / step) + 1)
+            |> List.map (\i -> (first + toFloat i) * step)
+            |> List.filter (\tick -> tick <= high + step * 1.0e-9)
+
+
+{-| Color of the series at a position in the legend.
+-}
+seriesColor : Int -> String
+seriesColor index =
+    let
+        palette =
+            [ "#3b82f6", "#f97316", "#10b981", "#e11d48", "#8b5cf6", "#eab308", "#06b6d4", "#64748b" ]
+    in
+    palette
+        |> List.drop (modBy (List.length palette) index)
+        |> List.head
+        |> Maybe.withDefault "#3b82f6"
+
+
+
+-- VIEW
+
+
+width : Float
+width =
+    800
+
+
+height : Float
+height =
+    220
+
+
+{-| Space around the plot for the axis labels.
+-}
+margin : { top : Float, right : Float, bottom : Float, left : Float }
+margin =
+    { top = 10, right = 10, bottom = 24, left = 56 }
+
+
+{-| Render the series as overlaid lines on shared axes.
+-}
+view : Config msg -> List Series -> Html msg
+view config allSeries =
+    let
+        points =
+            List.concatMap .points allSeries
+
+        timeRange =
+            range (List.map (.time >> toFloat) points)
+
+        valueRange =
+            range (List.map .value points)
+    in
+    case ( timeRange, valueRange ) of
+        ( Just ( startTime, endTime ), Just ( minValue, maxValue ) ) ->
+            let
+                ( low, high ) =
+                    if minValue == maxValue then
+                        ( minValue - 1, maxValue + 1 )
+
+                    else
+                        ( minValue, maxValue )
+
+                scale =
+                    { startTime = startTime
+                    , timeSpan = Basics.max 1 (endTime - startTime)
+                    , low = low
+                    , high = high
+                    }
+            in
+            Svg.svg
+                [ SA.viewBox ("0 0 " ++ String.fromFloat width ++ " " ++ String.fromFloat height)
+                , SA.width "100%"
+                , SA.class "select-none"
+                ]
+                (viewAxes scale
+                    ++ List.indexedMap (viewSeries scale) allSeries
+                    ++ viewCursor config scale points
+                    ++ viewHitAreas config scale points
+                )
+
+        _ ->
+            Html.div [] []
+
+
+type alias Scale =
+    { startTime : Float
+    , timeSpan : Float
+    , low : Float
+    , high : Float
+    }
+
+
+range : List Float -> Maybe ( Float, Float )
+range values =
+    Maybe.map2 Tuple.pair (List.minimum values) (List.maximum values)
+
+
+xPosition : Scale -> Int -> Float
+xPosition scale time =
+    margin.left + (toFloat time - scale.startTime) / scale.timeSpan * (width - margin.left - margin.right)
+
+
+yPosition : Scale -> Float -> Float
+yPosition scale value =
+    height - margin.bottom - (value - scale.low) / (scale.high - scale.low) * (height - margin.top - margin.bottom)
+
+
+viewAxes : Scale -> List (Svg msg)
+viewAxes scale =
+    let
+        plotBottom =
+            height - margin.bottom
+
+        valueTicks =
+            ticks 5 scale.low scale.high
+                |> List.filter (\tick -> tick >= scale.low && tick <= scale.high)
+
+        timeTicks =
+            ticks 8 0 (scale.timeSpan / 1000)
+                |> List.filter (\seconds -> seconds * 1000 <= scale.timeSpan)
+
+        gridLine x1 y1 x2 y2 =
+            Svg.line
+                [ SA.x1 (String.fromFloat x1)
+                , SA.y1 (String.fromFloat y1)
+                , SA.x2 (String.fromFloat x2)
+                , SA.y2 (String.fromFloat y2)
+                , SA.stroke "currentColor"
+                , SA.strokeOpacity "0.15"
+                ]
+                []
+
+        label anchor x y content =
+            Svg.text_
+                [ SA.x (String.fromFloat x)
+                , SA.y (String.fromFloat y)
+                , SA.textAnchor anchor
+                , SA.fontSize "10"
+                , SA.fill "currentColor"
+                , SA.fillOpacity "0.6"
+                ]
+                [ Svg.text content ]
+    in
+    List.concatMap
+        (\tick ->
+            let
+                y =
+                    yPosition scale tick
+            in
+            [ gridLine margin.left y (width - margin.right) y
+            , label "end" (margin.left - 4) (y + 3) (formatNumber tick)
+            ]
+        )
+        valueTicks
+        ++ List.concatMap
+            (\seconds ->
+                let
+                    x =
+                        xPosition scale (round (scale.startTime + seconds * 1000))
+                in
+                [ gridLine x margin.top x plotBottom
+                , label "middle" x (plotBottom + 14) (formatNumber seconds ++ "s")
+                ]
+            )
+            timeTicks
+
+
+formatNumber : Float -> String
+formatNumber value =
+    let
+        rounded =
+            toFloat (round (value * 1000)) / 1000
+    in
+    String.fromFloat rounded
+
+
+viewSeries : Scale -> Int -> Series -> Svg msg
+viewSeries scale index s =
+    Svg.polyline
+        [ SA.points
+            (thin scale s.points
+                |> List.map (\( x, y ) -> String.fromFloat x ++ "," ++ String.fromFloat y)
+                |> String.join " "
+            )
+        , SA.fill "none"
+        , SA.stroke (seriesColor index)
+        , SA.strokeWidth "1.5"
+        , SA.strokeLinejoin "round"
+        ]
+        []
+
+
+{-| Reduce points that fall in the same pixel column to their lowest and
+highest values, so long logs draw the same shape with far fewer points.
+-}
+thin : Scale -> List Point -> List ( Float, Float )
+thin scale points =
+    points
+        |> List.foldr
+            (\point groups ->
+                let
+                    x =
+                        toFloat (round (xPosition scale point.time))
+
+                    y =
+                        yPosition scale point.value
+                in
+                case groups of
+                    ( groupX, ys ) :: rest ->
+                        if groupX == x then
+                            ( groupX, y :: ys ) :: rest
+
+                        else
+                            ( x, [ y ] ) :: groups
+
+                    [] ->
+                        [ ( x, [ y ] ) ]
+            )
+            []
+        |> List.concatMap
+            (\( x, ys ) ->
+                case ( List.head ys, List.head (List.reverse ys) ) of
+                    ( Just firstY, Just lastY ) ->
+                        let
+                            top =
+                                List.minimum ys |> Maybe.withDefault firstY
+
+                            bottom =
+                                List.maximum ys |> Maybe.withDefault firstY
+                        in
+                        if top == bottom then
+                            [ ( x, firstY ) ]
+
+                        else if firstY <= lastY then
+                            [ ( x, top ), ( x, bottom ) ]
+
+                        else
+                            [ ( x, bottom ), ( x, top ) ]
+
+                    _ ->
+                        []
+            )
+
+
+viewCursor : Config msg -> Scale -> List Point -> List (Svg msg)
+viewCursor config scale points =
+    case config.selectedIndex |> Maybe.andThen (\index -> List.filter (\point -> point.entryIndex == index) points |> List.head) of
+        Just point ->
+            let
+                x =
+                    String.fromFloat (xPosition scale point.time)
+            in
+            [ Svg.line
+                [ SA.x1 x
+                , SA.y1 (String.fromFloat margin.top)
+                , SA.x2 x
+                , SA.y2 (String.fromFloat (height - margin.bottom))
+                , SA.stroke "currentColor"
+                , SA.strokeWidth "1"
+                , SA.strokeDasharray "4 3"
+                ]
+                []
+            ]
+
+        Nothing ->
+            []
+
+
+{-| Invisible click targets, one per pixel column that has points. Each
+selects the first entry plotted in its column.
+-}
+viewHitAreas : Config msg -> Scale -> List Point -> List (Svg msg)
+viewHitAreas config scale points =
+    let
+        -- Folding from the right leaves the first point of each column
+        columns : Dict Int Int
+        columns =
+            List.foldr
+                (\point acc -> Dict.insert (round (xPosition scale point.time)) point.entryIndex acc)
+                Dict.empty
+                points
+
+        xs =
+            Dict.keys columns
+
+        edges =
+            List.map2 (\a b -> toFloat (a + b) / 2)
+                xs
+                (List.drop 1 xs)
+
+        lefts =
+            margin.left :: edges
+
+        rights =
+            edges ++ [ width - margin.right ]
+    in
+    List.map3
+        (\( _, entryIndex ) left right ->
+            Svg.rect
+                [ SA.x (String.fromFloat left)
+                , SA.y (String.fromFloat margin.top)
+                , SA.width (String.fromFloat (Basics.max 1 (right - left)))
+                , SA.height (String.fromFloat (height - margin.top - margin.bottom))
+                , SA.fill "transparent"
+                , SA.class "cursor-pointer"
+                , Svg.Events.onClick (config.onSelect entryIndex)
+                ]
+                []
+        )
+        (Dict.toList columns)
+        lefts
+        rights
@@ -0,0 +1,226 @@
+port module Cli exposing (main)
+
+{-| Headless worker behind the `teaforge-debugger` command-line tool.
+
+The Node wrapper in `bin/teaforge-debugger.js` reads the log file and sends
+each line here; this worker parses the lines with the same `LogParser`,
+`CompressionDict` and `Diff` code the debugger window uses, and reports back.
+
+## Incoming (JavaScript -> Elm)
+
+  - `start`: sent once the wrapper is listening for outgoing messages
+  - `line`: `{ lineNumber: int, entry?: value, error?: string }` for each line;
+    `error` is set when the line is not valid JSON
+  - `end`: the whole file has been sent
+
+## Outgoing (Elm -> JavaScript)
+
+  - `validate`: `{ lineNumber: int, value: value }` a decompressed line to check
+    against the JSON schema (`validate` command only)
+  - `output`: `{ lines: [value] }` converted lines to write, starting with the
+    header in response to `start` (`convert` command only)
+  - `problem`: `{ lineNumber: int, message: string }` a line that could not be
+    parsed, or where the model rebuilt from the log stopped matching the app's
+  - `summary`: statistics for the whole log, sent once after `end`
+
+-}
+
+import CompressionDict
+import Json.Decode as D
+import Json.Encode as E
+import LogConverter
+import LogParser exposing (ParseState)
+import LogStats exposing (Stats)
+import Types exposing (LogEntry(..))
+
+
+port cliOutgoing : E.Value -> Cmd msg
+
+
+port cliIncoming : (E.Value -> msg) -> Sub msg
+
+
+type Command
+    = ValidateLog
+    | SummarizeLog
+    | ConvertLog LogConverter.Converter
+
+
+type alias Model =
+    { command : Command
+    , parseState : ParseState
+    , stats : Stats
+    }
+
+
+type Msg
+    = Incoming E.Value
+
+
+main : Program E.Value Model Msg
+main =
+    Platform.worker
+        { init = init
+        , update = update
+        , subscriptions = \_ -> cliIncoming Incoming
+        }
+
+
+{-| Flags: `{ command: "validate" | "stats" | "convert", format?: "v1" | "v2", compress?: bool }`.
+-}
+init : E.Value -> ( Model, Cmd Msg )
+init flags =
+    let
+        command =
+            case D.decodeValue (D.field "command" D.string) flags of
+                Ok "convert" ->
+                    ConvertLog (LogConverter.init (decodeConvertOptions flags))
+
+                Ok "validate" ->
+                    ValidateLog
+
+                _ ->
+                    SummarizeLog
+    in
+    ( { command = command
+      , parseState = LogParser.initialParseState
+      , stats = LogStats.empty
+      }
+    , Cmd.none
+    )
+
+
+decodeConvertOptions : E.Value -> LogConverter.Options
+decodeConvertOptions flags =
+    { format =
+        case D.decodeValue (D.field "format" D.string) flags of
+            Ok "v1" ->
+                LogConverter.FullModel
+
+            _ ->
+                LogConverter.ModelDiff
+    , compress =
+        D.decodeValue (D.field "compress" D.bool) flags
+            |> Result.withDefault False
+    }
+
+
+update : Msg -> Model -> ( Model, Cmd Msg )
+update (Incoming value) model =
+    case D.decodeValue (D.field "type" D.string) value of
+        Ok "start" ->
+            case model.command of
+                ConvertLog converter ->
+                    ( model, send "output" (E.object [ ( "lines", E.list identity [ LogConverter.header converter.options ] ) ]) )
+
+                _ ->
+                    ( model, Cmd.none )
+
+        Ok "line" ->
+            case D.decodeValue (D.field "payload" lineDecoder) value of
+                Ok ( lineNumber, Ok rawValue ) ->
+                    handleLine lineNumber rawValue model
+
+                Ok ( lineNumber, Err error ) ->
+                    ( { model | stats = LogStats.addEntry (ErrorEntry { lineNumber = lineNumber, rawText = "", error = error }) model.stats }
+                    , sendProblem lineNumber error
+                    )
+
+                Err error ->
+                    ( model, sendProblem 0 (D.errorToString error) )
+
+        Ok "end" ->
+            ( model, send "summary" (LogStats.encode model.stats) )
+
+        _ ->
+            ( model, Cmd.none )
+
+
+lineDecoder : D.Decoder ( Int, Result String D.Value )
+lineDecoder =
+    D.map2 Tuple.pair
+        (D.field "lineNumber" D.int)
+        (D.oneOf
+            [ D.field "error" D.string |> D.map Err
+            , D.field "entry" D.value |> D.map Ok
+            ]
+        )
+
+
+handleLine : Int -> D.Value -> Model -> ( Model, Cmd Msg )
+handleLine lineNumber rawValue model =
+    let
+        ( command, ( parseState, maybeEntry ), outputCmd ) =
+            case model.command of
+                ValidateLog ->
+                    ( ValidateLog
+                    , LogParser.parseLine lineNumber rawValue model.parseState
+                    , send "validate"
+                        (E.object
+                            [ ( "lineNumber", E.int lineNumber )
+                            , ( "value", CompressionDict.decompressValue model.parseState.compression rawValue )
+                            ]
+                        )
+                    )
+
+                SummarizeLog ->
+                    ( SummarizeLog
+                    , LogParser.parseLine lineNumber rawValue model.parseState
+                    , Cmd.none
+                    )
+
+                ConvertLog converter ->
+                    let
+                        converted =
+                            LogConverter.convertLine lineNumber rawValue converter
+                    in
+                    ( ConvertLog converted.converter
+                    , ( converted.converter.parseState, converted.entry )
+                    , if List.isEmpty converted.lines then
+                        Cmd.none
+
+                      else
+                        send "output" (E.object [ ( "lines", E.list identity converted.lines ) ])
+                    )
+
+        problemCmd =
+            case ( maybeEntry, parseState.divergence ) of
+                ( Just (ErrorEntry data), _ ) ->
+                    sendProblem lineNumber data.error
+
+                ( _, Just reason ) ->
+                    sendProblem lineNumber reason
+
+                _ ->
+                    Cmd.none
+    in
+    ( { model
+        | command = command
+        , parseState = parseState
+        , stats =
+            maybeEntry
+                |> Maybe.map (\entry -> LogStats.addEntry entry model.stats)
+                |> Maybe.withDefault model.stats
+      }
+    , Cmd.batch [ outputCmd, problemCmd ]
+    )
+
+
+sendProblem : Int -> String -> Cmd Msg
+sendProblem lineNumber message =
+    send "problem"
+        (E.object
+            [ ( "lineNumber", E.int lineNumber )
+            , ( "message", E.string message )
+            ]
+        )
+
+
+send : String -> E.Value -> Cmd Msg
+send msgType payload =
+    cliOutgoing
+        (E.object
+            [ ( "type", E.string msgType )
+            , ( "payload", payload )
+            ]
+        )
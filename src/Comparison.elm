@@ -0,0 +1,568 @@
+module Comparison exposing
+    ( Alignment(..)
+    , Row
+    , RowStatus(..)
+    , RowComparison
+    , FieldDifference
+    , align
+    , compareRow
+    , firstDivergence
+    , fieldDifferences
+    , alignmentName
+    )
+
+{-| Side-by-side comparison of two logs, such as a good and a bad run of the
+same routine.
+
+Entries from the two logs are paired into rows by an `Alignment`. Each row
+is then compared: the models after the two entries, the message names and
+the effects. Rows with an entry from only one log mark messages that only
+happened in that run.
+
+@docs Alignment, Row, RowStatus, RowComparison, FieldDifference
+@docs align, compareRow, firstDivergence, fieldDifferences, alignmentName
+
+-}
+
+import Array exposing (Array)
+import Dict
+import Diff exposing (Change)
+import Json.Decode as D
+import Json.Encode as E
+import Types exposing (Effect, LogEntry(..), getMessageName, getTimestamp)
+
+
+{-| How entries of the two logs are paired.
+
+  - `BySequence`: the Nth entry of one log with the Nth entry of the other
+  - `ByMessageName`: the longest common sequence of message names is paired,
+    and entries outside it appear on one side only
+  - `ByTimestamp`: entries at the same time since the start of their log
+    (within `timestampToleranceMs`) are paired
+
+-}
+type Alignment
+    = BySequence
+    | ByMessageName
+    | ByTimestamp
+
+
+{-| A row of the comparison: an entry from the left log, the right log, or
+both. Each entry comes with its index in its own log.
+-}
+type alias Row =
+    { left : Maybe ( Int, LogEntry )
+    , right : Maybe ( Int, LogEntry )
+    }
+
+
+{-| Outcome of comparing the two sides of a row.
+-}
+type RowStatus
+    = Same
+    | Different
+    | OnlyLeft
+    | OnlyRight
+
+
+{-| Differences between the two entries of a row.
+
+`fields` lists the model fields that differ between the models after each
+entry. `leftOnlyEffects` and `rightOnlyEffects` list effect names produced
+by one entry and not the other.
+
+-}
+type alias RowComparison =
+    { status : RowStatus
+    , messageDiffers : Bool
+    , fields : List FieldDifference
+    , leftOnlyEffects : List String
+    , rightOnlyEffects : List String
+    }
+
+
+{-| A model field that differs between the two logs, with its value on each
+side encoded as JSON (`Nothing` when the field doesn't exist on that side).
+-}
+type alias FieldDifference =
+    { path : String
+    , change : Change
+    , left : Maybe String
+    , right : Maybe String
+    }
+
+
+{-| Display name for an alignment.
+-}
+alignmentName : Alignment -> String
+alignmentName alignment =
+    case alignment of
+        BySequence ->
+            "Sequence number"
+
+        ByMessageName ->
+            "Message name"
+
+        ByTimestamp ->
+            "Timestamp"
+
+
+{-| Entries whose times since the start of their log are at most this far
+apart are paired when aligning by timestamp.
+-}
+timestampToleranceMs : Int
+timestampToleranceMs =
+    50
+
+
+{-| Aligning by message name compares every entry of one log with every entry
+of the other. Above this many comparisons the logs are paired by sequence
+number instead, after matching their common start and end.
+-}
+maxNameComparisons : Int
+maxNameComparisons =
+    4000000
+
+
+
+-- ALIGNMENT
+
+
+{-| Pair the entries of two logs into rows.
+-}
+align : Alignment -> Array LogEntry -> Array LogEntry -> List Row
+align alignment leftEntries rightEntries =
+    let
+        left =
+            Array.toIndexedList leftEntries
+
+        right =
+            Array.toIndexedList rightEntries
+    in
+    case alignment of
+        BySequence ->
+            alignBySequence left right
+
+        ByMessageName ->
+            alignByName left right
+
+        ByTimestamp ->
+            alignByTimestamp (relativeTimes left) (relativeTimes right) []
+
+
+alignBySequence : List ( Int, LogEntry ) -> List ( Int, LogEntry ) -> List Row
+alignBySequence left right =
+    let
+        pad entries count =
+            List.map Just entries ++ List.repeat (count - List.length entries) Nothing
+
+        rowCount =
+            Basics.max (List.length left) (List.length right)
+    in
+    List.map2 Row (pad left rowCount) (pad right rowCount)
+
+
+{-| Key that entries must share to be paired when aligning by name.
+-}
+nameKey : LogEntry -> String
+nameKey entry =
+    case entry of
+        ErrorEntry _ ->
+            "Parse Error"
+
+        _ ->
+            getMessageName entry
+
+
+alignByName : List ( Int, LogEntry ) -> List ( Int, LogEntry ) -> List Row
+alignByName left right =
+    let
+        matches ( _, l ) ( _, r ) =
+            nameKey l == nameKey r
+
+        ( prefix, leftRest, rightRest ) =
+            commonPrefix matches left right []
+
+        ( suffix, leftMiddle, rightMiddle ) =
+            commonPrefix matches (List.reverse leftRest) (List.reverse rightRest) []
+                |> (\( rows, l, r ) -> ( List.reverse rows, List.reverse l, List.reverse r ))
+
+        middle =
+            if List.length leftMiddle * List.length rightMiddle > maxNameComparisons then
+                alignBySequence leftMiddle rightMiddle
+
+            else
+                alignByLcs (Array.fromList leftMiddle) (Array.fromList rightMiddle)
+    in
+    prefix ++ middle ++ suffix
+
+
+{-| Pair leading entries for as long as they match. Returns the paired rows
+and the entries left over on each side.
+-}
+commonPrefix :
+    (a -> a -> Bool)
+    -> List a
+    -> List a
+    -> List { left : Maybe a, right : Maybe a }
+    -> ( List { left : Maybe a, right : Maybe a }, List a, List a )
+commonPrefix matches left right acc =
+    case ( left, right ) of
+        ( l :: leftRest, r :: rightRest ) ->
+            if matches l r then
+                commonPrefix matches leftRest rightRest ({ left = Just l, right = Just r } :: acc)
+
+            else
+                ( List.reverse acc, left, right )
+
+        _ ->
+            ( List.reverse acc, left, right )
+
+
+{-| Pair the longest common subsequence of names, using the standard dynamic
+programming table of common subsequence lengths.
+-}
+alignByLcs : Array ( Int, LogEntry ) -> Array ( Int, LogEntry ) -> List Row
+alignByLcs left right =
+    let
+        leftKeys =
+            Array.map (Tuple.second >> nameKey) left
+
+        rightKeys =
+            Array.map (Tuple.second >> nameKey) right
+
+        width =
+            Array.length right + 1
+
+        -- table[i][j] is the LCS length of left[i..] and right[j..]
+        table =
+            List.foldl
+                (\i rowsBelow ->
+                    let
+                        below =
+                            List.head rowsBelow |> Maybe.withDefault (Array.repeat width 0)
+
+                        leftKey =
+                            Array.get i leftKeys
+                    in
+                    List.foldl
+                        (\j current ->
+                            let
+                                value =
+                                    if leftKey /= Nothing && Array.get j rightKeys == leftKey then
+                                        1 + cell (j + 1) below
+
+                                    else
+                                        Basics.max (cell j below) (cell (j + 1) current)
+                            in
+                            Array.set j value current
+                        )
+                        (Array.repeat width 0)
+                        (List.range 0 (Array.length right - 1) |> List.reverse)
+                        :: rowsBelow
+                )
+                [ Array.repeat width 0 ]
+                (List.range 0 (Array.length left - 1) |> List.reverse)
+                |> Array.fromList
+
+        cell j row =
+            Array.get j row |> Maybe.withDefault 0
+
+        lengthAt i j =
+            Array.get i table |> Maybe.map (cell j) |> Maybe.withDefault 0
+
+        walk i j acc =
+            case ( Array.get i left, Array.get j right ) of
+                ( Just l, Just r ) ->
+                    if Array.get i leftKeys == Array.get j rightKeys then
+                        walk (i + 1) (j + 1) ({ left = Just l, right = Just r } :: acc)
+
+                    else if lengthAt (i + 1) j >= lengthAt i (j + 1) then
+                        walk (i + 1) j ({ left = Just l, right = Nothing } :: acc)
+
+                    else
+                        walk i (j + 1) ({ left = Nothing, right = Just r } :: acc)
+
+                ( Just l, Nothing ) ->
+                    walk (i + 1) j ({ left = Just l, right = Nothing } :: acc)
+
+                ( Nothing, Just r ) ->
+                    walk i (j + 1) ({ left = Nothing, right = Just r } :: acc)
+
+                ( Nothing, Nothing ) ->
+                    List.reverse acc
+    in
+    walk 0 0 []
+
+
+{-| Pair each entry with its time since the first timestamped entry of its
+log. Parse errors take the time of the entry before them.
+-}
+relativeTimes : List ( Int, LogEntry ) -> List ( Int, ( Int, LogEntry ) )
+relativeTimes entries =
+    let
+        start =
+            entries
+                |> List.filterMap (Tuple.second >> getTimestamp)
+                |> List.head
+                |> Maybe.withDefault 0
+    in
+    entries
+        |> List.foldl
+            (\(( _, entry ) as indexed) ( previous, acc ) ->
+                let
+                    time =
+                        getTimestamp entry
+                            |> Maybe.map (\ts -> ts - start)
+                            |> Maybe.withDefault previous
+                in
+                ( time, ( time, indexed ) :: acc )
+            )
+            ( 0, [] )
+        |> Tuple.second
+        |> List.reverse
+
+
+alignByTimestamp : List ( Int, ( Int, LogEntry ) ) -> List ( Int, ( Int, LogEntry ) ) -> List Row -> List Row
+alignByTimestamp left right acc =
+    case ( left, right ) of
+        ( ( leftTime, l ) :: leftRest, ( rightTime, r ) :: rightRest ) ->
+            if abs (leftTime - rightTime) <= timestampToleranceMs then
+                alignByTimestamp leftRest rightRest ({ left = Just l, right = Just r } :: acc)
+
+            else if leftTime < rightTime then
+                alignByTimestamp leftRest right ({ left = Just l, right = Nothing } :: acc)
+
+            else
+                alignByTimestamp left rightRest ({ left = Nothing, right = Just r } :: acc)
+
+        ( ( _, l ) :: leftRest, [] ) ->
+            alignByTimestamp leftRest [] ({ left = Just l, right = Nothing } :: acc)
+
+        ( [], ( _, r ) :: rightRest ) ->
+            alignByTimestamp [] rightRest ({ left = Nothing, right = Just r } :: acc)
+
+        ( [], [] ) ->
+            List.reverse acc
+
+
+
+-- COMPARISON
+
+
+{-| Compare the two entries of a row.
+-}
+compareRow : Row -> RowComparison
+compareRow row =
+    case ( row.left, row.right ) of
+        ( Just ( _, leftEntry ), Just ( _, rightEntry ) ) ->
+            let
+                fields =
+                    case ( modelAfter leftEntry, modelAfter rightEntry ) of
+                        ( Just leftModel, Just rightModel ) ->
+                            fieldDifferences leftModel rightModel
+
+                        _ ->
+                            []
+
+                leftEffects =
+                    effectNames leftEntry
+
+                rightEffects =
+                    effectNames rightEntry
+
+                leftOnlyEffects =
+                    removeEach rightEffects leftEffects
+
+                rightOnlyEffects =
+                    removeEach leftEffects rightEffects
+
+                messageDiffers =
+                    nameKey leftEntry /= nameKey rightEntry
+            in
+            { status =
+                if messageDiffers || not (List.isEmpty fields) || not (List.isEmpty leftOnlyEffects) || not (List.isEmpty rightOnlyEffects) then
+                    Different
+
+                else
+                    Same
+            , messageDiffers = messageDiffers
+            , fields = fields
+            , leftOnlyEffects = leftOnlyEffects
+            , rightOnlyEffects = rightOnlyEffects
+            }
+
+        ( Just ( _, leftEntry ), Nothing ) ->
+            { status = OnlyLeft
+            , messageDiffers = True
+            , fields = []
+            , leftOnlyEffects = effectNames leftEntry
+            , rightOnlyEffects = []
+            }
+
+        ( Nothing, Just ( _, rightEntry ) ) ->
+            { status = OnlyRight
+            , messageDiffers = True
+            , fields = []
+            , leftOnlyEffects = []
+            , rightOnlyEffects = effectNames rightEntry
+            }
+
+        ( Nothing, Nothing ) ->
+            { status = Same
+            , messageDiffers = False
+            , fields = []
+            , leftOnlyEffects = []
+            , rightOnlyEffects = []
+            }
+
+
+{-| Index of the first row where the two logs differ, given the comparison of
+each row.
+-}
+firstDivergence : List RowComparison -> Maybe Int
+firstDivergence comparisons =
+    comparisons
+        |> List.indexedMap Tuple.pair
+        |> List.filter (\( _, comparison ) -> comparison.status /= Same)
+        |> List.head
+        |> Maybe.map Tuple.first
+
+
+modelAfter : LogEntry -> Maybe D.Value
+modelAfter entry =
+    case entry of
+        InitEntry data ->
+            Just data.model
+
+        UpdateEntry data ->
+            Just data.modelAfter
+
+        _ ->
+            Nothing
+
+
+effectNames : LogEntry -> List String
+effectNames entry =
+    let
+        names : List Effect -> List String
+        names =
+            List.map .name
+    in
+    case entry of
+        InitEntry data ->
+            names data.effects
+
+        UpdateEntry data ->
+            names data.effects
+
+        _ ->
+            []
+
+
+{-| Remove one occurrence of each of `toRemove` from `items`, so an effect
+that happened twice on one side and once on the other is reported once.
+-}
+removeEach : List String -> List String -> List String
+removeEach toRemove items =
+    List.foldl removeFirst items toRemove
+
+
+removeFirst : String -> List String -> List String
+removeFirst item items =
+    case items of
+        first :: rest ->
+            if first == item then
+                rest
+
+            else
+                first :: removeFirst item rest
+
+        [] ->
+            []
+
+
+{-| Differing fields between two models. A field added or removed on one side
+is reported once, not once per value nested inside it. Array elements removed
+from the left model are reported at their path in it; other fields are
+reported at their path in the right model, with the left value taken from
+where it sits in the left model.
+-}
+fieldDifferences : D.Value -> D.Value -> List FieldDifference
+fieldDifferences leftModel rightModel =
+    let
+        result =
+            Diff.findChangedPaths leftModel rightModel
+
+        rightChanges =
+            Dict.filter (\_ change -> change /= Diff.Removed) result.changes
+
+        leftRemovals =
+            Dict.filter (\_ change -> change == Diff.Removed) result.beforeChanges
+
+        insideReportedField changes path =
+            if String.isEmpty path then
+                False
+
+            else
+                String.split "." path
+                    |> List.reverse
+                    |> List.drop 1
+                    |> parentPaths
+                    |> List.any (\parent -> Dict.get parent changes == Just Diff.Added || Dict.get parent changes == Just Diff.Removed)
+
+        reported changes =
+            changes
+                |> Dict.toList
+                |> List.filter (\( path, _ ) -> not (insideReportedField changes path))
+    in
+    (reported leftRemovals
+        |> List.map
+            (\( path, change ) ->
+                { path = path
+                , change = change
+                , left = valueAt path leftModel |> Maybe.map (E.encode 0)
+                , right = Nothing
+                }
+            )
+    )
+        ++ (reported rightChanges
+                |> List.map
+                    (\( path, change ) ->
+                        { path = path
+                        , change = change
+                        , left =
+                            if change == Diff.Added then
+                                Nothing
+
+                            else
+                                valueAt (Diff.beforePathOf result path) leftModel |> Maybe.map (E.encode 0)
+                        , right = valueAt path rightModel |> Maybe.map (E.encode 0)
+                        }
+                    )
+           )
+        |> List.sortBy .path
+
+
+{-| Every path above a path, given the segments of its parent in reverse
+order. The model root is the empty path.
+-}
+parentPaths : List String -> List String
+parentPaths reversedSegments =
+    case reversedSegments of
+        [] ->
+            [ "" ]
+
+        _ :: rest ->
+            String.join "." (List.reverse reversedSegments) :: parentPaths rest
+
+
+{-| Look up a dot-separated path, with numeric segments indexing arrays.
+-}
+valueAt : String -> D.Value -> Maybe D.Value
+valueAt path value =
+    if String.isEmpty path then
+        Just value
+
+    else
+        Diff.valueAt (String.split "." path) value
@@ -1,12 +1,20 @@
 module Diff exposing
     ( compareStates
     , findChangedPaths
+    , changeAt
     , Change(..)
     , DiffResult
     , pathToString
+    , valueAt
+    , beforePathOf
     , DiffOperation(..)
     , diffOperationDecoder
+    , encodeDiffOperation
     , applyPatch
+    , applyPatchStrict
+    , createPatch
+    , canonicalJson
+    , modelChecksum
     )
 
 {-| State comparison and change detection for the TeaForge Debugger.
@@ -17,18 +25,31 @@ highlight modified values and optionally filter to show only changes.
 
 It also provides JSON Patch (RFC 6902) application support for the v2 log
 format, which stores model changes as a list of patch operations rather than
-full state snapshots.
+full state snapshots, and the checksum a log may send to confirm that the
+model rebuilt from those patches matches the app's.
 
 ## Comparison
 
     compareStates : D.Value -> D.Value -> List TreePath
     findChangedPaths : D.Value -> D.Value -> DiffResult
+    changeAt : TreePath -> D.Value -> D.Value -> Maybe Change
 
 ## Patch Application
 
     applyPatch : D.Value -> List DiffOperation -> D.Value
+    applyPatchStrict : D.Value -> List DiffOperation -> Result String D.Value
     diffOperationDecoder : D.Decoder DiffOperation
 
+## Patch Creation
+
+    createPatch : D.Value -> D.Value -> List DiffOperation
+    encodeDiffOperation : DiffOperation -> E.Value
+
+## Checksums
+
+    canonicalJson : D.Value -> String
+    modelChecksum : D.Value -> String
+
 ## Types
 
     Change : The type of change at a path
@@ -38,9 +59,13 @@ full state snapshots.
 ## Utilities
 
     pathToString : TreePath -> String
+    valueAt : TreePath -> D.Value -> Maybe D.Value
+    beforePathOf : DiffResult -> String -> String
 
 -}
 
+import Array exposing (Array)
+import Bitwise
 import Dict exposing (Dict)
 import Json.Decode as D
 import Json.Encode as E
@@ -54,6 +79,8 @@ import Types exposing (TreePath)
   - `Removed`: Value exists in "before" but not in "after"
   - `Modified`: Value exists in both but has changed
   - `TypeChanged`: Value type has changed (e.g., string to object)
+  - `Moved`: Array element that changed places with the elements around it;
+    changes inside it are reported at their own paths
 
 -}
 type Change
@@ -61,6 +88,7 @@ type Change
     | Removed
     | Modified
     | TypeChanged
+    | Moved
 
 
 {-| Result of comparing two states.
@@ -68,13 +96,23 @@ type Change
 Contains a dictionary mapping changed paths to their change types,
 plus summary counts for each type of change.
 
+Array elements are matched by identity rather than by index, so an element may
+sit at a different index before and after. `changes` is keyed by paths in the
+"after" state, with `Removed` entries for paths that no longer exist there,
+and `beforeChanges` by paths in the "before" state. `beforePaths` maps the
+"after" path of a change to its "before" path, where the two differ.
+`changedPaths` lists the paths of both.
+
 -}
 type alias DiffResult =
     { changes : Dict String Change
+    , beforeChanges : Dict String Change
+    , beforePaths : Dict String String
     , changedPaths : List TreePath
     , addedCount : Int
     , removedCount : Int
     , modifiedCount : Int
+    , movedCount : Int
     }
 
 
@@ -97,6 +135,13 @@ compareStates before after =
 Returns a complete DiffResult with change types and counts.
 Use this when you need more detail than just the path list.
 
+Array elements are paired up with a longest common subsequence, so an element
+inserted at the front of a list shows as added rather than every element after
+it showing as modified. Elements are matched by their `_tokenId`, `id` or
+`_subscriptionId` field when they have one, and by value otherwise; an element
+found elsewhere in the array is `Moved`. Elements left unmatched between two
+matched ones are compared in order when neither has an identity.
+
     findChangedPaths stateBefore stateAfter
     -- Returns: { changes = ..., changedPaths = [...], addedCount = 1, ... }
 
@@ -104,21 +149,61 @@ Use this when you need more detail than just the path list.
 findChangedPaths : D.Value -> D.Value -> DiffResult
 findChangedPaths before after =
     let
+        sides =
+            compareValues [] [] before after
+
         changes =
-            compareValues [] before after
+            withRemovedPaths after sides
 
         changedPaths =
-            Dict.keys changes
+            Set.union (Set.fromList (Dict.keys changes)) (Set.fromList (Dict.keys sides.before))
+                |> Set.toList
                 |> List.map stringToPath
     in
     { changes = changes
+    , beforeChanges = sides.before
+    , beforePaths = sides.beforePaths
     , changedPaths = changedPaths
     , addedCount = countChangeType Added changes
-    , removedCount = countChangeType Removed changes
+    , removedCount = countChangeType Removed sides.before
     , modifiedCount = countChangeType Modified changes + countChangeType TypeChanged changes
+    , movedCount = countChangeType Moved changes
     }
 
 
+{-| Find how the value at one path changed between two states.
+
+Returns Nothing when the value is the same in both, or missing from both.
+A value that only exists on one side is `Added` or `Removed`.
+
+    changeAt [ "user", "name" ] stateBefore stateAfter
+    -- Returns: Just Modified
+
+-}
+changeAt : TreePath -> D.Value -> D.Value -> Maybe Change
+changeAt path before after =
+    case ( valueAt path before, valueAt path after ) of
+        ( Just beforeValue, Just afterValue ) ->
+            let
+                sides =
+                    compareValues path path beforeValue afterValue
+            in
+            if Dict.isEmpty sides.before && Dict.isEmpty sides.after then
+                Nothing
+
+            else
+                Just (Dict.get (pathToKey path) sides.after |> Maybe.withDefault Modified)
+
+        ( Nothing, Just _ ) ->
+            Just Added
+
+        ( Just _, Nothing ) ->
+            Just Removed
+
+        ( Nothing, Nothing ) ->
+            Nothing
+
+
 {-| Convert a TreePath to a string representation.
 
 Joins path segments with dots for display purposes.
@@ -132,18 +217,124 @@ pathToString path =
     String.join "." path
 
 
+{-| Look up the value at a path. Numeric segments also index into arrays.
+
+    valueAt [ "items", "0" ] state
+    -- Returns: Just <first item>
+
+-}
+valueAt : TreePath -> D.Value -> Maybe D.Value
+valueAt path value =
+    case path of
+        [] ->
+            Just value
+
+        segment :: rest ->
+            let
+                child =
+                    case getObjectField segment value of
+                        Just fieldValue ->
+                            Just fieldValue
+
+                        Nothing ->
+                            String.toInt segment
+                                |> Maybe.andThen (\index -> D.decodeValue (D.index index D.value) value |> Result.toMaybe)
+            in
+            Maybe.andThen (valueAt rest) child
+
+
+{-| The path in the "before" state of the value at a changed path in the
+"after" state. They differ below an array whose elements shifted, such as
+after an insertion at the front.
+
+    beforePathOf (findChangedPaths [ a, b ] [ x, a, b2 ]) "2"
+    -- Returns: "1"
+
+-}
+beforePathOf : DiffResult -> String -> String
+beforePathOf result afterPath =
+    Dict.get afterPath result.beforePaths
+        |> Maybe.withDefault afterPath
+
+
 
 -- INTERNAL COMPARISON FUNCTIONS
 
 
-{-| Compare two JSON values at a given path, returning all changes found.
+{-| Changes found while comparing two values, keyed by paths in each of them.
+The paths only differ below an array whose elements shifted; `beforePaths`
+maps the "after" path of such a change to its "before" path.
 -}
-compareValues : TreePath -> D.Value -> D.Value -> Dict String Change
-compareValues currentPath before after =
-    let
-        pathKey =
-            pathToKey currentPath
+type alias Sides =
+    { before : Dict String Change
+    , after : Dict String Change
+    , beforePaths : Dict String String
+    }
+
+
+noChanges : Sides
+noChanges =
+    { before = Dict.empty, after = Dict.empty, beforePaths = Dict.empty }
+
+
+{-| Combine the changes found in two places. Where both have a change at the
+same path, the first one's is kept.
+-}
+mergeSides : Sides -> Sides -> Sides
+mergeSides first second =
+    { before = Dict.union first.before second.before
+    , after = Dict.union first.after second.after
+    , beforePaths = Dict.union first.beforePaths second.beforePaths
+    }
 
+
+{-| The same change, at its path on each side.
+-}
+changedOnBothSides : TreePath -> TreePath -> Change -> Sides
+changedOnBothSides beforePath afterPath change =
+    { before = Dict.singleton (pathToKey beforePath) change
+    , after = Dict.singleton (pathToKey afterPath) change
+    , beforePaths =
+        if beforePath == afterPath then
+            Dict.empty
+
+        else
+            Dict.singleton (pathToKey afterPath) (pathToKey beforePath)
+    }
+
+
+{-| The changes keyed by "after" paths, plus the removals whose path holds no
+value in the "after" state.
+-}
+withRemovedPaths : D.Value -> Sides -> Dict String Change
+withRemovedPaths after sides =
+    Dict.foldl
+        (\key change acc ->
+            if change == Removed && not (Dict.member key acc) && not (existsAt (stringToPath key) after) then
+                Dict.insert key Removed acc
+
+            else
+                acc
+        )
+        sides.after
+        sides.before
+
+
+existsAt : TreePath -> D.Value -> Bool
+existsAt path value =
+    case valueAt path value of
+        Just _ ->
+            True
+
+        Nothing ->
+            False
+
+
+{-| Compare two JSON values found at the given paths, returning all changes found.
+-}
+compareValues : TreePath -> TreePath -> D.Value -> D.Value -> Sides
+compareValues beforePath afterPath before after =
+    let
         beforeType =
             getValueType before
 
@@ -152,34 +343,34 @@ compareValues currentPath before after =
     in
     if beforeType /= afterType then
         -- Type changed - record as a change at this path
-        Dict.singleton pathKey TypeChanged
+        changedOnBothSides beforePath afterPath TypeChanged
 
     else
         -- Same type - compare based on the type
         case beforeType of
             "object" ->
-                compareObjects currentPath before after
+                compareObjects beforePath afterPath before after
 
             "array" ->
-                compareArrays currentPath before after
+                compareArrays beforePath afterPath before after
 
             "null" ->
                 -- Both null - no change
-                Dict.empty
+                noChanges
 
             _ ->
                 -- Primitive value (string, number, bool)
                 if valuesEqual before after then
-                    Dict.empty
+                    noChanges
 
                 else
-                    Dict.singleton pathKey Modified
+                    changedOnBothSides beforePath afterPath Modified
 
 
 {-| Compare two JSON objects, returning all changed paths.
 -}
-compareObjects : TreePath -> D.Value -> D.Value -> Dict String Change
-compareObjects currentPath before after =
+compareObjects : TreePath -> TreePath -> D.Value -> D.Value -> Sides
+compareObjects beforePath afterPath before after =
     let
         beforeKeys =
             getObjectKeys before
@@ -192,11 +383,8 @@ compareObjects currentPath before after =
                 |> Set.toList
     in
     List.foldl
-        (\key accDict ->
+        (\key acc ->
             let
-                childPath =
-                    currentPath ++ [ key ]
-
                 beforeValue =
                     getObjectField key before
 
@@ -207,77 +395,70 @@ compareObjects currentPath before after =
                     case ( beforeValue, afterValue ) of
                         ( Just bv, Just av ) ->
                             -- Key exists in both - compare values
-                            compareValues childPath bv av
+                            compareValues (beforePath ++ [ key ]) (afterPath ++ [ key ]) bv av
 
                         ( Just bv, Nothing ) ->
                             -- Key removed
-                            markPathRemoved childPath bv
+                            { noChanges | before = markPathRemoved (beforePath ++ [ key ]) bv }
 
                         ( Nothing, Just av ) ->
                             -- Key added
-                            markPathAdded childPath av
+                            { noChanges | after = markPathAdded (afterPath ++ [ key ]) av }
 
                         ( Nothing, Nothing ) ->
                             -- Shouldn't happen, but handle gracefully
-                            Dict.empty
+                            noChanges
             in
-            Dict.union childChanges accDict
+            mergeSides childChanges acc
         )
-        Dict.empty
+        noChanges
         allKeys
 
 
 {-| Compare two JSON arrays, returning all changed paths.
+
+Elements are paired up by `matchElements`; paired elements are compared with
+each other wherever they sit in their array.
+
 -}
-compareArrays : TreePath -> D.Value -> D.Value -> Dict String Change
-compareArrays currentPath before after =
+compareArrays : TreePath -> TreePath -> D.Value -> D.Value -> Sides
+compareArrays beforePath afterPath before after =
     let
         beforeItems =
-            getArrayItems before
+            Array.fromList (getArrayItems before)
 
         afterItems =
-            getArrayItems after
+            Array.fromList (getArrayItems after)
 
-        maxLength =
-            max (List.length beforeItems) (List.length afterItems)
+        elementPath path index =
+            path ++ [ String.fromInt index ]
 
-        indices =
-            List.range 0 (maxLength - 1)
-    in
-    List.foldl
-        (\idx accDict ->
-            let
-                childPath =
-                    currentPath ++ [ String.fromInt idx ]
+        compareElements beforeIndex afterIndex =
+            case ( Array.get beforeIndex beforeItems, Array.get afterIndex afterItems ) of
+                ( Just bv, Just av ) ->
+                    compareValues (elementPath beforePath beforeIndex) (elementPath afterPath afterIndex) bv av
 
-                beforeItem =
-                    List.head (List.drop idx beforeItems)
+                _ ->
+                    noChanges
 
-                afterItem =
-                    List.head (List.drop idx afterItems)
-
-                childChanges =
-                    case ( beforeItem, afterItem ) of
-                        ( Just bv, Just av ) ->
-                            -- Element exists in both - compare values
-                            compareValues childPath bv av
+        matchChanges match =
+            case match of
+                Kept beforeIndex afterIndex ->
+                    compareElements beforeIndex afterIndex
 
-                        ( Just _, Nothing ) ->
-                            -- Element removed
-                            Dict.singleton (pathToKey childPath) Removed
+                MovedTo beforeIndex afterIndex ->
+                    mergeSides
+                        (changedOnBothSides (elementPath beforePath beforeIndex) (elementPath afterPath afterIndex) Moved)
+                        (compareElements beforeIndex afterIndex)
 
-                        ( Nothing, Just _ ) ->
-                            -- Element added
-                            Dict.singleton (pathToKey childPath) Added
+                Dropped beforeIndex ->
+                    { noChanges | before = Dict.singleton (pathToKey (elementPath beforePath beforeIndex)) Removed }
 
-                        ( Nothing, Nothing ) ->
-                            -- Shouldn't happen, but handle gracefully
-                            Dict.empty
-            in
-            Dict.union childChanges accDict
-        )
-        Dict.empty
-        indices
+                Inserted afterIndex ->
+                    { noChanges | after = Dict.singleton (pathToKey (elementPath afterPath afterIndex)) Added }
+    in
+    matchElements (Array.toList beforeItems) (Array.toList afterItems)
+        |> List.foldl (\match acc -> mergeSides (matchChanges match) acc) noChanges
 
 
 {-| Mark a path (and all its children) as removed.
@@ -365,6 +546,315 @@ markPathAdded path value =
 
 
 
+-- ARRAY ELEMENT MATCHING
+
+
+{-| How an element of the "before" array relates to one of the "after" array.
+
+  - `Kept`: the same element, in the same order relative to the other kept ones
+  - `MovedTo`: the same element, found elsewhere in the array
+  - `Dropped`: an element of the "before" array with no counterpart
+  - `Inserted`: an element of the "after" array with no counterpart
+
+-}
+type ElementMatch
+    = Kept Int Int
+    | MovedTo Int Int
+    | Dropped Int
+    | Inserted Int
+
+
+{-| Fields that identify an element of an array, in the order they are looked for.
+-}
+identityFields : List String
+identityFields =
+    [ "_tokenId", "id", "_subscriptionId" ]
+
+
+{-| Largest number of cells in the table built to find the longest common
+subsequence. Past it, the elements between the common start and end of the
+arrays are compared in order.
+-}
+lcsCellLimit : Int
+lcsCellLimit =
+    40000
+
+
+{-| What an element is matched by: its identity field when it has one, and its
+whole value otherwise. Identities start with `#`.
+-}
+elementKey : D.Value -> String
+elementKey item =
+    let
+        identityKey =
+            identityFields
+                |> List.filterMap (\field -> getObjectField field item |> Maybe.map (\id -> field ++ "=" ++ E.encode 0 id))
+                |> List.head
+    in
+    case identityKey of
+        Just key ->
+            "#" ++ key
+
+        Nothing ->
+            "=" ++ E.encode 0 item
+
+
+{-| Pair up the elements of two arrays.
+
+The common start and end are kept as they are. The elements in between are
+paired by a longest common subsequence of their keys, then elements with the
+same key left over are moved. What remains between two pairs is compared in
+order when neither element has an identity, and is dropped and inserted
+otherwise.
+
+-}
+matchElements : List D.Value -> List D.Value -> List ElementMatch
+matchElements beforeItems afterItems =
+    let
+        beforeKeys =
+            Array.fromList (List.map elementKey beforeItems)
+
+        afterKeys =
+            Array.fromList (List.map elementKey afterItems)
+
+        beforeCount =
+            Array.length beforeKeys
+
+        afterCount =
+            Array.length afterKeys
+
+        prefix =
+            commonPrefixLength beforeKeys afterKeys 0
+
+        suffix =
+            commonSuffixLength beforeKeys afterKeys (min beforeCount afterCount - prefix) 0
+
+        middle =
+            longestCommonSubsequence
+                (Array.slice prefix (beforeCount - suffix) beforeKeys)
+                (Array.slice prefix (afterCount - suffix) afterKeys)
+                |> List.map (\( beforeIndex, afterIndex ) -> ( beforeIndex + prefix, afterIndex + prefix ))
+
+        anchors =
+            List.map (\index -> ( index, index )) (List.range 0 (prefix - 1))
+                ++ middle
+                ++ List.map (\offset -> ( beforeCount - suffix + offset, afterCount - suffix + offset )) (List.range 0 (suffix - 1))
+
+        gaps =
+            gapsBetween beforeCount afterCount anchors
+
+        moves =
+            findMoves beforeKeys afterKeys (List.concatMap Tuple.first gaps) (List.concatMap Tuple.second gaps)
+
+        movedBefore =
+            Set.fromList (List.map Tuple.first moves)
+
+        movedAfter =
+            Set.fromList (List.map Tuple.second moves)
+
+        hasIdentity keys index =
+            Array.get index keys
+                |> Maybe.map (String.startsWith "#")
+                |> Maybe.withDefault False
+
+        pairGap ( gapBefore, gapAfter ) =
+            pairInOrder (hasIdentity beforeKeys)
+                (hasIdentity afterKeys)
+                (List.filter (\index -> not (Set.member index movedBefore)) gapBefore)
+                (List.filter (\index -> not (Set.member index movedAfter)) gapAfter)
+                []
+    in
+    List.map (\( beforeIndex, afterIndex ) -> Kept beforeIndex afterIndex) anchors
+        ++ List.map (\( beforeIndex, afterIndex ) -> MovedTo beforeIndex afterIndex) moves
+        ++ List.concatMap pairGap gaps
+
+
+commonPrefixLength : Array String -> Array String -> Int -> Int
+commonPrefixLength beforeKeys afterKeys count =
+    case ( Array.get count beforeKeys, Array.get count afterKeys ) of
+        ( Just beforeKey, Just afterKey ) ->
+            if beforeKey == afterKey then
+                commonPrefixLength beforeKeys afterKeys (count + 1)
+
+            else
+                count
+
+        _ ->
+            count
+
+
+{-| Length of the common end of two arrays, up to `limit` elements.
+-}
+commonSuffixLength : Array String -> Array String -> Int -> Int -> Int
+commonSuffixLength beforeKeys afterKeys limit count =
+    if count < limit && Array.get (Array.length beforeKeys - 1 - count) beforeKeys == Array.get (Array.length afterKeys - 1 - count) afterKeys then
+        commonSuffixLength beforeKeys afterKeys limit (count + 1)
+
+    else
+        count
+
+
+{-| Pairs of indices of a longest common subsequence of two arrays, in order.
+Empty when the arrays are too large to compare this way.
+-}
+longestCommonSubsequence : Array String -> Array String -> List ( Int, Int )
+longestCommonSubsequence beforeKeys afterKeys =
+    let
+        beforeCount =
+            Array.length beforeKeys
+
+        afterCount =
+            Array.length afterKeys
+    in
+    if beforeCount == 0 || afterCount == 0 || beforeCount * afterCount > lcsCellLimit then
+        []
+
+    else
+        let
+            -- Row i, column j: length of the longest common subsequence of
+            -- the "before" keys from i and the "after" keys from j
+            table =
+                Array.foldr
+                    (\beforeKey rows -> lcsRow afterKeys beforeKey (List.head rows |> Maybe.withDefault Array.empty) :: rows)
+                    [ Array.repeat (afterCount + 1) 0 ]
+                    beforeKeys
+                    |> Array.fromList
+        in
+        lcsPairs beforeKeys afterKeys table 0 0 []
+
+
+{-| One row of the longest common subsequence table, from the row below it.
+-}
+lcsRow : Array String -> String -> Array Int -> Array Int
+lcsRow afterKeys beforeKey below =
+    Array.toIndexedList afterKeys
+        |> List.foldr
+            (\( column, afterKey ) row ->
+                let
+                    cell =
+                        if afterKey == beforeKey then
+                            1 + cellAt column 1 below
+
+                        else
+                            max (cellAt column 0 below) (List.head row |> Maybe.withDefault 0)
+                in
+                cell :: row
+            )
+            [ 0 ]
+        |> Array.fromList
+
+
+cellAt : Int -> Int -> Array Int -> Int
+cellAt column offset row =
+    Array.get (column + offset) row
+        |> Maybe.withDefault 0
+
+
+{-| Walk the table from the top left, collecting the pairs of equal keys.
+-}
+lcsPairs : Array String -> Array String -> Array (Array Int) -> Int -> Int -> List ( Int, Int ) -> List ( Int, Int )
+lcsPairs beforeKeys afterKeys table beforeIndex afterIndex acc =
+    case ( Array.get beforeIndex beforeKeys, Array.get afterIndex afterKeys ) of
+        ( Just beforeKey, Just afterKey ) ->
+            let
+                lengthAt row column =
+                    Array.get row table
+                        |> Maybe.map (cellAt column 0)
+                        |> Maybe.withDefault 0
+            in
+            if beforeKey == afterKey then
+                lcsPairs beforeKeys afterKeys table (beforeIndex + 1) (afterIndex + 1) (( beforeIndex, afterIndex ) :: acc)
+
+            else if lengthAt (beforeIndex + 1) afterIndex >= lengthAt beforeIndex (afterIndex + 1) then
+                lcsPairs beforeKeys afterKeys table (beforeIndex + 1) afterIndex acc
+
+            else
+                lcsPairs beforeKeys afterKeys table beforeIndex (afterIndex + 1) acc
+
+        _ ->
+            List.reverse acc
+
+
+{-| The unmatched indices on each side between consecutive pairs, including
+before the first pair and after the last.
+-}
+gapsBetween : Int -> Int -> List ( Int, Int ) -> List ( List Int, List Int )
+gapsBetween beforeCount afterCount anchors =
+    let
+        bounds =
+            ( -1, -1 ) :: anchors ++ [ ( beforeCount, afterCount ) ]
+    in
+    List.map2
+        (\( beforeStart, afterStart ) ( beforeEnd, afterEnd ) ->
+            ( List.range (beforeStart + 1) (beforeEnd - 1)
+            , List.range (afterStart + 1) (afterEnd - 1)
+            )
+        )
+        bounds
+        (List.drop 1 bounds)
+
+
+{-| Pair up unmatched elements that have the same key, in order.
+-}
+findMoves : Array String -> Array String -> List Int -> List Int -> List ( Int, Int )
+findMoves beforeKeys afterKeys unmatchedBefore unmatchedAfter =
+    let
+        keyAt keys index =
+            Array.get index keys
+                |> Maybe.withDefault ""
+
+        available =
+            List.foldr
+                (\beforeIndex acc ->
+                    Dict.update (keyAt beforeKeys beforeIndex)
+                        (\existing -> Just (beforeIndex :: Maybe.withDefault [] existing))
+                        acc
+                )
+                Dict.empty
+                unmatchedBefore
+    in
+    List.foldl
+        (\afterIndex ( remaining, moves ) ->
+            let
+                key =
+                    keyAt afterKeys afterIndex
+            in
+            case Dict.get key remaining of
+                Just (beforeIndex :: others) ->
+                    ( Dict.insert key others remaining, ( beforeIndex, afterIndex ) :: moves )
+
+                _ ->
+                    ( remaining, moves )
+        )
+        ( available, [] )
+        unmatchedAfter
+        |> Tuple.second
+        |> List.reverse
+
+
+{-| Compare the elements left between two pairs in order. Elements with an
+identity are different elements, so they are dropped and inserted instead.
+-}
+pairInOrder : (Int -> Bool) -> (Int -> Bool) -> List Int -> List Int -> List ElementMatch -> List ElementMatch
+pairInOrder beforeHasIdentity afterHasIdentity gapBefore gapAfter acc =
+    case ( gapBefore, gapAfter ) of
+        ( beforeIndex :: restBefore, afterIndex :: restAfter ) ->
+            pairInOrder beforeHasIdentity
+                afterHasIdentity
+                restBefore
+                restAfter
+                (if beforeHasIdentity beforeIndex || afterHasIdentity afterIndex then
+                    Inserted afterIndex :: Dropped beforeIndex :: acc
+
+                 else
+                    Kept beforeIndex afterIndex :: acc
+                )
+
+        _ ->
+            List.reverse acc ++ List.map Dropped gapBefore ++ List.map Inserted gapAfter
+
+
+
 -- VALUE TYPE HELPERS
 
 
@@ -567,21 +1057,28 @@ countChangeType changeType changes =
 
 {-| A single JSON Patch operation (RFC 6902).
 
-  - `AddOp path value`: set the value at the given JSON Pointer path
+  - `AddOp path value`: add the value at the given JSON Pointer path, inserting
+    it before the element at an array index
   - `ReplaceOp path value`: replace the value at the given JSON Pointer path
   - `RemoveOp path`: remove the value at the given JSON Pointer path
+  - `MoveOp from path`: remove the value at `from` and add it at `path`
+  - `CopyOp from path`: add a copy of the value at `from` at `path`
+  - `TestOp path value`: check that the value at `path` equals `value`
 
 -}
 type DiffOperation
     = AddOp String D.Value
     | ReplaceOp String D.Value
     | RemoveOp String
+    | MoveOp String String
+    | CopyOp String String
+    | TestOp String D.Value
 
 
 {-| Decoder for a single JSON Patch operation.
 
 Reads the `op` field to determine the operation type, then decodes `path`
-and optionally `value`.
+and, depending on the operation, `value` or `from`.
 
 -}
 diffOperationDecoder : D.Decoder DiffOperation
@@ -604,6 +1101,21 @@ diffOperationDecoder =
                         D.map RemoveOp
                             (D.field "path" D.string)
 
+                    "move" ->
+                        D.map2 MoveOp
+                            (D.field "from" D.string)
+                            (D.field "path" D.string)
+
+                    "copy" ->
+                        D.map2 CopyOp
+                            (D.field "from" D.string)
+                            (D.field "path" D.string)
+
+                    "test" ->
+                        D.map2 TestOp
+                            (D.field "path" D.string)
+                            (D.field "value" D.value)
+
                     other ->
                         D.fail ("Unknown JSON Patch op: " ++ other)
             )
@@ -611,28 +1123,321 @@ diffOperationDecoder =
 
 {-| Apply a list of JSON Patch operations to a base value.
 
-Folds over the operations, applying each one in sequence. The result is the
-accumulated value after all operations have been applied.
+Folds over the operations, applying each one in sequence. An operation that
+can't be applied, such as one targeting a path that doesn't exist or a failed
+`test`, is skipped and the rest are still applied. Use `applyPatchStrict` to
+find out whether that happened.
 
 -}
 applyPatch : D.Value -> List DiffOperation -> D.Value
 applyPatch base ops =
-    List.foldl applyOp base ops
+    List.foldl
+        (\op current ->
+            applyOp op current
+                |> Result.withDefault current
+        )
+        base
+        ops
+
+
+{-| Apply a list of JSON Patch operations the way RFC 6902 requires: the
+first operation that can't be applied fails the whole patch, with an error
+naming the operation and its path.
+
+    applyPatchStrict (E.object []) [ RemoveOp "/items/5" ]
+        == Err "\"remove\" at /items/5: path doesn't exist"
+
+-}
+applyPatchStrict : D.Value -> List DiffOperation -> Result String D.Value
+applyPatchStrict base ops =
+    List.foldl
+        (\op result ->
+            Result.andThen
+                (\current ->
+                    applyOp op current
+                        |> Result.mapError (\reason -> operationLabel op ++ ": " ++ reason)
+                )
+                result
+        )
+        (Ok base)
+        ops
 
 
 {-| Apply a single patch operation to a value.
 -}
-applyOp : DiffOperation -> D.Value -> D.Value
+applyOp : DiffOperation -> D.Value -> Result String D.Value
 applyOp op base =
     case op of
         AddOp path value ->
-            setAtPath (parsePointer path) value base
+            strictPointer path
+                |> Result.andThen (\segments -> addAt segments value base)
+
+        ReplaceOp path value ->
+            strictPointer path
+                |> Result.andThen
+                    (\segments ->
+                        case splitLast segments of
+                            Nothing ->
+                                Ok value
+
+                            Just ( parent, key ) ->
+                                modifyAt parent (replaceChild key value) base
+                    )
+
+        RemoveOp path ->
+            strictPointer path
+                |> Result.andThen
+                    (\segments ->
+                        case splitLast segments of
+                            Nothing ->
+                                Err "the whole model can't be removed"
+
+                            Just ( parent, key ) ->
+                                modifyAt parent (removeChild key) base
+                    )
+
+        MoveOp from path ->
+            Result.map2 Tuple.pair (strictPointer from) (strictPointer path)
+                |> Result.andThen
+                    (\( fromSegments, toSegments ) ->
+                        if fromSegments == toSegments then
+                            valueAtPointer fromSegments base
+                                |> Result.map (\_ -> base)
+
+                        else if isPrefixOf fromSegments toSegments then
+                            Err "a value can't be moved into itself"
+
+                        else
+                            valueAtPointer fromSegments base
+                                |> Result.andThen
+                                    (\moved ->
+                                        applyOp (RemoveOp from) base
+                                            |> Result.andThen (addAt toSegments moved)
+                                    )
+                    )
+
+        CopyOp from path ->
+            Result.map2 Tuple.pair (strictPointer from) (strictPointer path)
+                |> Result.andThen
+                    (\( fromSegments, toSegments ) ->
+                        valueAtPointer fromSegments base
+                            |> Result.andThen (\copied -> addAt toSegments copied base)
+                    )
+
+        TestOp path expected ->
+            strictPointer path
+                |> Result.andThen (\segments -> valueAtPointer segments base)
+                |> Result.andThen
+                    (\actual ->
+                        if canonicalJson actual == canonicalJson expected then
+                            Ok base
+
+                        else
+                            Err ("expected " ++ E.encode 0 expected ++ " but found " ++ E.encode 0 actual)
+                    )
+
+
+{-| Name and path of an operation, as they start its error messages.
+-}
+operationLabel : DiffOperation -> String
+operationLabel op =
+    let
+        label name path =
+            "\"" ++ name ++ "\" at " ++ pointerLabel path
+    in
+    case op of
+        AddOp path _ ->
+            label "add" path
+
+        ReplaceOp path _ ->
+            label "replace" path
+
+        RemoveOp path ->
+            label "remove" path
+
+        MoveOp from path ->
+            label "move" path ++ " from " ++ pointerLabel from
+
+        CopyOp from path ->
+            label "copy" path ++ " from " ++ pointerLabel from
+
+        TestOp path _ ->
+            label "test" path
+
+
+{-| A pointer as shown in error messages; the empty pointer is the root.
+-}
+pointerLabel : String -> String
+pointerLabel pointer =
+    if String.isEmpty pointer then
+        "the root"
+
+    else
+        pointer
+
+
+{-| Encode a patch operation in the `modelDiff` format read by `diffOperationDecoder`.
+-}
+encodeDiffOperation : DiffOperation -> E.Value
+encodeDiffOperation op =
+    case op of
+        AddOp path value ->
+            E.object
+                [ ( "op", E.string "add" )
+                , ( "path", E.string path )
+                , ( "value", value )
+                ]
 
         ReplaceOp path value ->
-            setAtPath (parsePointer path) value base
+            E.object
+                [ ( "op", E.string "replace" )
+                , ( "path", E.string path )
+                , ( "value", value )
+                ]
 
         RemoveOp path ->
-            removeAtPath (parsePointer path) base
+            E.object
+                [ ( "op", E.string "remove" )
+                , ( "path", E.string path )
+                ]
+
+        MoveOp from path ->
+            E.object
+                [ ( "op", E.string "move" )
+                , ( "from", E.string from )
+                , ( "path", E.string path )
+                ]
+
+        CopyOp from path ->
+            E.object
+                [ ( "op", E.string "copy" )
+                , ( "from", E.string from )
+                , ( "path", E.string path )
+                ]
+
+        TestOp path value ->
+            E.object
+                [ ( "op", E.string "test" )
+                , ( "path", E.string path )
+                , ( "value", value )
+                ]
+
+
+{-| Compute the patch operations that turn one value into another.
+
+The operations follow the conventions `applyPatch` uses, so applying the
+result to `before` reproduces `after`:
+
+  - Object keys are added, removed, or patched recursively
+  - Array elements are compared by index; extra elements are appended with
+    `-` and surplus elements are removed from the end
+  - Any other difference replaces the value at that path
+
+    createPatch (E.object [ ( "n", E.int 1 ) ]) (E.object [ ( "n", E.int 2 ) ])
+        == [ ReplaceOp "/n" (E.int 2) ]
+
+-}
+createPatch : D.Value -> D.Value -> List DiffOperation
+createPatch before after =
+    createPatchAt "" before after
+
+
+{-| Compute the patch for the values found at a JSON Pointer.
+-}
+createPatchAt : String -> D.Value -> D.Value -> List DiffOperation
+createPatchAt pointer before after =
+    let
+        beforeType =
+            getValueType before
+    in
+    if beforeType /= getValueType after then
+        [ ReplaceOp pointer after ]
+
+    else
+        case beforeType of
+            "object" ->
+                let
+                    afterKeys =
+                        getObjectKeys after
+
+                    removedOps =
+                        getObjectKeys before
+                            |> List.filter (\key -> not (List.member key afterKeys))
+                            |> List.map (\key -> RemoveOp (pointer ++ "/" ++ escapePointerSegment key))
+
+                    keyOps key =
+                        let
+                            childPointer =
+                                pointer ++ "/" ++ escapePointerSegment key
+                        in
+                        case ( getObjectField key before, getObjectField key after ) of
+                            ( Just beforeChild, Just afterChild ) ->
+                                createPatchAt childPointer beforeChild afterChild
+
+                            ( Nothing, Just afterChild ) ->
+                                [ AddOp childPointer afterChild ]
+
+                            _ ->
+                                []
+                in
+                removedOps ++ List.concatMap keyOps afterKeys
+
+            "array" ->
+                let
+                    beforeItems =
+                        getArrayItems before
+
+                    afterItems =
+                        getArrayItems after
+
+                    beforeLength =
+                        List.length beforeItems
+
+                    afterLength =
+                        List.length afterItems
+
+                    changedOps =
+                        List.map2 Tuple.pair beforeItems afterItems
+                            |> List.indexedMap
+                                (\idx ( beforeItem, afterItem ) ->
+                                    createPatchAt (pointer ++ "/" ++ String.fromInt idx) beforeItem afterItem
+                                )
+                            |> List.concat
+
+                    appendedOps =
+                        afterItems
+                            |> List.drop beforeLength
+                            |> List.map (AddOp (pointer ++ "/-"))
+
+                    -- Remove from the end so earlier indices stay valid
+                    removedOps =
+                        List.range afterLength (beforeLength - 1)
+                            |> List.reverse
+                            |> List.map (\idx -> RemoveOp (pointer ++ "/" ++ String.fromInt idx))
+                in
+                changedOps ++ appendedOps ++ removedOps
+
+            "null" ->
+                []
+
+            _ ->
+                if valuesEqual before after then
+                    []
+
+                else
+                    [ ReplaceOp pointer after ]
+
+
+{-| Escape a single JSON Pointer segment.
+
+Per RFC 6901: `~` → `~0`, `/` → `~1` (in that order).
+
+-}
+escapePointerSegment : String -> String
+escapePointerSegment segment =
+    segment
+        |> String.replace "~" "~0"
+        |> String.replace "/" "~1"
 
 
 {-| Parse a JSON Pointer (RFC 6901) string into a list of path segments.
@@ -680,223 +1485,334 @@ unescapePointerSegment segment =
         |> String.replace "~0" "~"
 
 
-{-| Recursively navigate into a JSON value and set a new value at the leaf path.
+{-| Parse a JSON Pointer for applying a patch, rejecting anything that isn't
+a valid RFC 6901 pointer rather than treating it as the root.
+-}
+strictPointer : String -> Result String (List String)
+strictPointer pointer =
+    if String.isEmpty pointer || String.startsWith "/" pointer then
+        Ok (parsePointer pointer)
+
+    else
+        Err ("\"" ++ pointer ++ "\" isn't a JSON Pointer")
 
-For objects, reconstructs the object with the updated field.
-For arrays, reconstructs the array with the updated element.
-At the root (empty path), returns the new value directly.
 
+{-| Split a path into the path of its parent and its last segment.
 -}
-setAtPath : List String -> D.Value -> D.Value -> D.Value
-setAtPath segments newValue current =
-    case segments of
+splitLast : List String -> Maybe ( List String, String )
+splitLast segments =
+    case List.reverse segments of
+        last :: parentReversed ->
+            Just ( List.reverse parentReversed, last )
+
         [] ->
-            newValue
-
-        [ key ] ->
-            case D.decodeValue (D.keyValuePairs D.value) current of
-                Ok pairs ->
-                    -- Object: update or insert the key
-                    let
-                        exists =
-                            List.any (\( k, _ ) -> k == key) pairs
-
-                        updatedPairs =
-                            if exists then
-                                List.map
-                                    (\( k, v ) ->
-                                        if k == key then
-                                            ( k, newValue )
+            Nothing
+
+
+{-| Whether a path lies strictly inside another one.
+-}
+isPrefixOf : List String -> List String -> Bool
+isPrefixOf prefix segments =
+    List.length prefix < List.length segments && List.take (List.length prefix) segments == prefix
 
-                                        else
-                                            ( k, v )
-                                    )
-                                    pairs
 
-                            else
-                                pairs ++ [ ( key, newValue ) ]
-                    in
-                    E.object updatedPairs
+{-| A JSON value taken apart one level deep.
+-}
+type Container
+    = ObjectContainer (List ( String, D.Value ))
+    | ArrayContainer (List D.Value)
+    | Leaf
+
+
+toContainer : D.Value -> Container
+toContainer value =
+    case D.decodeValue (D.keyValuePairs D.value) value of
+        Ok pairs ->
+            ObjectContainer pairs
+
+        Err _ ->
+            case D.decodeValue (D.list D.value) value of
+                Ok items ->
+                    ArrayContainer items
 
                 Err _ ->
-                    case D.decodeValue (D.list D.value) current of
-                        Ok items ->
-                            -- Array: update element at index, or append for RFC 6902 '-' index
-                            case String.toInt key of
-                                Just idx ->
-                                    let
-                                        updatedItems =
-                                            List.indexedMap
-                                                (\i v ->
-                                                    if i == idx then
-                                                        newValue
-
-                                                    else
-                                                        v
-                                                )
-                                                items
-                                    in
-                                    E.list identity updatedItems
+                    Leaf
 
-                                Nothing ->
-                                    if key == "-" then
-                                        -- RFC 6902: '-' means append to end of array
-                                        E.list identity (items ++ [ newValue ])
 
-                                    else
-                                        current
+{-| Read an array index the way RFC 6901 spells it: decimal digits without
+leading zeros.
+-}
+arrayIndex : String -> Maybe Int
+arrayIndex segment =
+    if segment /= "" && String.all Char.isDigit segment && (segment == "0" || not (String.startsWith "0" segment)) then
+        String.toInt segment
+
+    else
+        Nothing
+
+
+{-| The value at a parsed pointer, failing when it doesn't exist.
+-}
+valueAtPointer : List String -> D.Value -> Result String D.Value
+valueAtPointer segments value =
+    case segments of
+        [] ->
+            Ok value
+
+        key :: rest ->
+            childAt key value
+                |> Result.fromMaybe "path doesn't exist"
+                |> Result.andThen (valueAtPointer rest)
+
+
+{-| The child of an object or array, failing when it doesn't exist.
+-}
+childAt : String -> D.Value -> Maybe D.Value
+childAt key value =
+    case toContainer value of
+        ObjectContainer pairs ->
+            pairs
+                |> List.filter (\( k, _ ) -> k == key)
+                |> List.head
+                |> Maybe.map Tuple.second
+
+        ArrayContainer items ->
+            arrayIndex key
+                |> Maybe.andThen (\idx -> List.head (List.drop idx items))
+
+        Leaf ->
+            Nothing
+
 
-                        Err _ ->
-                            current
+{-| Change the value at a parsed pointer, every segment of which must exist,
+and rebuild the values around it.
+-}
+modifyAt : List String -> (D.Value -> Result String D.Value) -> D.Value -> Result String D.Value
+modifyAt segments change value =
+    case segments of
+        [] ->
+            change value
 
         key :: rest ->
-            case D.decodeValue (D.keyValuePairs D.value) current of
-                Ok pairs ->
-                    let
-                        childValue =
-                            pairs
-                                |> List.filter (\( k, _ ) -> k == key)
-                                |> List.head
-                                |> Maybe.map Tuple.second
-                                |> Maybe.withDefault E.null
-
-                        updatedChild =
-                            setAtPath rest newValue childValue
-
-                        exists =
-                            List.any (\( k, _ ) -> k == key) pairs
-
-                        updatedPairs =
-                            if exists then
-                                List.map
-                                    (\( k, v ) ->
-                                        if k == key then
-                                            ( k, updatedChild )
+            case childAt key value of
+                Just child ->
+                    modifyAt rest change child
+                        |> Result.andThen (\updated -> replaceChild key updated value)
+
+                Nothing ->
+                    Err "path doesn't exist"
+
+
+{-| Add a value at a parsed pointer. The root is replaced, object keys are
+set, and array indices insert before the element there; `-` appends.
+-}
+addAt : List String -> D.Value -> D.Value -> Result String D.Value
+addAt segments newValue value =
+    case splitLast segments of
+        Nothing ->
+            Ok newValue
+
+        Just ( parent, key ) ->
+            modifyAt parent (addChild key newValue) value
+
+
+addChild : String -> D.Value -> D.Value -> Result String D.Value
+addChild key newValue parent =
+    case toContainer parent of
+        ObjectContainer pairs ->
+            Ok (E.object (setPair key newValue pairs))
+
+        ArrayContainer items ->
+            if key == "-" then
+                Ok (E.list identity (items ++ [ newValue ]))
+
+            else
+                case arrayIndex key of
+                    Just idx ->
+                        if idx <= List.length items then
+                            Ok (E.list identity (List.take idx items ++ newValue :: List.drop idx items))
+
+                        else
+                            Err "array index out of range"
+
+                    Nothing ->
+                        Err "path doesn't exist"
+
+        Leaf ->
+            Err "parent isn't an object or array"
+
+
+replaceChild : String -> D.Value -> D.Value -> Result String D.Value
+replaceChild key newValue parent =
+    case toContainer parent of
+        ObjectContainer pairs ->
+            if List.any (\( k, _ ) -> k == key) pairs then
+                Ok (E.object (setPair key newValue pairs))
+
+            else
+                Err "path doesn't exist"
+
+        ArrayContainer items ->
+            case arrayIndex key of
+                Just idx ->
+                    if idx < List.length items then
+                        Ok
+                            (E.list identity
+                                (List.indexedMap
+                                    (\i v ->
+                                        if i == idx then
+                                            newValue
 
                                         else
-                                            ( k, v )
+                                            v
                                     )
-                                    pairs
+                                    items
+                                )
+                            )
 
-                            else
-                                pairs ++ [ ( key, updatedChild ) ]
-                    in
-                    E.object updatedPairs
+                    else
+                        Err "path doesn't exist"
 
-                Err _ ->
-                    case D.decodeValue (D.list D.value) current of
-                        Ok items ->
-                            case String.toInt key of
-                                Just idx ->
-                                    let
-                                        childValue =
-                                            List.head (List.drop idx items)
-                                                |> Maybe.withDefault E.null
-
-                                        updatedChild =
-                                            setAtPath rest newValue childValue
-
-                                        updatedItems =
-                                            List.indexedMap
-                                                (\i v ->
-                                                    if i == idx then
-                                                        updatedChild
-
-                                                    else
-                                                        v
-                                                )
-                                                items
-                                    in
-                                    E.list identity updatedItems
+                Nothing ->
+                    Err "path doesn't exist"
 
-                                Nothing ->
-                                    if key == "-" then
-                                        -- RFC 6902: '-' means append to end of array;
-                                        -- navigate into E.null as the new child context
-                                        E.list identity (items ++ [ setAtPath rest newValue E.null ])
+        Leaf ->
+            Err "path doesn't exist"
+
+
+removeChild : String -> D.Value -> Result String D.Value
+removeChild key parent =
+    case toContainer parent of
+        ObjectContainer pairs ->
+            if List.any (\( k, _ ) -> k == key) pairs then
+                Ok (E.object (List.filter (\( k, _ ) -> k /= key) pairs))
+
+            else
+                Err "path doesn't exist"
 
-                                    else
-                                        current
+        ArrayContainer items ->
+            case arrayIndex key of
+                Just idx ->
+                    if idx < List.length items then
+                        Ok (E.list identity (List.take idx items ++ List.drop (idx + 1) items))
 
-                        Err _ ->
-                            current
+                    else
+                        Err "path doesn't exist"
 
+                Nothing ->
+                    Err "path doesn't exist"
 
-{-| Recursively navigate into a JSON value and remove the value at the leaf path.
+        Leaf ->
+            Err "path doesn't exist"
 
-For objects, reconstructs the object without the target key.
-For arrays, reconstructs the array without the target element.
 
+{-| Set a key of an object, keeping its place if it's already there.
 -}
-removeAtPath : List String -> D.Value -> D.Value
-removeAtPath segments current =
-    case segments of
-        [] ->
-            -- RFC 6902 does not define removal of the root document; treat as no-op.
-            current
+setPair : String -> D.Value -> List ( String, D.Value ) -> List ( String, D.Value )
+setPair key newValue pairs =
+    if List.any (\( k, _ ) -> k == key) pairs then
+        List.map
+            (\( k, v ) ->
+                if k == key then
+                    ( k, newValue )
 
-        [ key ] ->
-            case D.decodeValue (D.keyValuePairs D.value) current of
-                Ok pairs ->
-                    -- Object: remove the key
-                    E.object (List.filter (\( k, _ ) -> k /= key) pairs)
+                else
+                    ( k, v )
+            )
+            pairs
 
-                Err _ ->
-                    case D.decodeValue (D.list D.value) current of
-                        Ok items ->
-                            -- Array: remove element at index
-                            case String.toInt key of
-                                Just idx ->
-                                    E.list identity
-                                        (List.indexedMap (\i v -> ( i, v )) items
-                                            |> List.filter (\( i, _ ) -> i /= idx)
-                                            |> List.map Tuple.second
-                                        )
+    else
+        pairs ++ [ ( key, newValue ) ]
 
-                                Nothing ->
-                                    current
 
-                        Err _ ->
-                            current
 
-        key :: rest ->
-            case D.decodeValue (D.keyValuePairs D.value) current of
-                Ok pairs ->
-                    let
-                        updatedPairs =
-                            List.map
-                                (\( k, v ) ->
-                                    if k == key then
-                                        ( k, removeAtPath rest v )
-
-                                    else
-                                        ( k, v )
-                                )
-                                pairs
-                    in
-                    E.object updatedPairs
+-- MODEL CHECKSUMS
 
-                Err _ ->
-                    case D.decodeValue (D.list D.value) current of
-                        Ok items ->
-                            case String.toInt key of
-                                Just idx ->
-                                    let
-                                        updatedItems =
-                                            List.indexedMap
-                                                (\i v ->
-                                                    if i == idx then
-                                                        removeAtPath rest v
-
-                                                    else
-                                                        v
-                                                )
-                                                items
-                                    in
-                                    E.list identity updatedItems
 
-                                Nothing ->
-                                    current
+{-| Encode a value as JSON with object keys sorted and no whitespace, so that
+equal values always encode the same way whatever order their keys are in.
+
+    canonicalJson (E.object [ ( "b", E.int 1 ), ( "a", E.list E.int [ 2 ] ) ])
+        == "{\"a\":[2],\"b\":1}"
+
+-}
+canonicalJson : D.Value -> String
+canonicalJson value =
+    case toContainer value of
+        ObjectContainer pairs ->
+            "{"
+                ++ (pairs
+                        |> List.sortBy Tuple.first
+                        |> List.map (\( key, child ) -> E.encode 0 (E.string key) ++ ":" ++ canonicalJson child)
+                        |> String.join ","
+                   )
+                ++ "}"
+
+        ArrayContainer items ->
+            "[" ++ String.join "," (List.map canonicalJson items) ++ "]"
+
+        Leaf ->
+            E.encode 0 value
 
-                        Err _ ->
-                            current
+
+{-| Checksum of a model, as an app may send it in an entry's `modelChecksum`:
+the 32-bit FNV-1a hash of the UTF-8 bytes of its `canonicalJson`, written as
+8 lowercase hex digits.
+
+    modelChecksum (E.object []) == "5465b825"
+
+-}
+modelChecksum : D.Value -> String
+modelChecksum value =
+    canonicalJson value
+        |> String.foldl (\char hash -> List.foldl fnvStep hash (utf8Bytes (Char.toCode char))) 0x811C9DC5
+        |> toHex
+
+
+{-| Mix one byte into an FNV-1a hash. The multiplication by the FNV prime
+(2^24 + 403) is split so that it stays exact in a JavaScript number.
+-}
+fnvStep : Int -> Int -> Int
+fnvStep byte hash =
+    let
+        mixed =
+            Bitwise.xor hash byte
+    in
+    Bitwise.shiftRightZfBy 0 (Bitwise.shiftLeftBy 24 mixed + mixed * 403)
+
+
+{-| The UTF-8 encoding of a code point.
+-}
+utf8Bytes : Int -> List Int
+utf8Bytes code =
+    let
+        continuation shift =
+            Bitwise.or 0x80 (Bitwise.and 0x3F (Bitwise.shiftRightBy shift code))
+    in
+    if code < 0x80 then
+        [ code ]
+
+    else if code < 0x0800 then
+        [ Bitwise.or 0xC0 (Bitwise.shiftRightBy 6 code), continuation 0 ]
+
+    else if code < 0x00010000 then
+        [ Bitwise.or 0xE0 (Bitwise.shiftRightBy 12 code), continuation 6, continuation 0 ]
+
+    else
+        [ Bitwise.or 0xF0 (Bitwise.shiftRightBy 18 code), continuation 12, continuation 6, continuation 0 ]
+
+
+{-| Write an unsigned 32-bit number as 8 lowercase hex digits.
+-}
+toHex : Int -> String
+toHex number =
+    List.range 0 7
+        |> List.map
+            (\position ->
+                let
+                    digit =
+                        Bitwise.and 0x0F (Bitwise.shiftRightZfBy (28 - 4 * position) number)
+                in
+                String.slice digit (digit + 1) "0123456789abcdef"
+            )
+        |> String.concat
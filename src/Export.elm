@@ -0,0 +1,525 @@
+module Export exposing
+    ( Format(..)
+    , formatExtension
+    , formatName
+    , parseColumns
+    , toJsonl
+    , toCsv
+    , toHtml
+    )
+
+{-| Export a set of log entries (normally the current filtered view) to a file.
+
+  - `Jsonl`: a TeaForge log that the debugger can open again, with a header
+    and `stringDict` compression
+  - `Csv`: one row per entry with the entry number, type, timestamp and message
+    name, plus a column for each chosen field path
+  - `Html`: a self-contained report with each entry's message, effects and
+    model changes
+
+Entries are passed with their 1-based entry numbers, so exported rows can be
+matched with the message list.
+
+@docs Format, formatExtension, formatName, parseColumns, toJsonl, toCsv, toHtml
+
+-}
+
+import Dict
+import Diff
+import Json.Decode as D
+import Json.Encode as E
+import LogConverter
+import Types exposing (Effect, LogEntry(..), MessageData, getMessageName, getTimestamp)
+
+
+{-| Output format of an export.
+-}
+type Format
+    = Jsonl
+    | Csv
+    | Html
+
+
+{-| File extension for a format, without the leading dot.
+-}
+formatExtension : Format -> String
+formatExtension format =
+    case format of
+        Jsonl ->
+            "jsonl"
+
+        Csv ->
+            "csv"
+
+        Html ->
+            "html"
+
+
+{-| Human-readable name for a format.
+-}
+formatName : Format -> String
+formatName format =
+    case format of
+        Jsonl ->
+            "TeaForge Log"
+
+        Csv ->
+            "CSV"
+
+        Html ->
+            "HTML Report"
+
+
+
+-- JSONL
+
+
+{-| Write entries as a TeaForge log.
+
+Each entry is written with its full model and then converted to a
+`stringDict`-compressed v2 log, so every `modelDiff` is relative to the
+previous exported entry. When entries were filtered out in between, the
+exported log goes straight from one exported model to the next. Parse errors
+have no log representation and are left out.
+
+-}
+toJsonl : List ( Int, LogEntry ) -> String
+toJsonl entries =
+    let
+        options =
+            { format = LogConverter.ModelDiff, compress = True }
+
+        ( _, lines ) =
+            entries
+                |> List.filterMap (Tuple.second >> encodeFullModelEntry)
+                |> List.indexedMap Tuple.pair
+                |> List.foldl
+                    (\( index, value ) ( converter, acc ) ->
+                        let
+                            converted =
+                                LogConverter.convertLine (index + 1) value converter
+                        in
+                        ( converted.converter, List.reverse converted.lines ++ acc )
+                    )
+                    ( LogConverter.init options, [ LogConverter.header options ] )
+    in
+    lines
+        |> List.reverse
+        |> List.map (E.encode 0)
+        |> List.map (\line -> line ++ "\n")
+        |> String.concat
+
+
+{-| Encode an entry as a v1 log line carrying its full model.
+-}
+encodeFullModelEntry : LogEntry -> Maybe E.Value
+encodeFullModelEntry entry =
+    case entry of
+        InitEntry data ->
+            Just
+                (E.object
+                    [ ( "type", E.string "init" )
+                    , ( "timestamp", E.int data.timestamp )
+                    , ( "model", data.model )
+                    , ( "effects", E.list encodeEffect data.effects )
+                    ]
+                )
+
+        UpdateEntry data ->
+            Just
+                (E.object
+                    [ ( "type", E.string "update" )
+                    , ( "timestamp", E.int data.timestamp )
+                    , ( "message", encodeMessage data.message )
+                    , ( "model", data.modelAfter )
+                    , ( "effects", E.list encodeEffect data.effects )
+                    ]
+                )
+
+        SubscriptionChangeEntry data ->
+            Just
+                (E.object
+                    [ ( "type", E.string "subscriptionChange" )
+                    , ( "timestamp", E.int data.timestamp )
+                    , ( "started", E.list identity data.started )
+                    , ( "stopped", E.list identity data.stopped )
+                    ]
+                )
+
+        ErrorEntry _ ->
+            Nothing
+
+
+{-| Encode a message so that it decodes back to the same name and payload.
+
+The payload normally is the logged message itself, carrying its `_type`. When
+it came from an `_inner` field without its own `_type`, it is wrapped again.
+
+-}
+encodeMessage : MessageData -> E.Value
+encodeMessage message =
+    case D.decodeValue (D.field "_type" D.string) message.payload of
+        Ok typeName ->
+            if typeName == message.name then
+                message.payload
+
+            else
+                wrapMessage message
+
+        Err _ ->
+            wrapMessage message
+
+
+wrapMessage : MessageData -> E.Value
+wrapMessage message =
+    E.object
+        [ ( "_type", E.string message.name )
+        , ( "_inner", message.payload )
+        ]
+
+
+{-| Encode an effect as it appeared in the log: its data when that is an
+object carrying `_type`, otherwise just its name.
+-}
+encodeEffect : Effect -> E.Value
+encodeEffect effect =
+    case D.decodeValue (D.field "_type" D.string) effect.data of
+        Ok _ ->
+            effect.data
+
+        Err _ ->
+            E.string effect.name
+
+
+
+-- CSV
+
+
+{-| Parse a comma-separated list of field paths such as
+`model.user.name, message.amount`.
+
+Each path starts with `model`, `modelBefore` or `message` (the message payload)
+and continues with object keys or array indices separated by dots.
+
+-}
+parseColumns : String -> List String
+parseColumns input =
+    input
+        |> String.split ","
+        |> List.map String.trim
+        |> List.filter (not << String.isEmpty)
+
+
+{-| Write entries as CSV with the fixed columns followed by one column per
+field path. Fields an entry doesn't have are left empty.
+-}
+toCsv : List String -> List ( Int, LogEntry ) -> String
+toCsv columns entries =
+    let
+        headerRow =
+            [ "entry", "type", "timestamp", "message" ] ++ columns
+
+        entryRow ( number, entry ) =
+            [ String.fromInt number
+            , entryTypeName entry
+            , getTimestamp entry |> Maybe.map String.fromInt |> Maybe.withDefault ""
+            , getMessageName entry
+            ]
+                ++ List.map (\column -> fieldText column entry) columns
+    in
+    (headerRow :: List.map entryRow entries)
+        |> List.map (List.map csvField >> String.join ",")
+        |> List.map (\row -> row ++ "\r\n")
+        |> String.concat
+
+
+{-| Quote a CSV field when it contains a separator, quote or line break.
+-}
+csvField : String -> String
+csvField value =
+    if String.contains "," value || String.contains "\"" value || String.contains "\n" value || String.contains "\r" value then
+        "\"" ++ String.replace "\"" "\"\"" value ++ "\""
+
+    else
+        value
+
+
+{-| The text of a field path for an entry, or "" when it has no such field.
+-}
+fieldText : String -> LogEntry -> String
+fieldText column entry =
+    case String.split "." column of
+        root :: path ->
+            rootValue root entry
+                |> Maybe.andThen (Diff.valueAt path)
+                |> Maybe.map valueText
+                |> Maybe.withDefault ""
+
+        [] ->
+            ""
+
+
+rootValue : String -> LogEntry -> Maybe D.Value
+rootValue root entry =
+    case ( root, entry ) of
+        ( "model", InitEntry data ) ->
+            Just data.model
+
+        ( "model", UpdateEntry data ) ->
+            Just data.modelAfter
+
+        ( "modelBefore", UpdateEntry data ) ->
+            Just data.modelBefore
+
+        ( "message", UpdateEntry data ) ->
+            Just data.message.payload
+
+        _ ->
+            Nothing
+
+
+{-| Strings as they are, `null` as empty, anything else as compact JSON.
+-}
+valueText : D.Value -> String
+valueText value =
+    case D.decodeValue (D.nullable D.string) value of
+        Ok (Just str) ->
+            str
+
+        Ok Nothing ->
+            ""
+
+        Err _ ->
+            E.encode 0 value
+
+
+entryTypeName : LogEntry -> String
+entryTypeName entry =
+    case entry of
+        InitEntry _ ->
+            "init"
+
+        UpdateEntry _ ->
+            "update"
+
+        SubscriptionChangeEntry _ ->
+            "subscriptionChange"
+
+        ErrorEntry _ ->
+            "error"
+
+
+
+-- HTML
+
+
+{-| Write entries as a standalone HTML report.
+
+The report has no external resources, so it can be attached to a bug report
+and opened in any browser.
+
+-}
+toHtml : { title : String, source : String } -> List ( Int, LogEntry ) -> String
+toHtml info entries =
+    String.concat
+        [ "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\">\n<title>"
+        , escapeHtml info.title
+        , "</title>\n<style>\n"
+        , reportStyles
+        , "</style>\n</head>\n<body>\n<h1>"
+        , escapeHtml info.title
+        , "</h1>\n<p class=\"meta\">"
+        , escapeHtml info.source
+        , " &middot; "
+        , String.fromInt (List.length entries)
+        , if List.length entries == 1 then
+            " entry"
+
+          else
+            " entries"
+        , "</p>\n"
+        , String.concat (List.map viewEntry entries)
+        , "</body>\n</html>\n"
+        ]
+
+
+reportStyles : String
+reportStyles =
+    """body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+.meta { color: #6b7280; margin-top: 0; }
+section { border: 1px solid #e5e7eb; border-radius: 6px; padding: 0.75rem 1rem; margin: 0.75rem 0; }
+section.error { border-color: #fca5a5; background: #fef2f2; }
+h2 { font-size: 1rem; margin: 0; }
+h2 .number { color: #6b7280; font-weight: normal; margin-right: 0.5rem; }
+h2 .time { color: #6b7280; font-weight: normal; float: right; }
+h3 { font-size: 0.85rem; color: #4b5563; margin: 0.75rem 0 0.25rem; }
+ul { margin: 0; padding-left: 1.25rem; }
+code, pre { font-family: ui-monospace, monospace; font-size: 0.8rem; }
+pre { background: #f9fafb; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; }
+.before { color: #b91c1c; }
+.after { color: #15803d; }
+"""
+
+
+viewEntry : ( Int, LogEntry ) -> String
+viewEntry ( number, entry ) =
+    let
+        heading =
+            String.concat
+                [ "<h2><span class=\"number\">#"
+                , String.fromInt number
+                , "</span>"
+                , escapeHtml (getMessageName entry)
+                , getTimestamp entry
+                    |> Maybe.map (\ts -> "<span class=\"time\">" ++ String.fromInt ts ++ "</span>")
+                    |> Maybe.withDefault ""
+                , "</h2>\n"
+                ]
+    in
+    case entry of
+        InitEntry data ->
+            section "" heading
+                [ viewEffects data.effects
+                , details "Model" data.model
+                ]
+
+        UpdateEntry data ->
+            section "" heading
+                [ details "Message" data.message.payload
+                , viewEffects data.effects
+                , viewChanges data.modelBefore data.modelAfter
+                , details "Model" data.modelAfter
+                ]
+
+        SubscriptionChangeEntry data ->
+            section "" heading
+                [ viewValueList "Started" data.started
+                , viewValueList "Stopped" data.stopped
+                ]
+
+        ErrorEntry data ->
+            section "error" heading [ "<pre>" ++ escapeHtml data.error ++ "</pre>\n" ]
+
+
+section : String -> String -> List String -> String
+section className heading parts =
+    String.concat
+        ([ "<section"
+         , if String.isEmpty className then
+            ""
+
+           else
+            " class=\"" ++ className ++ "\""
+         , ">\n"
+         , heading
+         ]
+            ++ parts
+            ++ [ "</section>\n" ]
+        )
+
+
+details : String -> D.Value -> String
+details summary value =
+    "<details><summary>" ++ summary ++ "</summary><pre>" ++ escapeHtml (E.encode 2 value) ++ "</pre></details>\n"
+
+
+viewEffects : List Effect -> String
+viewEffects effects =
+    if List.isEmpty effects then
+        ""
+
+    else
+        "<h3>Effects</h3>\n<ul>\n"
+            ++ String.concat (List.map (\effect -> "<li><code>" ++ escapeHtml effect.name ++ "</code></li>\n") effects)
+            ++ "</ul>\n"
+
+
+viewValueList : String -> List D.Value -> String
+viewValueList title values =
+    if List.isEmpty values then
+        ""
+
+    else
+        "<h3>"
+            ++ title
+            ++ "</h3>\n<ul>\n"
+            ++ String.concat (List.map (\value -> "<li><code>" ++ escapeHtml (E.encode 0 value) ++ "</code></li>\n") values)
+            ++ "</ul>\n"
+
+
+{-| List the changed model fields with their values before and after.
+Array elements removed from the model are listed at their path before, and
+the value before of a field that shifted along with its array element is
+taken from where it was.
+-}
+viewChanges : D.Value -> D.Value -> String
+viewChanges before after =
+    let
+        result =
+            Diff.findChangedPaths before after
+
+        changedFields =
+            (Dict.toList (Dict.filter (\_ change -> change /= Diff.Removed) result.changes)
+                ++ Dict.toList (Dict.filter (\_ change -> change == Diff.Removed) result.beforeChanges)
+            )
+                |> List.sortBy Tuple.first
+
+        toPath key =
+            if String.isEmpty key then
+                []
+
+            else
+                String.split "." key
+
+        showAt key value =
+            Diff.valueAt (toPath key) value
+                |> Maybe.map (E.encode 0)
+                |> Maybe.withDefault "(none)"
+
+        changeText ( key, change ) =
+            let
+                beforeKey =
+                    if change == Diff.Removed then
+                        key
+
+                    else
+                        Diff.beforePathOf result key
+            in
+            String.concat
+                [ "<li><code>"
+                , escapeHtml key
+                , "</code>: <code class=\"before\">"
+                , escapeHtml
+                    (if change == Diff.Added then
+                        "(none)"
+
+                     else
+                        showAt beforeKey before
+                    )
+                , "</code> &rarr; <code class=\"after\">"
+                , escapeHtml
+                    (if change == Diff.Removed then
+                        "(none)"
+
+                     else
+                        showAt key after
+                    )
+                , "</code></li>\n"
+                ]
+    in
+    if List.isEmpty changedFields then
+        "<h3>Model unchanged</h3>\n"
+
+    else
+        "<h3>Model changes</h3>\n<ul>\n" ++ String.concat (List.map changeText changedFields) ++ "</ul>\n"
+
+
+escapeHtml : String -> String
+escapeHtml str =
+    str
+        |> String.replace "&" "&amp;"
+        |> String.replace "<" "&lt;"
+        |> String.replace ">" "&gt;"
+        |> String.replace "\"" "&quot;"
+        |> String.replace "'" "&#39;"
@@ -0,0 +1,63 @@
+module FieldHistory exposing
+    ( Change
+    , history
+    )
+
+{-| Every change to one model field across a log.
+
+Where `ModelFieldChangedFilter` only tells whether an entry touched a field,
+this module lists what the field was before and after each update that
+changed it, so the history of a single value can be read top to bottom.
+
+@docs Change, history
+
+-}
+
+import Array exposing (Array)
+import Diff
+import Json.Decode as D
+import Types exposing (LogEntry(..), TreePath)
+
+
+{-| One update that changed the field.
+
+  - `entryIndex`: Index of the update in the log
+  - `before`: Value of the field before the update, if it existed
+  - `after`: Value of the field after the update, if it still exists
+
+-}
+type alias Change =
+    { entryIndex : Int
+    , timestamp : Int
+    , messageName : String
+    , change : Diff.Change
+    , before : Maybe D.Value
+    , after : Maybe D.Value
+    }
+
+
+{-| List the updates that changed the value at a path, in entry order.
+-}
+history : TreePath -> Array LogEntry -> List Change
+history path entries =
+    entries
+        |> Array.toIndexedList
+        |> List.filterMap
+            (\( index, entry ) ->
+                case entry of
+                    UpdateEntry data ->
+                        Diff.changeAt path data.modelBefore data.modelAfter
+                            |> Maybe.map
+                                (\change ->
+                                    { entryIndex = index
+                                    , timestamp = data.timestamp
+                                    , messageName = data.message.name
+                                    , change = change
+                                    , before = Diff.valueAt path data.modelBefore
+                                    , after = Diff.valueAt path data.modelAfter
+                                    }
+                                )
+
+                    _ ->
+                        Nothing
+            )
@@ -20,6 +20,12 @@ module Filter exposing
     , categoryIcon
     , deepValueSearch
     , primitiveValueToString
+    , encodeActiveFilter
+    , activeFilterDecoder
+    , Preset
+    , savePreset
+    , encodePresets
+    , presetsDecoder
     )
 
 {-| Filter types and evaluation logic for the advanced filtering system.
@@ -27,17 +33,23 @@ module Filter exposing
 This module defines the core filter types and provides functions to evaluate
 whether log entries match a set of active filters. Filters are composable
 and combine with AND logic -- all enabled filters must match for an entry
-to be included.
+to be included. A query filter holds a `FilterQuery` expression for
+conditions that need OR, NOT or numeric comparisons.
+
+Named presets save a set of filters to apply again later.
 
 @docs Filter, FilterStatus, ActiveFilter, FilterCategory
 @docs filterCategory, matchesEntry, fuzzyMatch
 @docs enabledFilters, filtersByCategory, enabledFilterCount
+@docs encodeActiveFilter, activeFilterDecoder
+@docs Preset, savePreset, encodePresets, presetsDecoder
 
 -}
 
 import Array exposing (Array)
 import Dict exposing (Dict)
 import Diff
+import FilterQuery
 import Json.Decode as D
 import Json.Encode as E
 import Types
@@ -81,6 +93,7 @@ type Filter
     | EffectFieldFilter { key : String, value : String }
     | SubscriptionNameFilter { query : String }
     | SubscriptionFieldFilter { key : String, value : String }
+    | QueryFilter { query : String }
 
 
 {-| Filter categories for grouping in the sidebar.
@@ -90,6 +103,7 @@ type FilterCategory
     | ModelCategory
     | EffectsCategory
     | SubscriptionsCategory
+    | QueryCategory
 
 
 {-| State for a filter being edited or created in the sidebar.
@@ -105,6 +119,7 @@ type EditingFilter
     | EditingEffectField { key : String, value : String }
     | EditingSubscriptionName { query : String }
     | EditingSubscriptionField { key : String, value : String }
+    | EditingQuery { query : String }
 
 
 {-| Derive the category from a filter variant.
@@ -142,6 +157,9 @@ filterCategory filter =
         SubscriptionFieldFilter _ ->
             SubscriptionsCategory
 
+        QueryFilter _ ->
+            QueryCategory
+
 
 {-| Derive the category from an editing filter variant.
 -}
@@ -178,6 +196,9 @@ editingFilterCategory ef =
         EditingSubscriptionField _ ->
             SubscriptionsCategory
 
+        EditingQuery _ ->
+            QueryCategory
+
 
 {-| Get a human-readable name for a category.
 -}
@@ -196,6 +217,9 @@ categoryName category =
         SubscriptionsCategory ->
             "Subscriptions"
 
+        QueryCategory ->
+            "Query"
+
 
 {-| Get the FontAwesome icon class for a category.
 -}
@@ -214,6 +238,9 @@ categoryIcon category =
         SubscriptionsCategory ->
             "fa-solid fa-arrows-rotate"
 
+        QueryCategory ->
+            "fa-solid fa-code"
+
 
 {-| Get a display name for a filter.
 -}
@@ -250,6 +277,9 @@ filterDisplayName filter =
         SubscriptionFieldFilter _ ->
             "Subscription Field"
 
+        QueryFilter _ ->
+            "Query"
+
 
 {-| Get the display detail for a filter (the criteria values).
 -}
@@ -286,6 +316,212 @@ filterDisplayDetail filter =
         SubscriptionFieldFilter { key, value } ->
             key ++ " = " ++ value
 
+        QueryFilter { query } ->
+            query
+
+
+{-| Encode a filter and its enabled state as JSON, for saving in a session.
+
+    { "enabled": true, "filter": { "kind": "messageName", "query": "Click" } }
+
+-}
+encodeActiveFilter : ActiveFilter -> E.Value
+encodeActiveFilter activeFilter =
+    E.object
+        [ ( "enabled", E.bool (activeFilter.status == Enabled) )
+        , ( "filter", encodeFilter activeFilter.filter )
+        ]
+
+
+encodeFilter : Filter -> E.Value
+encodeFilter filter =
+    let
+        withKind kind fields =
+            E.object (( "kind", E.string kind ) :: fields)
+
+        queryFields query =
+            [ ( "query", E.string query ) ]
+
+        keyValueFields key value =
+            [ ( "key", E.string key ), ( "value", E.string value ) ]
+    in
+    case filter of
+        MessageNameFilter { query } ->
+            withKind "messageName" (queryFields query)
+
+        MessageFieldFilter { key, value } ->
+            withKind "messageField" (keyValueFields key value)
+
+        ModelChangedFilter ->
+            withKind "modelChanged" []
+
+        ModelFieldChangedFilter { fieldPath } ->
+            withKind "modelFieldChanged" [ ( "fieldPath", E.string fieldPath ) ]
+
+        ModelValueFilter { key, value } ->
+            withKind "modelValue" (keyValueFields key value)
+
+        HasEffectsFilter ->
+            withKind "hasEffects" []
+
+        EffectNameFilter { query } ->
+            withKind "effectName" (queryFields query)
+
+        EffectFieldFilter { key, value } ->
+            withKind "effectField" (keyValueFields key value)
+
+        SubscriptionNameFilter { query } ->
+            withKind "subscriptionName" (queryFields query)
+
+        SubscriptionFieldFilter { key, value } ->
+            withKind "subscriptionField" (keyValueFields key value)
+
+        QueryFilter { query } ->
+            withKind "query" (queryFields query)
+
+
+{-| Decode a filter written by `encodeActiveFilter`.
+-}
+activeFilterDecoder : D.Decoder ActiveFilter
+activeFilterDecoder =
+    D.map2
+        (\enabled filter ->
+            { status =
+                if enabled then
+                    Enabled
+
+                else
+                    Disabled
+            , filter = filter
+            }
+        )
+        (D.oneOf [ D.field "enabled" D.bool, D.succeed True ])
+        (D.field "filter" filterDecoder)
+
+
+filterDecoder : D.Decoder Filter
+filterDecoder =
+    let
+        queryDecoder toFilter =
+            D.map (\query -> toFilter { query = query }) (D.field "query" D.string)
+
+        keyValueDecoder toFilter =
+            D.map2 (\key value -> toFilter { key = key, value = value })
+                (D.field "key" D.string)
+                (D.field "value" D.string)
+    in
+    D.field "kind" D.string
+        |> D.andThen
+            (\kind ->
+                case kind of
+                    "messageName" ->
+                        queryDecoder MessageNameFilter
+
+                    "messageField" ->
+                        keyValueDecoder MessageFieldFilter
+
+                    "modelChanged" ->
+                        D.succeed ModelChangedFilter
+
+                    "modelFieldChanged" ->
+                        D.map (\fieldPath -> ModelFieldChangedFilter { fieldPath = fieldPath }) (D.field "fieldPath" D.string)
+
+                    "modelValue" ->
+                        keyValueDecoder ModelValueFilter
+
+                    "hasEffects" ->
+                        D.succeed HasEffectsFilter
+
+                    "effectName" ->
+                        queryDecoder EffectNameFilter
+
+                    "effectField" ->
+                        keyValueDecoder EffectFieldFilter
+
+                    "subscriptionName" ->
+                        queryDecoder SubscriptionNameFilter
+
+                    "subscriptionField" ->
+                        keyValueDecoder SubscriptionFieldFilter
+
+                    "query" ->
+                        queryDecoder QueryFilter
+
+                    _ ->
+                        D.fail ("Unknown filter kind: " ++ kind)
+            )
+
+
+{-| A named set of filters, saved to apply again later.
+-}
+type alias Preset =
+    { name : String
+    , filters : List ActiveFilter
+    }
+
+
+{-| Save filters under a name, replacing any preset with the same name.
+-}
+savePreset : String -> List ActiveFilter -> List Preset -> List Preset
+savePreset name filters presets =
+    if List.any (\preset -> preset.name == name) presets then
+        List.map
+            (\preset ->
+                if preset.name == name then
+                    { preset | filters = filters }
+
+                else
+                    preset
+            )
+            presets
+
+    else
+        presets ++ [ { name = name, filters = filters } ]
+
+
+{-| Encode presets as a presets file.
+
+    { "type": "tfpresets", "version": 1, "presets": [ { "name": "Swerve", "filters": [ ... ] } ] }
+
+-}
+encodePresets : List Preset -> E.Value
+encodePresets presets =
+    E.object
+        [ ( "type", E.string "tfpresets" )
+        , ( "version", E.int 1 )
+        , ( "presets"
+          , E.list
+                (\preset ->
+                    E.object
+                        [ ( "name", E.string preset.name )
+                        , ( "filters", E.list encodeActiveFilter preset.filters )
+                        ]
+                )
+                presets
+          )
+        ]
+
+
+{-| Decode a presets file written by `encodePresets`.
+-}
+presetsDecoder : D.Decoder (List Preset)
+presetsDecoder =
+    D.field "type" D.string
+        |> D.andThen
+            (\fileType ->
+                if fileType == "tfpresets" then
+                    D.field "presets"
+                        (D.list
+                            (D.map2 Preset
+                                (D.field "name" D.string)
+                                (D.field "filters" (D.list activeFilterDecoder))
+                            )
+                        )
+
+                else
+                    D.fail "Not a filter presets file"
+            )
+
 
 {-| Create a default empty editing filter for a given category.
 -}
@@ -304,6 +540,9 @@ emptyEditingFilter category =
         SubscriptionsCategory ->
             EditingSubscriptionName { query = "" }
 
+        QueryCategory ->
+            EditingQuery { query = "" }
+
 
 {-| Convert an ActiveFilter to an EditingFilter for inline editing.
 -}
@@ -340,6 +579,9 @@ editingFilterFromActive activeFilter =
         SubscriptionFieldFilter r ->
             EditingSubscriptionField r
 
+        QueryFilter r ->
+            EditingQuery r
+
 
 {-| Convert an EditingFilter back to a Filter. Returns Nothing if invalid.
 -}
@@ -408,6 +650,14 @@ editingFilterToFilter editing =
             else
                 Just (SubscriptionFieldFilter { key = String.trim key, value = String.trim value })
 
+        EditingQuery { query } ->
+            case FilterQuery.parse query of
+                Ok _ ->
+                    Just (QueryFilter { query = String.trim query })
+
+                Err _ ->
+                    Nothing
+
 
 
 -- QUERYING
@@ -444,7 +694,7 @@ filtersByCategory filters =
             List.indexedMap Tuple.pair filters
 
         categories =
-            [ MessageCategory, ModelCategory, EffectsCategory, SubscriptionsCategory ]
+            [ MessageCategory, ModelCategory, EffectsCategory, SubscriptionsCategory, QueryCategory ]
     in
     List.filterMap
         (\cat ->
@@ -472,18 +722,44 @@ InitEntry entries always match.
 SubscriptionChangeEntry entries are excluded by message/model filters but
 included by subscription filters.
 
+Query expressions are parsed once when the filters are given, so apply the
+filters to many entries with `List.filter (matchesEntry filters)`.
+
 -}
 matchesEntry : List Filter -> LogEntry -> Bool
-matchesEntry filters entry =
-    case entry of
-        ErrorEntry _ ->
-            True
+matchesEntry filters =
+    let
+        predicates =
+            List.map filterPredicate filters
+    in
+    \entry ->
+        case entry of
+            ErrorEntry _ ->
+                True
+
+            InitEntry _ ->
+                True
+
+            _ ->
+                List.all (\predicate -> predicate entry) predicates
 
-        InitEntry _ ->
-            True
+
+{-| Build the test for a single filter. A query that does not parse matches
+nothing.
+-}
+filterPredicate : Filter -> LogEntry -> Bool
+filterPredicate filter =
+    case filter of
+        QueryFilter { query } ->
+            case FilterQuery.parse query of
+                Ok parsed ->
+                    FilterQuery.matches parsed
+
+                Err _ ->
+                    always False
 
         _ ->
-            List.all (\f -> matchesSingleFilter f entry) filters
+            matchesSingleFilter filter
 
 
 {-| Check if a log entry matches a single filter.
@@ -521,6 +797,9 @@ matchesSingleFilter filter entry =
         SubscriptionFieldFilter { key, value } ->
             matchSubscriptionField key value entry
 
+        QueryFilter { query } ->
+            filterPredicate (QueryFilter { query = query }) entry
+
 
 {-| Fuzzy match: each character in the query must appear in order in the target.
 Case-insensitive.
@@ -0,0 +1,852 @@
+module FilterQuery exposing
+    ( Query
+    , parse
+    , matches
+    )
+
+{-| A small expression language for filtering log entries.
+
+    msg ~ "Swerve*" and (model.swerveModel.heading > 90 or effect = "Effect.Log")
+
+Conditions combine with `and`, `or` and `not`, and parentheses group them.
+Each condition compares a field with a value:
+
+  - `msg`: the message name, `msg.<path>` a field of the message
+  - `model.<path>`: a field of the model after the update
+  - `before.<path>`: a field of the model before the update
+  - `effect`: the name of any effect, `effect.<path>` a field of any effect
+  - `sub`: the name of any started or stopped subscription, `sub.<path>` a field of one
+  - `delta(model.<path>)`: how much a number in the model changed
+  - `abs(...)`: the absolute value of a number
+
+The comparisons are `=` and `!=` with a string, number, `true`, `false` or
+`null`; `<`, `<=`, `>` and `>=` with a number; `in 10..20` for an inclusive
+range; `~ "Swerve*"` for a case-insensitive pattern where `*` matches any
+text and `?` any one character; and `=~ /regex/` for a regular expression.
+`changed(model.<path>)` is true when an update changed the field.
+
+Paths are dot-separated, and numeric segments index into arrays. Fields that
+hold several values (`effect` and `sub`) match when any of them does.
+
+@docs Query, parse, matches
+
+-}
+
+import Diff
+import Json.Decode as D
+import Json.Encode as E
+import Regex exposing (Regex)
+import Types exposing (LogEntry(..), TreePath)
+
+
+{-| A parsed expression.
+-}
+type Query
+    = And Query Query
+    | Or Query Query
+    | Not Query
+    | Changed TreePath
+    | Compare Operand Comparison
+
+
+type Operand
+    = Field Root TreePath
+    | Delta TreePath
+    | Abs Operand
+
+
+type Root
+    = MessageRoot
+    | ModelRoot
+    | BeforeRoot
+    | EffectRoot
+    | SubscriptionRoot
+
+
+type Comparison
+    = Equals Literal
+    | NotEquals Literal
+    | LessThan Float
+    | AtMost Float
+    | GreaterThan Float
+    | AtLeast Float
+    | Between Float Float
+    | Glob String
+    | Matches String
+
+
+type Literal
+    = StringLiteral String
+    | NumberLiteral Float
+    | BoolLiteral Bool
+    | NullLiteral
+
+
+
+-- PARSING
+
+
+type Token
+    = LParen
+    | RParen
+    | DotDot
+    | Operator String
+    | Word String
+    | Number Float
+    | Text String
+    | Pattern String
+
+
+{-| Parse an expression, or describe why it is not valid.
+
+    parse "abs(delta(model.heading)) > 10"
+    -- Ok <query>
+
+    parse "model.heading >"
+    -- Err "Expected a number after >"
+
+-}
+parse : String -> Result String Query
+parse source =
+    tokenize (String.toList source) []
+        |> Result.andThen
+            (\tokens ->
+                if List.isEmpty tokens then
+                    Err "Enter an expression"
+
+                else
+                    parseOr tokens
+            )
+        |> Result.andThen
+            (\( query, rest ) ->
+                case rest of
+                    [] ->
+                        Ok query
+
+                    token :: _ ->
+                        Err ("Unexpected " ++ describeToken token)
+            )
+
+
+tokenize : List Char -> List Token -> Result String (List Token)
+tokenize chars tokens =
+    case chars of
+        [] ->
+            Ok (List.reverse tokens)
+
+        c :: rest ->
+            if c == ' ' || c == '\t' || c == '\n' || c == '\u{000D}' then
+                tokenize rest tokens
+
+            else if c == '(' then
+                tokenize rest (LParen :: tokens)
+
+            else if c == ')' then
+                tokenize rest (RParen :: tokens)
+
+            else if c == '"' then
+                delimited '"' rest []
+                    |> Result.andThen (\( content, remaining ) -> tokenize remaining (Text content :: tokens))
+
+            else if c == '/' then
+                delimited '/' rest []
+                    |> Result.andThen (\( content, remaining ) -> tokenize remaining (Pattern content :: tokens))
+
+            else if c == '.' then
+                case rest of
+                    '.' :: remaining ->
+                        tokenize remaining (DotDot :: tokens)
+
+                    _ ->
+                        Err "Unexpected ."
+
+            else if List.member c [ '=', '!', '<', '>', '~' ] then
+                case ( c, rest ) of
+                    ( '=', '~' :: remaining ) ->
+                        tokenize remaining (Operator "=~" :: tokens)
+
+                    ( '!', '=' :: remaining ) ->
+                        tokenize remaining (Operator "!=" :: tokens)
+
+                    ( '<', '=' :: remaining ) ->
+                        tokenize remaining (Operator "<=" :: tokens)
+
+                    ( '>', '=' :: remaining ) ->
+                        tokenize remaining (Operator ">=" :: tokens)
+
+                    ( '!', _ ) ->
+                        Err "Unexpected ! (use not, or != to compare)"
+
+                    _ ->
+                        tokenize rest (Operator (String.fromChar c) :: tokens)
+
+            else if Char.isDigit c || c == '-' then
+                number chars
+                    |> Result.andThen (\( value, remaining ) -> tokenize remaining (Number value :: tokens))
+
+            else if Char.isAlpha c || c == '_' || c == '$' || c == '@' then
+                let
+                    wordChars =
+                        takeWhile isWordChar chars
+                in
+                tokenize (List.drop (List.length wordChars) chars) (Word (String.fromList wordChars) :: tokens)
+
+            else
+                Err ("Unexpected " ++ String.fromChar c)
+
+
+isWordChar : Char -> Bool
+isWordChar c =
+    Char.isAlphaNum c || List.member c [ '_', '$', '@', '-', '.' ]
+
+
+takeWhile : (a -> Bool) -> List a -> List a
+takeWhile predicate items =
+    case items of
+        item :: rest ->
+            if predicate item then
+                item :: takeWhile predicate rest
+
+            else
+                []
+
+        [] ->
+            []
+
+
+{-| Read text up to a closing quote. In strings a backslash escapes the next
+character; in regular expressions it is kept, except before the closing `/`.
+-}
+delimited : Char -> List Char -> List Char -> Result String ( String, List Char )
+delimited quote chars collected =
+    case chars of
+        [] ->
+            if quote == '"' then
+                Err "Missing closing \""
+
+            else
+                Err "Missing closing / of the regular expression"
+
+        '\\' :: next :: rest ->
+            if next == quote || quote == '"' then
+                delimited quote rest (next :: collected)
+
+            else
+                delimited quote rest (next :: '\\' :: collected)
+
+        c :: rest ->
+            if c == quote then
+                Ok ( String.fromList (List.reverse collected), rest )
+
+            else
+                delimited quote rest (c :: collected)
+
+
+{-| Read a number such as `-12` or `0.5`. A `.` only continues the number
+when a digit follows it, so `10..20` reads as two numbers.
+-}
+number : List Char -> Result String ( Float, List Char )
+number chars =
+    let
+        ( sign, unsigned ) =
+            case chars of
+                '-' :: rest ->
+                    ( "-", rest )
+
+                _ ->
+                    ( "", chars )
+
+        whole =
+            takeWhile Char.isDigit unsigned
+
+        afterWhole =
+            List.drop (List.length whole) unsigned
+
+        ( fraction, remaining ) =
+            case afterWhole of
+                '.' :: d :: rest ->
+                    if Char.isDigit d then
+                        let
+                            digits =
+                                takeWhile Char.isDigit (d :: rest)
+                        in
+                        ( "." ++ String.fromList digits, List.drop (List.length digits) (d :: rest) )
+
+                    else
+                        ( "", afterWhole )
+
+                _ ->
+                    ( "", afterWhole )
+    in
+    case String.toFloat (sign ++ String.fromList whole ++ fraction) of
+        Just value ->
+            if List.isEmpty whole then
+                Err "Expected a number after -"
+
+            else
+                Ok ( value, remaining )
+
+        Nothing ->
+            Err "Expected a number after -"
+
+
+describeToken : Token -> String
+describeToken token =
+    case token of
+        LParen ->
+            "("
+
+        RParen ->
+            ")"
+
+        DotDot ->
+            ".."
+
+        Operator op ->
+            op
+
+        Word word ->
+            word
+
+        Number value ->
+            String.fromFloat value
+
+        Text content ->
+            "\"" ++ content ++ "\""
+
+        Pattern content ->
+            "/" ++ content ++ "/"
+
+
+isKeyword : String -> Token -> Bool
+isKeyword keyword token =
+    case token of
+        Word word ->
+            String.toLower word == keyword
+
+        _ ->
+            False
+
+
+parseOr : List Token -> Result String ( Query, List Token )
+parseOr tokens =
+    parseAnd tokens
+        |> Result.andThen parseOrRest
+
+
+parseOrRest : ( Query, List Token ) -> Result String ( Query, List Token )
+parseOrRest ( left, tokens ) =
+    case tokens of
+        token :: rest ->
+            if isKeyword "or" token then
+                parseAnd rest
+                    |> Result.andThen (\( right, remaining ) -> parseOrRest ( Or left right, remaining ))
+
+            else
+                Ok ( left, tokens )
+
+        [] ->
+            Ok ( left, tokens )
+
+
+parseAnd : List Token -> Result String ( Query, List Token )
+parseAnd tokens =
+    parseNot tokens
+        |> Result.andThen parseAndRest
+
+
+parseAndRest : ( Query, List Token ) -> Result String ( Query, List Token )
+parseAndRest ( left, tokens ) =
+    case tokens of
+        token :: rest ->
+            if isKeyword "and" token then
+                parseNot rest
+                    |> Result.andThen (\( right, remaining ) -> parseAndRest ( And left right, remaining ))
+
+            else
+                Ok ( left, tokens )
+
+        [] ->
+            Ok ( left, tokens )
+
+
+parseNot : List Token -> Result String ( Query, List Token )
+parseNot tokens =
+    case tokens of
+        token :: rest ->
+            if isKeyword "not" token then
+                parseNot rest
+                    |> Result.map (Tuple.mapFirst Not)
+
+            else
+                parsePrimary tokens
+
+        [] ->
+            Err "Expected a condition at the end"
+
+
+parsePrimary : List Token -> Result String ( Query, List Token )
+parsePrimary tokens =
+    case tokens of
+        LParen :: rest ->
+            parseOr rest
+                |> Result.andThen
+                    (\( query, remaining ) ->
+                        case remaining of
+                            RParen :: afterGroup ->
+                                Ok ( query, afterGroup )
+
+                            _ ->
+                                Err "Missing )"
+                    )
+
+        (Word word) :: LParen :: (Word pathWord) :: RParen :: rest ->
+            if String.toLower word == "changed" then
+                modelPath pathWord
+                    |> Result.map (\path -> ( Changed path, rest ))
+
+            else
+                parseCondition tokens
+
+        _ ->
+            parseCondition tokens
+
+
+parseCondition : List Token -> Result String ( Query, List Token )
+parseCondition tokens =
+    parseOperand tokens
+        |> Result.andThen
+            (\( operand, rest ) ->
+                parseComparison rest
+                    |> Result.map (Tuple.mapFirst (Compare operand))
+            )
+
+
+parseOperand : List Token -> Result String ( Operand, List Token )
+parseOperand tokens =
+    case tokens of
+        (Word word) :: LParen :: rest ->
+            case String.toLower word of
+                "delta" ->
+                    case rest of
+                        (Word pathWord) :: RParen :: remaining ->
+                            modelPath pathWord
+                                |> Result.map (\path -> ( Delta path, remaining ))
+
+                        _ ->
+                            Err "delta needs a model field, like delta(model.count)"
+
+                "abs" ->
+                    parseOperand rest
+                        |> Result.andThen
+                            (\( inner, remaining ) ->
+                                case remaining of
+                                    RParen :: afterCall ->
+                                        Ok ( Abs inner, afterCall )
+
+                                    _ ->
+                                        Err "Missing ) after abs("
+                            )
+
+                _ ->
+                    Err ("Unknown function " ++ word)
+
+        (Word word) :: rest ->
+            field word
+                |> Result.map (\operand -> ( operand, rest ))
+
+        token :: _ ->
+            Err ("Expected a field but found " ++ describeToken token)
+
+        [] ->
+            Err "Expected a field at the end"
+
+
+field : String -> Result String Operand
+field word =
+    case String.split "." word of
+        root :: path ->
+            let
+                toOperand r =
+                    if List.any String.isEmpty path then
+                        Err ("Empty segment in " ++ word)
+
+                    else
+                        Ok (Field r path)
+            in
+            case String.toLower root of
+                "msg" ->
+                    toOperand MessageRoot
+
+                "message" ->
+                    toOperand MessageRoot
+
+                "model" ->
+                    toOperand ModelRoot
+
+                "before" ->
+                    toOperand BeforeRoot
+
+                "effect" ->
+                    toOperand EffectRoot
+
+                "sub" ->
+                    toOperand SubscriptionRoot
+
+                "subscription" ->
+                    toOperand SubscriptionRoot
+
+                _ ->
+                    Err ("Unknown field " ++ word ++ " (fields start with msg, model, before, effect or sub)")
+
+        [] ->
+            Err "Expected a field"
+
+
+modelPath : String -> Result String TreePath
+modelPath word =
+    case field word of
+        Ok (Field ModelRoot path) ->
+            Ok path
+
+        Ok _ ->
+            Err ("Expected a model field, like model.count, but found " ++ word)
+
+        Err error ->
+            Err error
+
+
+parseComparison : List Token -> Result String ( Comparison, List Token )
+parseComparison tokens =
+    let
+        numberAfter op toComparison rest =
+            case rest of
+                (Number value) :: remaining ->
+                    Ok ( toComparison value, remaining )
+
+                _ ->
+                    Err ("Expected a number after " ++ op)
+    in
+    case tokens of
+        (Operator "=") :: rest ->
+            parseLiteral "=" rest
+                |> Result.map (Tuple.mapFirst Equals)
+
+        (Operator "!=") :: rest ->
+            parseLiteral "!=" rest
+                |> Result.map (Tuple.mapFirst NotEquals)
+
+        (Operator "<") :: rest ->
+            numberAfter "<" LessThan rest
+
+        (Operator "<=") :: rest ->
+            numberAfter "<=" AtMost rest
+
+        (Operator ">") :: rest ->
+            numberAfter ">" GreaterThan rest
+
+        (Operator ">=") :: rest ->
+            numberAfter ">=" AtLeast rest
+
+        (Operator "~") :: (Text pattern) :: rest ->
+            Ok ( Glob pattern, rest )
+
+        (Operator "~") :: _ ->
+            Err "Expected a quoted pattern after ~, like ~ \"Swerve*\""
+
+        (Operator "=~") :: rest ->
+            case rest of
+                (Pattern pattern) :: remaining ->
+                    regexComparison pattern remaining
+
+                (Text pattern) :: remaining ->
+                    regexComparison pattern remaining
+
+                _ ->
+                    Err "Expected a regular expression after =~, like =~ /Swerve.*/"
+
+        (Word word) :: (Number low) :: DotDot :: (Number high) :: rest ->
+            if String.toLower word == "in" then
+                Ok ( Between low high, rest )
+
+            else
+                Err ("Unexpected " ++ word)
+
+        (Word word) :: _ ->
+            if String.toLower word == "in" then
+                Err "Expected a range after in, like in 10..20"
+
+            else
+                Err ("Expected a comparison before " ++ word)
+
+        token :: _ ->
+            Err ("Expected a comparison but found " ++ describeToken token)
+
+        [] ->
+            Err "Expected a comparison at the end"
+
+
+regexComparison : String -> List Token -> Result String ( Comparison, List Token )
+regexComparison pattern rest =
+    case Regex.fromString pattern of
+        Just _ ->
+            Ok ( Matches pattern, rest )
+
+        Nothing ->
+            Err ("Invalid regular expression /" ++ pattern ++ "/")
+
+
+parseLiteral : String -> List Token -> Result String ( Literal, List Token )
+parseLiteral op tokens =
+    case tokens of
+        (Text content) :: rest ->
+            Ok ( StringLiteral content, rest )
+
+        (Number value) :: rest ->
+            Ok ( NumberLiteral value, rest )
+
+        (Word word) :: rest ->
+            case String.toLower word of
+                "true" ->
+                    Ok ( BoolLiteral True, rest )
+
+                "false" ->
+                    Ok ( BoolLiteral False, rest )
+
+                "null" ->
+                    Ok ( NullLiteral, rest )
+
+                _ ->
+                    Err ("Expected a value after " ++ op ++ "; put text in quotes, like \"" ++ word ++ "\"")
+
+        _ ->
+            Err ("Expected a value after " ++ op)
+
+
+
+-- EVALUATION
+
+
+{-| Check whether an entry satisfies an expression.
+-}
+matches : Query -> LogEntry -> Bool
+matches query entry =
+    case query of
+        And left right ->
+            matches left entry && matches right entry
+
+        Or left right ->
+            matches left entry || matches right entry
+
+        Not inner ->
+            not (matches inner entry)
+
+        Changed path ->
+            case entry of
+                UpdateEntry data ->
+                    Diff.changeAt path data.modelBefore data.modelAfter /= Nothing
+
+                _ ->
+                    False
+
+        Compare operand comparison ->
+            List.any (satisfies comparison) (values operand entry)
+
+
+{-| The values a field holds in an entry: none when it is missing, and
+several for effects and subscriptions.
+-}
+values : Operand -> LogEntry -> List D.Value
+values operand entry =
+    case operand of
+        Field root path ->
+            case ( root, entry ) of
+                ( MessageRoot, UpdateEntry data ) ->
+                    if List.isEmpty path then
+                        [ E.string data.message.name ]
+
+                    else
+                        valuesAt path data.message.payload
+
+                ( ModelRoot, UpdateEntry data ) ->
+                    valuesAt path data.modelAfter
+
+                ( ModelRoot, InitEntry data ) ->
+                    valuesAt path data.model
+
+                ( BeforeRoot, UpdateEntry data ) ->
+                    valuesAt path data.modelBefore
+
+                ( EffectRoot, UpdateEntry data ) ->
+                    effectValues path data.effects
+
+                ( EffectRoot, InitEntry data ) ->
+                    effectValues path data.effects
+
+                ( SubscriptionRoot, SubscriptionChangeEntry data ) ->
+                    if List.isEmpty path then
+                        List.filterMap subscriptionName (data.started ++ data.stopped)
+
+                    else
+                        List.concatMap (valuesAt path) (data.started ++ data.stopped)
+
+                _ ->
+                    []
+
+        Delta path ->
+            case entry of
+                UpdateEntry data ->
+                    Maybe.map2 (\before after -> [ E.float (after - before) ])
+                        (numberAt path data.modelBefore)
+                        (numberAt path data.modelAfter)
+                        |> Maybe.withDefault []
+
+                _ ->
+                    []
+
+        Abs inner ->
+            values inner entry
+                |> List.filterMap (D.decodeValue D.float >> Result.toMaybe)
+                |> List.map (abs >> E.float)
+
+
+valuesAt : TreePath -> D.Value -> List D.Value
+valuesAt path value =
+    Diff.valueAt path value
+        |> Maybe.map List.singleton
+        |> Maybe.withDefault []
+
+
+numberAt : TreePath -> D.Value -> Maybe Float
+numberAt path value =
+    Diff.valueAt path value
+        |> Maybe.andThen (D.decodeValue D.float >> Result.toMaybe)
+
+
+effectValues : TreePath -> List Types.Effect -> List D.Value
+effectValues path effects =
+    if List.isEmpty path then
+        List.map (.name >> E.string) effects
+
+    else
+        List.concatMap (.data >> valuesAt path) effects
+
+
+subscriptionName : D.Value -> Maybe D.Value
+subscriptionName value =
+    D.decodeValue (D.oneOf [ D.field "name" D.string, D.field "_type" D.string, D.string ]) value
+        |> Result.toMaybe
+        |> Maybe.map E.string
+
+
+{-| Build a test for one comparison. Patterns are compiled once, before the
+test is applied to each value.
+-}
+satisfies : Comparison -> D.Value -> Bool
+satisfies comparison =
+    let
+        numberTest test value =
+            case D.decodeValue D.float value of
+                Ok n ->
+                    test n
+
+                Err _ ->
+                    False
+
+        regexTest maybeRegex value =
+            case ( maybeRegex, valueText value ) of
+                ( Just regex, Just str ) ->
+                    Regex.contains regex str
+
+                _ ->
+                    False
+    in
+    case comparison of
+        Equals literal ->
+            equalsLiteral literal
+
+        NotEquals literal ->
+            \value -> not (equalsLiteral literal value)
+
+        LessThan limit ->
+            numberTest (\n -> n < limit)
+
+        AtMost limit ->
+            numberTest (\n -> n <= limit)
+
+        GreaterThan limit ->
+            numberTest (\n -> n > limit)
+
+        AtLeast limit ->
+            numberTest (\n -> n >= limit)
+
+        Between low high ->
+            numberTest (\n -> n >= low && n <= high)
+
+        Glob pattern ->
+            regexTest (globRegex pattern)
+
+        Matches pattern ->
+            regexTest (Regex.fromString pattern)
+
+
+equalsLiteral : Literal -> D.Value -> Bool
+equalsLiteral literal value =
+    case literal of
+        StringLiteral str ->
+            D.decodeValue D.string value == Ok str
+
+        NumberLiteral n ->
+            D.decodeValue D.float value == Ok n
+
+        BoolLiteral b ->
+            D.decodeValue D.bool value == Ok b
+
+        NullLiteral ->
+            D.decodeValue (D.null True) value == Ok True
+
+
+{-| The text of a string, number or boolean, for pattern matching.
+-}
+valueText : D.Value -> Maybe String
+valueText value =
+    D.decodeValue
+        (D.oneOf
+            [ D.string
+            , D.map String.fromFloat D.float
+            , D.map
+                (\b ->
+                    if b then
+                        "true"
+
+                    else
+                        "false"
+                )
+                D.bool
+            ]
+        )
+        value
+        |> Result.toMaybe
+
+
+{-| Turn a `*` and `?` pattern into a case-insensitive regular expression
+that must match the whole text.
+-}
+globRegex : String -> Maybe Regex
+globRegex pattern =
+    let
+        translate c =
+            if c == '*' then
+                ".*"
+
+            else if c == '?' then
+                "."
+
+            else if String.contains (String.fromChar c) "\\^$.|+()[]{}" then
+                "\\" ++ String.fromChar c
+
+            else
+                String.fromChar c
+    in
+    Regex.fromStringWith { caseInsensitive = True, multiline = False }
+        ("^" ++ String.concat (List.map translate (String.toList pattern)) ++ "$")
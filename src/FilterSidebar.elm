@@ -8,7 +8,8 @@ module FilterSidebar exposing
 {-| Filter sidebar UI component for the advanced filtering system.
 
 This module provides the view for the right-hand filter sidebar,
-including filter CRUD operations, category sections, and toggle controls.
+including filter CRUD operations, category sections, toggle controls, and
+named presets.
 
 @docs Msg, Config, view, viewToggleButton
 
@@ -21,6 +22,7 @@ import Filter
         , Filter(..)
         , FilterCategory(..)
         , FilterStatus(..)
+        , Preset
         , categoryIcon
         , categoryName
         , editingFilterCategory
@@ -30,9 +32,11 @@ import Filter
         , filterDisplayDetail
         , filterDisplayName
         )
+import FilterQuery
 import Html exposing (..)
 import Html.Attributes exposing (..)
 import Html.Events exposing (..)
+import TypeRegistry exposing (TypeRegistry)
 
 
 {-| Messages produced by the filter sidebar.
@@ -49,6 +53,12 @@ type Msg
     | SaveEdit
     | UpdateEditingFilter EditingFilter
     | ChangeEditingType EditingFilter
+    | ApplyPreset Int
+    | DeletePreset Int
+    | SetPresetName String
+    | SavePreset
+    | ImportPresets
+    | ExportPresets
 
 
 {-| Configuration for the filter sidebar view.
@@ -62,6 +72,9 @@ type alias Config =
     -- Maybe Int: Nothing = adding new, Just idx = editing existing
     , totalEntries : Int
     , visibleEntries : Int
+    , presets : List Preset
+    , presetName : String
+    , typeRegistry : TypeRegistry
     }
 
 
@@ -107,6 +120,7 @@ view config =
             [ viewFilterList config
             , viewEditingForm config
             ]
+        , viewPresets config
         ]
 
 
@@ -174,7 +188,7 @@ viewFilterList : Config -> Html Msg
 viewFilterList config =
     let
         allCategories =
-            [ MessageCategory, ModelCategory, EffectsCategory, SubscriptionsCategory ]
+            [ MessageCategory, ModelCategory, EffectsCategory, SubscriptionsCategory, QueryCategory ]
 
         indexed =
             List.indexedMap Tuple.pair config.filters
@@ -304,7 +318,7 @@ viewEditingForm config =
                     [ span [ class "text-sm font-semibold" ] [ text title_ ]
                     ]
                 , viewFilterTypeSelector editingFilter
-                , viewEditingFields editingFilter
+                , viewEditingFields config.typeRegistry editingFilter
                 , div [ class "flex justify-end gap-2 mt-3" ]
                     [ button
                         [ class "btn btn-ghost btn-xs"
@@ -385,6 +399,9 @@ editingFilterTypeValue ef =
         EditingSubscriptionField _ ->
             "subscription-field"
 
+        EditingQuery _ ->
+            "query"
+
 
 {-| Get the type options for a category.
 -}
@@ -413,6 +430,10 @@ typeOptionsForCategory category =
             , option [ value "subscription-field" ] [ text "Field = Value" ]
             ]
 
+        QueryCategory ->
+            [ option [ value "query" ] [ text "Expression" ]
+            ]
+
 
 {-| Convert a select value back to an editing filter.
 -}
@@ -449,18 +470,21 @@ typeValueToEditing category typeValue =
         "subscription-field" ->
             EditingSubscriptionField { key = "*", value = "" }
 
+        "query" ->
+            EditingQuery { query = "" }
+
         _ ->
             Filter.emptyEditingFilter category
 
 
 {-| Render the editing fields for the current filter type.
 -}
-viewEditingFields : EditingFilter -> Html Msg
-viewEditingFields editingFilter =
+viewEditingFields : TypeRegistry -> EditingFilter -> Html Msg
+viewEditingFields registry editingFilter =
     case editingFilter of
         EditingMessageName { query } ->
             div []
-                [ viewInputField "Name pattern" query (\v -> UpdateEditingFilter (EditingMessageName { query = v }))
+                [ viewNameField (TypeRegistry.names TypeRegistry.Messages registry) "Name pattern" query (\v -> UpdateEditingFilter (EditingMessageName { query = v }))
                 , viewHint "Fuzzy match: characters must appear in order"
                 ]
 
@@ -491,7 +515,7 @@ viewEditingFields editingFilter =
 
         EditingEffectName { query } ->
             div []
-                [ viewInputField "Effect name pattern" query (\v -> UpdateEditingFilter (EditingEffectName { query = v }))
+                [ viewNameField (TypeRegistry.names TypeRegistry.Effects registry) "Effect name pattern" query (\v -> UpdateEditingFilter (EditingEffectName { query = v }))
                 , viewHint "Fuzzy match: characters must appear in order"
                 ]
 
@@ -503,7 +527,7 @@ viewEditingFields editingFilter =
 
         EditingSubscriptionName { query } ->
             div []
-                [ viewInputField "Subscription name pattern" query (\v -> UpdateEditingFilter (EditingSubscriptionName { query = v }))
+                [ viewNameField (TypeRegistry.names TypeRegistry.Subscriptions registry) "Subscription name pattern" query (\v -> UpdateEditingFilter (EditingSubscriptionName { query = v }))
                 , viewHint "Fuzzy match: characters must appear in order"
                 ]
 
@@ -513,6 +537,24 @@ viewEditingFields editingFilter =
                 , viewInputField "Value" value (\v -> UpdateEditingFilter (EditingSubscriptionField { key = key, value = v }))
                 ]
 
+        EditingQuery { query } ->
+            div []
+                [ textarea
+                    [ class "textarea textarea-bordered textarea-xs w-full font-mono"
+                    , rows 3
+                    , placeholder "msg ~ \"Swerve*\" and model.heading > 90"
+                    , value query
+                    , onInput (\v -> UpdateEditingFilter (EditingQuery { query = v }))
+                    ]
+                    []
+                , case ( String.isEmpty (String.trim query), FilterQuery.parse query ) of
+                    ( False, Err error ) ->
+                        p [ class "text-xs text-error mt-1" ] [ text error ]
+
+                    _ ->
+                        viewHint "Fields: msg, model.x, before.x, effect, sub. Combine with and, or, not. Compare with = != < > in 1..5 ~ \"Glob*\" =~ /regex/, or use changed(model.x), delta(model.x) and abs(...)"
+                ]
+
 
 viewInputField : String -> String -> (String -> Msg) -> Html Msg
 viewInputField placeholder_ currentValue onInputMsg =
@@ -526,6 +568,103 @@ viewInputField placeholder_ currentValue onInputMsg =
         []
 
 
+{-| A text field that suggests the names declared in the log's type registry.
+-}
+viewNameField : List String -> String -> String -> (String -> Msg) -> Html Msg
+viewNameField suggestions placeholder_ currentValue onInputMsg =
+    if List.isEmpty suggestions then
+        viewInputField placeholder_ currentValue onInputMsg
+
+    else
+        div []
+            [ input
+                [ type_ "text"
+                , class "input input-bordered input-xs w-full"
+                , placeholder placeholder_
+                , value currentValue
+                , onInput onInputMsg
+                , list "filter-name-suggestions"
+                ]
+                []
+            , datalist [ id "filter-name-suggestions" ]
+                (List.map (\suggestion -> option [ value suggestion ] []) suggestions)
+            ]
+
+
 viewHint : String -> Html Msg
 viewHint hintText =
     p [ class "text-xs text-base-content/50 mt-1" ] [ text hintText ]
+
+
+{-| Render the saved presets, with controls to save the current filters as a
+preset and to import or export presets for sharing.
+-}
+viewPresets : Config -> Html Msg
+viewPresets config =
+    let
+        trimmedName =
+            String.trim config.presetName
+    in
+    div [ class "p-2 border-t border-base-300 bg-base-100/50" ]
+        [ div [ class "flex items-center justify-between px-1 mb-1" ]
+            [ div [ class "flex items-center gap-1.5" ]
+                [ i [ class "fa-solid fa-bookmark text-xs text-base-content/50" ] []
+                , span [ class "text-xs font-semibold uppercase tracking-wider text-base-content/60" ]
+                    [ text "Presets" ]
+                ]
+            , div [ class "flex items-center" ]
+                [ button
+                    [ class "btn btn-ghost btn-xs px-1"
+                    , onClick ImportPresets
+                    , title "Import presets from a file"
+                    ]
+                    [ i [ class "fa-solid fa-file-import text-xs" ] [] ]
+                , button
+                    [ class "btn btn-ghost btn-xs px-1"
+                    , onClick ExportPresets
+                    , disabled (List.isEmpty config.presets)
+                    , title "Export presets to a file"
+                    ]
+                    [ i [ class "fa-solid fa-file-export text-xs" ] [] ]
+                ]
+            ]
+        , div [ class "space-y-0.5 mb-1.5" ]
+            (List.indexedMap
+                (\index preset ->
+                    div [ class "flex items-center gap-1 px-1 text-xs" ]
+                        [ button
+                            [ class "btn btn-ghost btn-xs flex-1 justify-start font-normal truncate"
+                            , onClick (ApplyPreset index)
+                            , title ("Replace the filters with " ++ preset.name)
+                            ]
+                            [ text preset.name
+                            , span [ class "text-base-content/40" ] [ text (" (" ++ String.fromInt (List.length preset.filters) ++ ")") ]
+                            ]
+                        , button
+                            [ class "btn btn-ghost btn-xs px-1 text-error"
+                            , onClick (DeletePreset index)
+                            , title "Delete preset"
+                            ]
+                            [ i [ class "fa-solid fa-trash text-xs" ] [] ]
+                        ]
+                )
+                config.presets
+            )
+        , div [ class "flex items-center gap-1 px-1" ]
+            [ input
+                [ type_ "text"
+                , class "input input-bordered input-xs flex-1 min-w-0"
+                , placeholder "Preset name"
+                , value config.presetName
+                , onInput SetPresetName
+                ]
+                []
+            , button
+                [ class "btn btn-xs"
+                , onClick SavePreset
+                , disabled (String.isEmpty trimmedName || List.isEmpty config.filters)
+                , title "Save the current filters as a preset"
+                ]
+                [ text "Save" ]
+            ]
+        ]
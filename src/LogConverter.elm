@@ -0,0 +1,297 @@
+module LogConverter exposing
+    ( Format(..)
+    , Options
+    , Converter
+    , init
+    , header
+    , convertLine
+    )
+
+{-| Convert TeaForge logs between their on-disk forms, for the `convert`
+command of the command-line tool.
+
+  - `FullModel` (v1): every init and update entry carries the whole `model`
+  - `ModelDiff` (v2): every init and update entry carries a `modelDiff` patch
+    from the previous model
+
+Either form can also be written with `stringDict` compression, where every
+object key and string is replaced by an `@N` reference and the strings are
+defined by `stringDict` lines before their first use.
+
+Lines are read with `LogParser.parseLine`, so any log the debugger can open
+can be converted. Entries keep all of their other fields (message, effects,
+and anything else the producer wrote); only the model fields are rewritten.
+
+@docs Format, Options, Converter, init, header, convertLine
+
+-}
+
+import CompressionDict
+import Dict exposing (Dict)
+import Diff
+import Json.Decode as D
+import Json.Encode as E
+import LogParser exposing (ParseState)
+import Types exposing (LogEntry(..))
+
+
+{-| How init and update entries describe the model.
+-}
+type Format
+    = FullModel
+    | ModelDiff
+
+
+{-| Output settings.
+-}
+type alias Options =
+    { format : Format
+    , compress : Bool
+    }
+
+
+{-| Conversion state carried between lines: the parse state of the input and
+the strings already defined in the output's string dictionary.
+-}
+type alias Converter =
+    { options : Options
+    , parseState : ParseState
+    , strings : Dict String Int
+    }
+
+
+{-| Start converting a log.
+-}
+init : Options -> Converter
+init options =
+    { options = options
+    , parseState = LogParser.initialParseState
+    , strings = Dict.empty
+    }
+
+
+{-| The header line that starts the converted log.
+-}
+header : Options -> E.Value
+header options =
+    E.object
+        ([ ( "type", E.string "header" )
+         , ( "version"
+           , case options.format of
+                FullModel ->
+                    E.int 1
+
+                ModelDiff ->
+                    E.int 2
+           )
+         ]
+            ++ (if options.compress then
+                    [ ( "compression", E.string "stringDict" ) ]
+
+                else
+                    []
+               )
+        )
+
+
+{-| Convert one input line.
+
+Returns the updated converter, the entry the parser produced for the line (if
+any), and the output lines: none for header and `stringDict` lines (the
+converter writes its own) or for lines the parser rejects, otherwise the
+converted entry, preceded by a `stringDict` line when compression introduces
+new strings.
+
+-}
+convertLine : Int -> D.Value -> Converter -> { converter : Converter, entry : Maybe LogEntry, lines : List E.Value }
+convertLine lineNum rawValue converter =
+    let
+        ( parseState, maybeEntry ) =
+            LogParser.parseLine lineNum rawValue converter.parseState
+
+        parsed =
+            { converter | parseState = parseState }
+
+        -- Decompress with the dictionary that was in effect for this line
+        decompressed =
+            CompressionDict.decompressValue converter.parseState.compression rawValue
+
+        ( nextConverter, lines ) =
+            case maybeEntry of
+                Just (InitEntry data) ->
+                    emit (withModel converter.options.format (E.object []) data.model decompressed) parsed
+
+                Just (UpdateEntry data) ->
+                    emit (withModel converter.options.format data.modelBefore data.modelAfter decompressed) parsed
+
+                Just (SubscriptionChangeEntry _) ->
+                    emit decompressed parsed
+
+                Just (ErrorEntry _) ->
+                    ( parsed, [] )
+
+                Nothing ->
+                    ( parsed, [] )
+    in
+    { converter = nextConverter, entry = maybeEntry, lines = lines }
+
+
+{-| Replace an entry's model fields with the model in the output format.
+-}
+withModel : Format -> D.Value -> D.Value -> D.Value -> E.Value
+withModel format modelBefore modelAfter entry =
+    let
+        otherFields =
+            D.decodeValue (D.keyValuePairs D.value) entry
+                |> Result.withDefault []
+                |> List.filter (\( key, _ ) -> key /= "model" && key /= "modelDiff")
+
+        modelField =
+            case format of
+                FullModel ->
+                    ( "model", modelAfter )
+
+                ModelDiff ->
+                    ( "modelDiff"
+                    , E.list Diff.encodeDiffOperation (Diff.createPatch modelBefore modelAfter)
+                    )
+    in
+    E.object (otherFields ++ [ modelField ])
+
+
+{-| Produce the output lines for a converted entry, compressing it if needed.
+-}
+emit : E.Value -> Converter -> ( Converter, List E.Value )
+emit entry converter =
+    if converter.options.compress then
+        let
+            ( compressed, strings, newStrings ) =
+                compressValue entry ( converter.strings, [] )
+        in
+        ( { converter | strings = strings }
+        , if List.isEmpty newStrings then
+            [ compressed ]
+
+          else
+            [ stringDictLine (List.reverse newStrings), compressed ]
+        )
+
+    else
+        ( converter, [ entry ] )
+
+
+{-| A `stringDict` line defining the given strings.
+-}
+stringDictLine : List ( Int, String ) -> E.Value
+stringDictLine definitions =
+    E.object
+        [ ( "type", E.string "stringDict" )
+        , ( "strings"
+          , E.object (List.map (\( id, str ) -> ( String.fromInt id, E.string str )) definitions)
+          )
+        ]
+
+
+{-| Replace every nested object key and string in an entry with an `@N`
+reference, assigning new ids to strings seen for the first time.
+
+The entry's own fields (`type`, `timestamp`, `message`, `model`, ...) keep
+their names, as in the logs the application writes; only their values are
+compressed. `type` is left as it is, as the debugger detects entry types
+before decompressing. New definitions are accumulated in reverse.
+
+-}
+compressValue : D.Value -> ( Dict String Int, List ( Int, String ) ) -> ( E.Value, Dict String Int, List ( Int, String ) )
+compressValue entry ( strings, newStrings ) =
+    case D.decodeValue (D.keyValuePairs D.value) entry of
+        Ok pairs ->
+            let
+                ( fields, finalStrings, finalNew ) =
+                    List.foldl
+                        (\( key, value ) ( accFields, accStrings, accNew ) ->
+                            if key == "type" then
+                                ( ( key, value ) :: accFields, accStrings, accNew )
+
+                            else
+                                let
+                                    ( compressedValue, valueStrings, valueNew ) =
+                                        compressNested value ( accStrings, accNew )
+                                in
+                                ( ( key, compressedValue ) :: accFields, valueStrings, valueNew )
+                        )
+                        ( [], strings, newStrings )
+                        pairs
+            in
+            ( E.object (List.reverse fields), finalStrings, finalNew )
+
+        Err _ ->
+            compressNested entry ( strings, newStrings )
+
+
+compressNested : D.Value -> ( Dict String Int, List ( Int, String ) ) -> ( E.Value, Dict String Int, List ( Int, String ) )
+compressNested value ( strings, newStrings ) =
+    case D.decodeValue (D.keyValuePairs D.value) value of
+        Ok pairs ->
+            let
+                ( fields, finalStrings, finalNew ) =
+                    List.foldl
+                        (\( key, child ) ( accFields, accStrings, accNew ) ->
+                            let
+                                ( keyRef, keyStrings, keyNew ) =
+                                    reference key ( accStrings, accNew )
+
+                                ( compressedChild, childStrings, childNew ) =
+                                    compressNested child ( keyStrings, keyNew )
+                            in
+                            ( ( keyRef, compressedChild ) :: accFields, childStrings, childNew )
+                        )
+                        ( [], strings, newStrings )
+                        pairs
+            in
+            ( E.object (List.reverse fields), finalStrings, finalNew )
+
+        Err _ ->
+            case D.decodeValue (D.list D.value) value of
+                Ok items ->
+                    let
+                        ( compressedItems, finalStrings, finalNew ) =
+                            List.foldl
+                                (\item ( accItems, accStrings, accNew ) ->
+                                    let
+                                        ( compressedItem, itemStrings, itemNew ) =
+                                            compressNested item ( accStrings, accNew )
+                                    in
+                                    ( compressedItem :: accItems, itemStrings, itemNew )
+                                )
+                                ( [], strings, newStrings )
+                                items
+                    in
+                    ( E.list identity (List.reverse compressedItems), finalStrings, finalNew )
+
+                Err _ ->
+                    case D.decodeValue D.string value of
+                        Ok str ->
+                            let
+                                ( ref, refStrings, refNew ) =
+                                    reference str ( strings, newStrings )
+                            in
+                            ( E.string ref, refStrings, refNew )
+
+                        Err _ ->
+                            ( value, strings, newStrings )
+
+
+{-| The `@N` reference for a string, defining it if it is new.
+-}
+reference : String -> ( Dict String Int, List ( Int, String ) ) -> ( String, Dict String Int, List ( Int, String ) )
+reference str ( strings, newStrings ) =
+    case Dict.get str strings of
+        Just id ->
+            ( "@" ++ String.fromInt id, strings, newStrings )
+
+        Nothing ->
+            let
+                id =
+                    Dict.size strings
+            in
+            ( "@" ++ String.fromInt id, Dict.insert str id strings, ( id, str ) :: newStrings )
@@ -1,5 +1,8 @@
 module LogParser exposing
-    ( entryTypeDecoder
+    ( ParseState
+    , initialParseState
+    , parseLine
+    , entryTypeDecoder
     , initDataDecoder
     , updateDataDecoder
     , subscriptionChangeDataDecoder
@@ -12,6 +15,17 @@ module LogParser exposing
 
 This module provides JSON decoders for parsing individual TeaForge log entries
 from a streaming input source. Each entry is decoded based on its "type" field.
+Init and update entries may describe the model with a v2 `modelDiff` patch or
+a v1 full `model`.
+
+A v2 entry may also carry the full `model` as a keyframe, or a `modelChecksum`
+of the model after it, so that a model rebuilt from a corrupted or truncated
+log doesn't go unnoticed. The first entry whose rebuilt model no longer
+matches the app's is reported through `ParseState.divergence`.
+
+## Parsing a Log
+
+    parseLine : Int -> D.Value -> ParseState -> ( ParseState, Maybe LogEntry )
 
 ## Entry Type Detection
 
@@ -30,10 +44,12 @@ from a streaming input source. Each entry is decoded based on its "type" field.
 -}
 
 import CompressionDict exposing (Compression)
+import Dict
 import Diff
 import Json.Decode as D
 import Json.Encode as E
-import Types exposing (Effect, MessageData)
+import Types exposing (Effect, LogEntry(..), MessageData)
+import TypeRegistry exposing (TypeRegistry)
 
 
 {-| Intermediate type for decoded init entry data.
@@ -41,6 +57,8 @@ import Types exposing (Effect, MessageData)
 type alias InitData =
     { timestamp : Int
     , modelDiff : List Diff.DiffOperation
+    , keyframe : Maybe D.Value
+    , modelChecksum : Maybe String
     , effects : List Effect
     }
 
@@ -51,6 +69,8 @@ type alias UpdateData =
     { timestamp : Int
     , message : MessageData
     , modelDiff : List Diff.DiffOperation
+    , keyframe : Maybe D.Value
+    , modelChecksum : Maybe String
     , effects : List Effect
     }
 
@@ -69,9 +89,154 @@ type alias SubscriptionChangeData =
 type alias HeaderData =
     { version : Int
     , compression : Maybe String
+    , typeRegistry : Maybe TypeRegistry
+    }
+
+
+{-| State carried from one log line to the next while parsing a log.
+
+  - `compression`: string dictionary built from the header and `stringDict` lines
+  - `lastModelAfter`: model after the most recent init or update entry, which
+    the next entry's `modelDiff` is applied to
+  - `typeRegistry`: types declared by the header, empty if it had none
+  - `diverged`: whether `lastModelAfter` is known not to match the app's
+    model, until an init entry or keyframe brings it back in line
+  - `divergence`: why the rebuilt model stopped matching the app's at the line
+    just parsed, if it did there; set only on the first such line
+
+-}
+type alias ParseState =
+    { compression : Compression
+    , lastModelAfter : D.Value
+    , typeRegistry : TypeRegistry
+    , diverged : Bool
+    , divergence : Maybe String
+    }
+
+
+{-| State before the first line of a log.
+-}
+initialParseState : ParseState
+initialParseState =
+    { compression = CompressionDict.empty
+    , lastModelAfter = E.null
+    , typeRegistry = TypeRegistry.empty
+    , diverged = False
+    , divergence = Nothing
     }
 
 
+{-| Parse one line of a log, returning the updated state and the entry the line
+produced, if any.
+
+Header and `stringDict` lines only update the compression state and type
+registry, and lines with an unknown `type` are skipped, so none of them
+produce an entry. A line that
+can't be decoded produces an `ErrorEntry` and leaves the model unchanged.
+
+A patch that can't be applied as RFC 6902 requires, or a model that doesn't
+match the entry's keyframe or checksum, sets `divergence`. The operations of
+such a patch that can be applied still are, and a keyframe replaces the
+rebuilt model.
+
+-}
+parseLine : Int -> D.Value -> ParseState -> ( ParseState, Maybe LogEntry )
+parseLine lineNum rawValue previous =
+    let
+        state =
+            { previous | divergence = Nothing }
+
+        errorEntry error =
+            ( state
+            , Just (ErrorEntry { lineNumber = lineNum, rawText = "", error = D.errorToString error })
+            )
+    in
+    case D.decodeValue entryTypeDecoder rawValue of
+        Ok "header" ->
+            case D.decodeValue headerDecoder rawValue of
+                Ok headerData ->
+                    let
+                        withRegistry =
+                            { state | typeRegistry = Maybe.withDefault TypeRegistry.empty headerData.typeRegistry }
+                    in
+                    if headerData.compression == Just "stringDict" then
+                        ( { withRegistry | compression = CompressionDict.Enabled Dict.empty }, Nothing )
+
+                    else
+                        ( withRegistry, Nothing )
+
+                Err _ ->
+                    ( state, Nothing )
+
+        Ok "stringDict" ->
+            ( { state | compression = CompressionDict.merge rawValue state.compression }, Nothing )
+
+        Ok "init" ->
+            case D.decodeValue (initDataDecoder state.compression) rawValue of
+                Ok initData ->
+                    let
+                        ( appliedModel, rebuiltState ) =
+                            rebuildModel (E.object []) initData { state | diverged = False }
+                    in
+                    ( { rebuiltState | lastModelAfter = appliedModel }
+                    , Just
+                        (InitEntry
+                            { timestamp = initData.timestamp
+                            , model = appliedModel
+                            , effects = initData.effects
+                            }
+                        )
+                    )
+
+                Err e ->
+                    errorEntry e
+
+        Ok "update" ->
+            case D.decodeValue (updateDataDecoder state.compression) rawValue of
+                Ok updateData ->
+                    let
+                        ( appliedModel, rebuiltState ) =
+                            rebuildModel state.lastModelAfter updateData state
+                    in
+                    ( { rebuiltState | lastModelAfter = appliedModel }
+                    , Just
+                        (UpdateEntry
+                            { timestamp = updateData.timestamp
+                            , message = updateData.message
+                            , modelBefore = state.lastModelAfter
+                            , modelAfter = appliedModel
+                            , effects = updateData.effects
+                            }
+                        )
+                    )
+
+                Err e ->
+                    errorEntry e
+
+        Ok "subscriptionChange" ->
+            case D.decodeValue (subscriptionChangeDataDecoder state.compression) rawValue of
+                Ok subData ->
+                    ( state
+                    , Just
+                        (SubscriptionChangeEntry
+                            { timestamp = subData.timestamp
+                            , started = subData.started
+                            , stopped = subData.stopped
+                            }
+                        )
+                    )
+
+                Err e ->
+                    errorEntry e
+
+        Ok _ ->
+            -- Skip unknown entry types silently
+            ( state, Nothing )
+
+        Err e ->
+            errorEntry e
+
+
 {-| Decoder for the entry type field.
 -}
 entryTypeDecoder : D.Decoder String
@@ -80,17 +245,22 @@ entryTypeDecoder =
 
 
 {-| Decoder for header entry data.
+
+A `typeRegistry` that can't be decoded is ignored rather than failing the header.
+
 -}
 headerDecoder : D.Decoder HeaderData
 headerDecoder =
-    D.map2
-        (\version compression ->
+    D.map3
+        (\version compression typeRegistry ->
             { version = version
             , compression = compression
+            , typeRegistry = typeRegistry
             }
         )
         (D.oneOf [ D.field "version" D.int, D.succeed 1 ])
         (D.oneOf [ D.field "compression" (D.map Just D.string), D.succeed Nothing ])
+        (D.oneOf [ D.field "typeRegistry" (D.map Just TypeRegistry.decoder), D.succeed Nothing ])
 
 
 {-| Decoder for init entry data.
@@ -121,15 +291,19 @@ initDataDecoder compression =
 -}
 initDataDecoderInternal : D.Decoder InitData
 initDataDecoderInternal =
-    D.map3
-        (\ts modelDiff effs ->
+    D.map5
+        (\ts modelDiff keyframe checksum effs ->
             { timestamp = ts
             , modelDiff = modelDiff
+            , keyframe = keyframe
+            , modelChecksum = checksum
             , effects = effs
             }
         )
         (D.oneOf [ D.field "timestamp" D.int, D.succeed 0 ])
-        (D.field "modelDiff" (D.list Diff.diffOperationDecoder))
+        modelChangeDecoder
+        keyframeDecoder
+        (D.maybe (D.field "modelChecksum" D.string))
         (D.oneOf [ D.field "effects" (D.list effectDecoder), D.succeed [] ])
 
 
@@ -161,20 +335,152 @@ updateDataDecoder compression =
 -}
 updateDataDecoderInternal : D.Decoder UpdateData
 updateDataDecoderInternal =
-    D.map4
-        (\ts msg modelDiff effs ->
+    D.map6
+        (\ts msg modelDiff keyframe checksum effs ->
             { timestamp = ts
             , message = msg
             , modelDiff = modelDiff
+            , keyframe = keyframe
+            , modelChecksum = checksum
             , effects = effs
             }
         )
         (D.oneOf [ D.field "timestamp" D.int, D.succeed 0 ])
         (D.field "message" newMessageDataDecoder)
-        (D.field "modelDiff" (D.list Diff.diffOperationDecoder))
+        modelChangeDecoder
+        keyframeDecoder
+        (D.maybe (D.field "modelChecksum" D.string))
         (D.oneOf [ D.field "effects" (D.list effectDecoder), D.succeed [] ])
 
 
+{-| Decoder for how an init or update entry changes the model.
+
+v2 entries carry a `modelDiff` patch. v1 entries carry the whole `model`, which
+becomes a patch replacing the root.
+
+-}
+modelChangeDecoder : D.Decoder (List Diff.DiffOperation)
+modelChangeDecoder =
+    D.oneOf
+        [ D.field "modelDiff" (D.list Diff.diffOperationDecoder)
+        , D.field "model" D.value
+            |> D.map (\fullModel -> [ Diff.ReplaceOp "" fullModel ])
+        ]
+
+
+{-| Decoder for the full model a v2 entry may send alongside its `modelDiff`
+as a keyframe. In a v1 entry the `model` is the model change itself.
+-}
+keyframeDecoder : D.Decoder (Maybe D.Value)
+keyframeDecoder =
+    D.oneOf
+        [ D.field "modelDiff" D.value
+            |> D.andThen (\_ -> D.maybe (D.field "model" D.value))
+        , D.succeed Nothing
+        ]
+
+
+{-| Apply an entry's model change to the model before it, checking the result
+against the entry's keyframe and checksum.
+
+Returns the model after the entry, which is the keyframe when there is one,
+and the state with `diverged` and `divergence` updated. A keyframe or a v1
+full model brings the rebuilt model back in line with the app's.
+
+-}
+rebuildModel :
+    D.Value
+    -> { a | modelDiff : List Diff.DiffOperation, keyframe : Maybe D.Value, modelChecksum : Maybe String }
+    -> ParseState
+    -> ( D.Value, ParseState )
+rebuildModel base change state =
+    let
+        ( patched, patchProblem ) =
+            case Diff.applyPatchStrict base change.modelDiff of
+                Ok value ->
+                    ( value, Nothing )
+
+                Err reason ->
+                    ( Diff.applyPatch base change.modelDiff, Just ("Patch doesn't apply: " ++ reason) )
+
+        rebuilt =
+            Maybe.withDefault patched change.keyframe
+
+        keyframeProblem =
+            case change.keyframe of
+                Just keyframe ->
+                    if patchProblem == Nothing && Diff.canonicalJson patched /= Diff.canonicalJson keyframe then
+                        Just "Model rebuilt from the patches doesn't match the keyframe"
+
+                    else
+                        Nothing
+
+                Nothing ->
+                    Nothing
+
+        checksumProblem =
+            change.modelChecksum
+                |> Maybe.andThen
+                    (\expected ->
+                        let
+                            actual =
+                                Diff.modelChecksum rebuilt
+                        in
+                        if String.toLower expected == actual then
+                            Nothing
+
+                        else
+                            Just ("Model checksum is " ++ actual ++ " but the app sent " ++ expected)
+                    )
+
+        problem =
+            List.filterMap identity [ patchProblem, keyframeProblem, checksumProblem ]
+                |> List.head
+
+        resynced =
+            case change.keyframe of
+                Just _ ->
+                    True
+
+                Nothing ->
+                    setsWholeModel change.modelDiff
+
+        diverged =
+            if resynced then
+                checksumProblem /= Nothing
+
+            else
+                state.diverged || problem /= Nothing
+    in
+    ( rebuilt
+    , { state
+        | diverged = diverged
+        , divergence =
+            if state.diverged then
+                Nothing
+
+            else
+                problem
+      }
+    )
+
+
+{-| Whether a patch is a single operation setting the whole model, as a v1
+entry's full `model` becomes.
+-}
+setsWholeModel : List Diff.DiffOperation -> Bool
+setsWholeModel ops =
+    case ops of
+        [ Diff.ReplaceOp "" _ ] ->
+            True
+
+        [ Diff.AddOp "" _ ] ->
+            True
+
+        _ ->
+            False
+
+
 {-| Decoder for subscription change entry data.
 
 The decoder first decompresses the raw JSON value (to handle compressed keys),
@@ -0,0 +1,151 @@
+module LogServer exposing
+    ( Client
+    , Protocol(..)
+    , defaultPort
+    , parsePort
+    , clientDecoder
+    , protocolLabel
+    , connect
+    , disconnect
+    )
+
+{-| Applications pushing their log to the debugger's built-in log server.
+
+The server listens on one port for newline-delimited JSON sent over raw TCP,
+HTTP POST or WebSocket. Each connection is a client, listed until the server
+is stopped; the entries of the selected client are streamed like those of a
+followed file. HTTP requests from the same address to the same path belong to
+the same client, which reconnects with each request.
+
+@docs Client, Protocol, defaultPort, parsePort, clientDecoder, protocolLabel, connect, disconnect
+
+-}
+
+import Json.Decode as D
+
+
+{-| How a client sends its log.
+-}
+type Protocol
+    = Tcp
+    | Http
+    | WebSocket
+
+
+{-| A client of the log server.
+
+  - `id`: Assigned by the server, unique until it is stopped
+  - `address`: Remote address and port, or address and path for HTTP
+  - `connected`: Whether the client is still connected; the entries of a
+    client that went away can still be viewed
+
+-}
+type alias Client =
+    { id : String
+    , protocol : Protocol
+    , address : String
+    , connected : Bool
+    }
+
+
+{-| Port listened on unless another one is chosen.
+-}
+defaultPort : Int
+defaultPort =
+    9400
+
+
+{-| Read a port number typed by the user.
+-}
+parsePort : String -> Maybe Int
+parsePort input =
+    String.toInt (String.trim input)
+        |> Maybe.andThen
+            (\number ->
+                if number >= 1 && number <= 65535 then
+                    Just number
+
+                else
+                    Nothing
+            )
+
+
+{-| Decode a client reported as connected.
+-}
+clientDecoder : D.Decoder Client
+clientDecoder =
+    D.map4 Client
+        (D.field "id" D.string)
+        (D.field "protocol" protocolDecoder)
+        (D.field "address" D.string)
+        (D.succeed True)
+
+
+protocolDecoder : D.Decoder Protocol
+protocolDecoder =
+    D.string
+        |> D.andThen
+            (\name ->
+                case name of
+                    "tcp" ->
+                        D.succeed Tcp
+
+                    "http" ->
+                        D.succeed Http
+
+                    "websocket" ->
+                        D.succeed WebSocket
+
+                    _ ->
+                        D.fail ("Unknown log client protocol " ++ name)
+            )
+
+
+{-| Short name of a protocol, as shown next to a client.
+-}
+protocolLabel : Protocol -> String
+protocolLabel protocol =
+    case protocol of
+        Tcp ->
+            "TCP"
+
+        Http ->
+            "HTTP"
+
+        WebSocket ->
+            "WS"
+
+
+{-| Add a client that connected, or mark one seen before as connected again,
+keeping its place in the list.
+-}
+connect : Client -> List Client -> List Client
+connect client clients =
+    if List.any (\existing -> existing.id == client.id) clients then
+        List.map
+            (\existing ->
+                if existing.id == client.id then
+                    { client | connected = True }
+
+                else
+                    existing
+            )
+            clients
+
+    else
+        clients ++ [ { client | connected = True } ]
+
+
+{-| Mark a client as gone.
+-}
+disconnect : String -> List Client -> List Client
+disconnect id clients =
+    List.map
+        (\client ->
+            if client.id == id then
+                { client | connected = False }
+
+            else
+                client
+        )
+        clients
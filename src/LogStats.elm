@@ -0,0 +1,194 @@
+module LogStats exposing
+    ( Stats
+    , empty
+    , addEntry
+    , encode
+    )
+
+{-| Summary statistics for a TeaForge log, as printed by the `stats` command of
+the command-line tool.
+
+Entries are added one at a time as the log is parsed, so a log of any length
+can be summarized without holding its entries in memory.
+
+@docs Stats, empty, addEntry, encode
+
+-}
+
+import Dict exposing (Dict)
+import Json.Encode as E
+import Types exposing (LogEntry(..))
+
+
+{-| Counts and timing gathered from the entries seen so far.
+
+  - `messageCounts` / `effectCounts`: number of times each message or effect name occurred
+  - `firstTimestamp` / `lastTimestamp`: timestamps of the first and last timestamped entries
+  - `updateIntervals`: gaps in milliseconds between consecutive update entries,
+    kept as a running minimum, maximum, total and count
+
+-}
+type alias Stats =
+    { initCount : Int
+    , updateCount : Int
+    , subscriptionChangeCount : Int
+    , errorCount : Int
+    , messageCounts : Dict String Int
+    , effectCounts : Dict String Int
+    , firstTimestamp : Maybe Int
+    , lastTimestamp : Maybe Int
+    , lastUpdateTimestamp : Maybe Int
+    , updateIntervals : { min : Maybe Int, max : Maybe Int, total : Int, count : Int }
+    }
+
+
+{-| Statistics for a log with no entries.
+-}
+empty : Stats
+empty =
+    { initCount = 0
+    , updateCount = 0
+    , subscriptionChangeCount = 0
+    , errorCount = 0
+    , messageCounts = Dict.empty
+    , effectCounts = Dict.empty
+    , firstTimestamp = Nothing
+    , lastTimestamp = Nothing
+    , lastUpdateTimestamp = Nothing
+    , updateIntervals = { min = Nothing, max = Nothing, total = 0, count = 0 }
+    }
+
+
+{-| Add one parsed entry to the statistics.
+-}
+addEntry : LogEntry -> Stats -> Stats
+addEntry entry stats =
+    case entry of
+        InitEntry data ->
+            { stats
+                | initCount = stats.initCount + 1
+                , effectCounts = countEffects data.effects stats.effectCounts
+            }
+                |> recordTimestamp data.timestamp
+
+        UpdateEntry data ->
+            { stats
+                | updateCount = stats.updateCount + 1
+                , messageCounts = increment data.message.name stats.messageCounts
+                , effectCounts = countEffects data.effects stats.effectCounts
+                , lastUpdateTimestamp = Just data.timestamp
+                , updateIntervals =
+                    case stats.lastUpdateTimestamp of
+                        Just previous ->
+                            addInterval (data.timestamp - previous) stats.updateIntervals
+
+                        Nothing ->
+                            stats.updateIntervals
+            }
+                |> recordTimestamp data.timestamp
+
+        SubscriptionChangeEntry data ->
+            { stats | subscriptionChangeCount = stats.subscriptionChangeCount + 1 }
+                |> recordTimestamp data.timestamp
+
+        ErrorEntry _ ->
+            { stats | errorCount = stats.errorCount + 1 }
+
+
+recordTimestamp : Int -> Stats -> Stats
+recordTimestamp timestamp stats =
+    { stats
+        | firstTimestamp =
+            case stats.firstTimestamp of
+                Just _ ->
+                    stats.firstTimestamp
+
+                Nothing ->
+                    Just timestamp
+        , lastTimestamp = Just timestamp
+    }
+
+
+addInterval :
+    Int
+    -> { min : Maybe Int, max : Maybe Int, total : Int, count : Int }
+    -> { min : Maybe Int, max : Maybe Int, total : Int, count : Int }
+addInterval interval intervals =
+    { min = Just (Maybe.withDefault interval (Maybe.map (Basics.min interval) intervals.min))
+    , max = Just (Maybe.withDefault interval (Maybe.map (Basics.max interval) intervals.max))
+    , total = intervals.total + interval
+    , count = intervals.count + 1
+    }
+
+
+countEffects : List Types.Effect -> Dict String Int -> Dict String Int
+countEffects effects counts =
+    List.foldl (\effect acc -> increment effect.name acc) counts effects
+
+
+increment : String -> Dict String Int -> Dict String Int
+increment key =
+    Dict.update key (\count -> Just (Maybe.withDefault 0 count + 1))
+
+
+{-| Encode the statistics as JSON.
+
+Message and effect counts are listed from most to least frequent. Timing
+fields are `null` when the log has no entries with timestamps.
+
+-}
+encode : Stats -> E.Value
+encode stats =
+    let
+        encodeMaybeInt =
+            Maybe.map E.int >> Maybe.withDefault E.null
+
+        encodeCounts counts =
+            counts
+                |> Dict.toList
+                |> List.sortBy (\( name, count ) -> ( negate count, name ))
+                |> E.list
+                    (\( name, count ) ->
+                        E.object
+                            [ ( "name", E.string name )
+                            , ( "count", E.int count )
+                            ]
+                    )
+
+        intervals =
+            stats.updateIntervals
+    in
+    E.object
+        [ ( "entries"
+          , E.object
+                [ ( "init", E.int stats.initCount )
+                , ( "update", E.int stats.updateCount )
+                , ( "subscriptionChange", E.int stats.subscriptionChangeCount )
+                , ( "error", E.int stats.errorCount )
+                ]
+          )
+        , ( "messages", encodeCounts stats.messageCounts )
+        , ( "effects", encodeCounts stats.effectCounts )
+        , ( "timing"
+          , E.object
+                [ ( "firstTimestamp", encodeMaybeInt stats.firstTimestamp )
+                , ( "lastTimestamp", encodeMaybeInt stats.lastTimestamp )
+                , ( "durationMs"
+                  , encodeMaybeInt (Maybe.map2 (-) stats.lastTimestamp stats.firstTimestamp)
+                  )
+                , ( "updateIntervalMs"
+                  , E.object
+                        [ ( "min", encodeMaybeInt intervals.min )
+                        , ( "max", encodeMaybeInt intervals.max )
+                        , ( "mean"
+                          , if intervals.count > 0 then
+                                E.float (toFloat intervals.total / toFloat intervals.count)
+
+                            else
+                                E.null
+                          )
+                        ]
+                  )
+                ]
+          )
+        ]
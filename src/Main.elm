@@ -8,13 +8,19 @@ communication with JavaScript via ports.
 
 -}
 
+import Annotation exposing (Annotations)
 import Array exposing (Array)
 import Browser
 import Browser.Dom as Dom
 import Browser.Events
+import Causality
+import Chart
+import Comparison
 import CompressionDict exposing (Compression)
 import Dict exposing (Dict)
 import Diff
+import Export
+import FieldHistory
 import Filter
     exposing
         ( ActiveFilter
@@ -27,15 +33,27 @@ import FilterSidebar
 import Html exposing (..)
 import Html.Attributes exposing (..)
 import Html.Events exposing (..)
+import Html.Lazy
 import Json.Decode as D
 import Json.Encode as E
 import LogParser
+import LogServer
 import MessageList
+import Playback exposing (Playback)
 import Ports
+import Process
+import Reconnect
+import RemoteControl
 import Search
+import Session
+import SessionStats
 import Set exposing (Set)
+import SubscriptionTimeline
+import Svg
+import Svg.Attributes as SA
 import Task
 import TreeView
+import TypeRegistry exposing (TypeRegistry)
 import Types
     exposing
         ( DisplayOrder(..)
@@ -169,6 +187,38 @@ updateMessageViewState updateFn model =
             model
 
 
+{-| Paging state for a file that is too large to load in full.
+
+The main process indexes such files and only one page of entries at a time is
+held in `logEntries`. `pageStart` is the index of the page's first entry in the
+whole file, and `selectOnLoad` is the page-relative entry to select once the
+requested page arrives.
+
+-}
+type alias PagedFile =
+    { totalEntries : Int
+    , pageStart : Int
+    , loading : Bool
+    , selectOnLoad : Maybe Int
+    }
+
+
+{-| Progress of preparing a large file for paging. `phase` is "decompressing"
+while a compressed file is expanded and "indexing" while entries are located.
+-}
+type alias IndexProgressData =
+    { phase : String
+    , fraction : Float
+    }
+
+
+{-| Number of entries loaded at once from an indexed file.
+-}
+entriesPerPage : Int
+entriesPerPage =
+    500
+
+
 {-| The application model containing all state.
 
 This structure manages:
@@ -178,10 +228,12 @@ This structure manages:
   - Currently selected message index
   - View options (show previous state, highlight changes)
   - Search and filter state
-  - UI state (sidebar width, WebSocket modal)
+  - UI state (sidebar width, WebSocket modal, export modal)
+  - A second log being compared side by side with the open one
   - Tree view states for after and before states
   - Diff view state (expanded paths, computed changes)
   - Per-message view states for retaining expansion state
+  - Paging state when a large file is read a page at a time
 
 -}
 type alias Model =
@@ -193,8 +245,14 @@ type alias Model =
     , showPreviousState : Bool
     , showChangedValues : Bool
     , searchQuery : String
+    , searchOptions : Search.SearchOptions
     , searchResult : Search.EntrySearchResult
     , currentMatchIndex : Int
+
+    -- Entries with search matches and how many, newest first, when searching
+    -- all entries
+    , searchAllEntries : Bool
+    , searchHits : List ( Int, Int )
     , sidebarWidth : Int
     , isResizingSidebar : Bool
     , errorMessage : Maybe String
@@ -202,11 +260,33 @@ type alias Model =
     , beforeTreeViewState : TreeView.State
     , changedPaths : List TreePath
     , changes : Dict String Diff.Change
+    -- Changes keyed by paths in the previous model, shown in its tree
+    , beforeChanges : Dict String Diff.Change
     , messageViewStates : Dict Int MessageViewState
     , compression : Compression
     , showWsModal : Bool
     , wsUrlInput : String
     , recentWsUrls : List String
+    , reconnectSettings : Reconnect.Settings
+
+    -- What a WebSocket session has received, to tell where a reconnected
+    -- stream left gaps; gaps are shown before the entry they precede
+    , wsContinuity : Reconnect.Continuity
+    , streamGaps : Dict Int Reconnect.Gap
+    , recording : Recording
+
+    -- Built-in log server: the port typed in its dialog, and the clients that
+    -- connected to it since it started
+    , showLogServerModal : Bool
+    , logServerPortInput : String
+    , logClients : List LogServer.Client
+    , showExportModal : Bool
+    , exportFormat : Export.Format
+    , exportColumns : String
+
+    -- Large file paging state
+    , pagedFile : Maybe PagedFile
+    , indexProgress : Maybe IndexProgressData
 
     -- Advanced filter state
     , activeFilters : List ActiveFilter
@@ -214,6 +294,120 @@ type alias Model =
     , filtersGlobalEnabled : Bool
     , filterEditing : Maybe ( Maybe Int, EditingFilter )
     , filteredIndices : Set Int
+
+    -- Named filter presets, kept in the user's settings folder
+    , filterPresets : List Filter.Preset
+    , presetName : String
+
+    -- Entry to select once it has been read, when opening a session
+    , pendingSelection : Maybe PendingSelection
+
+    -- Side-by-side comparison with a second log
+    , comparison : Maybe ComparisonView
+
+    -- Numeric model fields pinned to the chart, in the order they were pinned
+    , chartPaths : List TreePath
+
+    -- Model field whose changes are listed in the history modal
+    , fieldHistoryPath : Maybe TreePath
+
+    -- Entry whose model the selected entry's is compared with, when pinned
+    , baseline : Maybe Baseline
+
+    -- Links from effects and subscriptions to the messages they produced
+    , causality : Causality.Causality
+    , causalityGraph : Maybe GraphWindow
+
+    -- Which subscriptions were active when, and whether the timeline is shown
+    , subscriptionTimeline : SubscriptionTimeline.Timeline
+    , subscriptionTimelineOpen : Bool
+
+    -- Whether the statistics dashboard is shown, and the model paths each entry
+    -- changed, counted only while it is
+    , sessionStatsChanges : SessionStats.ChangeCounts
+    , sessionStatsOpen : Bool
+
+    -- Types declared by the log header, and how each entry differs from them
+    , typeRegistry : TypeRegistry
+    , typeWarnings : Dict Int (List String)
+
+    -- Whether the model rebuilt from v2 patches no longer matches the app's,
+    -- and why it stopped matching, by the index of the entry where it did
+    , modelDiverged : Bool
+    , divergences : Dict Int String
+
+    -- Bookmarks, color tags and notes, saved next to the log file. A note is
+    -- saved once typing pauses; pendingNoteSave numbers the latest unsaved edit
+    , annotations : Annotations
+    , pendingNoteSave : Maybe Int
+    , bookmarksOpen : Bool
+
+    -- Replaying the entries at the pace they were logged
+    , playback : Playback
+
+    -- What the application on the other end of a WebSocket can be told to do
+    , remoteControl : RemoteControl.Remote
+    , replayFromInput : String
+    }
+
+
+{-| The entries shown in the causality graph: the whole log, or those within
+a number of milliseconds of the selected entry.
+-}
+type GraphWindow
+    = WholeLog
+    | AroundSelection Int
+
+
+{-| Recording of the live WebSocket session to a file. `RecordingTo` holds
+the file being written, which changes as the recording rotates to new files;
+`Recorded` holds every file of a finished recording.
+-}
+type Recording
+    = NotRecording
+    | StartingRecording
+    | RecordingTo String
+    | StoppingRecording
+    | Recorded (List String)
+
+
+{-| A second log compared with the entries that were loaded when it was
+opened (the current page, for large files).
+
+`rows` pairs the entries of the two logs and holds the comparison of each
+pair, computed once per alignment.
+
+-}
+type alias ComparisonView =
+    { path : String
+    , truncated : Bool
+    , leftEntries : Array LogEntry
+    , leftOffset : Int
+    , rightEntries : Array LogEntry
+    , alignment : Comparison.Alignment
+    , rows : Array ( Comparison.Row, Comparison.RowComparison )
+    , selectedRow : Maybe Int
+    }
+
+
+{-| An entry pinned as the baseline. While one is pinned, the model after the
+selected entry is compared with the model after the baseline rather than with
+the model before the entry. The model is kept so that the baseline outlives
+the page of a large file it was pinned on.
+-}
+type alias Baseline =
+    { entryNumber : Int
+    , messageName : String
+    , model : D.Value
+    }
+
+
+{-| An entry to select as soon as it is loaded, with the tree paths to expand.
+`entryIndex` counts from 0 across the whole log.
+-}
+type alias PendingSelection =
+    { entryIndex : Int
+    , viewState : MessageViewState
     }
 
 
@@ -222,6 +416,8 @@ type alias Model =
 type alias Flags =
     { sidebarWidth : Int
     , recentWsUrls : List String
+    , reconnectSettings : Reconnect.Settings
+    , logServerPort : Int
     }
 
 
@@ -229,31 +425,43 @@ type alias Flags =
 -}
 flagsDecoder : D.Decoder Flags
 flagsDecoder =
-    D.map2 Flags
+    D.map4 Flags
         (D.field "sidebarWidth" D.int)
         (D.oneOf
             [ D.field "recentWsUrls" (D.list D.string)
             , D.succeed []
             ]
         )
+        (D.oneOf
+            [ D.field "wsReconnect" Reconnect.settingsDecoder
+            , D.succeed Reconnect.defaultSettings
+            ]
+        )
+        (D.oneOf
+            [ D.field "logServerPort" D.int
+            , D.succeed LogServer.defaultPort
+            ]
+        )
 
 
 {-| Initialize the model with default values.
 
 The application starts with no active input source.
-Sidebar width and recent WebSocket URLs are loaded from localStorage via flags.
+Sidebar width, recent WebSocket URLs, reconnect settings and the log server
+port are loaded from localStorage via flags.
 
 -}
 init : E.Value -> ( Model, Cmd Msg )
 init flagsValue =
     let
-        ( initialSidebarWidth, initialRecentWsUrls ) =
-            case D.decodeValue flagsDecoder flagsValue of
-                Ok flags ->
-                    ( clamp 200 600 flags.sidebarWidth, flags.recentWsUrls )
-
-                Err _ ->
-                    ( 320, [] )
+        flags =
+            D.decodeValue flagsDecoder flagsValue
+                |> Result.withDefault
+                    { sidebarWidth = 320
+                    , recentWsUrls = []
+                    , reconnectSettings = Reconnect.defaultSettings
+                    , logServerPort = LogServer.defaultPort
+                    }
     in
     ( { logEntries = Array.empty
       , inputSource = Nothing
@@ -263,25 +471,64 @@ init flagsValue =
       , showPreviousState = False
       , showChangedValues = True
       , searchQuery = ""
+      , searchOptions = Search.defaultOptions
       , searchResult = Search.emptyEntrySearchResult
       , currentMatchIndex = 0
-      , sidebarWidth = initialSidebarWidth
+      , searchAllEntries = False
+      , searchHits = []
+      , sidebarWidth = clamp 200 600 flags.sidebarWidth
       , isResizingSidebar = False
       , errorMessage = Nothing
       , treeViewState = TreeView.init
       , beforeTreeViewState = TreeView.init
       , changedPaths = []
       , changes = Dict.empty
+      , beforeChanges = Dict.empty
       , messageViewStates = Dict.empty
       , compression = CompressionDict.empty
       , showWsModal = False
       , wsUrlInput = ""
-      , recentWsUrls = initialRecentWsUrls
+      , recentWsUrls = flags.recentWsUrls
+      , reconnectSettings = flags.reconnectSettings
+      , wsContinuity = Reconnect.initContinuity
+      , streamGaps = Dict.empty
+      , recording = NotRecording
+      , showLogServerModal = False
+      , logServerPortInput = String.fromInt flags.logServerPort
+      , logClients = []
+      , showExportModal = False
+      , exportFormat = Export.Jsonl
+      , exportColumns = ""
+      , pagedFile = Nothing
+      , indexProgress = Nothing
       , activeFilters = []
       , filterSidebarOpen = False
       , filtersGlobalEnabled = True
       , filterEditing = Nothing
       , filteredIndices = Set.empty
+      , filterPresets = []
+      , presetName = ""
+      , pendingSelection = Nothing
+      , comparison = Nothing
+      , chartPaths = []
+      , fieldHistoryPath = Nothing
+      , baseline = Nothing
+      , causality = Causality.empty
+      , causalityGraph = Nothing
+      , subscriptionTimeline = SubscriptionTimeline.empty
+      , subscriptionTimelineOpen = False
+      , sessionStatsChanges = SessionStats.emptyChangeCounts
+      , sessionStatsOpen = False
+      , typeRegistry = TypeRegistry.empty
+      , typeWarnings = Dict.empty
+      , modelDiverged = False
+      , divergences = Dict.empty
+      , annotations = Annotation.empty
+      , pendingNoteSave = Nothing
+      , bookmarksOpen = False
+      , playback = Playback.init
+      , remoteControl = RemoteControl.init
+      , replayFromInput = ""
       }
     , Cmd.none
     )
@@ -307,8 +554,10 @@ These are organized into categories:
 type Msg
     = -- File Operations
       OpenFileDialog
-    | OpenInput String
-    | InputOpened { success : Bool, path : Maybe String, error : Maybe String }
+    | OpenInput { path : String, follow : Bool }
+    | InputOpened { success : Bool, path : Maybe String, error : Maybe String, follow : Maybe Bool, entryCount : Maybe Int, typeRegistry : Maybe TypeRegistry }
+    | StartFollowingFile
+    | StopFollowingFile
     | DisconnectSource
       -- WebSocket Operations
     | OpenWsConnectionModal
@@ -322,12 +571,83 @@ type Msg
     | WsDisconnected
     | WsConnectionFailed
     | WsConnectionLost
+    | RetryWebSocket Int
+    | ToggleReconnect
+    | SetReconnectAttempts String
+      -- Recording
+    | ToggleRecording
+    | RecordingStarted (Result String (Maybe String))
+    | RecordingRotated String
+    | RecordingStopped (Result String (List String))
+    | RecordingFailed String
+    | SendControlCommand RemoteControl.Command
+    | SetReplayFromInput String
+    | ReplayFromInput
+    | ControlEventReceived RemoteControl.Event
+      -- Log server
+    | OpenLogServerModal
+    | CloseLogServerModal
+    | SetLogServerPort String
+    | StartLogServer
+    | LogServerStarted (Result String Int)
+    | LogClientConnected LogServer.Client
+    | LogClientDisconnected String
+    | SelectLogClient String
+      -- Export
+    | OpenExportModal
+    | CloseExportModal
+    | SetExportFormat Export.Format
+    | SetExportColumns String
+    | SaveExport
+    | ExportSaved (Result String ())
+      -- Sessions
+    | SaveSession
+    | SessionSaved (Result String ())
+    | SessionOpened (Result String Session.Session)
+      -- Comparison
+    | OpenComparison
+    | ComparisonOpened (Result String ComparisonPayload)
+    | SetComparisonAlignment Comparison.Alignment
+    | SelectComparisonRow Int
+    | JumpToDivergence
+    | CloseComparison
+      -- Charts
+    | PinChartField TreePath
+    | UnpinChartField TreePath
+    | ClearChartFields
+      -- Field history
+    | ShowFieldHistory TreePath
+    | CloseFieldHistory
+    | SelectHistoryEntry Int
+      -- Baseline
+    | PinBaseline
+    | ClearBaseline
+      -- Causality
+    | OpenCausalityGraph
+    | SetCausalityWindow GraphWindow
+    | CloseCausalityGraph
+    | SelectGraphEntry Int
+      -- Subscription timeline
+    | ToggleSubscriptionTimeline
+      -- Statistics
+    | OpenSessionStats
+    | CloseSessionStats
+    | FilterFromSessionStats Filter
+    | SelectStatsEntry Int
       -- Streaming
     | EntryReceived EntryPayload
     | InputError String
     | InputClosed
+    | InputReset String
+      -- Large File Paging
+    | IndexProgress IndexProgressData
+    | LoadPage Int
+    | JumpToEntry String
+    | PageLoaded PagePayload
       -- Navigation
     | SelectMessage Int
+    | RevealMessage Int
+    | GoToEntry Int
     | SelectNextMessage
     | SelectPreviousMessage
       -- View Options
@@ -338,12 +658,32 @@ type Msg
     | SetDisplayOrder DisplayOrder
       -- Search
     | SetSearchQuery String
+    | SetSearchOptions Search.SearchOptions
+    | ToggleSearchAllEntries
     | SelectNextMatch
     | SelectPreviousMatch
     | FocusSearch
     | NoOp
+      -- Bookmarks and annotations
+    | ToggleBookmark
+    | SetAnnotationColor (Maybe Annotation.Color)
+    | SetAnnotationNote String
+    | SaveAnnotationNote Int
+    | AnnotationNoteBlurred
+    | SelectNextBookmark
+    | SelectPreviousBookmark
+    | ToggleBookmarksPanel
+    | AnnotationsLoaded (Result String Annotations)
+      -- Playback
+    | TogglePlayback
+    | SetPlaybackSpeed Float
+    | PlaybackFrame Float
+    | SeekPlayback String
       -- Advanced Filters
     | FilterSidebarMsg FilterSidebar.Msg
+    | FilterPresetsLoaded (Result String (List Filter.Preset))
+    | FilterPresetsImported (Result String (List Filter.Preset))
+    | FilterPresetsExported (Result String ())
     | QuickAddFilter Filter
       -- Tree View (After state)
     | TreeViewMsg TreeView.Msg
@@ -390,6 +730,43 @@ type alias EntryPayload =
     }
 
 
+{-| Entries of a log opened for comparison.
+-}
+type alias ComparisonPayload =
+    { path : String
+    , entries : List EntryPayload
+    , truncated : Bool
+    }
+
+
+{-| A page of entries read from an indexed file.
+
+`baseModel` is the application model just before the first entry,
+`diverged` whether the model rebuilt up to then had already diverged from the
+app's, and `activeSubscriptions` the subscriptions active then, so the entries
+can be replayed exactly as if they had been streamed.
+
+-}
+type alias PagePayload =
+    { start : Int
+    , total : Int
+    , baseModel : D.Value
+    , diverged : Bool
+    , activeSubscriptions : List ActiveSubscription
+    , entries : List EntryPayload
+    }
+
+
+{-| A subscription active before a page, with the index in the whole file and
+the timestamp of the entry that started it.
+-}
+type alias ActiveSubscription =
+    { entryIndex : Int
+    , timestamp : Int
+    , subscription : D.Value
+    }
+
+
 
 -- UPDATE
 
@@ -408,46 +785,105 @@ update msg model =
             , Ports.openFileDialog
             )
 
-        OpenInput path ->
+        OpenInput options ->
             -- Clear existing entries and open new input source
-            ( { model
-                | logEntries = Array.empty
-                , inputSource = Just (FileSource { path = path, label = path })
-                , lastModelAfter = E.null
-                , selectedIndex = Nothing
-                , errorMessage = Nothing
-                , messageViewStates = Dict.empty
-                , changedPaths = []
-                , changes = Dict.empty
-                , compression = CompressionDict.empty
-                , filteredIndices = Set.empty
+            let
+                cleared =
+                    clearLoadedEntries model
+            in
+            ( { cleared
+                | inputSource =
+                    Just (FileSource { path = options.path, label = options.path, follow = options.follow })
+                , pagedFile = Nothing
+                , comparison = Nothing
+                , indexProgress = Nothing
+                , annotations = Annotation.empty
+                , pendingNoteSave = Nothing
+                , recording = NotRecording
+                , logClients = []
               }
             , Cmd.batch
-                [ Ports.openInput path
+                [ Ports.openInput options.path { follow = options.follow }
+                , Ports.loadAnnotations options.path
+                , stopRecording model
                 , Ports.disconnectWebSocket
+                , Ports.stopLogServer
                 ]
             )
 
         InputOpened result ->
             if result.success then
-                ( model, Cmd.none )
+                let
+                    -- Compressed files are read once even when following was requested
+                    sourceModel =
+                        case ( model.inputSource, result.follow ) of
+                            ( Just (FileSource fileData), Just False ) ->
+                                { model | inputSource = Just (FileSource { fileData | follow = False }) }
+
+                            _ ->
+                                model
+                in
+                case result.entryCount of
+                    Just total ->
+                        -- Large file: the main process indexed it, so load the first page,
+                        -- or the page with the entry a session is waiting for
+                        update
+                            (LoadPage
+                                (model.pendingSelection
+                                    |> Maybe.map (\pending -> (pending.entryIndex // entriesPerPage) * entriesPerPage)
+                                    |> Maybe.withDefault 0
+                                )
+                            )
+                            { sourceModel
+                                | pagedFile = Just { totalEntries = total, pageStart = 0, loading = False, selectOnLoad = Nothing }
+                                , indexProgress = Nothing
+                                , typeRegistry = Maybe.withDefault TypeRegistry.empty result.typeRegistry
+                            }
+
+                    Nothing ->
+                        ( sourceModel, Cmd.none )
 
             else
                 ( { model
                     | errorMessage = result.error
                     , inputSource = Nothing
+                    , indexProgress = Nothing
                   }
                 , Cmd.none
                 )
 
+        StartFollowingFile ->
+            -- Re-open the current file in follow mode; it is read again from the start
+            case model.inputSource of
+                Just (FileSource fileData) ->
+                    update (OpenInput { path = fileData.path, follow = True }) model
+
+                _ ->
+                    ( model, Cmd.none )
+
+        StopFollowingFile ->
+            -- Stop watching the file but keep everything read so far
+            case model.inputSource of
+                Just (FileSource fileData) ->
+                    ( { model | inputSource = Just (FileSource { fileData | follow = False }) }
+                    , Ports.closeInput
+                    )
+
+                _ ->
+                    ( model, Cmd.none )
+
         DisconnectSource ->
-            ( { model | inputSource = Nothing }
+            -- The loaded entries stay visible, but no further pages can be read
+            ( { model | inputSource = Nothing, pagedFile = Nothing, indexProgress = Nothing, recording = NotRecording, logClients = [] }
             , case model.inputSource of
                 Just (FileSource _) ->
                     Ports.closeInput
 
                 Just (WebSocketSource _) ->
-                    Ports.disconnectWebSocket
+                    Cmd.batch [ stopRecording model, Ports.disconnectWebSocket ]
+
+                Just (LogServerSource _) ->
+                    Ports.stopLogServer
 
                 Nothing ->
                     Cmd.none
@@ -455,7 +891,13 @@ update msg model =
 
         -- Streaming
         EntryReceived payload ->
-            handleEntryReceived payload model
+            case continueStream payload model of
+                Just continued ->
+                    handleEntryReceived payload continued
+                        |> andThenSelectPending
+
+                Nothing ->
+                    ( model, Cmd.none )
 
         InputError errorMsg ->
             ( { model | errorMessage = Just errorMsg }
@@ -463,30 +905,73 @@ update msg model =
             )
 
         InputClosed ->
-            -- Stream finished, select last entry if none selected
+            -- Stream finished, select last entry if none selected. An entry a
+            -- session was waiting for that never arrived is given up on.
             let
+                closedModel =
+                    { model | pendingSelection = Nothing }
+
                 entryCount =
-                    Array.length model.logEntries
+                    Array.length closedModel.logEntries
+            in
+            if closedModel.selectedIndex == Nothing && entryCount > 0 then
+                -- Auto-select the last entry
+                update (SelectMessage (entryCount - 1)) closedModel
 
-                newSelectedIndex =
-                    if model.selectedIndex == Nothing && entryCount > 0 then
-                        Just (entryCount - 1)
+            else
+                ( closedModel, Cmd.none )
 
-                    else
-                        model.selectedIndex
-            in
-            case newSelectedIndex of
-                Just idx ->
-                    if model.selectedIndex == Nothing then
-                        -- Auto-select the last entry
-                        update (SelectMessage idx) model
+        InputReset _ ->
+            -- The followed file was truncated or rotated and is being read again
+            -- from the start, so drop the entries that came from the old contents
+            ( clearLoadedEntries model
+            , Cmd.none
+            )
 
-                    else
-                        ( model, Cmd.none )
+        -- Large File Paging
+        IndexProgress progressData ->
+            ( { model | indexProgress = Just progressData }
+            , Cmd.none
+            )
+
+        LoadPage start ->
+            case model.pagedFile of
+                Just paged ->
+                    let
+                        clampedStart =
+                            clamp 0 (Basics.max 0 (paged.totalEntries - 1)) start
+                    in
+                    ( { model | pagedFile = Just { paged | loading = True } }
+                    , Ports.getEntries { start = clampedStart, count = entriesPerPage }
+                    )
 
                 Nothing ->
                     ( model, Cmd.none )
 
+        JumpToEntry entryText ->
+            -- Entry numbers are 1-based, as shown in the message list
+            case ( String.toInt (String.trim entryText), model.pagedFile ) of
+                ( Just entryNumber, Just paged ) ->
+                    let
+                        target =
+                            clamp 0 (Basics.max 0 (paged.totalEntries - 1)) (entryNumber - 1)
+
+                        start =
+                            (target // entriesPerPage) * entriesPerPage
+                    in
+                    update (LoadPage start)
+                        { model | pagedFile = Just { paged | selectOnLoad = Just (target - start) } }
+
+                _ ->
+                    ( model, Cmd.none )
+
+        PageLoaded page ->
+            -- The page is the one holding a session's selection, so once it is
+            -- loaded there is nothing left to wait for
+            loadPage page model
+                |> andThenSelectPending
+                |> Tuple.mapFirst (\loaded -> { loaded | pendingSelection = Nothing })
+
         -- WebSocket Operations
         OpenWsConnectionModal ->
             ( { model
@@ -525,142 +1010,671 @@ update msg model =
                 ( model, Cmd.none )
 
             else
-                ( { model
+                let
+                    cleared =
+                        clearLoadedEntries model
+                in
+                ( { cleared
                     | showWsModal = False
-                    , logEntries = Array.empty
                     , inputSource = Just (WebSocketSource { url = url, status = Connecting })
-                    , lastModelAfter = E.null
-                    , selectedIndex = Nothing
-                    , errorMessage = Nothing
-                    , messageViewStates = Dict.empty
-                    , changedPaths = []
-                    , changes = Dict.empty
-                    , compression = CompressionDict.empty
-                    , filteredIndices = Set.empty
+                    , pagedFile = Nothing
+                    , comparison = Nothing
+                    , indexProgress = Nothing
+                    , annotations = Annotation.empty
+                    , pendingNoteSave = Nothing
+                    , remoteControl = RemoteControl.init
+                    , recording = NotRecording
+                    , logClients = []
                   }
-                , Ports.connectWebSocket url
+                , Cmd.batch [ stopRecording model, Ports.stopLogServer, Ports.connectWebSocket url ]
                 )
 
-        DisconnectWebSocket ->
-            ( { model
-                | inputSource =
-                    case model.inputSource of
-                        Just (WebSocketSource ws) ->
-                            Just (WebSocketSource { ws | status = Disconnected })
-
-                        other ->
-                            other
-              }
-            , Ports.disconnectWebSocket
+        -- Log server
+        OpenLogServerModal ->
+            ( { model | showLogServerModal = True }
+            , Cmd.none
             )
 
-        WsConnecting ->
-            ( { model
-                | inputSource =
-                    case model.inputSource of
-                        Just (WebSocketSource ws) ->
-                            Just (WebSocketSource { ws | status = Connecting })
+        CloseLogServerModal ->
+            ( { model | showLogServerModal = False }
+            , Cmd.none
+            )
 
-                        other ->
-                            other
-              }
+        SetLogServerPort input ->
+            ( { model | logServerPortInput = input }
             , Cmd.none
             )
 
-        WsConnected ->
-            let
-                -- Add URL to recent list (at the front, remove duplicates)
-                newRecentUrls =
-                    case model.inputSource of
-                        Just (WebSocketSource ws) ->
-                            ws.url
-                                :: List.filter ((/=) ws.url) model.recentWsUrls
-                                |> List.take 5
+        StartLogServer ->
+            case LogServer.parsePort model.logServerPortInput of
+                Just listenPort ->
+                    let
+                        cleared =
+                            clearLoadedEntries model
+                    in
+                    ( { cleared
+                        | showLogServerModal = False
+                        , inputSource = Just (LogServerSource { listenPort = listenPort, listening = False, client = Nothing })
+                        , logClients = []
+                        , pagedFile = Nothing
+                        , comparison = Nothing
+                        , indexProgress = Nothing
+                        , annotations = Annotation.empty
+                        , pendingNoteSave = Nothing
+                        , recording = NotRecording
+                      }
+                    , Cmd.batch
+                        [ stopRecording model
+                        , Ports.disconnectWebSocket
+                        , Ports.closeInput
+                        , Ports.saveLogServerPort listenPort
+                        , Ports.startLogServer listenPort
+                        ]
+                    )
 
-                        _ ->
-                            model.recentWsUrls
+                Nothing ->
+                    ( model, Cmd.none )
+
+        LogServerStarted result ->
+            case ( model.inputSource, result ) of
+                ( Just (LogServerSource server), Ok listenPort ) ->
+                    ( { model | inputSource = Just (LogServerSource { server | listenPort = listenPort, listening = True }) }
+                    , Cmd.none
+                    )
+
+                ( Just (LogServerSource _), Err errorMsg ) ->
+                    ( { model | inputSource = Nothing, errorMessage = Just errorMsg }
+                    , Cmd.none
+                    )
+
+                _ ->
+                    ( model, Cmd.none )
+
+        LogClientConnected client ->
+            let
+                withClient =
+                    { model | logClients = LogServer.connect client model.logClients }
             in
-            ( { model
-                | inputSource =
-                    case model.inputSource of
-                        Just (WebSocketSource ws) ->
-                            Just (WebSocketSource { ws | status = Connected })
+            case model.inputSource of
+                Just (LogServerSource server) ->
+                    if server.client == Nothing then
+                        -- Show the first client to connect without waiting to be asked
+                        update (SelectLogClient client.id) withClient
 
-                        other ->
-                            other
-                , recentWsUrls = newRecentUrls
-              }
+                    else
+                        ( withClient, Cmd.none )
+
+                _ ->
+                    ( model, Cmd.none )
+
+        LogClientDisconnected id ->
+            ( { model | logClients = LogServer.disconnect id model.logClients }
             , Cmd.none
             )
 
-        WsDisconnected ->
-            ( { model
-                | inputSource =
-                    case model.inputSource of
-                        Just (WebSocketSource ws) ->
-                            Just (WebSocketSource { ws | status = Disconnected })
+        SelectLogClient id ->
+            case model.inputSource of
+                Just (LogServerSource server) ->
+                    if server.client == Just id then
+                        ( model, Cmd.none )
 
-                        other ->
-                            other
-              }
+                    else
+                        let
+                            cleared =
+                                clearLoadedEntries model
+                        in
+                        ( { cleared
+                            | inputSource = Just (LogServerSource { server | client = Just id })
+                            , annotations = Annotation.empty
+                            , pendingNoteSave = Nothing
+                          }
+                        , Ports.selectLogClient id
+                        )
+
+                _ ->
+                    ( model, Cmd.none )
+
+        -- Export
+        OpenExportModal ->
+            if Array.isEmpty model.logEntries then
+                ( model, Cmd.none )
+
+            else
+                ( { model | showExportModal = True }, Cmd.none )
+
+        CloseExportModal ->
+            ( { model | showExportModal = False }
             , Cmd.none
             )
 
-        WsConnectionFailed ->
-            let
-                errorMsg =
-                    "Could not connect to server. Check that the server is running."
-            in
-            ( { model
-                | inputSource =
-                    case model.inputSource of
-                        Just (WebSocketSource ws) ->
-                            Just (WebSocketSource { ws | status = ConnectionError errorMsg })
+        SetExportFormat format ->
+            ( { model | exportFormat = format }
+            , Cmd.none
+            )
 
-                        other ->
-                            other
-                , errorMessage = Just errorMsg
-              }
+        SetExportColumns columns ->
+            ( { model | exportColumns = columns }
             , Cmd.none
             )
 
-        WsConnectionLost ->
+        SaveExport ->
             let
-                errorMsg =
-                    "Connection to server was lost."
+                entries =
+                    exportEntries model
+
+                content =
+                    case model.exportFormat of
+                        Export.Jsonl ->
+                            Export.toJsonl entries
+
+                        Export.Csv ->
+                            Export.toCsv (Export.parseColumns model.exportColumns) entries
+
+                        Export.Html ->
+                            Export.toHtml
+                                { title = "TeaForge Debugger Export"
+                                , source = inputSourceLabel model
+                                }
+                                entries
             in
-            ( { model
-                | inputSource =
-                    case model.inputSource of
-                        Just (WebSocketSource ws) ->
-                            Just (WebSocketSource { ws | status = ConnectionError errorMsg })
+            ( { model | showExportModal = False }
+            , Ports.saveExport
+                { format = Export.formatExtension model.exportFormat
+                , defaultName = exportFileName model
+                , content = content
+                }
+            )
 
-                        other ->
-                            other
-                , errorMessage = Just errorMsg
-              }
+        ExportSaved (Ok ()) ->
+            ( model, Cmd.none )
+
+        ExportSaved (Err errorMsg) ->
+            ( { model | errorMessage = Just ("Export failed: " ++ errorMsg) }
             , Cmd.none
             )
 
-        -- Navigation
-        SelectMessage index ->
-            let
-                -- Get the selected log entry
-                maybeEntry =
-                    Array.get index model.logEntries
-            in
-            case maybeEntry of
-                Nothing ->
-                    ( model, Cmd.none )
+        -- Sessions
+        SaveSession ->
+            ( model
+            , Ports.saveSession
+                { defaultName = sourceBaseName model ++ ".tfsession"
+                , content = E.encode 2 (Session.encode (currentSession model))
+                }
+            )
 
-                Just entry ->
-                    selectEntry index entry model
+        SessionSaved (Ok ()) ->
+            ( model, Cmd.none )
 
-        -- Keyboard Navigation
-        SelectNextMessage ->
-            let
-                maxIndex =
-                    Array.length model.logEntries - 1
+        SessionSaved (Err errorMsg) ->
+            ( { model | errorMessage = Just ("Saving the session failed: " ++ errorMsg) }
+            , Cmd.none
+            )
+
+        SessionOpened (Ok session) ->
+            openSession session model
+
+        SessionOpened (Err errorMsg) ->
+            ( { model | errorMessage = Just errorMsg }
+            , Cmd.none
+            )
+
+        -- Comparison
+        OpenComparison ->
+            ( model, Ports.openComparison )
+
+        ComparisonOpened (Ok payload) ->
+            if Array.isEmpty model.logEntries then
+                ( { model | errorMessage = Just "Open a log before choosing one to compare it with." }
+                , Cmd.none
+                )
+
+            else
+                let
+                    comparisonView =
+                        alignComparison Comparison.ByMessageName
+                            { path = payload.path
+                            , truncated = payload.truncated
+                            , leftEntries = model.logEntries
+                            , leftOffset =
+                                model.pagedFile
+                                    |> Maybe.map .pageStart
+                                    |> Maybe.withDefault 0
+                            , rightEntries = parseEntryPayloads payload.entries
+                            , alignment = Comparison.ByMessageName
+                            , rows = Array.empty
+                            , selectedRow = Nothing
+                            }
+                in
+                ( { model | comparison = Just comparisonView }
+                , scrollToComparisonRow comparisonView.selectedRow
+                )
+
+        ComparisonOpened (Err errorMsg) ->
+            ( { model | errorMessage = Just errorMsg }
+            , Cmd.none
+            )
+
+        SetComparisonAlignment alignment ->
+            case model.comparison of
+                Just current ->
+                    let
+                        comparisonView =
+                            alignComparison alignment current
+                    in
+                    ( { model | comparison = Just comparisonView }
+                    , scrollToComparisonRow comparisonView.selectedRow
+                    )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        SelectComparisonRow rowIndex ->
+            ( { model | comparison = Maybe.map (\current -> { current | selectedRow = Just rowIndex }) model.comparison }
+            , Cmd.none
+            )
+
+        JumpToDivergence ->
+            case model.comparison of
+                Just current ->
+                    let
+                        divergence =
+                            firstComparisonDivergence current
+                    in
+                    ( { model | comparison = Just { current | selectedRow = divergence } }
+                    , scrollToComparisonRow divergence
+                    )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        CloseComparison ->
+            ( { model | comparison = Nothing }, Cmd.none )
+
+        -- Charts
+        PinChartField path ->
+            if List.member path model.chartPaths then
+                ( model, Cmd.none )
+
+            else
+                ( { model | chartPaths = model.chartPaths ++ [ path ] }, Cmd.none )
+
+        UnpinChartField path ->
+            ( { model | chartPaths = List.filter ((/=) path) model.chartPaths }, Cmd.none )
+
+        ClearChartFields ->
+            ( { model | chartPaths = [] }, Cmd.none )
+
+        -- Field history
+        ShowFieldHistory path ->
+            ( { model | fieldHistoryPath = Just path }, Cmd.none )
+
+        CloseFieldHistory ->
+            ( { model | fieldHistoryPath = Nothing }, Cmd.none )
+
+        SelectHistoryEntry index ->
+            update (RevealMessage index) { model | fieldHistoryPath = Nothing }
+
+        -- Baseline
+        PinBaseline ->
+            case model.selectedIndex of
+                Just index ->
+                    case Array.get index model.logEntries |> Maybe.andThen (\entry -> Maybe.map (Tuple.pair entry) (getModelAfter entry)) of
+                        Just ( entry, modelAfter ) ->
+                            update (SelectMessage index)
+                                { model
+                                    | baseline =
+                                        Just
+                                            { entryNumber = pageOffset model + index + 1
+                                            , messageName = getMessageName entry
+                                            , model = modelAfter
+                                            }
+                                }
+
+                        Nothing ->
+                            ( model, Cmd.none )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        ClearBaseline ->
+            case model.selectedIndex of
+                Just index ->
+                    update (SelectMessage index) { model | baseline = Nothing }
+
+                Nothing ->
+                    ( { model | baseline = Nothing }, Cmd.none )
+
+        -- Causality
+        OpenCausalityGraph ->
+            ( { model | causalityGraph = Just WholeLog }, Cmd.none )
+
+        SetCausalityWindow window ->
+            ( { model | causalityGraph = Just window }, Cmd.none )
+
+        CloseCausalityGraph ->
+            ( { model | causalityGraph = Nothing }, Cmd.none )
+
+        SelectGraphEntry index ->
+            update (RevealMessage index) { model | causalityGraph = Nothing }
+
+        -- Subscription timeline
+        ToggleSubscriptionTimeline ->
+            ( { model | subscriptionTimelineOpen = not model.subscriptionTimelineOpen }, Cmd.none )
+
+        -- Statistics
+        OpenSessionStats ->
+            ( { model
+                | sessionStatsOpen = True
+                , sessionStatsChanges = SessionStats.countChanges model.logEntries model.sessionStatsChanges
+              }
+            , Cmd.none
+            )
+
+        CloseSessionStats ->
+            ( { model | sessionStatsOpen = False }, Cmd.none )
+
+        FilterFromSessionStats filter ->
+            update (QuickAddFilter filter) { model | sessionStatsOpen = False }
+
+        SelectStatsEntry index ->
+            update (RevealMessage index) { model | sessionStatsOpen = False }
+
+        DisconnectWebSocket ->
+            ( { model
+                | inputSource =
+                    case model.inputSource of
+                        Just (WebSocketSource ws) ->
+                            Just (WebSocketSource { ws | status = Disconnected })
+
+                        other ->
+                            other
+              }
+            , Ports.disconnectWebSocket
+            )
+
+        WsConnecting ->
+            ( { model
+                | inputSource =
+                    case model.inputSource of
+                        Just (WebSocketSource ws) ->
+                            case ws.status of
+                                Reconnecting _ ->
+                                    -- Keep showing which attempt this is
+                                    Just (WebSocketSource ws)
+
+                                _ ->
+                                    Just (WebSocketSource { ws | status = Connecting })
+
+                        other ->
+                            other
+              }
+            , Cmd.none
+            )
+
+        WsConnected ->
+            let
+                -- Add URL to recent list (at the front, remove duplicates)
+                newRecentUrls =
+                    case model.inputSource of
+                        Just (WebSocketSource ws) ->
+                            ws.url
+                                :: List.filter ((/=) ws.url) model.recentWsUrls
+                                |> List.take 5
+
+                        _ ->
+                            model.recentWsUrls
+
+                -- Entries that arrive next are checked against those received
+                -- before the connection was lost
+                wasReconnecting =
+                    case model.inputSource of
+                        Just (WebSocketSource ws) ->
+                            case ws.status of
+                                Reconnecting _ ->
+                                    True
+
+                                _ ->
+                                    False
+
+                        _ ->
+                            False
+
+                connected =
+                    { model
+                        | inputSource =
+                            case model.inputSource of
+                                Just (WebSocketSource ws) ->
+                                    Just (WebSocketSource { ws | status = Connected })
+
+                                other ->
+                                    other
+                        , recentWsUrls = newRecentUrls
+                        , remoteControl = RemoteControl.init
+                        , wsContinuity =
+                            if wasReconnecting then
+                                Reconnect.resume model.wsContinuity
+
+                            else
+                                model.wsContinuity
+                    }
+            in
+            -- Ask which control commands the application supports
+            sendControlCommand RemoteControl.Hello connected
+
+        WsDisconnected ->
+            ( { model
+                | inputSource =
+                    case model.inputSource of
+                        Just (WebSocketSource ws) ->
+                            Just (WebSocketSource { ws | status = Disconnected })
+
+                        other ->
+                            other
+                , remoteControl = RemoteControl.init
+              }
+            , Cmd.none
+            )
+
+        WsConnectionFailed ->
+            case model.inputSource of
+                Just (WebSocketSource { status }) ->
+                    case status of
+                        Reconnecting attempt ->
+                            if attempt < model.reconnectSettings.maxAttempts then
+                                scheduleReconnect (attempt + 1) model
+
+                            else
+                                connectionFailed
+                                    ("Could not reconnect to server after "
+                                        ++ String.fromInt attempt
+                                        ++ (if attempt == 1 then
+                                                " attempt."
+
+                                            else
+                                                " attempts."
+                                           )
+                                    )
+                                    model
+
+                        _ ->
+                            connectionFailed "Could not connect to server. Check that the server is running." model
+
+                _ ->
+                    connectionFailed "Could not connect to server. Check that the server is running." model
+
+        WsConnectionLost ->
+            if model.reconnectSettings.enabled && model.reconnectSettings.maxAttempts > 0 then
+                scheduleReconnect 1 { model | remoteControl = RemoteControl.init }
+
+            else
+                connectionFailed "Connection to server was lost." model
+
+        RetryWebSocket attempt ->
+            case model.inputSource of
+                Just (WebSocketSource ws) ->
+                    -- The source may have been closed or replaced while waiting
+                    if ws.status == Reconnecting attempt then
+                        ( model, Ports.reconnectWebSocket ws.url )
+
+                    else
+                        ( model, Cmd.none )
+
+                _ ->
+                    ( model, Cmd.none )
+
+        ToggleReconnect ->
+            let
+                settings =
+                    model.reconnectSettings
+            in
+            saveReconnectSettings { settings | enabled = not settings.enabled } model
+
+        SetReconnectAttempts attemptsText ->
+            case String.toInt attemptsText of
+                Just attempts ->
+                    let
+                        settings =
+                            model.reconnectSettings
+                    in
+                    saveReconnectSettings { settings | maxAttempts = clamp 1 100 attempts } model
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        ToggleRecording ->
+            case model.recording of
+                RecordingTo _ ->
+                    ( { model | recording = StoppingRecording }, Ports.stopRecording )
+
+                StartingRecording ->
+                    ( model, Cmd.none )
+
+                StoppingRecording ->
+                    ( model, Cmd.none )
+
+                _ ->
+                    ( { model | recording = StartingRecording }
+                    , Ports.startRecording
+                        { defaultName = "teaforge-session.jsonl"
+                        , snapshot = recordingSnapshot model
+                        }
+                    )
+
+        RecordingStarted (Ok (Just path)) ->
+            ( { model | recording = RecordingTo path }, Cmd.none )
+
+        RecordingStarted (Ok Nothing) ->
+            -- Canceled
+            ( { model | recording = NotRecording }, Cmd.none )
+
+        RecordingStarted (Err errorMsg) ->
+            ( { model | recording = NotRecording, errorMessage = Just errorMsg }, Cmd.none )
+
+        RecordingRotated path ->
+            case model.recording of
+                RecordingTo _ ->
+                    ( { model | recording = RecordingTo path }, Cmd.none )
+
+                _ ->
+                    ( model, Cmd.none )
+
+        RecordingStopped result ->
+            -- A recording stopped because the source changed isn't shown
+            if model.recording == StoppingRecording then
+                case result of
+                    Ok paths ->
+                        ( { model | recording = Recorded paths }, Cmd.none )
+
+                    Err errorMsg ->
+                        ( { model | recording = NotRecording, errorMessage = Just errorMsg }, Cmd.none )
+
+            else
+                ( model, Cmd.none )
+
+        RecordingFailed errorMsg ->
+            ( { model | recording = NotRecording, errorMessage = Just ("Recording stopped: " ++ errorMsg) }
+            , Cmd.none
+            )
+
+        SendControlCommand command ->
+            sendControlCommand command model
+
+        SetReplayFromInput sequenceText ->
+            ( { model | replayFromInput = sequenceText }, Cmd.none )
+
+        ReplayFromInput ->
+            case String.toInt (String.trim model.replayFromInput) of
+                Just fromSequence ->
+                    if fromSequence >= 0 then
+                        sendControlCommand (RemoteControl.Replay fromSequence) model
+
+                    else
+                        ( model, Cmd.none )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        ControlEventReceived event ->
+            let
+                remote =
+                    RemoteControl.applyEvent event model.remoteControl
+
+                updated =
+                    { model | remoteControl = remote }
+            in
+            case event of
+                RemoteControl.Capabilities _ ->
+                    -- A session joined after the application started has no
+                    -- init entry to apply updates to, so ask for the model
+                    if RemoteControl.supports RemoteControl.Snapshot remote && not (hasInitEntry model) then
+                        sendControlCommand RemoteControl.Snapshot updated
+
+                    else
+                        ( updated, Cmd.none )
+
+                _ ->
+                    ( updated, Cmd.none )
+
+        -- Navigation
+        SelectMessage index ->
+            let
+                -- Get the selected log entry
+                maybeEntry =
+                    Array.get index model.logEntries
+            in
+            case maybeEntry of
+                Nothing ->
+                    ( model, Cmd.none )
+
+                Just entry ->
+                    selectEntry index entry model
+
+        RevealMessage index ->
+            let
+                ( selectedModel, selectCmd ) =
+                    update (SelectMessage index) model
+            in
+            ( selectedModel
+            , Cmd.batch [ selectCmd, Ports.scrollIntoView ("message-item-" ++ String.fromInt index) ]
+            )
+
+        GoToEntry entryIndex ->
+            let
+                offset =
+                    pageOffset model
+            in
+            if entryIndex >= offset && entryIndex < offset + Array.length model.logEntries then
+                update (RevealMessage (entryIndex - offset)) model
+
+            else
+                -- The entry is on another page of a large file
+                update (JumpToEntry (String.fromInt (entryIndex + 1))) model
+
+        -- Keyboard Navigation
+        SelectNextMessage ->
+            let
+                maxIndex =
+                    Array.length model.logEntries - 1
 
                 newIndex =
                     case ( model.displayOrder, model.selectedIndex ) of
@@ -755,26 +1769,17 @@ update msg model =
 
         -- Search
         SetSearchQuery query ->
-            let
-                -- Get the current entry for search
-                maybeEntry =
-                    model.selectedIndex
-                        |> Maybe.andThen (\idx -> Array.get idx model.logEntries)
+            ( rerunSearch { model | searchQuery = query }
+            , Cmd.none
+            )
 
-                -- Perform search on the entire entry
-                newSearchResult =
-                    case maybeEntry of
-                        Just entry ->
-                            searchLogEntry query entry
+        SetSearchOptions options ->
+            ( rerunSearch { model | searchOptions = options }
+            , Cmd.none
+            )
 
-                        Nothing ->
-                            Search.emptyEntrySearchResult
-            in
-            ( { model
-                | searchQuery = query
-                , searchResult = newSearchResult
-                , currentMatchIndex = 0
-              }
+        ToggleSearchAllEntries ->
+            ( rerunSearch { model | searchAllEntries = not model.searchAllEntries }
             , Cmd.none
             )
 
@@ -835,14 +1840,121 @@ update msg model =
             , Task.attempt (\_ -> NoOp) (Dom.focus "search-input")
             )
 
-        NoOp ->
-            ( model, Cmd.none )
+        -- Bookmarks and annotations
+        ToggleBookmark ->
+            changeAnnotations Annotation.toggle model
 
-        -- Tree View (After state)
-        TreeViewMsg treeMsg ->
-            ( { model | treeViewState = TreeView.update treeMsg model.treeViewState }
-            , Cmd.none
-            )
+        SetAnnotationColor color ->
+            changeAnnotations (\entryIndex -> Annotation.setColor entryIndex color) model
+
+        SetAnnotationNote note ->
+            case selectedEntryNumber model of
+                Just entryIndex ->
+                    let
+                        edit =
+                            Maybe.withDefault 0 model.pendingNoteSave + 1
+                    in
+                    ( { model
+                        | annotations = Annotation.setNote entryIndex note model.annotations
+                        , pendingNoteSave = Just edit
+                      }
+                    , Process.sleep noteSaveDelay |> Task.perform (\_ -> SaveAnnotationNote edit)
+                    )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        SaveAnnotationNote edit ->
+            if model.pendingNoteSave == Just edit then
+                ( { model | pendingNoteSave = Nothing }, saveAnnotations model )
+
+            else
+                ( model, Cmd.none )
+
+        AnnotationNoteBlurred ->
+            case model.pendingNoteSave of
+                Just _ ->
+                    ( { model | pendingNoteSave = Nothing }, saveAnnotations model )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        SelectNextBookmark ->
+            case Annotation.next (Maybe.withDefault (-1) (selectedEntryNumber model)) model.annotations of
+                Just entryIndex ->
+                    update (GoToEntry entryIndex) model
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        SelectPreviousBookmark ->
+            let
+                current =
+                    selectedEntryNumber model
+                        |> Maybe.withDefault (pageOffset model + Array.length model.logEntries)
+            in
+            case Annotation.previous current model.annotations of
+                Just entryIndex ->
+                    update (GoToEntry entryIndex) model
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        -- Playback
+        TogglePlayback ->
+            if model.playback.playing then
+                ( { model | playback = Playback.pause model.playback }
+                , Cmd.none
+                )
+
+            else
+                followPlayback (Playback.start (playbackTimeline model) model.selectedIndex model.playback) model
+
+        SetPlaybackSpeed speed ->
+            let
+                playback =
+                    model.playback
+            in
+            ( { model | playback = { playback | speed = speed } }
+            , Cmd.none
+            )
+
+        PlaybackFrame elapsed ->
+            followPlayback (Playback.tick (playbackTimeline model) elapsed model.selectedIndex model.playback) model
+
+        SeekPlayback clockText ->
+            case String.toFloat clockText of
+                Just clock ->
+                    followPlayback (Playback.seek (playbackTimeline model) clock model.playback) model
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        ToggleBookmarksPanel ->
+            ( { model | bookmarksOpen = not model.bookmarksOpen }
+            , Cmd.none
+            )
+
+        AnnotationsLoaded result ->
+            case result of
+                Ok annotations ->
+                    ( { model | annotations = annotations }
+                    , Cmd.none
+                    )
+
+                Err errorMsg ->
+                    ( { model | errorMessage = Just ("Could not read annotations: " ++ errorMsg) }
+                    , Cmd.none
+                    )
+
+        NoOp ->
+            ( model, Cmd.none )
+
+        -- Tree View (After state)
+        TreeViewMsg treeMsg ->
+            ( { model | treeViewState = TreeView.update treeMsg model.treeViewState }
+            , Cmd.none
+            )
 
         -- Tree View (Before state - for split view)
         BeforeTreeViewMsg treeMsg ->
@@ -1153,6 +2265,36 @@ update msg model =
             in
             ( recomputeFilteredIndices newModel, Cmd.none )
 
+        FilterPresetsLoaded (Ok presets) ->
+            ( { model | filterPresets = presets }, Cmd.none )
+
+        FilterPresetsLoaded (Err errorMsg) ->
+            ( { model | errorMessage = Just ("Could not load filter presets: " ++ errorMsg) }
+            , Cmd.none
+            )
+
+        FilterPresetsImported (Ok presets) ->
+            let
+                newPresets =
+                    List.foldl (\preset acc -> Filter.savePreset preset.name preset.filters acc) model.filterPresets presets
+            in
+            ( { model | filterPresets = newPresets }
+            , savePresets newPresets
+            )
+
+        FilterPresetsImported (Err errorMsg) ->
+            ( { model | errorMessage = Just errorMsg }
+            , Cmd.none
+            )
+
+        FilterPresetsExported (Ok ()) ->
+            ( model, Cmd.none )
+
+        FilterPresetsExported (Err errorMsg) ->
+            ( { model | errorMessage = Just ("Exporting the presets failed: " ++ errorMsg) }
+            , Cmd.none
+            )
+
 
 {-| Handle filter sidebar messages.
 -}
@@ -1320,6 +2462,153 @@ handleFilterSidebarMsg msg model =
             , Cmd.none
             )
 
+        FilterSidebar.ApplyPreset index ->
+            case List.head (List.drop index model.filterPresets) of
+                Just preset ->
+                    ( recomputeFilteredIndices
+                        { model
+                            | activeFilters = preset.filters
+                            , filtersGlobalEnabled = True
+                            , filterEditing = Nothing
+                        }
+                    , Cmd.none
+                    )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        FilterSidebar.DeletePreset index ->
+            let
+                newPresets =
+                    List.take index model.filterPresets ++ List.drop (index + 1) model.filterPresets
+            in
+            ( { model | filterPresets = newPresets }
+            , savePresets newPresets
+            )
+
+        FilterSidebar.SetPresetName newName ->
+            ( { model | presetName = newName }, Cmd.none )
+
+        FilterSidebar.SavePreset ->
+            let
+                trimmedName =
+                    String.trim model.presetName
+            in
+            if String.isEmpty trimmedName || List.isEmpty model.activeFilters then
+                ( model, Cmd.none )
+
+            else
+                let
+                    newPresets =
+                        Filter.savePreset trimmedName model.activeFilters model.filterPresets
+                in
+                ( { model | filterPresets = newPresets, presetName = "" }
+                , savePresets newPresets
+                )
+
+        FilterSidebar.ImportPresets ->
+            ( model, Ports.importFilterPresets )
+
+        FilterSidebar.ExportPresets ->
+            ( model
+            , Ports.exportFilterPresets { content = E.encode 2 (Filter.encodePresets model.filterPresets) }
+            )
+
+
+{-| Change the annotation of the selected entry and save the annotations next
+to the log file. Annotations of a WebSocket stream are only kept until the
+next source is opened.
+-}
+changeAnnotations : (Int -> Annotations -> Annotations) -> Model -> ( Model, Cmd Msg )
+changeAnnotations change model =
+    case selectedEntryNumber model of
+        Just entryIndex ->
+            let
+                newModel =
+                    { model | annotations = change entryIndex model.annotations }
+            in
+            ( { newModel | pendingNoteSave = Nothing }, saveAnnotations newModel )
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+{-| Save the annotations next to the log file. Annotations of a WebSocket
+stream aren't saved.
+-}
+saveAnnotations : Model -> Cmd Msg
+saveAnnotations model =
+    case model.inputSource of
+        Just (FileSource file) ->
+            Ports.saveAnnotations
+                { logPath = file.path
+                , content = E.encode 2 (Annotation.encode model.annotations)
+                }
+
+        _ ->
+            Cmd.none
+
+
+{-| How long typing in a note has to pause before the note is saved.
+-}
+noteSaveDelay : Float
+noteSaveDelay =
+    500
+
+
+{-| The loaded entries, as played back.
+-}
+playbackTimeline : Model -> Playback.Timeline
+playbackTimeline model =
+    { timestampOf = \index -> Array.get index model.logEntries |> Maybe.andThen getTimestamp
+    , count = Array.length model.logEntries
+    }
+
+
+{-| Store the playback state and select the entry it has reached.
+-}
+followPlayback : Playback -> Model -> ( Model, Cmd Msg )
+followPlayback playback model =
+    let
+        playedModel =
+            { model | playback = playback }
+    in
+    case playback.entryIndex of
+        Just index ->
+            if model.selectedIndex == Just index then
+                ( playedModel, Cmd.none )
+
+            else
+                update (RevealMessage index) playedModel
+
+        Nothing ->
+            ( playedModel, Cmd.none )
+
+
+{-| Number of the first loaded entry in the whole log: the start of the
+loaded page of a large file, 0 otherwise.
+-}
+pageOffset : Model -> Int
+pageOffset model =
+    model.pagedFile
+        |> Maybe.map .pageStart
+        |> Maybe.withDefault 0
+
+
+{-| Number of the selected entry in the whole log.
+-}
+selectedEntryNumber : Model -> Maybe Int
+selectedEntryNumber model =
+    model.selectedIndex
+        |> Maybe.map (\idx -> idx + pageOffset model)
+
+
+{-| Write the presets to the settings folder.
+-}
+savePresets : List Filter.Preset -> Cmd Msg
+savePresets presets =
+    Ports.saveFilterPresets (E.encode 2 (Filter.encodePresets presets))
+
 
 {-| Recompute the set of filtered indices based on current filters.
 -}
@@ -1333,6 +2622,10 @@ recomputeFilteredIndices model =
             else
                 []
 
+        -- Query filters are parsed once here rather than for every entry
+        matches =
+            Filter.matchesEntry enabled
+
         indices =
             if List.isEmpty enabled then
                 -- No filters active, all entries visible
@@ -1342,7 +2635,7 @@ recomputeFilteredIndices model =
                 Array.toIndexedList model.logEntries
                     |> List.filterMap
                         (\( idx, entry ) ->
-                            if Filter.matchesEntry enabled entry then
+                            if matches entry then
                                 Just idx
 
                             else
@@ -1369,186 +2662,693 @@ recomputeFilteredIndices model =
     }
 
 
-{-| Handle a received entry from the input source.
+{-| The entries in the current view, with their entry numbers: all loaded
+entries, or only those matching the filters when any are enabled.
 -}
-handleEntryReceived : EntryPayload -> Model -> ( Model, Cmd Msg )
-handleEntryReceived payload model =
-    case payload.error of
-        Just errorMsg ->
-            -- Malformed entry - add as ErrorEntry
-            let
-                errorEntry =
-                    ErrorEntry
-                        { lineNumber = payload.lineNumber
-                        , rawText = Maybe.withDefault "" payload.rawText
-                        , error = errorMsg
-                        }
-            in
-            addEntryAndMaybeSelect errorEntry model
+exportEntries : Model -> List ( Int, LogEntry )
+exportEntries model =
+    let
+        hasActiveFilters =
+            model.filtersGlobalEnabled && Filter.enabledFilterCount model.activeFilters > 0
 
-        Nothing ->
-            case payload.entry of
-                Just rawValue ->
-                    processValidEntry payload.lineNumber rawValue model
+        offset =
+            model.pagedFile
+                |> Maybe.map .pageStart
+                |> Maybe.withDefault 0
+    in
+    Array.toIndexedList model.logEntries
+        |> List.filter (\( idx, _ ) -> not hasActiveFilters || Set.member idx model.filteredIndices)
+        |> List.map (\( idx, entry ) -> ( offset + idx + 1, entry ))
+
+
+{-| Describe the current input source for an export.
+-}
+inputSourceLabel : Model -> String
+inputSourceLabel model =
+    case model.inputSource of
+        Just (FileSource file) ->
+            file.label
+
+        Just (WebSocketSource ws) ->
+            ws.url
+
+        Just (LogServerSource server) ->
+            case selectedLogClient model of
+                Just client ->
+                    LogServer.protocolLabel client.protocol ++ " " ++ client.address
 
                 Nothing ->
-                    ( model, Cmd.none )
+                    "Log server on port " ++ String.fromInt server.listenPort
+
+        Nothing ->
+            ""
 
 
-{-| Process a valid JSON entry and add it to the log.
+{-| The log server client whose entries are shown.
 -}
-processValidEntry : Int -> D.Value -> Model -> ( Model, Cmd Msg )
-processValidEntry lineNum rawValue model =
-    case D.decodeValue LogParser.entryTypeDecoder rawValue of
-        Ok "header" ->
-            -- Handle header entries to detect compression
-            case D.decodeValue LogParser.headerDecoder rawValue of
-                Ok headerData ->
-                    if headerData.compression == Just "stringDict" then
-                        ( { model | compression = CompressionDict.Enabled Dict.empty }
-                        , Cmd.none
-                        )
+selectedLogClient : Model -> Maybe LogServer.Client
+selectedLogClient model =
+    case model.inputSource of
+        Just (LogServerSource { client }) ->
+            client
+                |> Maybe.andThen (\id -> List.head (List.filter (\c -> c.id == id) model.logClients))
 
-                    else
-                        ( model, Cmd.none )
+        _ ->
+            Nothing
 
-                Err _ ->
-                    ( model, Cmd.none )
 
-        Ok "stringDict" ->
-            -- Merge string dictionary entries into compression state
-            ( { model | compression = CompressionDict.merge rawValue model.compression }
-            , Cmd.none
-            )
+{-| Suggested file name for an export, based on the name of the open file.
+-}
+exportFileName : Model -> String
+exportFileName model =
+    sourceBaseName model ++ "-export." ++ Export.formatExtension model.exportFormat
 
-        Ok "init" ->
-            case D.decodeValue (LogParser.initDataDecoder model.compression) rawValue of
-                Ok initData ->
-                    let
-                        appliedModel =
-                            Diff.applyPatch (E.object []) initData.modelDiff
-
-                        entry =
-                            InitEntry
-                                { timestamp = initData.timestamp
-                                , model = appliedModel
-                                , effects = initData.effects
-                                }
-                    in
-                    addEntryAndMaybeSelect entry
-                        { model | lastModelAfter = appliedModel }
 
-                Err e ->
-                    addErrorEntry lineNum (D.errorToString e) model
+{-| Name of the open log file without its directory and extensions, for
+suggesting names of files saved from it.
+-}
+sourceBaseName : Model -> String
+sourceBaseName model =
+    case model.inputSource of
+        Just (FileSource file) ->
+            file.path
+                |> String.replace "\\" "/"
+                |> String.split "/"
+                |> List.reverse
+                |> List.head
+                |> Maybe.withDefault ""
+                |> stripExtensions [ ".gz", ".zst", ".jsonl", ".json", ".log" ]
 
-        Ok "update" ->
-            case D.decodeValue (LogParser.updateDataDecoder model.compression) rawValue of
-                Ok updateData ->
-                    let
-                        appliedModel =
-                            Diff.applyPatch model.lastModelAfter updateData.modelDiff
-
-                        entry =
-                            UpdateEntry
-                                { timestamp = updateData.timestamp
-                                , message = updateData.message
-                                , modelBefore = model.lastModelAfter
-                                , modelAfter = appliedModel
-                                , effects = updateData.effects
-                                }
-                    in
-                    addEntryAndMaybeSelect entry
-                        { model | lastModelAfter = appliedModel }
+        _ ->
+            "teaforge-session"
 
-                Err e ->
-                    addErrorEntry lineNum (D.errorToString e) model
 
-        Ok "subscriptionChange" ->
-            case D.decodeValue (LogParser.subscriptionChangeDataDecoder model.compression) rawValue of
-                Ok subData ->
-                    let
-                        entry =
-                            SubscriptionChangeEntry
-                                { timestamp = subData.timestamp
-                                , started = subData.started
-                                , stopped = subData.stopped
-                                }
-                    in
-                    addEntryAndMaybeSelect entry model
+{-| Record the current source and view as a session.
+-}
+currentSession : Model -> Session.Session
+currentSession model =
+    { source =
+        case model.inputSource of
+            Just (FileSource file) ->
+                Just (Session.FileSource { path = file.path, follow = file.follow })
 
-                Err e ->
-                    addErrorEntry lineNum (D.errorToString e) model
+            Just (WebSocketSource ws) ->
+                Just (Session.WebSocketSource { url = ws.url })
 
-        Ok unknownType ->
-            -- Skip unknown entry types silently
-            ( model, Cmd.none )
+            Just (LogServerSource _) ->
+                -- Clients come and go, so there is nothing to reopen
+                Nothing
 
-        Err e ->
-            addErrorEntry lineNum (D.errorToString e) model
+            Nothing ->
+                Nothing
+    , filters = model.activeFilters
+    , filtersEnabled = model.filtersGlobalEnabled
+    , filterSidebarOpen = model.filterSidebarOpen
+    , searchQuery = model.searchQuery
+    , selectedEntry =
+        model.selectedIndex
+            |> Maybe.map
+                (\idx ->
+                    idx
+                        + (model.pagedFile
+                            |> Maybe.map .pageStart
+                            |> Maybe.withDefault 0
+                          )
+                )
+    , expandedPaths = getMessageViewState model
+    , displayOrder = model.displayOrder
+    , showPreviousState = model.showPreviousState
+    , showChangedValues = model.showChangedValues
+    , sidebarWidth = model.sidebarWidth
+    , chartPaths = model.chartPaths
+    }
 
 
-{-| Add an error entry for a malformed line.
+{-| Restore the view settings of a session and reopen its source. The saved
+selection is applied once its entry has been read.
 -}
-addErrorEntry : Int -> String -> Model -> ( Model, Cmd Msg )
-addErrorEntry lineNum errorMsg model =
+openSession : Session.Session -> Model -> ( Model, Cmd Msg )
+openSession session model =
     let
-        errorEntry =
-            ErrorEntry
-                { lineNumber = lineNum
-                , rawText = ""
-                , error = errorMsg
-                }
+        viewModel =
+            { model
+                | activeFilters = session.filters
+                , filtersGlobalEnabled = session.filtersEnabled
+                , filterSidebarOpen = session.filterSidebarOpen
+                , filterEditing = Nothing
+                , searchQuery = session.searchQuery
+                , searchResult = Search.emptyEntrySearchResult
+                , currentMatchIndex = 0
+                , displayOrder = session.displayOrder
+                , showPreviousState = session.showPreviousState
+                , showChangedValues = session.showChangedValues
+                , sidebarWidth = clamp 200 600 session.sidebarWidth
+                , chartPaths = session.chartPaths
+            }
+
+        ( openedModel, openCmd ) =
+            case session.source of
+                Just (Session.FileSource file) ->
+                    update (OpenInput { path = file.path, follow = file.follow }) viewModel
+
+                Just (Session.WebSocketSource ws) ->
+                    update ConnectWebSocket { viewModel | wsUrlInput = ws.url }
+
+                Nothing ->
+                    ( recomputeFilteredIndices viewModel, Cmd.none )
     in
-    addEntryAndMaybeSelect errorEntry model
+    ( { openedModel
+        | pendingSelection =
+            session.selectedEntry
+                |> Maybe.map (\entryIndex -> { entryIndex = entryIndex, viewState = session.expandedPaths })
+      }
+    , openCmd
+    )
 
 
-{-| Add an entry to the log and auto-select if this is the first entry.
+{-| Remove the given extensions from the end of a file name, in order.
 -}
-addEntryAndMaybeSelect : LogEntry -> Model -> ( Model, Cmd Msg )
-addEntryAndMaybeSelect entry model =
-    let
-        newEntries =
-            Array.push entry model.logEntries
+stripExtensions : List String -> String -> String
+stripExtensions extensions fileName =
+    List.foldl
+        (\ext name ->
+            if String.endsWith ext (String.toLower name) then
+                String.dropRight (String.length ext) name
 
-        -- Auto-select first entry if nothing is selected
-        shouldAutoSelect =
-            model.selectedIndex == Nothing && Array.isEmpty model.logEntries
+            else
+                name
+        )
+        fileName
+        extensions
 
-        newModel =
-            recomputeFilteredIndices { model | logEntries = newEntries }
-    in
-    if shouldAutoSelect then
-        update (SelectMessage 0) newModel
 
-    else
-        ( newModel, Cmd.none )
+{-| Drop all loaded entries and the state derived from them, ready for a
+source to stream entries from the beginning.
+-}
+clearLoadedEntries : Model -> Model
+clearLoadedEntries model =
+    { model
+        | logEntries = Array.empty
+        , lastModelAfter = E.null
+        , selectedIndex = Nothing
+        , errorMessage = Nothing
+        , messageViewStates = Dict.empty
+        , changedPaths = []
+        , changes = Dict.empty
+        , beforeChanges = Dict.empty
+        , compression = CompressionDict.empty
+        , filteredIndices = Set.empty
+        , causality = Causality.empty
+        , sessionStatsChanges = SessionStats.emptyChangeCounts
+        , subscriptionTimeline = SubscriptionTimeline.empty
+        , typeRegistry = TypeRegistry.empty
+        , typeWarnings = Dict.empty
+        , modelDiverged = False
+        , divergences = Dict.empty
+        , baseline = Nothing
+        , searchHits = []
+        , playback = Playback.pause model.playback
+        , wsContinuity = Reconnect.initContinuity
+        , streamGaps = Dict.empty
+    }
 
 
-{-| Select an entry and update the model accordingly.
+{-| Show that the WebSocket connection failed or was lost for good.
 -}
-selectEntry : Int -> LogEntry -> Model -> ( Model, Cmd Msg )
-selectEntry index entry model =
-    let
-        -- Get model states for tree view and diff
-        ( maybeModelBefore, maybeModelAfter ) =
-            ( getModelBefore entry, getModelAfter entry )
+connectionFailed : String -> Model -> ( Model, Cmd Msg )
+connectionFailed errorMsg model =
+    ( { model
+        | inputSource =
+            case model.inputSource of
+                Just (WebSocketSource ws) ->
+                    Just (WebSocketSource { ws | status = ConnectionError errorMsg })
+
+                other ->
+                    other
+        , errorMessage = Just errorMsg
+        , remoteControl = RemoteControl.init
+      }
+    , Cmd.none
+    )
 
-        -- Parse the after state for tree view
-        newTreeState =
-            maybeModelAfter
-                |> Maybe.map
-                    (\afterModel ->
-                        case TreeView.parseValue afterModel model.treeViewState of
-                            Ok state ->
-                                state
 
-                            Err _ ->
-                                TreeView.init
-                    )
-                |> Maybe.withDefault TreeView.init
+{-| Wait before making an attempt to reconnect the lost WebSocket.
+-}
+scheduleReconnect : Int -> Model -> ( Model, Cmd Msg )
+scheduleReconnect attempt model =
+    ( { model
+        | inputSource =
+            case model.inputSource of
+                Just (WebSocketSource ws) ->
+                    Just (WebSocketSource { ws | status = Reconnecting attempt })
 
-        -- Parse the before state for split view
-        newBeforeTreeState =
+                other ->
+                    other
+      }
+    , Process.sleep (Reconnect.delay attempt)
+        |> Task.perform (\_ -> RetryWebSocket attempt)
+    )
+
+
+saveReconnectSettings : Reconnect.Settings -> Model -> ( Model, Cmd Msg )
+saveReconnectSettings settings model =
+    ( { model | reconnectSettings = settings }
+    , Ports.saveReconnectSettings (Reconnect.encodeSettings settings)
+    )
+
+
+{-| Check a line streamed from a WebSocket against those the session received
+before it, noting a gap in front of the entry it adds. Gives Nothing for a
+line the application sent again after reconnecting, which is dropped.
+-}
+continueStream : EntryPayload -> Model -> Maybe Model
+continueStream payload model =
+    let
+        line =
+            payload.entry
+                |> Maybe.andThen (D.decodeValue Reconnect.lineDecoder >> Result.toMaybe)
+                |> Maybe.andThen identity
+    in
+    case ( model.inputSource, line ) of
+        ( Just (WebSocketSource _), Just streamLine ) ->
+            case Reconnect.observe streamLine model.wsContinuity of
+                ( continuity, Reconnect.Keep gap ) ->
+                    Just
+                        { model
+                            | wsContinuity = continuity
+                            , streamGaps =
+                                case gap of
+                                    Just found ->
+                                        Dict.insert (Array.length model.logEntries) found model.streamGaps
+
+                                    Nothing ->
+                                        model.streamGaps
+                        }
+
+                ( _, Reconnect.Skip ) ->
+                    Nothing
+
+        _ ->
+            Just model
+
+
+{-| Finish the recording of the WebSocket session, if one is being made.
+-}
+stopRecording : Model -> Cmd Msg
+stopRecording model =
+    case model.recording of
+        RecordingTo _ ->
+            Ports.stopRecording
+
+        _ ->
+            Cmd.none
+
+
+{-| An init line holding the current model, to start a recording made after
+entries have arrived. Null before the first entry.
+-}
+recordingSnapshot : Model -> E.Value
+recordingSnapshot model =
+    if Array.isEmpty model.logEntries then
+        E.null
+
+    else
+        E.object
+            [ ( "type", E.string "init" )
+            , ( "timestamp"
+              , Array.get (Array.length model.logEntries - 1) model.logEntries
+                    |> Maybe.andThen getTimestamp
+                    |> Maybe.withDefault 0
+                    |> E.int
+              )
+            , ( "model", model.lastModelAfter )
+            , ( "effects", E.list identity [] )
+            ]
+
+
+{-| Send a control command to the application on the open WebSocket.
+-}
+sendControlCommand : RemoteControl.Command -> Model -> ( Model, Cmd Msg )
+sendControlCommand command model =
+    let
+        ( remote, encoded ) =
+            RemoteControl.send command model.remoteControl
+    in
+    ( { model | remoteControl = remote }
+    , Ports.sendWsControl encoded
+    )
+
+
+{-| Whether an init entry has been loaded, giving later updates a model to
+apply their changes to.
+-}
+hasInitEntry : Model -> Bool
+hasInitEntry model =
+    Array.foldl
+        (\entry found ->
+            case entry of
+                InitEntry _ ->
+                    True
+
+                _ ->
+                    found
+        )
+        False
+        model.logEntries
+
+
+{-| Replace the loaded entries with a page read from an indexed file.
+
+The page's entries go through the same handling as streamed entries, starting
+from the model and the active subscriptions the main process reconstructed for
+the start of the page. Whether the model had diverged by then comes from the
+index too, so the divergence markers of the page's entries are the ones the
+whole file would show.
+
+-}
+loadPage : PagePayload -> Model -> ( Model, Cmd Msg )
+loadPage page model =
+    let
+        selectOnLoad =
+            model.pagedFile |> Maybe.andThen .selectOnLoad
+
+        cleared =
+            clearLoadedEntries model
+
+        startModel =
+            { cleared
+                | lastModelAfter = page.baseModel
+                , modelDiverged = page.diverged
+                , subscriptionTimeline =
+                    SubscriptionTimeline.startingWith
+                        (List.map
+                            (\active ->
+                                { startIndex = active.entryIndex - page.start
+                                , startTime = active.timestamp
+                                , started = active.subscription
+                                }
+                            )
+                            page.activeSubscriptions
+                        )
+                , typeRegistry = model.typeRegistry
+                , baseline = model.baseline
+                , pagedFile =
+                    Just
+                        { totalEntries = page.total
+                        , pageStart = page.start
+                        , loading = False
+                        , selectOnLoad = Nothing
+                        }
+            }
+
+        ( loadedModel, cmds ) =
+            List.foldl
+                (\payload ( accModel, accCmds ) ->
+                    let
+                        ( nextModel, cmd ) =
+                            handleEntryReceived payload accModel
+                    in
+                    ( nextModel, cmd :: accCmds )
+                )
+                ( startModel, [] )
+                page.entries
+    in
+    case selectOnLoad of
+        Just idx ->
+            let
+                ( selectedModel, selectCmd ) =
+                    update (SelectMessage idx) loadedModel
+            in
+            ( selectedModel, Cmd.batch (selectCmd :: cmds) )
+
+        Nothing ->
+            ( loadedModel, Cmd.batch cmds )
+
+
+{-| Select the entry a session is waiting for, if it has now been loaded.
+-}
+andThenSelectPending : ( Model, Cmd Msg ) -> ( Model, Cmd Msg )
+andThenSelectPending ( model, cmd ) =
+    case model.pendingSelection of
+        Just pending ->
+            let
+                localIndex =
+                    pending.entryIndex
+                        - (model.pagedFile
+                            |> Maybe.map .pageStart
+                            |> Maybe.withDefault 0
+                          )
+            in
+            case Array.get localIndex model.logEntries of
+                Just entry ->
+                    let
+                        ( selectedModel, selectCmd ) =
+                            selectEntry localIndex
+                                entry
+                                { model
+                                    | pendingSelection = Nothing
+                                    , messageViewStates = Dict.insert localIndex pending.viewState model.messageViewStates
+                                }
+                    in
+                    ( selectedModel
+                    , Cmd.batch
+                        [ cmd
+                        , selectCmd
+                        , Ports.scrollIntoView ("message-item-" ++ String.fromInt localIndex)
+                        ]
+                    )
+
+                Nothing ->
+                    ( model, cmd )
+
+        Nothing ->
+            ( model, cmd )
+
+
+{-| Parse the entries of a log read in one go, such as a log opened for
+comparison.
+-}
+parseEntryPayloads : List EntryPayload -> Array LogEntry
+parseEntryPayloads payloads =
+    payloads
+        |> List.foldl
+            (\payload ( state, entries ) ->
+                case ( payload.error, payload.entry ) of
+                    ( Just errorMsg, _ ) ->
+                        ( state
+                        , Array.push
+                            (ErrorEntry
+                                { lineNumber = payload.lineNumber
+                                , rawText = Maybe.withDefault "" payload.rawText
+                                , error = errorMsg
+                                }
+                            )
+                            entries
+                        )
+
+                    ( Nothing, Just rawValue ) ->
+                        case LogParser.parseLine payload.lineNumber rawValue state of
+                            ( nextState, Just entry ) ->
+                                ( nextState, Array.push entry entries )
+
+                            ( nextState, Nothing ) ->
+                                ( nextState, entries )
+
+                    ( Nothing, Nothing ) ->
+                        ( state, entries )
+            )
+            ( LogParser.initialParseState, Array.empty )
+        |> Tuple.second
+
+
+{-| Pair the entries of a comparison with the given alignment, compare each
+pair and select the first row where the logs differ.
+-}
+alignComparison : Comparison.Alignment -> ComparisonView -> ComparisonView
+alignComparison alignment comparisonView =
+    let
+        aligned =
+            { comparisonView
+                | alignment = alignment
+                , rows =
+                    Comparison.align alignment comparisonView.leftEntries comparisonView.rightEntries
+                        |> List.map (\row -> ( row, Comparison.compareRow row ))
+                        |> Array.fromList
+            }
+    in
+    { aligned | selectedRow = firstComparisonDivergence aligned }
+
+
+firstComparisonDivergence : ComparisonView -> Maybe Int
+firstComparisonDivergence comparisonView =
+    comparisonView.rows
+        |> Array.toList
+        |> List.map Tuple.second
+        |> Comparison.firstDivergence
+
+
+scrollToComparisonRow : Maybe Int -> Cmd Msg
+scrollToComparisonRow maybeRow =
+    case maybeRow of
+        Just rowIndex ->
+            Ports.scrollIntoView ("comparison-row-" ++ String.fromInt rowIndex)
+
+        Nothing ->
+            Cmd.none
+
+
+{-| Handle a received entry from the input source.
+-}
+handleEntryReceived : EntryPayload -> Model -> ( Model, Cmd Msg )
+handleEntryReceived payload model =
+    case payload.error of
+        Just errorMsg ->
+            -- Malformed entry - add as ErrorEntry
+            let
+                errorEntry =
+                    ErrorEntry
+                        { lineNumber = payload.lineNumber
+                        , rawText = Maybe.withDefault "" payload.rawText
+                        , error = errorMsg
+                        }
+            in
+            addEntryAndMaybeSelect errorEntry model
+
+        Nothing ->
+            case payload.entry of
+                Just rawValue ->
+                    processValidEntry payload.lineNumber rawValue model
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+
+{-| Process a valid JSON entry and add it to the log.
+-}
+processValidEntry : Int -> D.Value -> Model -> ( Model, Cmd Msg )
+processValidEntry lineNum rawValue model =
+    let
+        ( parseState, maybeEntry ) =
+            LogParser.parseLine lineNum
+                rawValue
+                { compression = model.compression
+                , lastModelAfter = model.lastModelAfter
+                , typeRegistry = model.typeRegistry
+                , diverged = model.modelDiverged
+                , divergence = Nothing
+                }
+
+        parsedModel =
+            { model
+                | compression = parseState.compression
+                , lastModelAfter = parseState.lastModelAfter
+                , typeRegistry = parseState.typeRegistry
+                , modelDiverged = parseState.diverged
+                , divergences =
+                    case parseState.divergence of
+                        Just reason ->
+                            Dict.insert (Array.length model.logEntries) reason model.divergences
+
+                        Nothing ->
+                            model.divergences
+            }
+    in
+    case maybeEntry of
+        Just entry ->
+            addEntryAndMaybeSelect entry parsedModel
+
+        Nothing ->
+            ( parsedModel, Cmd.none )
+
+
+{-| Add an entry to the log and auto-select if this is the first entry.
+-}
+addEntryAndMaybeSelect : LogEntry -> Model -> ( Model, Cmd Msg )
+addEntryAndMaybeSelect entry model =
+    let
+        newEntries =
+            Array.push entry model.logEntries
+
+        -- Auto-select first entry if nothing is selected
+        shouldAutoSelect =
+            model.selectedIndex == Nothing && Array.isEmpty model.logEntries
+
+        warnings =
+            TypeRegistry.validate model.typeRegistry entry
+
+        newHit =
+            if model.searchAllEntries then
+                searchHit model (Array.length model.logEntries) entry
+
+            else
+                Nothing
+
+        newModel =
+            recomputeFilteredIndices
+                { model
+                    | logEntries = newEntries
+                    , causality = Causality.addEntry entry model.causality
+                    , subscriptionTimeline = SubscriptionTimeline.addEntry entry model.subscriptionTimeline
+                    , sessionStatsChanges =
+                        -- Diffing is left until the dashboard is opened
+                        if model.sessionStatsOpen then
+                            SessionStats.countChanges newEntries model.sessionStatsChanges
+
+                        else
+                            model.sessionStatsChanges
+                    , typeWarnings =
+                        if List.isEmpty warnings then
+                            model.typeWarnings
+
+                        else
+                            Dict.insert (Array.length model.logEntries) warnings model.typeWarnings
+                    , searchHits =
+                        case newHit of
+                            Just hit ->
+                                hit :: model.searchHits
+
+                            Nothing ->
+                                model.searchHits
+                }
+    in
+    if shouldAutoSelect then
+        update (SelectMessage 0) newModel
+
+    else
+        ( newModel, Cmd.none )
+
+
+{-| Select an entry and update the model accordingly.
+-}
+selectEntry : Int -> LogEntry -> Model -> ( Model, Cmd Msg )
+selectEntry index entry model =
+    let
+        -- Get model states for tree view and diff; with a baseline pinned,
+        -- the model after the entry is compared with the baseline's
+        ( maybeModelBefore, maybeModelAfter ) =
+            case ( model.baseline, getModelAfter entry ) of
+                ( Just baseline, Just modelAfter ) ->
+                    ( Just baseline.model, Just modelAfter )
+
+                _ ->
+                    ( getModelBefore entry, getModelAfter entry )
+
+        -- Parse the after state for tree view
+        newTreeState =
+            maybeModelAfter
+                |> Maybe.map
+                    (\afterModel ->
+                        case TreeView.parseValue afterModel model.treeViewState of
+                            Ok state ->
+                                state
+
+                            Err _ ->
+                                TreeView.init
+                    )
+                |> Maybe.withDefault TreeView.init
+
+        -- Parse the before state for split view
+        newBeforeTreeState =
             maybeModelBefore
                 |> Maybe.map
                     (\beforeModel ->
@@ -1580,13 +3380,18 @@ selectEntry index entry model =
                 |> Maybe.map .changes
                 |> Maybe.withDefault Dict.empty
 
+        newBeforeChanges =
+            diffResult
+                |> Maybe.map .beforeChanges
+                |> Maybe.withDefault Dict.empty
+
         -- Re-run search if there's an active query
         newSearchResult =
             if String.isEmpty model.searchQuery then
                 Search.emptyEntrySearchResult
 
             else
-                searchLogEntry model.searchQuery entry
+                searchLogEntry model.searchOptions model.searchQuery entry
 
         -- Get or create the view state for this message
         existingViewState =
@@ -1614,6 +3419,7 @@ selectEntry index entry model =
         , beforeTreeViewState = newBeforeTreeState
         , changedPaths = newChangedPaths
         , changes = newChanges
+        , beforeChanges = newBeforeChanges
         , messageViewStates = newMessageViewStates
         , searchResult = newSearchResult
         , currentMatchIndex =
@@ -1654,6 +3460,45 @@ handlePortMessage value model =
                 "inputClosed" ->
                     update InputClosed model
 
+                "inputReset" ->
+                    handleInputResetPort value model
+
+                "indexProgress" ->
+                    handleIndexProgressPort value model
+
+                "entriesLoaded" ->
+                    handleEntriesLoadedPort value model
+
+                "openExportDialog" ->
+                    update OpenExportModal model
+
+                "exportSaved" ->
+                    handleSaveResultPort ExportSaved value model
+
+                "saveSessionRequested" ->
+                    update SaveSession model
+
+                "sessionSaved" ->
+                    handleSaveResultPort SessionSaved value model
+
+                "sessionOpened" ->
+                    handleSessionOpenedPort value model
+
+                "comparisonOpened" ->
+                    handleComparisonOpenedPort value model
+
+                "filterPresetsLoaded" ->
+                    handlePresetsPort FilterPresetsLoaded value model
+
+                "filterPresetsImported" ->
+                    handlePresetsPort FilterPresetsImported value model
+
+                "filterPresetsExported" ->
+                    handleSaveResultPort FilterPresetsExported value model
+
+                "annotationsLoaded" ->
+                    handleAnnotationsPort value model
+
                 "wsConnecting" ->
                     update WsConnecting model
 
@@ -1669,6 +3514,55 @@ handlePortMessage value model =
                 "wsConnectionLost" ->
                     update WsConnectionLost model
 
+                "recordingStarted" ->
+                    handleRecordingStartedPort value model
+
+                "recordingRotated" ->
+                    case D.decodeValue (D.field "payload" (D.field "path" D.string)) value of
+                        Ok path ->
+                            update (RecordingRotated path) model
+
+                        Err _ ->
+                            ( model, Cmd.none )
+
+                "recordingStopped" ->
+                    handleRecordingStoppedPort value model
+
+                "recordingError" ->
+                    case D.decodeValue (D.field "payload" (D.field "error" D.string)) value of
+                        Ok errorMsg ->
+                            update (RecordingFailed errorMsg) model
+
+                        Err _ ->
+                            ( model, Cmd.none )
+
+                "logServerStarted" ->
+                    handleLogServerStartedPort value model
+
+                "logClientConnected" ->
+                    case D.decodeValue (D.field "payload" LogServer.clientDecoder) value of
+                        Ok client ->
+                            update (LogClientConnected client) model
+
+                        Err _ ->
+                            ( model, Cmd.none )
+
+                "logClientDisconnected" ->
+                    case D.decodeValue (D.field "payload" (D.field "id" D.string)) value of
+                        Ok id ->
+                            update (LogClientDisconnected id) model
+
+                        Err _ ->
+                            ( model, Cmd.none )
+
+                "wsControl" ->
+                    case D.decodeValue (D.field "payload" RemoteControl.eventDecoder) value of
+                        Ok event ->
+                            update (ControlEventReceived event) model
+
+                        Err _ ->
+                            ( model, Cmd.none )
+
                 "recentWsUrls" ->
                     handleRecentWsUrls value model
 
@@ -1685,11 +3579,15 @@ handleOpenInputRequest : E.Value -> Model -> ( Model, Cmd Msg )
 handleOpenInputRequest value model =
     let
         decoder =
-            D.field "payload" (D.field "path" D.string)
+            D.field "payload"
+                (D.map2 (\path follow -> { path = path, follow = follow })
+                    (D.field "path" D.string)
+                    (D.oneOf [ D.field "follow" D.bool, D.succeed False ])
+                )
     in
     case D.decodeValue decoder value of
-        Ok path ->
-            update (OpenInput path) model
+        Ok options ->
+            update (OpenInput options) model
 
         Err _ ->
             ( { model | errorMessage = Just "Failed to decode open input request" }
@@ -1697,21 +3595,41 @@ handleOpenInputRequest value model =
             )
 
 
+handleInputResetPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleInputResetPort value model =
+    let
+        decoder =
+            D.field "payload" (D.oneOf [ D.field "reason" D.string, D.succeed "" ])
+    in
+    case D.decodeValue decoder value of
+        Ok reason ->
+            update (InputReset reason) model
+
+        Err _ ->
+            update (InputReset "") model
+
+
 handleInputOpened : E.Value -> Model -> ( Model, Cmd Msg )
 handleInputOpened value model =
     let
         decoder =
             D.field "payload"
-                (D.map3
-                    (\success path error ->
+                (D.map6
+                    (\success path error follow entryCount typeRegistry ->
                         { success = success
                         , path = path
                         , error = error
+                        , follow = follow
+                        , entryCount = entryCount
+                        , typeRegistry = typeRegistry
                         }
                     )
                     (D.field "success" D.bool)
                     (D.maybe (D.field "path" D.string))
                     (D.maybe (D.field "error" D.string))
+                    (D.maybe (D.field "follow" D.bool))
+                    (D.maybe (D.field "entryCount" D.int))
+                    (D.oneOf [ D.field "typeRegistry" (D.map Just TypeRegistry.decoder), D.succeed Nothing ])
                 )
     in
     case D.decodeValue decoder value of
@@ -1726,32 +3644,418 @@ handleInputOpened value model =
 
 handleEntryReceivedPort : E.Value -> Model -> ( Model, Cmd Msg )
 handleEntryReceivedPort value model =
+    case D.decodeValue (D.field "payload" entryPayloadDecoder) value of
+        Ok payload ->
+            update (EntryReceived payload) model
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+entryPayloadDecoder : D.Decoder EntryPayload
+entryPayloadDecoder =
+    D.map4
+        (\lineNumber entry error rawText ->
+            { lineNumber = lineNumber
+            , entry = entry
+            , error = error
+            , rawText = rawText
+            }
+        )
+        (D.field "lineNumber" D.int)
+        (D.maybe (D.field "entry" D.value))
+        (D.maybe (D.field "error" D.string))
+        (D.maybe (D.field "rawText" D.string))
+
+
+handleIndexProgressPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleIndexProgressPort value model =
     let
         decoder =
             D.field "payload"
-                (D.map4
-                    (\lineNumber entry error rawText ->
-                        { lineNumber = lineNumber
-                        , entry = entry
-                        , error = error
-                        , rawText = rawText
+                (D.map3
+                    (\phase bytesRead totalBytes ->
+                        { phase = phase
+                        , fraction =
+                            if totalBytes > 0 then
+                                bytesRead / totalBytes
+
+                            else
+                                1
                         }
                     )
-                    (D.field "lineNumber" D.int)
-                    (D.maybe (D.field "entry" D.value))
-                    (D.maybe (D.field "error" D.string))
-                    (D.maybe (D.field "rawText" D.string))
+                    (D.oneOf [ D.field "phase" D.string, D.succeed "indexing" ])
+                    (D.field "bytesRead" D.float)
+                    (D.field "totalBytes" D.float)
                 )
     in
     case D.decodeValue decoder value of
-        Ok payload ->
-            update (EntryReceived payload) model
+        Ok progressData ->
+            update (IndexProgress progressData) model
 
         Err _ ->
             ( model, Cmd.none )
 
 
-handleInputErrorPort : E.Value -> Model -> ( Model, Cmd Msg )
+{-| Handle the result of saving a file (an export or a session). A canceled
+save dialog counts as success.
+-}
+handleSaveResultPort : (Result String () -> Msg) -> E.Value -> Model -> ( Model, Cmd Msg )
+handleSaveResultPort toMsg value model =
+    let
+        decoder =
+            D.field "payload"
+                (D.field "success" D.bool
+                    |> D.andThen
+                        (\success ->
+                            if success then
+                                D.succeed (Ok ())
+
+                            else
+                                D.map Err
+                                    (D.oneOf
+                                        [ D.field "error" D.string
+                                        , D.succeed "Failed to save file"
+                                        ]
+                                    )
+                        )
+                )
+    in
+    case D.decodeValue decoder value of
+        Ok result ->
+            update (toMsg result) model
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+{-| Handle the result of starting a recording. A canceled save dialog gives
+no path.
+-}
+handleRecordingStartedPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleRecordingStartedPort value model =
+    let
+        decoder =
+            D.field "payload"
+                (D.field "success" D.bool
+                    |> D.andThen
+                        (\success ->
+                            if success then
+                                D.map Ok (D.maybe (D.field "path" D.string))
+
+                            else
+                                D.map Err
+                                    (D.oneOf
+                                        [ D.field "error" D.string
+                                        , D.succeed "Failed to start recording"
+                                        ]
+                                    )
+                        )
+                )
+    in
+    case D.decodeValue decoder value of
+        Ok result ->
+            update (RecordingStarted result) model
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+handleLogServerStartedPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleLogServerStartedPort value model =
+    let
+        decoder =
+            D.field "payload"
+                (D.field "success" D.bool
+                    |> D.andThen
+                        (\success ->
+                            if success then
+                                D.map Ok (D.field "port" D.int)
+
+                            else
+                                D.map Err
+                                    (D.oneOf
+                                        [ D.field "error" D.string
+                                        , D.succeed "Failed to start the log server"
+                                        ]
+                                    )
+                        )
+                )
+    in
+    case D.decodeValue decoder value of
+        Ok result ->
+            update (LogServerStarted result) model
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+handleRecordingStoppedPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleRecordingStoppedPort value model =
+    let
+        decoder =
+            D.field "payload"
+                (D.field "success" D.bool
+                    |> D.andThen
+                        (\success ->
+                            if success then
+                                D.map Ok (D.oneOf [ D.field "paths" (D.list D.string), D.succeed [] ])
+
+                            else
+                                D.map Err
+                                    (D.oneOf
+                                        [ D.field "error" D.string
+                                        , D.succeed "Failed to finish recording"
+                                        ]
+                                    )
+                        )
+                )
+    in
+    case D.decodeValue decoder value of
+        Ok result ->
+            update (RecordingStopped result) model
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+{-| Handle a session file chosen with File > Open Session.
+-}
+handleSessionOpenedPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleSessionOpenedPort value model =
+    let
+        decoder =
+            D.field "payload"
+                (D.field "success" D.bool
+                    |> D.andThen
+                        (\success ->
+                            if success then
+                                D.field "session" D.value
+
+                            else
+                                D.field "error" D.string |> D.andThen D.fail
+                        )
+                )
+    in
+    case D.decodeValue decoder value of
+        Ok sessionValue ->
+            case D.decodeValue Session.decoder sessionValue of
+                Ok session ->
+                    update (SessionOpened (Ok session)) model
+
+                Err err ->
+                    update (SessionOpened (Err ("Could not open session: " ++ D.errorToString err))) model
+
+        Err _ ->
+            case D.decodeValue (D.at [ "payload", "error" ] D.string) value of
+                Ok errorMsg ->
+                    update (SessionOpened (Err errorMsg)) model
+
+                Err _ ->
+                    ( model, Cmd.none )
+
+
+{-| Handle the annotations read from the sidecar file of a log. A result for
+a log that is no longer open is ignored, and a log without a sidecar file has
+no annotations.
+-}
+handleAnnotationsPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleAnnotationsPort value model =
+    let
+        decoder =
+            D.field "payload"
+                (D.map2 Tuple.pair
+                    (D.field "logPath" D.string)
+                    (D.field "success" D.bool
+                        |> D.andThen
+                            (\success ->
+                                if success then
+                                    D.oneOf
+                                        [ D.field "content" D.string |> D.map Just
+                                        , D.succeed Nothing
+                                        ]
+                                        |> D.map Ok
+
+                                else
+                                    D.field "error" D.string |> D.map Err
+                            )
+                    )
+                )
+
+        isOpenLog logPath =
+            case model.inputSource of
+                Just (FileSource file) ->
+                    file.path == logPath
+
+                _ ->
+                    False
+    in
+    case D.decodeValue decoder value of
+        Ok ( logPath, result ) ->
+            if not (isOpenLog logPath) then
+                ( model, Cmd.none )
+
+            else
+                case result of
+                    Ok (Just content) ->
+                        update (AnnotationsLoaded (D.decodeString Annotation.decoder content |> Result.mapError D.errorToString)) model
+
+                    Ok Nothing ->
+                        update (AnnotationsLoaded (Ok Annotation.empty)) model
+
+                    Err errorMsg ->
+                        update (AnnotationsLoaded (Err errorMsg)) model
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+{-| Handle presets read from the settings folder or from an imported file.
+A canceled import or a missing settings file leaves the presets unchanged.
+-}
+handlePresetsPort : (Result String (List Filter.Preset) -> Msg) -> E.Value -> Model -> ( Model, Cmd Msg )
+handlePresetsPort toMsg value model =
+    let
+        decoder =
+            D.field "payload"
+                (D.field "success" D.bool
+                    |> D.andThen
+                        (\success ->
+                            if success then
+                                D.oneOf
+                                    [ D.field "content" D.string |> D.map Just
+                                    , D.succeed Nothing
+                                    ]
+                                    |> D.map Ok
+
+                            else
+                                D.field "error" D.string |> D.map Err
+                        )
+                )
+    in
+    case D.decodeValue decoder value of
+        Ok (Ok (Just content)) ->
+            case D.decodeString Filter.presetsDecoder content of
+                Ok presets ->
+                    update (toMsg (Ok presets)) model
+
+                Err err ->
+                    update (toMsg (Err ("Not a valid presets file: " ++ D.errorToString err))) model
+
+        Ok (Ok Nothing) ->
+            ( model, Cmd.none )
+
+        Ok (Err errorMsg) ->
+            update (toMsg (Err errorMsg)) model
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+{-| Handle the entries of a log chosen with File > Compare With.
+-}
+handleComparisonOpenedPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleComparisonOpenedPort value model =
+    let
+        decoder =
+            D.field "payload"
+                (D.field "success" D.bool
+                    |> D.andThen
+                        (\success ->
+                            if success then
+                                D.map3 ComparisonPayload
+                                    (D.field "path" D.string)
+                                    (D.field "entries" (D.list entryPayloadDecoder))
+                                    (D.oneOf [ D.field "truncated" D.bool, D.succeed False ])
+                                    |> D.map Ok
+
+                            else
+                                D.field "error" D.string |> D.map Err
+                        )
+                )
+    in
+    case D.decodeValue decoder value of
+        Ok result ->
+            update (ComparisonOpened result) model
+
+        Err _ ->
+            ( model, Cmd.none )
+
+
+handleEntriesLoadedPort : E.Value -> Model -> ( Model, Cmd Msg )
+handleEntriesLoadedPort value model =
+    let
+        pageDecoder =
+            D.map6 PagePayload
+                (D.field "start" D.int)
+                (D.field "total" D.int)
+                (D.field "baseModel" D.value)
+                (D.field "diverged" D.bool)
+                (D.field "activeSubscriptions"
+                    (D.list
+                        (D.map3 ActiveSubscription
+                            (D.field "entryIndex" D.int)
+                            (D.field "timestamp" D.int)
+                            (D.field "subscription" D.value)
+                        )
+                    )
+                )
+                (D.field "entries" (D.list entryPayloadDecoder))
+
+        decoder =
+            D.field "payload"
+                (D.field "success" D.bool
+                    |> D.andThen
+                        (\success ->
+                            if success then
+                                D.map Ok pageDecoder
+
+                            else
+                                D.map Err
+                                    (D.oneOf
+                                        [ D.field "error" D.string
+                                        , D.succeed "Failed to read entries"
+                                        ]
+                                    )
+                        )
+                )
+        -- The path of the input the page was read from, as it was opened
+        replyPath =
+            D.decodeValue (D.at [ "payload", "path" ] D.string) value
+                |> Result.toMaybe
+
+        awaited =
+            case ( model.pagedFile, model.inputSource ) of
+                ( Just paged, Just (FileSource file) ) ->
+                    paged.loading && replyPath == Just file.path
+
+                _ ->
+                    False
+    in
+    if not awaited then
+        -- A reply for an input that has been closed or replaced since
+        ( model, Cmd.none )
+
+    else
+        case D.decodeValue decoder value of
+            Ok (Ok page) ->
+                update (PageLoaded page) model
+
+            Ok (Err errorMsg) ->
+                ( { model
+                    | errorMessage = Just errorMsg
+                    , pagedFile = Maybe.map (\paged -> { paged | loading = False }) model.pagedFile
+                  }
+                , Cmd.none
+                )
+
+            Err _ ->
+                ( { model | errorMessage = Just "Failed to decode loaded entries" }
+                , Cmd.none
+                )
+
+
+handleInputErrorPort : E.Value -> Model -> ( Model, Cmd Msg )
 handleInputErrorPort value model =
     let
         decoder =
@@ -1851,13 +4155,52 @@ getMessagePayload entry =
             Nothing
 
 
+{-| Search the selected entry again after the query or its options changed,
+and every entry when searching all of them.
+-}
+rerunSearch : Model -> Model
+rerunSearch model =
+    { model
+        | searchResult =
+            model.selectedIndex
+                |> Maybe.andThen (\idx -> Array.get idx model.logEntries)
+                |> Maybe.map (searchLogEntry model.searchOptions model.searchQuery)
+                |> Maybe.withDefault Search.emptyEntrySearchResult
+        , currentMatchIndex = 0
+        , searchHits =
+            if model.searchAllEntries then
+                model.logEntries
+                    |> Array.toIndexedList
+                    |> List.filterMap (\( idx, entry ) -> searchHit model idx entry)
+                    |> List.reverse
+
+            else
+                []
+    }
+
+
+{-| The number of search matches in an entry, if it has any.
+-}
+searchHit : Model -> Int -> LogEntry -> Maybe ( Int, Int )
+searchHit model index entry =
+    let
+        matchCount =
+            (searchLogEntry model.searchOptions model.searchQuery entry).totalMatchCount
+    in
+    if matchCount > 0 then
+        Just ( index, matchCount )
+
+    else
+        Nothing
+
+
 {-| Search within a log entry.
 -}
-searchLogEntry : String -> LogEntry -> Search.EntrySearchResult
-searchLogEntry query entry =
+searchLogEntry : Search.SearchOptions -> String -> LogEntry -> Search.EntrySearchResult
+searchLogEntry options query entry =
     case entry of
         UpdateEntry data ->
-            Search.searchEntry query
+            Search.searchEntryWith options query
                 { timestamp = data.timestamp
                 , message = data.message
                 , modelBefore = data.modelBefore
@@ -1867,7 +4210,7 @@ searchLogEntry query entry =
 
         InitEntry data ->
             -- Search init entries similarly
-            Search.searchEntry query
+            Search.searchEntryWith options query
                 { timestamp = data.timestamp
                 , message = { name = "Init", payload = E.null }
                 , modelBefore = E.null
@@ -1969,7 +4312,12 @@ view model =
             , div
                 [ class "flex flex-col h-full overflow-hidden flex-1"
                 ]
-                [ viewMainContent model
+                [ case model.comparison of
+                    Just comparisonView ->
+                        viewComparison model comparisonView
+
+                    Nothing ->
+                        viewMainContent model
                 ]
             , if model.filterSidebarOpen then
                 Html.map FilterSidebarMsg
@@ -1980,6 +4328,9 @@ view model =
                         , editing = model.filterEditing
                         , totalEntries = Array.length model.logEntries
                         , visibleEntries = Set.size model.filteredIndices
+                        , presets = model.filterPresets
+                        , presetName = model.presetName
+                        , typeRegistry = model.typeRegistry
                         }
                     )
 
@@ -1988,6 +4339,15 @@ view model =
             ]
         , viewErrorBanner model
         , viewWsModal model
+        , viewLogServerModal model
+        , viewExportModal model
+        , viewFieldHistoryModal model
+        , viewCausalityGraphModal model
+        , if model.sessionStatsOpen then
+            Html.Lazy.lazy3 viewSessionStatsModal (pageOffset model) model.sessionStatsChanges model.logEntries
+
+          else
+            text ""
         ]
 
 
@@ -2085,6 +4445,37 @@ viewWsModal model =
                                 model.recentWsUrls
                             )
                         ]
+                , div [ class "form-control mb-4 gap-2" ]
+                    [ label [ class "label cursor-pointer justify-start gap-2 py-0" ]
+                        [ input
+                            [ id "checkbox-ws-reconnect"
+                            , type_ "checkbox"
+                            , class "checkbox checkbox-sm"
+                            , checked model.reconnectSettings.enabled
+                            , onClick ToggleReconnect
+                            ]
+                            []
+                        , span [ class "label-text" ] [ text "Reconnect automatically if the connection is lost" ]
+                        ]
+                    , if model.reconnectSettings.enabled then
+                        label [ class "label justify-start gap-2 py-0" ]
+                            [ span [ class "label-text" ] [ text "Give up after" ]
+                            , input
+                                [ id "input-ws-reconnect-attempts"
+                                , type_ "number"
+                                , Html.Attributes.min "1"
+                                , Html.Attributes.max "100"
+                                , class "input input-bordered input-sm w-20"
+                                , value (String.fromInt model.reconnectSettings.maxAttempts)
+                                , onInput SetReconnectAttempts
+                                ]
+                                []
+                            , span [ class "label-text" ] [ text "attempts" ]
+                            ]
+
+                      else
+                        text ""
+                    ]
                 , div [ class "modal-action" ]
                     [ button
                         [ id "btn-ws-cancel"
@@ -2108,39 +4499,432 @@ viewWsModal model =
         text ""
 
 
-{-| Handle Enter key press on an input.
+{-| Render the modal for starting the built-in log server.
 -}
-onEnterKey : Msg -> Attribute Msg
-onEnterKey msg =
-    Html.Events.on "keydown"
-        (D.field "key" D.string
-            |> D.andThen
-                (\key ->
-                    if key == "Enter" then
-                        D.succeed msg
+viewLogServerModal : Model -> Html Msg
+viewLogServerModal model =
+    if model.showLogServerModal then
+        div [ class "modal modal-open" ]
+            [ div [ class "modal-box" ]
+                [ h3 [ class "font-bold text-lg mb-4" ]
+                    [ i [ class "fa-solid fa-tower-broadcast mr-2" ] []
+                    , text "Log Server"
+                    ]
+                , p [ class "text-sm mb-4" ]
+                    [ text "Applications can push newline-delimited JSON to this port over raw TCP, HTTP POST or WebSocket. Each connection is listed as a client." ]
+                , div [ class "form-control mb-4" ]
+                    [ label [ class "label" ]
+                        [ span [ class "label-text" ] [ text "Port" ]
+                        ]
+                    , input
+                        [ id "log-server-port-input"
+                        , type_ "number"
+                        , Html.Attributes.min "1"
+                        , Html.Attributes.max "65535"
+                        , class "input input-bordered w-full"
+                        , value model.logServerPortInput
+                        , onInput SetLogServerPort
+                        , onEnterKey StartLogServer
+                        ]
+                        []
+                    ]
+                , div [ class "modal-action" ]
+                    [ button
+                        [ id "btn-log-server-cancel"
+                        , class secondaryButtonClass
+                        , onClick CloseLogServerModal
+                        ]
+                        [ text "Cancel" ]
+                    , button
+                        [ id "btn-log-server-start"
+                        , class primaryButtonClass
+                        , type_ "button"
+                        , onClick StartLogServer
+                        , disabled (LogServer.parsePort model.logServerPortInput == Nothing)
+                        ]
+                        [ text "Listen" ]
+                    ]
+                ]
+            ]
 
-                    else
-                        D.fail "not enter"
-                )
-        )
+    else
+        text ""
 
 
-{-| Render the resize gutter between sidebar and content.
+{-| Render the modal for exporting the current view to a file.
 -}
-viewResizeGutter : Model -> Html Msg
-viewResizeGutter model =
-    div
-        [ class "gutter gutter-horizontal"
-        , style "flex-shrink" "0"
-        , if model.isResizingSidebar then
-            class "bg-primary/60"
-
-          else
-            class ""
-        , onMouseDown StartSidebarResize
-        ]
-        []
-
+viewExportModal : Model -> Html Msg
+viewExportModal model =
+    if model.showExportModal then
+        let
+            entryCount =
+                List.length (exportEntries model)
+
+            formatOption format description =
+                label [ class "label cursor-pointer justify-start gap-3" ]
+                    [ input
+                        [ type_ "radio"
+                        , name "export-format"
+                        , id ("radio-export-" ++ Export.formatExtension format)
+                        , class "radio radio-sm"
+                        , checked (model.exportFormat == format)
+                        , onClick (SetExportFormat format)
+                        ]
+                        []
+                    , span [ class "label-text" ]
+                        [ span [ class "font-medium" ] [ text (Export.formatName format) ]
+                        , span [ class "text-base-content/60" ] [ text (" - " ++ description) ]
+                        ]
+                    ]
+        in
+        div [ class "modal modal-open" ]
+            [ div [ class "modal-box" ]
+                [ h3 [ class "font-bold text-lg mb-4" ]
+                    [ i [ class "fa-solid fa-file-export mr-2" ] []
+                    , text "Export"
+                    ]
+                , p [ class "text-sm mb-4" ]
+                    [ text
+                        (String.fromInt entryCount
+                            ++ (if entryCount == 1 then
+                                    " entry"
+
+                                else
+                                    " entries"
+                               )
+                            ++ " in the current view"
+                            ++ (if model.pagedFile /= Nothing then
+                                    " (this page only)"
+
+                                else
+                                    ""
+                               )
+                        )
+                    ]
+                , div [ class "form-control mb-4" ]
+                    [ formatOption Export.Jsonl "a log that can be opened again"
+                    , formatOption Export.Csv "one row per entry"
+                    , formatOption Export.Html "a standalone report"
+                    ]
+                , if model.exportFormat == Export.Csv then
+                    div [ class "form-control mb-4" ]
+                        [ label [ class "label" ]
+                            [ span [ class "label-text" ] [ text "Field columns (comma-separated)" ]
+                            ]
+                        , input
+                            [ id "input-export-columns"
+                            , type_ "text"
+                            , class "input input-bordered w-full font-mono text-sm"
+                            , placeholder "model.user.name, message.amount"
+                            , value model.exportColumns
+                            , onInput SetExportColumns
+                            ]
+                            []
+                        , label [ class "label" ]
+                            [ span [ class "label-text-alt text-base-content/60" ]
+                                [ text "Paths start with model, modelBefore or message" ]
+                            ]
+                        ]
+
+                  else
+                    text ""
+                , div [ class "modal-action" ]
+                    [ button
+                        [ id "btn-export-cancel"
+                        , class secondaryButtonClass
+                        , onClick CloseExportModal
+                        ]
+                        [ text "Cancel" ]
+                    , button
+                        [ id "btn-export-save"
+                        , class primaryButtonClass
+                        , type_ "button"
+                        , onClick SaveExport
+                        , disabled (entryCount == 0)
+                        ]
+                        [ text "Save..." ]
+                    ]
+                ]
+            ]
+
+    else
+        text ""
+
+
+{-| Render the modal listing every change to one model field.
+-}
+viewFieldHistoryModal : Model -> Html Msg
+viewFieldHistoryModal model =
+    case model.fieldHistoryPath of
+        Just path ->
+            let
+                changes =
+                    FieldHistory.history path model.logEntries
+
+                indexOffset =
+                    model.pagedFile
+                        |> Maybe.map .pageStart
+                        |> Maybe.withDefault 0
+
+                viewValue maybeValue =
+                    case maybeValue of
+                        Just jsonValue ->
+                            span [ class "font-mono break-all" ] [ text (E.encode 0 jsonValue) ]
+
+                        Nothing ->
+                            span [ class "italic text-base-content/40" ] [ text "(none)" ]
+
+                viewChange fieldChange =
+                    tr
+                        [ id ("history-row-" ++ String.fromInt fieldChange.entryIndex)
+                        , class
+                            ("hover cursor-pointer"
+                                ++ (if model.selectedIndex == Just fieldChange.entryIndex then
+                                        " bg-base-200"
+
+                                    else
+                                        ""
+                                   )
+                            )
+                        , onClick (SelectHistoryEntry fieldChange.entryIndex)
+                        ]
+                        [ td [ class "text-base-content/60" ] [ text ("#" ++ String.fromInt (indexOffset + fieldChange.entryIndex + 1)) ]
+                        , td [ class "font-medium" ] [ text fieldChange.messageName ]
+                        , td [ class "font-mono text-base-content/60" ] [ text (MessageList.formatTimestamp fieldChange.timestamp) ]
+                        , td [] [ viewValue fieldChange.before ]
+                        , td [] [ viewValue fieldChange.after ]
+                        ]
+            in
+            div [ class "modal modal-open" ]
+                [ div [ class "modal-box max-w-4xl" ]
+                    [ h3 [ class "font-bold text-lg mb-4" ]
+                        [ i [ class "fa-solid fa-clock-rotate-left mr-2" ] []
+                        , text "History of "
+                        , span [ class "font-mono" ]
+                            [ text
+                                (if List.isEmpty path then
+                                    "model"
+
+                                 else
+                                    Diff.pathToString path
+                                )
+                            ]
+                        ]
+                    , if List.isEmpty changes then
+                        p [ class "text-sm text-base-content/60" ]
+                            [ text "No update in the loaded entries changed this field." ]
+
+                      else
+                        div [ class "max-h-96 overflow-auto" ]
+                            [ table [ class "table table-xs table-pin-rows" ]
+                                [ thead []
+                                    [ tr []
+                                        [ th [] [ text "Entry" ]
+                                        , th [] [ text "Message" ]
+                                        , th [] [ text "Time" ]
+                                        , th [] [ text "Old value" ]
+                                        , th [] [ text "New value" ]
+                                        ]
+                                    ]
+                                , tbody [] (List.map viewChange changes)
+                                ]
+                            ]
+                    , div [ class "modal-action" ]
+                        [ button
+                            [ id "btn-history-close"
+                            , class secondaryButtonClass
+                            , onClick CloseFieldHistory
+                            ]
+                            [ text "Close" ]
+                        ]
+                    ]
+                ]
+
+        Nothing ->
+            text ""
+
+
+{-| Render the modal showing chains of effects, subscriptions and the
+messages they produced.
+-}
+viewCausalityGraphModal : Model -> Html Msg
+viewCausalityGraphModal model =
+    case model.causalityGraph of
+        Just window ->
+            let
+                selectedTime =
+                    model.selectedIndex
+                        |> Maybe.andThen (\selected -> Array.get selected model.logEntries)
+                        |> Maybe.andThen getTimestamp
+
+                include entryIndex =
+                    case ( window, selectedTime ) of
+                        ( AroundSelection milliseconds, Just time ) ->
+                            Array.get entryIndex model.logEntries
+                                |> Maybe.andThen getTimestamp
+                                |> Maybe.map (\entryTime -> abs (entryTime - time) <= milliseconds)
+                                |> Maybe.withDefault False
+
+                        _ ->
+                            True
+
+                nodes =
+                    Causality.graph include model.causality
+
+                nodeCount =
+                    List.length nodes
+
+                windowButton buttonWindow label_ =
+                    button
+                        [ class
+                            ("join-item btn btn-xs"
+                                ++ (if window == buttonWindow then
+                                        " btn-active"
+
+                                    else
+                                        ""
+                                   )
+                            )
+                        , onClick (SetCausalityWindow buttonWindow)
+                        , disabled (buttonWindow /= WholeLog && selectedTime == Nothing)
+                        ]
+                        [ text label_ ]
+            in
+            div [ class "modal modal-open" ]
+                [ div [ class "modal-box max-w-4xl" ]
+                    [ h3 [ class "font-bold text-lg mb-4" ]
+                        [ i [ class "fa-solid fa-diagram-project mr-2" ] []
+                        , text "Causality"
+                        ]
+                    , div [ class "flex items-center gap-2 mb-3 text-sm" ]
+                        [ span [ class "text-base-content/60" ] [ text "Entries" ]
+                        , div [ class "join" ]
+                            [ windowButton WholeLog "All"
+                            , windowButton (AroundSelection 1000) "±1 s"
+                            , windowButton (AroundSelection 10000) "±10 s"
+                            , windowButton (AroundSelection 60000) "±60 s"
+                            ]
+                        , span [ class "text-base-content/60" ] [ text "of the selected entry" ]
+                        ]
+                    , if List.isEmpty nodes then
+                        p [ class "text-sm text-base-content/60" ]
+                            [ text "No messages in this range were linked to an effect or subscription." ]
+
+                      else
+                        div [ class "max-h-96 overflow-auto" ]
+                            [ Causality.viewGraph
+                                { selectedIndex = model.selectedIndex
+                                , indexOffset =
+                                    model.pagedFile
+                                        |> Maybe.map .pageStart
+                                        |> Maybe.withDefault 0
+                                , onSelect = SelectGraphEntry
+                                }
+                                model.logEntries
+                                model.causality
+                                (List.take maxGraphNodes nodes)
+                            ]
+                    , if nodeCount > maxGraphNodes then
+                        p [ class "text-xs text-base-content/60 mt-2" ]
+                            [ text
+                                ("Showing the first "
+                                    ++ String.fromInt maxGraphNodes
+                                    ++ " of "
+                                    ++ String.fromInt nodeCount
+                                    ++ " entries. Narrow the range to see the rest."
+                                )
+                            ]
+
+                      else
+                        text ""
+                    , div [ class "modal-action" ]
+                        [ button
+                            [ id "btn-causality-close"
+                            , class secondaryButtonClass
+                            , onClick CloseCausalityGraph
+                            ]
+                            [ text "Close" ]
+                        ]
+                    ]
+                ]
+
+        Nothing ->
+            text ""
+
+
+{-| Render the statistics dashboard for the loaded entries. Rendered lazily,
+as it goes over every loaded entry; the model paths each changed are counted
+when the dashboard opens and for entries arriving while it is open.
+-}
+viewSessionStatsModal : Int -> SessionStats.ChangeCounts -> Array LogEntry -> Html Msg
+viewSessionStatsModal indexOffset changeCounts entries =
+    div [ class "modal modal-open" ]
+        [ div [ class "modal-box max-w-4xl" ]
+            [ h3 [ class "font-bold text-lg mb-4" ]
+                [ i [ class "fa-solid fa-chart-column mr-2" ] []
+                , text "Statistics"
+                , span [ class "text-sm font-normal text-base-content/60 ml-2" ]
+                    [ text ("over " ++ String.fromInt (Array.length entries) ++ " loaded entries") ]
+                ]
+            , SessionStats.view
+                { indexOffset = indexOffset
+                , onMessageName = \name -> FilterFromSessionStats (MessageNameFilter { query = name })
+                , onEffectName = \name -> FilterFromSessionStats (EffectNameFilter { query = name })
+                , onSelect = SelectStatsEntry
+                }
+                (SessionStats.fromEntries changeCounts entries)
+            , div [ class "modal-action" ]
+                [ button
+                    [ id "btn-session-stats-close"
+                    , class secondaryButtonClass
+                    , onClick CloseSessionStats
+                    ]
+                    [ text "Close" ]
+                ]
+            ]
+        ]
+
+
+{-| Most entries drawn in the causality graph at once.
+-}
+maxGraphNodes : Int
+maxGraphNodes =
+    500
+
+
+{-| Handle Enter key press on an input.
+-}
+onEnterKey : Msg -> Attribute Msg
+onEnterKey msg =
+    Html.Events.on "keydown"
+        (D.field "key" D.string
+            |> D.andThen
+                (\key ->
+                    if key == "Enter" then
+                        D.succeed msg
+
+                    else
+                        D.fail "not enter"
+                )
+        )
+
+
+{-| Render the resize gutter between sidebar and content.
+-}
+viewResizeGutter : Model -> Html Msg
+viewResizeGutter model =
+    div
+        [ class "gutter gutter-horizontal"
+        , style "flex-shrink" "0"
+        , if model.isResizingSidebar then
+            class "bg-primary/60"
+
+          else
+            class ""
+        , onMouseDown StartSidebarResize
+        ]
+        []
+
 
 onMouseDown : msg -> Attribute msg
 onMouseDown msg =
@@ -2178,16 +4962,80 @@ viewSidebar model =
         , div [ class "p-4 border-b border-base-300 shrink-0" ]
             [ div [ class "flex items-center justify-between" ]
                 [ h2 [ class "font-semibold text-lg" ] [ text "Messages" ]
-                , Html.map FilterSidebarMsg
-                    (FilterSidebar.viewToggleButton
-                        { filters = model.activeFilters
-                        , isOpen = model.filterSidebarOpen
-                        , globalEnabled = model.filtersGlobalEnabled
-                        , editing = model.filterEditing
-                        , totalEntries = totalCount
-                        , visibleEntries = visibleCount
-                        }
-                    )
+                , div [ class "flex items-center gap-1" ]
+                    [ button
+                        [ id "btn-export"
+                        , class "btn btn-ghost btn-sm btn-square"
+                        , title "Export current view"
+                        , onClick OpenExportModal
+                        , disabled (totalCount == 0)
+                        ]
+                        [ i [ class "fa-solid fa-file-export" ] [] ]
+                    , button
+                        [ id "btn-compare"
+                        , class "btn btn-ghost btn-sm btn-square"
+                        , title "Compare with another log"
+                        , onClick OpenComparison
+                        , disabled (totalCount == 0)
+                        ]
+                        [ i [ class "fa-solid fa-code-compare" ] [] ]
+                    , button
+                        [ id "btn-causality"
+                        , class "btn btn-ghost btn-sm btn-square"
+                        , title "Causality graph"
+                        , onClick OpenCausalityGraph
+                        , disabled (totalCount == 0)
+                        ]
+                        [ i [ class "fa-solid fa-diagram-project" ] [] ]
+                    , button
+                        [ id "btn-subscription-timeline"
+                        , class
+                            (if model.subscriptionTimelineOpen then
+                                "btn btn-ghost btn-sm btn-square btn-active"
+
+                             else
+                                "btn btn-ghost btn-sm btn-square"
+                            )
+                        , title "Subscription timeline"
+                        , onClick ToggleSubscriptionTimeline
+                        , disabled (totalCount == 0)
+                        ]
+                        [ i [ class "fa-solid fa-timeline" ] [] ]
+                    , button
+                        [ id "btn-session-stats"
+                        , class "btn btn-ghost btn-sm btn-square"
+                        , title "Statistics"
+                        , onClick OpenSessionStats
+                        , disabled (totalCount == 0)
+                        ]
+                        [ i [ class "fa-solid fa-chart-column" ] [] ]
+                    , button
+                        [ id "btn-bookmarks"
+                        , class
+                            (if model.bookmarksOpen then
+                                "btn btn-ghost btn-sm btn-square btn-active"
+
+                             else
+                                "btn btn-ghost btn-sm btn-square"
+                            )
+                        , title "Bookmarks"
+                        , onClick ToggleBookmarksPanel
+                        ]
+                        [ i [ class "fa-solid fa-bookmark" ] [] ]
+                    , Html.map FilterSidebarMsg
+                        (FilterSidebar.viewToggleButton
+                            { filters = model.activeFilters
+                            , isOpen = model.filterSidebarOpen
+                            , globalEnabled = model.filtersGlobalEnabled
+                            , editing = model.filterEditing
+                            , totalEntries = totalCount
+                            , visibleEntries = visibleCount
+                            , presets = model.filterPresets
+                            , presetName = model.presetName
+                            , typeRegistry = model.typeRegistry
+                            }
+                        )
+                    ]
                 ]
             , div [ class "flex flex-nowrap items-center gap-2 mt-1" ]
                 [ span [ class "text-sm text-base-content/60 whitespace-nowrap flex-none" ]
@@ -2216,17 +5064,168 @@ viewSidebar model =
                         [ text "Oldest First" ]
                     ]
                 ]
+            , case model.pagedFile of
+                Just paged ->
+                    viewPager paged
+
+                Nothing ->
+                    text ""
             ]
+        , if model.bookmarksOpen then
+            viewBookmarks model
+
+          else
+            text ""
         , div [ class "flex-1 overflow-y-auto overflow-x-hidden min-w-0" ]
-            [ MessageList.view
-                { selectedIndex = model.selectedIndex
-                , onSelect = SelectMessage
-                , entries = model.logEntries
-                , displayOrder = model.displayOrder
-                , visibleIndices = model.filteredIndices
-                , isFiltered = hasActiveFilters
-                }
+            [ case model.indexProgress of
+                Just progressData ->
+                    viewIndexProgress progressData
+
+                Nothing ->
+                    MessageList.view
+                        { selectedIndex = model.selectedIndex
+                        , onSelect = SelectMessage
+                        , entries = model.logEntries
+                        , displayOrder = model.displayOrder
+                        , visibleIndices = model.filteredIndices
+                        , isFiltered = hasActiveFilters
+                        , warnings = model.typeWarnings
+                        , divergences = model.divergences
+                        , indexOffset =
+                            model.pagedFile
+                                |> Maybe.map .pageStart
+                                |> Maybe.withDefault 0
+                        , annotations = model.annotations
+                        , gaps = model.streamGaps
+                        }
+            ]
+        ]
+
+
+{-| List the bookmarked entries with their color tags and notes. Clicking one
+selects it, loading its page first in a large file.
+-}
+viewBookmarks : Model -> Html Msg
+viewBookmarks model =
+    let
+        viewBookmark ( entryIndex, annotation ) =
+            li []
+                [ a
+                    [ classList [ ( "active", selectedEntryNumber model == Just entryIndex ) ]
+                    , onClick (GoToEntry entryIndex)
+                    ]
+                    [ i
+                        [ class "fa-solid fa-bookmark"
+                        , style "color" (annotation.color |> Maybe.map Annotation.colorCss |> Maybe.withDefault "currentColor")
+                        ]
+                        []
+                    , span [ class "flex-1 min-w-0 truncate" ]
+                        [ text
+                            (if String.isEmpty annotation.note then
+                                entryLabel model (entryIndex - pageOffset model)
+
+                             else
+                                "#" ++ String.fromInt (entryIndex + 1) ++ " " ++ annotation.note
+                            )
+                        ]
+                    ]
+                ]
+    in
+    div [ id "bookmarks", class "border-b border-base-300 shrink-0 px-2 py-2" ]
+        [ div [ class "flex items-center justify-between px-2 mb-1" ]
+            [ span [ class "text-sm font-medium" ] [ text "Bookmarks" ]
+            , span [ class "text-xs text-base-content/60" ] [ text "[ and ] to step through" ]
+            ]
+        , if Dict.isEmpty model.annotations then
+            p [ class "text-xs text-base-content/60 px-2" ]
+                [ text "No bookmarks yet. Press \u{2318}B to bookmark the selected message." ]
+
+          else
+            ul [ class "menu menu-xs max-h-48 overflow-y-auto flex-nowrap w-full" ]
+                (List.map viewBookmark (Dict.toList model.annotations))
+        ]
+
+
+{-| Render paging controls for a large file that is loaded a page at a time.
+
+Filters and search only apply to the loaded page.
+
+-}
+viewPager : PagedFile -> Html Msg
+viewPager paged =
+    let
+        pageEnd =
+            Basics.min paged.totalEntries (paged.pageStart + entriesPerPage)
+
+        lastPageStart =
+            (Basics.max 0 (paged.totalEntries - 1) // entriesPerPage) * entriesPerPage
+
+        hasPrevious =
+            paged.pageStart > 0
+
+        hasNext =
+            pageEnd < paged.totalEntries
+
+        pagerButton buttonId iconClass tooltip enabled targetStart =
+            button
+                [ id buttonId
+                , class (secondaryButtonClass ++ " btn-xs")
+                , title tooltip
+                , disabled (not enabled || paged.loading)
+                , onClick (LoadPage targetStart)
+                ]
+                [ i [ class iconClass ] [] ]
+
+        rangeText =
+            String.fromInt (Basics.min (paged.pageStart + 1) paged.totalEntries)
+                ++ "–"
+                ++ String.fromInt pageEnd
+                ++ " of "
+                ++ String.fromInt paged.totalEntries
+    in
+    div [ class "flex items-center gap-1 mt-2" ]
+        [ pagerButton "btn-page-first" "fa-solid fa-angles-left" "First page" hasPrevious 0
+        , pagerButton "btn-page-previous" "fa-solid fa-angle-left" "Previous page" hasPrevious (paged.pageStart - entriesPerPage)
+        , span [ id "page-range", class "text-xs text-base-content/60 whitespace-nowrap flex-1 text-center" ]
+            [ if paged.loading then
+                span [ class "loading loading-spinner loading-xs" ] []
+
+              else
+                text rangeText
             ]
+        , pagerButton "btn-page-next" "fa-solid fa-angle-right" "Next page" hasNext pageEnd
+        , pagerButton "btn-page-last" "fa-solid fa-angles-right" "Last page" hasNext lastPageStart
+        , input
+            [ id "input-jump-to-entry"
+            , type_ "number"
+            , class "input input-bordered input-xs w-20"
+            , placeholder "Go to #"
+            , title "Jump to entry number"
+            , on "change" (D.map JumpToEntry targetValue)
+            ]
+            []
+        ]
+
+
+{-| Render the progress of indexing a large file before its first page loads.
+-}
+viewIndexProgress : IndexProgressData -> Html Msg
+viewIndexProgress progressData =
+    let
+        percent =
+            round (progressData.fraction * 100)
+
+        activity =
+            if progressData.phase == "decompressing" then
+                "Decompressing large file... "
+
+            else
+                "Indexing large file... "
+    in
+    div [ class "flex-1 flex flex-col items-center justify-center gap-2 p-4" ]
+        [ p [ class "text-sm text-base-content/60" ]
+            [ text (activity ++ String.fromInt percent ++ "%") ]
+        , progress [ class "progress progress-primary w-full", value (String.fromInt percent), attribute "max" "100" ] []
         ]
 
 
@@ -2256,6 +5255,15 @@ viewInputSourceHeader model =
                             [ i [ class "fa-solid fa-plug mr-1" ] []
                             , text "WebSocket"
                             ]
+                        , button
+                            [ id "btn-log-server"
+                            , class (primaryButtonClass ++ " btn-sm flex-1")
+                            , title "Listen for applications pushing their log"
+                            , onClick OpenLogServerModal
+                            ]
+                            [ i [ class "fa-solid fa-tower-broadcast mr-1" ] []
+                            , text "Listen"
+                            ]
                         ]
                     ]
 
@@ -2266,6 +5274,23 @@ viewInputSourceHeader model =
                         , span [ class "text-sm truncate flex-1", title fileData.path ]
                             [ text (truncatePath fileData.path) ]
                         ]
+                    , label [ class "label cursor-pointer justify-start gap-2 py-0" ]
+                        [ input
+                            [ id "checkbox-follow-file"
+                            , type_ "checkbox"
+                            , class "checkbox checkbox-xs"
+                            , checked fileData.follow
+                            , onClick
+                                (if fileData.follow then
+                                    StopFollowingFile
+
+                                 else
+                                    StartFollowingFile
+                                )
+                            ]
+                            []
+                        , span [ class "label-text text-xs" ] [ text "Follow file for new entries" ]
+                        ]
                     , button
                         [ id "btn-disconnect"
                         , class (secondaryButtonClass ++ " btn-xs w-full")
@@ -2274,6 +5299,29 @@ viewInputSourceHeader model =
                         [ text "Disconnect" ]
                     ]
 
+            Just (LogServerSource server) ->
+                div [ class "flex flex-col gap-2" ]
+                    [ div [ class "flex items-center gap-2" ]
+                        [ viewWsStatusIndicator
+                            (if server.listening then
+                                Connected
+
+                             else
+                                Connecting
+                            )
+                        , span [ class "text-xs text-base-content/60 font-medium" ] [ text "Message Source" ]
+                        , span [ id "log-server-port", class "text-sm truncate flex-1" ]
+                            [ text ("Listening on port " ++ String.fromInt server.listenPort) ]
+                        ]
+                    , viewLogClients server.client model.logClients
+                    , button
+                        [ id "btn-disconnect"
+                        , class (secondaryButtonClass ++ " btn-xs w-full")
+                        , onClick DisconnectSource
+                        ]
+                        [ text "Stop Server" ]
+                    ]
+
             Just (WebSocketSource wsData) ->
                 case wsData.status of
                     Connected ->
@@ -2283,7 +5331,14 @@ viewInputSourceHeader model =
                                 , span [ class "text-xs text-base-content/60 font-medium" ] [ text "Message Source" ]
                                 , span [ class "text-sm truncate flex-1", title wsData.url ]
                                     [ text wsData.url ]
+                                , if model.remoteControl.paused then
+                                    span [ id "remote-paused-badge", class "badge badge-warning badge-sm" ] [ text "Paused" ]
+
+                                  else
+                                    text ""
                                 ]
+                            , viewRemoteControls model.remoteControl model.replayFromInput
+                            , viewRecording True model.recording
                             , button
                                 [ id "btn-disconnect"
                                 , class (secondaryButtonClass ++ " btn-xs w-full")
@@ -2310,6 +5365,23 @@ viewInputSourceHeader model =
                                 ]
                             ]
 
+                    Reconnecting _ ->
+                        div [ class "flex flex-col gap-2" ]
+                            [ div [ class "flex items-center gap-2" ]
+                                [ viewWsStatusIndicator wsData.status
+                                , span [ class "text-xs text-base-content/60 font-medium" ] [ text "Message Source" ]
+                                , span [ class "text-sm truncate flex-1", title wsData.url ]
+                                    [ text wsData.url ]
+                                ]
+                            , viewRecording False model.recording
+                            , button
+                                [ id "btn-stop-reconnecting"
+                                , class (secondaryButtonClass ++ " btn-xs w-full")
+                                , onClick DisconnectWebSocket
+                                ]
+                                [ text "Stop Reconnecting" ]
+                            ]
+
                     _ ->
                         -- Disconnected or Error - show status and allow reconnection
                         div [ class "flex flex-col gap-2" ]
@@ -2319,6 +5391,7 @@ viewInputSourceHeader model =
                                 , span [ class "text-sm truncate flex-1", title wsData.url ]
                                     [ text wsData.url ]
                                 ]
+                            , viewRecording False model.recording
                             , div [ class "flex gap-2" ]
                                 [ button
                                     [ id "btn-open-file"
@@ -2336,11 +5409,234 @@ viewInputSourceHeader model =
                                     [ i [ class "fa-solid fa-plug mr-1" ] []
                                     , text "WebSocket"
                                     ]
+                                , button
+                                    [ id "btn-log-server"
+                                    , class (primaryButtonClass ++ " btn-sm flex-1")
+                                    , title "Listen for applications pushing their log"
+                                    , onClick OpenLogServerModal
+                                    ]
+                                    [ i [ class "fa-solid fa-tower-broadcast mr-1" ] []
+                                    , text "Listen"
+                                    ]
                                 ]
                             ]
         ]
 
 
+{-| Clients of the log server, in the order they connected. Choosing one
+shows its entries; a client that went away can still be chosen.
+-}
+viewLogClients : Maybe String -> List LogServer.Client -> Html Msg
+viewLogClients selected clients =
+    if List.isEmpty clients then
+        div [ id "log-clients-empty", class "text-xs text-base-content/50" ]
+            [ text "Waiting for an application to connect" ]
+
+    else
+        ul [ id "log-clients", class "flex flex-col gap-1 max-h-40 overflow-y-auto" ]
+            (List.map
+                (\client ->
+                    li []
+                        [ button
+                            [ id ("log-client-" ++ client.id)
+                            , class
+                                ("btn btn-xs w-full justify-start gap-2 font-normal"
+                                    ++ (if selected == Just client.id then
+                                            " btn-active"
+
+                                        else
+                                            " btn-ghost"
+                                       )
+                                )
+                            , title
+                                (if client.connected then
+                                    client.address
+
+                                 else
+                                    client.address ++ " (disconnected)"
+                                )
+                            , onClick (SelectLogClient client.id)
+                            ]
+                            [ span [ class "badge badge-ghost badge-xs" ] [ text (LogServer.protocolLabel client.protocol) ]
+                            , span
+                                [ class
+                                    ("truncate flex-1 text-left"
+                                        ++ (if client.connected then
+                                                ""
+
+                                            else
+                                                " text-base-content/40"
+                                           )
+                                    )
+                                ]
+                                [ text client.address ]
+                            , if client.connected then
+                                text ""
+
+                              else
+                                span [ class "text-xs text-base-content/40" ] [ text "gone" ]
+                            ]
+                        ]
+                )
+                clients
+            )
+
+
+{-| The recording of a WebSocket session: a button to start one while
+connected, the file being written, or the files of a finished recording with
+a button to open it. A recording carries on while reconnecting.
+-}
+viewRecording : Bool -> Recording -> Html Msg
+viewRecording connected recording =
+    let
+        recordButton =
+            if connected then
+                button
+                    [ id "btn-record"
+                    , class (secondaryButtonClass ++ " btn-xs w-full")
+                    , disabled (recording == StartingRecording || recording == StoppingRecording)
+                    , title "Save every line received from now on to a file"
+                    , onClick ToggleRecording
+                    ]
+                    [ i [ class "fa-solid fa-circle text-error mr-1" ] []
+                    , text "Record"
+                    ]
+
+            else
+                text ""
+    in
+    case recording of
+        RecordingTo path ->
+            div [ id "recording-status", class "flex items-center gap-2" ]
+                [ span [ class "flex items-center gap-1 text-xs text-error font-medium flex-1 min-w-0", title path ]
+                    [ i [ class "fa-solid fa-circle" ] []
+                    , span [ class "truncate" ] [ text ("Recording to " ++ truncatePath path) ]
+                    ]
+                , button
+                    [ id "btn-stop-recording"
+                    , class (secondaryButtonClass ++ " btn-xs")
+                    , onClick ToggleRecording
+                    ]
+                    [ i [ class "fa-solid fa-stop mr-1" ] []
+                    , text "Stop"
+                    ]
+                ]
+
+        Recorded ((first :: _) as paths) ->
+            div [ class "flex flex-col gap-2" ]
+                [ div [ id "recording-saved", class "flex items-center gap-2" ]
+                    [ span [ class "text-xs text-base-content/60 flex-1 min-w-0 truncate", title (String.join "\n" paths) ]
+                        [ text
+                            ("Recorded to "
+                                ++ truncatePath first
+                                ++ (if List.length paths > 1 then
+                                        " and " ++ String.fromInt (List.length paths - 1) ++ " more"
+
+                                    else
+                                        ""
+                                   )
+                            )
+                        ]
+                    , button
+                        [ id "btn-open-recording"
+                        , class (secondaryButtonClass ++ " btn-xs")
+                        , title "Open the recording like any other log file"
+                        , onClick (OpenInput { path = first, follow = False })
+                        ]
+                        [ text "Open" ]
+                    ]
+                , recordButton
+                ]
+
+        _ ->
+            recordButton
+
+
+{-| Controls for the application on the other end of a live WebSocket.
+Commands the application didn't announce are disabled; an application that
+doesn't answer `hello` can only be watched.
+-}
+viewRemoteControls : RemoteControl.Remote -> String -> Html Msg
+viewRemoteControls remote replayFrom =
+    case remote.commands of
+        Nothing ->
+            div [ id "remote-control-readonly", class "text-xs text-base-content/50" ]
+                [ text "Read-only: the app hasn't announced any control commands" ]
+
+        Just _ ->
+            let
+                unavailable command =
+                    if not (RemoteControl.supports command remote) then
+                        Just "Not supported by the app"
+
+                    else if command == RemoteControl.Step && not remote.paused then
+                        Just "Pause the app to step one message"
+
+                    else
+                        Nothing
+
+                commandButton buttonId command icon label tooltip =
+                    button
+                        [ id buttonId
+                        , class (secondaryButtonClass ++ " btn-xs flex-1")
+                        , disabled (unavailable command /= Nothing)
+                        , title (Maybe.withDefault tooltip (unavailable command))
+                        , onClick (SendControlCommand command)
+                        ]
+                        [ i [ class ("fa-solid " ++ icon ++ " mr-1") ] []
+                        , text label
+                        ]
+
+                replayCommand =
+                    RemoteControl.Replay 0
+
+                validReplayFrom =
+                    String.toInt (String.trim replayFrom)
+                        |> Maybe.map (\fromSequence -> fromSequence >= 0)
+                        |> Maybe.withDefault False
+            in
+            div [ id "remote-controls", class "flex flex-col gap-1" ]
+                [ div [ class "flex gap-1" ]
+                    [ if remote.paused then
+                        commandButton "btn-remote-resume" RemoteControl.Resume "fa-play" "Resume" "Resume the app's update loop"
+
+                      else
+                        commandButton "btn-remote-pause" RemoteControl.Pause "fa-pause" "Pause" "Pause the app's update loop"
+                    , commandButton "btn-remote-step" RemoteControl.Step "fa-forward-step" "Step" "Process one queued message"
+                    , commandButton "btn-remote-snapshot" RemoteControl.Snapshot "fa-camera" "Snapshot" "Ask for the app's current model"
+                    ]
+                , div [ class "flex gap-1" ]
+                    [ input
+                        [ id "input-replay-from"
+                        , type_ "number"
+                        , Html.Attributes.min "0"
+                        , class "input input-bordered input-xs flex-1 min-w-0"
+                        , placeholder "Replay from sequence"
+                        , value replayFrom
+                        , disabled (unavailable replayCommand /= Nothing)
+                        , onInput SetReplayFromInput
+                        ]
+                        []
+                    , button
+                        [ id "btn-remote-replay"
+                        , class (secondaryButtonClass ++ " btn-xs")
+                        , disabled (unavailable replayCommand /= Nothing || not validReplayFrom)
+                        , title (Maybe.withDefault "Ask the app to send its entries again from this sequence number" (unavailable replayCommand))
+                        , onClick ReplayFromInput
+                        ]
+                        [ i [ class "fa-solid fa-rotate-left mr-1" ] []
+                        , text "Replay"
+                        ]
+                    ]
+                , case remote.lastError of
+                    Just errorMsg ->
+                        div [ id "remote-control-error", class "text-xs text-error" ] [ text errorMsg ]
+
+                    Nothing ->
+                        text ""
+                ]
+
+
 {-| Render WebSocket status indicator.
 -}
 viewWsStatusIndicator : WebSocketStatus -> Html Msg
@@ -2358,6 +5654,13 @@ viewWsStatusIndicator status =
                 , span [ class "text-xs text-base-content/60" ] [ text "Connecting" ]
                 ]
 
+        Reconnecting attempt ->
+            span [ class "flex items-center gap-1" ]
+                [ span [ class "loading loading-spinner loading-xs text-warning" ] []
+                , span [ class "text-xs text-warning whitespace-nowrap" ]
+                    [ text ("Reconnecting (attempt " ++ String.fromInt attempt ++ ")") ]
+                ]
+
         Disconnected ->
             span [ class "flex items-center gap-1" ]
                 [ span [ class "ws-status-indicator ws-status-disconnected" ] []
@@ -2393,11 +5696,28 @@ truncatePath path =
 -}
 viewMainContent : Model -> Html Msg
 viewMainContent model =
+    let
+        chartPanel =
+            Html.Lazy.lazy3 viewChartPanel model.chartPaths model.logEntries model.selectedIndex
+
+        timelinePanel =
+            if model.subscriptionTimelineOpen then
+                Html.Lazy.lazy4 viewSubscriptionTimelinePanel model.subscriptionTimeline model.logEntries model.selectedIndex (pageOffset model)
+
+            else
+                text ""
+
+        playbackBar =
+            viewPlaybackBar model
+    in
     case model.selectedIndex of
         Nothing ->
             -- No message selected - show placeholder
             main_ [ class "flex-1 flex flex-col overflow-hidden" ]
-                [ div [ class "flex-1 overflow-auto p-4" ]
+                [ playbackBar
+                , chartPanel
+                , timelinePanel
+                , div [ class "flex-1 overflow-auto p-4" ]
                     [ viewNoSelection model ]
                 ]
 
@@ -2406,7 +5726,10 @@ viewMainContent model =
                 Nothing ->
                     -- Invalid index - show placeholder
                     main_ [ class "flex-1 flex flex-col overflow-hidden" ]
-                        [ div [ class "flex-1 overflow-auto p-4" ]
+                        [ playbackBar
+                        , chartPanel
+                        , timelinePanel
+                        , div [ class "flex-1 overflow-auto p-4" ]
                             [ viewNoSelection model ]
                         ]
 
@@ -2416,16 +5739,546 @@ viewMainContent model =
                         [ div [ class "p-4 border-b border-base-300 shrink-0" ]
                             [ h2 [ class "font-semibold text-lg" ] [ text "Model" ]
                             ]
+                        , playbackBar
+                        , chartPanel
+                        , timelinePanel
                         , viewViewOptions model
                         , div [ class "flex-1 overflow-auto" ]
-                            [ viewMessageDetailsPanel model
+                            [ viewDivergence model index
+                            , viewTypeWarnings model index
+                            , viewAnnotationPanel model
+                            , viewMessageDetailsPanel model
                             , viewEffectsPanel model
+                            , viewActiveSubscriptionsPanel model index
                             , div [ class "mx-4 mt-4 mb-4" ]
                                 [ viewSelectedEntry model index entry ]
                             ]
                         ]
 
 
+{-| Render the playback controls: play/pause, the speed, and a scrubber over
+the time span of the loaded entries with the entries that pass the filters
+marked on it. Nothing is shown until the entries span some time.
+-}
+viewPlaybackBar : Model -> Html Msg
+viewPlaybackBar model =
+    case Playback.bounds (playbackTimeline model) of
+        Just ( first, last ) ->
+            if last > first then
+                let
+                    playback =
+                        model.playback
+
+                    position =
+                        if playback.playing then
+                            playback.clock
+
+                        else
+                            model.selectedIndex
+                                |> Maybe.andThen (\idx -> Array.get idx model.logEntries)
+                                |> Maybe.andThen getTimestamp
+                                |> Maybe.map toFloat
+                                |> Maybe.withDefault (toFloat first)
+
+                    formatSeconds milliseconds =
+                        String.fromFloat (toFloat (round (milliseconds / 100)) / 10) ++ " s"
+
+                    speedOption speed =
+                        option [ value (String.fromFloat speed), selected (playback.speed == speed) ]
+                            [ text (String.fromFloat speed ++ "\u{00D7}") ]
+
+                    hasActiveFilters =
+                        model.filtersGlobalEnabled && Filter.enabledFilterCount model.activeFilters > 0
+                in
+                div [ id "playback", class "flex items-center gap-2 px-4 py-2 border-b border-base-300 shrink-0" ]
+                    [ button
+                        [ id "btn-playback"
+                        , class "btn btn-ghost btn-sm btn-square"
+                        , title
+                            (if playback.playing then
+                                "Pause (Space)"
+
+                             else
+                                "Play from the selected message (Space)"
+                            )
+                        , onClick TogglePlayback
+                        ]
+                        [ i
+                            [ class
+                                (if playback.playing then
+                                    "fa-solid fa-pause"
+
+                                 else
+                                    "fa-solid fa-play"
+                                )
+                            ]
+                            []
+                        ]
+                    , select
+                        [ class "select select-bordered select-xs"
+                        , title "Playback speed"
+                        , onInput (String.toFloat >> Maybe.withDefault 1 >> SetPlaybackSpeed)
+                        ]
+                        (List.map speedOption Playback.speeds)
+                    , div [ class "relative flex-1" ]
+                        [ if hasActiveFilters then
+                            Html.Lazy.lazy4 viewPlaybackMarks model.logEntries model.filteredIndices first last
+
+                          else
+                            text ""
+                        , input
+                            [ type_ "range"
+                            , class "range range-xs range-primary w-full"
+                            , Html.Attributes.min (String.fromInt first)
+                            , Html.Attributes.max (String.fromInt last)
+                            , step "any"
+                            , value (String.fromFloat position)
+                            , onInput SeekPlayback
+                            ]
+                            []
+                        ]
+                    , span [ class "text-xs text-base-content/60 whitespace-nowrap font-mono" ]
+                        [ text (formatSeconds (position - toFloat first) ++ " / " ++ formatSeconds (toFloat (last - first))) ]
+                    ]
+
+            else
+                text ""
+
+        Nothing ->
+            text ""
+
+
+{-| Tick marks above the scrubber at the times of the entries that pass the
+filters.
+-}
+viewPlaybackMarks : Array LogEntry -> Set Int -> Int -> Int -> Html Msg
+viewPlaybackMarks entries filteredIndices first last =
+    let
+        mark index =
+            Array.get index entries
+                |> Maybe.andThen getTimestamp
+                |> Maybe.map
+                    (\timestamp ->
+                        let
+                            x =
+                                String.fromFloat (toFloat (timestamp - first) / toFloat (last - first) * 1000)
+                        in
+                        Svg.line [ SA.x1 x, SA.x2 x, SA.y1 "0", SA.y2 "10", SA.class "stroke-warning", SA.strokeWidth "2" ] []
+                    )
+    in
+    Svg.svg
+        [ SA.viewBox "0 0 1000 10"
+        , SA.preserveAspectRatio "none"
+        , SA.class "absolute inset-x-0 -top-2 w-full h-2 pointer-events-none"
+        ]
+        (List.filterMap mark (Set.toList filteredIndices))
+
+
+{-| Render the chart of pinned numeric fields with its legend. Nothing is
+shown until a field has been pinned from the model tree.
+
+Takes only the fields it uses so it can be rendered lazily: the series are
+recomputed when entries arrive or the selection changes, not on every update.
+
+-}
+viewChartPanel : List TreePath -> Array LogEntry -> Maybe Int -> Html Msg
+viewChartPanel chartPaths entries selectedIndex =
+    if List.isEmpty chartPaths then
+        text ""
+
+    else
+        let
+            allSeries =
+                List.map (Chart.series entries) chartPaths
+
+            viewLegendItem seriesIndex chartSeries =
+                span [ class "inline-flex items-center gap-1 text-xs font-mono" ]
+                    [ span
+                        [ class "inline-block w-3 h-0.5"
+                        , style "background-color" (Chart.seriesColor seriesIndex)
+                        ]
+                        []
+                    , text (Diff.pathToString chartSeries.path)
+                    , if List.isEmpty chartSeries.points then
+                        span [ class "text-base-content/50" ] [ text "(no numbers)" ]
+
+                      else
+                        text ""
+                    , button
+                        [ class "btn btn-ghost btn-xs btn-square"
+                        , title "Remove from chart"
+                        , onClick (UnpinChartField chartSeries.path)
+                        ]
+                        [ text "✕" ]
+                    ]
+        in
+        div [ id "chart-panel", class "px-4 py-2 border-b border-base-300 shrink-0" ]
+            [ div [ class "flex items-center justify-between gap-2" ]
+                [ div [ class "flex flex-wrap items-center gap-x-3" ]
+                    (List.indexedMap viewLegendItem allSeries)
+                , button
+                    [ id "btn-chart-clear"
+                    , class "btn btn-ghost btn-xs"
+                    , onClick ClearChartFields
+                    ]
+                    [ text "Clear" ]
+                ]
+            , div [ class "max-h-64" ]
+                [ Chart.view { selectedIndex = selectedIndex, onSelect = RevealMessage } allSeries ]
+            ]
+
+
+{-| Render the timeline of the subscriptions started and stopped by the loaded
+entries, with the selected entry marked. Rendered lazily like the chart.
+-}
+viewSubscriptionTimelinePanel : SubscriptionTimeline.Timeline -> Array LogEntry -> Maybe Int -> Int -> Html Msg
+viewSubscriptionTimelinePanel timeline entries selectedIndex indexOffset =
+    let
+        lanes =
+            SubscriptionTimeline.lanes timeline
+
+        problemCount =
+            List.sum (List.map (.problems >> List.length) lanes)
+    in
+    div [ id "subscription-timeline", class "px-4 py-2 border-b border-base-300 shrink-0" ]
+        [ div [ class "flex items-center justify-between gap-2 mb-1" ]
+            [ span [ class "text-sm font-medium" ] [ text "Subscriptions" ]
+            , if problemCount > 0 then
+                span [ class "badge badge-error badge-sm" ]
+                    [ text (String.fromInt problemCount ++ " mismatched starts or stops") ]
+
+              else
+                text ""
+            , button
+                [ class "btn btn-ghost btn-xs btn-square"
+                , title "Hide the subscription timeline"
+                , onClick ToggleSubscriptionTimeline
+                ]
+                [ text "✕" ]
+            ]
+        , if List.isEmpty lanes then
+            p [ class "text-sm text-base-content/60" ] [ text "No subscriptions were started or stopped in the loaded entries." ]
+
+          else
+            div [ class "max-h-64 overflow-auto" ]
+                [ SubscriptionTimeline.view
+                    { selectedIndex = selectedIndex
+                    , indexOffset = indexOffset
+                    , onSelect = \index -> GoToEntry (indexOffset + index)
+                    }
+                    entries
+                    lanes
+                ]
+        ]
+
+
+{-| Render the side-by-side comparison of the loaded entries with a second
+log: the aligned rows on the left and the differences of the selected row on
+the right.
+-}
+viewComparison : Model -> ComparisonView -> Html Msg
+viewComparison model comparisonView =
+    let
+        differingCount =
+            comparisonView.rows
+                |> Array.filter (\( _, rowComparison ) -> rowComparison.status /= Comparison.Same)
+                |> Array.length
+
+        alignmentValue alignment =
+            case alignment of
+                Comparison.BySequence ->
+                    "sequence"
+
+                Comparison.ByMessageName ->
+                    "name"
+
+                Comparison.ByTimestamp ->
+                    "timestamp"
+
+        alignmentOption alignment =
+            option
+                [ value (alignmentValue alignment)
+                , selected (comparisonView.alignment == alignment)
+                ]
+                [ text (Comparison.alignmentName alignment) ]
+
+        alignmentFromValue v =
+            if v == "sequence" then
+                Comparison.BySequence
+
+            else if v == "timestamp" then
+                Comparison.ByTimestamp
+
+            else
+                Comparison.ByMessageName
+
+        fileName filePath =
+            filePath
+                |> String.replace "\\" "/"
+                |> String.split "/"
+                |> List.reverse
+                |> List.head
+                |> Maybe.withDefault filePath
+    in
+    main_ [ class "flex-1 flex flex-col overflow-hidden" ]
+        [ div [ class "p-4 border-b border-base-300 shrink-0" ]
+            [ div [ class "flex items-center justify-between gap-4" ]
+                [ div [ class "min-w-0" ]
+                    [ h2 [ class "font-semibold text-lg" ] [ text "Compare" ]
+                    , div [ class "text-xs text-base-content/60 truncate" ]
+                        [ text (fileName (inputSourceLabel model) ++ " ↔ " ++ fileName comparisonView.path) ]
+                    ]
+                , div [ class "flex items-center gap-2 shrink-0" ]
+                    [ label [ class "text-sm text-base-content/60", for "select-comparison-alignment" ] [ text "Align by" ]
+                    , select
+                        [ id "select-comparison-alignment"
+                        , class "select select-bordered select-sm"
+                        , onInput (alignmentFromValue >> SetComparisonAlignment)
+                        ]
+                        (List.map alignmentOption [ Comparison.ByMessageName, Comparison.BySequence, Comparison.ByTimestamp ])
+                    , button
+                        [ id "btn-comparison-divergence"
+                        , class "btn btn-sm btn-outline"
+                        , onClick JumpToDivergence
+                        , disabled (differingCount == 0)
+                        ]
+                        [ text "First difference" ]
+                    , button
+                        [ id "btn-comparison-close"
+                        , class "btn btn-ghost btn-sm btn-square"
+                        , title "Close comparison"
+                        , onClick CloseComparison
+                        ]
+                        [ text "✕" ]
+                    ]
+                ]
+            , div [ class "text-sm mt-2" ]
+                [ text
+                    (if differingCount == 0 then
+                        "The runs match."
+
+                     else
+                        String.fromInt differingCount
+                            ++ " of "
+                            ++ String.fromInt (Array.length comparisonView.rows)
+                            ++ " rows differ."
+                    )
+                , if comparisonView.truncated then
+                    span [ class "text-warning ml-2" ]
+                        [ text "Only the start of the second log was read." ]
+
+                  else
+                    text ""
+                ]
+            ]
+        , div [ class "flex-1 flex overflow-hidden" ]
+            [ ul [ class "w-1/2 overflow-auto border-r border-base-300 p-2 scrollbar-thin" ]
+                (Array.toList
+                    (Array.indexedMap (viewComparisonRow comparisonView) comparisonView.rows)
+                )
+            , div [ class "w-1/2 overflow-auto p-4" ]
+                [ case comparisonView.selectedRow |> Maybe.andThen (\rowIndex -> Array.get rowIndex comparisonView.rows) of
+                    Just ( row, rowComparison ) ->
+                        viewComparisonDetails comparisonView row rowComparison
+
+                    Nothing ->
+                        div [ class "text-base-content/60" ] [ text "Select a row to see how the runs differ there." ]
+                ]
+            ]
+        ]
+
+
+{-| Render one aligned row: the left entry and the right entry, highlighted
+when they differ or when only one run has an entry here.
+-}
+viewComparisonRow : ComparisonView -> Int -> ( Comparison.Row, Comparison.RowComparison ) -> Html Msg
+viewComparisonRow comparisonView rowIndex ( row, rowComparison ) =
+    let
+        statusClass =
+            case rowComparison.status of
+                Comparison.Same ->
+                    "border-l-2 border-transparent"
+
+                Comparison.Different ->
+                    "diff-changed"
+
+                Comparison.OnlyLeft ->
+                    "diff-removed"
+
+                Comparison.OnlyRight ->
+                    "diff-added"
+
+        selectedClass =
+            if comparisonView.selectedRow == Just rowIndex then
+                " outline outline-1 outline-primary"
+
+            else
+                ""
+
+        viewSide offset side =
+            case side of
+                Just ( entryIndex, entry ) ->
+                    span [ class "block min-w-0 truncate" ]
+                        [ span [ class "text-xs text-base-content/60 mr-1" ]
+                            [ text ("#" ++ String.fromInt (offset + entryIndex + 1)) ]
+                        , text (getMessageName entry)
+                        ]
+
+                Nothing ->
+                    span [ class "block text-base-content/40 italic" ] [ text "—" ]
+    in
+    li
+        [ id ("comparison-row-" ++ String.fromInt rowIndex)
+        , class ("grid grid-cols-2 gap-2 px-3 py-1.5 rounded text-sm cursor-pointer hover:bg-base-300 " ++ statusClass ++ selectedClass)
+        , onClick (SelectComparisonRow rowIndex)
+        , attribute "role" "button"
+        ]
+        [ viewSide comparisonView.leftOffset row.left
+        , viewSide 0 row.right
+        ]
+
+
+{-| Render how the two entries of a row differ: message, model fields and
+effects.
+-}
+viewComparisonDetails : ComparisonView -> Comparison.Row -> Comparison.RowComparison -> Html Msg
+viewComparisonDetails comparisonView row rowComparison =
+    let
+        entryTitle offset side =
+            case side of
+                Just ( entryIndex, entry ) ->
+                    "#" ++ String.fromInt (offset + entryIndex + 1) ++ " " ++ getMessageName entry
+
+                Nothing ->
+                    "(no entry)"
+
+        viewEffects heading effectNames =
+            if List.isEmpty effectNames then
+                text ""
+
+            else
+                div [ class "mb-2" ]
+                    [ div [ class "text-sm font-medium" ] [ text heading ]
+                    , ul [ class "list-disc ml-6 text-sm font-mono" ]
+                        (List.map (\effectName -> li [] [ text effectName ]) effectNames)
+                    ]
+    in
+    div []
+        [ div [ class "grid grid-cols-2 gap-2 mb-4" ]
+            [ div []
+                [ div [ class "text-xs text-base-content/60" ] [ text "Left run" ]
+                , div [ class "font-mono font-medium" ] [ text (entryTitle comparisonView.leftOffset row.left) ]
+                ]
+            , div []
+                [ div [ class "text-xs text-base-content/60" ] [ text "Right run" ]
+                , div [ class "font-mono font-medium" ] [ text (entryTitle 0 row.right) ]
+                ]
+            ]
+        , case rowComparison.status of
+            Comparison.OnlyLeft ->
+                div [ class "alert alert-error mb-4 text-sm" ] [ text "This entry only appears in the left run." ]
+
+            Comparison.OnlyRight ->
+                div [ class "alert alert-success mb-4 text-sm" ] [ text "This entry only appears in the right run." ]
+
+            Comparison.Same ->
+                div [ class "text-sm text-base-content/60 mb-4" ] [ text "The runs match at this point." ]
+
+            Comparison.Different ->
+                if rowComparison.messageDiffers then
+                    div [ class "alert alert-warning mb-4 text-sm" ] [ text "The runs processed different messages here." ]
+
+                else
+                    text ""
+        , viewFieldDifferences "Model differences" ( "Left", "Right" ) rowComparison.fields
+        , if List.isEmpty rowComparison.leftOnlyEffects && List.isEmpty rowComparison.rightOnlyEffects then
+            text ""
+
+          else
+            div []
+                [ h3 [ class "font-semibold mb-2" ] [ text "Effect differences" ]
+                , viewEffects "Only in the left run" rowComparison.leftOnlyEffects
+                , viewEffects "Only in the right run" rowComparison.rightOnlyEffects
+                ]
+        ]
+
+
+{-| Render the model fields that differ between two models, with the value on
+each side, under a title giving their number. Nothing when none differ.
+-}
+viewFieldDifferences : String -> ( String, String ) -> List Comparison.FieldDifference -> Html Msg
+viewFieldDifferences heading ( leftHeading, rightHeading ) fields =
+    let
+        maxFields =
+            200
+
+        changeClass change =
+            case change of
+                Diff.Added ->
+                    "diff-added"
+
+                Diff.Removed ->
+                    "diff-removed"
+
+                Diff.Moved ->
+                    "diff-moved"
+
+                _ ->
+                    "diff-changed"
+
+        viewValue maybeValue =
+            case maybeValue of
+                Just json ->
+                    code [ class "break-all" ] [ text json ]
+
+                Nothing ->
+                    span [ class "text-base-content/40 italic" ] [ text "missing" ]
+    in
+    if List.isEmpty fields then
+        text ""
+
+    else
+        div [ class "mb-4" ]
+            [ h3 [ class "font-semibold mb-2" ]
+                [ text (heading ++ " (" ++ String.fromInt (List.length fields) ++ ")") ]
+            , table [ class "table table-xs" ]
+                [ thead []
+                    [ tr []
+                        [ th [] [ text "Field" ]
+                        , th [] [ text leftHeading ]
+                        , th [] [ text rightHeading ]
+                        ]
+                    ]
+                , tbody []
+                    (fields
+                        |> List.take maxFields
+                        |> List.map
+                            (\field ->
+                                tr [ class (changeClass field.change) ]
+                                    [ td [ class "font-mono" ]
+                                        [ text
+                                            (if String.isEmpty field.path then
+                                                "(model)"
+
+                                             else
+                                                field.path
+                                            )
+                                        ]
+                                    , td [] [ viewValue field.left ]
+                                    , td [] [ viewValue field.right ]
+                                    ]
+                            )
+                    )
+                ]
+            , if List.length fields > maxFields then
+                div [ class "text-xs text-base-content/60 mt-1" ]
+                    [ text ("and " ++ String.fromInt (List.length fields - maxFields) ++ " more") ]
+
+              else
+                text ""
+            ]
+
+
 {-| Render the view options bar with checkboxes and search.
 -}
 viewViewOptions : Model -> Html Msg
@@ -2465,12 +6318,57 @@ viewViewOptions model =
                         []
                     , span [ class "label-text text-sm" ] [ text "Highlight changes" ]
                     ]
+                , viewBaselineControl model
                 ]
             , viewSearchBox model
             ]
+        , viewSearchOptions model.searchOptions model.searchAllEntries
+        , if model.searchAllEntries && not (String.isEmpty (String.trim model.searchQuery)) then
+            viewSearchHits model
+
+          else
+            text ""
         ]
 
 
+{-| Render the pinned baseline with a button to clear it, or a button to pin
+the selected entry when it has a model.
+-}
+viewBaselineControl : Model -> Html Msg
+viewBaselineControl model =
+    case model.baseline of
+        Just baseline ->
+            div [ id "baseline-control", class "flex items-center gap-1" ]
+                [ span [ class "badge badge-info badge-sm gap-1 font-mono" ]
+                    [ i [ class "fa-solid fa-thumbtack" ] []
+                    , text ("Baseline #" ++ String.fromInt baseline.entryNumber ++ " " ++ baseline.messageName)
+                    ]
+                , button
+                    [ id "btn-clear-baseline"
+                    , class "btn btn-ghost btn-xs btn-square"
+                    , title "Compare with the model before each entry again"
+                    , onClick ClearBaseline
+                    ]
+                    [ text "✕" ]
+                ]
+
+        Nothing ->
+            case model.selectedIndex |> Maybe.andThen (\index -> Array.get index model.logEntries) |> Maybe.andThen getModelAfter of
+                Just _ ->
+                    button
+                        [ id "btn-pin-baseline"
+                        , class "btn btn-ghost btn-xs gap-1"
+                        , title "Compare the model after other entries with the model after this one"
+                        , onClick PinBaseline
+                        ]
+                        [ i [ class "fa-solid fa-thumbtack" ] []
+                        , text "Pin as baseline"
+                        ]
+
+                Nothing ->
+                    text ""
+
+
 {-| Render the search box with navigation controls.
 -}
 viewSearchBox : Model -> Html Msg
@@ -2488,18 +6386,36 @@ viewSearchBox model =
 
             else
                 model.currentMatchIndex + 1
+
+        options =
+            model.searchOptions
+
+        queryError =
+            Search.queryError options model.searchQuery
     in
     div [ class "flex items-center gap-2" ]
         [ input
             [ type_ "text"
             , id "search-input"
             , placeholder "Search... (\u{2318}F)"
-            , class "input input-sm w-40"
+            , class
+                (if queryError == Nothing then
+                    "input input-sm w-40"
+
+                 else
+                    "input input-sm input-error w-40"
+                )
+            , title (Maybe.withDefault "" queryError)
             , value model.searchQuery
             , onInput SetSearchQuery
             , preventDefaultOn "keydown" searchKeyDecoder
             ]
             []
+        , div [ class "flex items-center" ]
+            [ viewSearchToggle "Match case" "Aa" options.caseSensitive (SetSearchOptions { options | caseSensitive = not options.caseSensitive })
+            , viewSearchToggle "Whole word" "W" options.wholeWord (SetSearchOptions { options | wholeWord = not options.wholeWord })
+            , viewSearchToggle "Regular expression" ".*" options.regex (SetSearchOptions { options | regex = not options.regex })
+            ]
         , if String.isEmpty model.searchQuery then
             span [ class "text-sm text-base-content/60 w-14 text-center" ] [ text "" ]
 
@@ -2532,6 +6448,126 @@ viewSearchBox model =
         ]
 
 
+viewSearchToggle : String -> String -> Bool -> Msg -> Html Msg
+viewSearchToggle tip label_ isOn msg =
+    div [ class "tooltip tooltip-bottom", attribute "data-tip" tip ]
+        [ button
+            [ class
+                (if isOn then
+                    "btn btn-xs btn-primary px-1 font-mono"
+
+                 else
+                    "btn btn-ghost btn-xs px-1 font-mono"
+                )
+            , onClick msg
+            ]
+            [ text label_ ]
+        ]
+
+
+{-| Render the scope of the search: keys, values or both, an optional path
+the matches must be under, and whether to search every entry.
+-}
+viewSearchOptions : Search.SearchOptions -> Bool -> Html Msg
+viewSearchOptions options allEntries =
+    let
+        scopeValue scope =
+            case scope of
+                Search.KeysAndValues ->
+                    "both"
+
+                Search.KeysOnly ->
+                    "keys"
+
+                Search.ValuesOnly ->
+                    "values"
+
+        scopeFromValue scopeString =
+            case scopeString of
+                "keys" ->
+                    Search.KeysOnly
+
+                "values" ->
+                    Search.ValuesOnly
+
+                _ ->
+                    Search.KeysAndValues
+
+        scopeOption scope label_ =
+            option [ value (scopeValue scope), selected (options.scope == scope) ] [ text label_ ]
+    in
+    div [ class "flex items-center justify-end gap-2 px-4 pb-2" ]
+        [ select
+            [ class "select select-xs"
+            , onInput (\scopeString -> SetSearchOptions { options | scope = scopeFromValue scopeString })
+            ]
+            [ scopeOption Search.KeysAndValues "Keys and values"
+            , scopeOption Search.KeysOnly "Keys"
+            , scopeOption Search.ValuesOnly "Values"
+            ]
+        , input
+            [ type_ "text"
+            , placeholder "Under path, e.g. swerveModel.*"
+            , class "input input-xs w-48 font-mono"
+            , value options.pathPrefix
+            , onInput (\prefix -> SetSearchOptions { options | pathPrefix = prefix })
+            ]
+            []
+        , label [ class "label cursor-pointer gap-2" ]
+            [ input
+                [ type_ "checkbox"
+                , class "checkbox checkbox-xs"
+                , checked allEntries
+                , onClick ToggleSearchAllEntries
+                ]
+                []
+            , span [ class "label-text text-xs" ] [ text "All entries" ]
+            ]
+        ]
+
+
+{-| List every entry with a search match and how many it has, newest last.
+Clicking an entry selects it.
+-}
+viewSearchHits : Model -> Html Msg
+viewSearchHits model =
+    let
+        totalMatches =
+            List.sum (List.map Tuple.second model.searchHits)
+    in
+    div [ id "search-hits", class "px-4 pb-2" ]
+        [ div [ class "text-xs text-base-content/60 mb-1" ]
+            [ text
+                (String.fromInt totalMatches
+                    ++ " matches in "
+                    ++ String.fromInt (List.length model.searchHits)
+                    ++ " of "
+                    ++ String.fromInt (Array.length model.logEntries)
+                    ++ " entries"
+                )
+            ]
+        , if List.isEmpty model.searchHits then
+            text ""
+
+          else
+            ul [ class "menu menu-xs bg-base-200 rounded-box max-h-40 overflow-y-auto flex-nowrap" ]
+                (List.map
+                    (\( entryIndex, matchCount ) ->
+                        li []
+                            [ a
+                                [ classList [ ( "active", model.selectedIndex == Just entryIndex ) ]
+                                , onClick (SelectMessage entryIndex)
+                                ]
+                                [ span [ class "flex-1 truncate" ] [ text (entryLabel model entryIndex) ]
+                                , span [ class "badge badge-sm" ] [ text (String.fromInt matchCount) ]
+                                ]
+                            ]
+                    )
+                    (List.reverse model.searchHits)
+                )
+        ]
+
+
 searchKeyDecoder : D.Decoder ( Msg, Bool )
 searchKeyDecoder =
     D.map2
@@ -2575,18 +6611,154 @@ viewNoSelection model =
 -}
 viewSelectedEntry : Model -> Int -> LogEntry -> Html Msg
 viewSelectedEntry model index entry =
-    case entry of
-        ErrorEntry data ->
-            viewErrorEntry data
+    case ( model.baseline, getModelAfter entry ) of
+        ( Just baseline, Just modelAfter ) ->
+            viewBaselineComparison model index baseline modelAfter
 
-        InitEntry data ->
-            viewInitEntry model index data
+        _ ->
+            case entry of
+                ErrorEntry data ->
+                    viewErrorEntry data
 
-        UpdateEntry data ->
-            viewUpdateEntry model index data
+                InitEntry data ->
+                    viewInitEntry model index data
+
+                UpdateEntry data ->
+                    viewUpdateEntry model index data
+
+                SubscriptionChangeEntry data ->
+                    viewSubscriptionEntry model data
+
+
+{-| Render the model after the selected entry next to the model after the
+pinned baseline, with what changed between the two.
+-}
+viewBaselineComparison : Model -> Int -> Baseline -> D.Value -> Html Msg
+viewBaselineComparison model index baseline modelAfter =
+    let
+        changeCount =
+            List.length model.changedPaths
+
+        viewState =
+            getMessageViewState model
+
+        currentMatchPath =
+            getCurrentMatchPath model
+
+        diffConfig =
+            { changedPaths = model.changedPaths
+            , changes = Dict.map (\_ change -> diffChangeToTreeViewChange change) model.changes
+            , changesOnly = False
+            , onToggleExpand = SetDiffExpanded
+            , searchMatches = model.searchResult.afterPathsWithMatches
+            , currentMatchPath = currentMatchPath
+            , onQuickAddFilter = Just quickAddModelFilter
+            , onPin = Just PinChartField
+            , onHistory = Just ShowFieldHistory
+            , typeRegistry = model.typeRegistry
+            }
+
+        -- Search results are found in the entry's own models, not the baseline's
+        baselineDiffConfig =
+            { changedPaths = model.changedPaths
+            , changes = Dict.map (\_ change -> diffChangeToTreeViewChange change) model.beforeChanges
+            , onToggleExpand = SetBeforeExpanded
+            , searchMatches = Set.empty
+            , currentMatchPath = Nothing
+            , onQuickAddFilter = Just quickAddModelFilter
+            , onPin = Just PinChartField
+            , onHistory = Just ShowFieldHistory
+            , typeRegistry = model.typeRegistry
+            }
+
+        unifiedConfigBaseline =
+            { onToggleExpand = SetBeforeExpanded
+            , searchMatches = Set.empty
+            , currentMatchPath = Nothing
+            , onQuickAddFilter = Just quickAddModelFilter
+            , onPin = Just PinChartField
+            , onHistory = Just ShowFieldHistory
+            , typeRegistry = model.typeRegistry
+            }
+
+        unifiedConfigAfter =
+            { onToggleExpand = SetAfterExpanded
+            , searchMatches = model.searchResult.afterPathsWithMatches
+            , currentMatchPath = currentMatchPath
+            , onQuickAddFilter = Just quickAddModelFilter
+            , onPin = Just PinChartField
+            , onHistory = Just ShowFieldHistory
+            , typeRegistry = model.typeRegistry
+            }
+    in
+    div [ id "baseline-comparison", class "flex flex-col gap-4" ]
+        [ div [ class "grid grid-cols-2 gap-4" ]
+            [ div [ class "bg-base-100 rounded-lg border border-base-300 flex flex-col overflow-hidden" ]
+                [ div [ class "flex items-center justify-between px-4 py-3 border-b border-base-300 bg-base-200/50" ]
+                    [ h3 [ class "font-semibold text-base" ]
+                        [ text ("Baseline #" ++ String.fromInt baseline.entryNumber ++ " " ++ baseline.messageName) ]
+                    , viewCollapseExpandButtons CollapseAllBefore ExpandAllBefore
+                    ]
+                , div [ class "flex-1 overflow-auto p-4" ]
+                    [ if model.showChangedValues then
+                        TreeView.viewDiffBefore baselineDiffConfig baseline.model viewState.beforeExpandedPaths
+
+                      else
+                        TreeView.viewUnified unifiedConfigBaseline baseline.model viewState.beforeExpandedPaths
+                    ]
+                ]
+            , div [ class "bg-base-100 rounded-lg border border-base-300 flex flex-col overflow-hidden" ]
+                [ div [ class "flex items-center justify-between px-4 py-3 border-b border-base-300 bg-base-200/50" ]
+                    [ h3 [ class "font-semibold text-base" ] [ text (entryLabel model index) ]
+                    , div [ class "flex items-center gap-2" ]
+                        [ if changeCount > 0 then
+                            span [ class "badge badge-warning badge-sm" ]
+                                [ text (String.fromInt changeCount ++ " changes since baseline") ]
+
+                          else
+                            span [ class "badge badge-success badge-sm" ]
+                                [ text "Same as baseline" ]
+                        , viewCollapseExpandButtons CollapseAllAfter ExpandAllAfter
+                        ]
+                    ]
+                , div [ class "flex-1 overflow-auto p-4" ]
+                    [ if model.showChangedValues then
+                        TreeView.viewDiff diffConfig modelAfter viewState.afterExpandedPaths
+
+                      else
+                        TreeView.viewUnified unifiedConfigAfter modelAfter viewState.afterExpandedPaths
+                    ]
+                ]
+            ]
+        , if model.showChangedValues then
+            viewDiffLegend
+
+          else
+            text ""
+        , Html.Lazy.lazy4 viewBaselineChanges
+            ("#" ++ String.fromInt baseline.entryNumber)
+            ("#" ++ String.fromInt (pageOffset model + index + 1))
+            baseline.model
+            modelAfter
+        ]
+
+
+{-| Render the flat list of fields that changed since the baseline, with
+their value at the baseline and at the selected entry.
+-}
+viewBaselineChanges : String -> String -> D.Value -> D.Value -> Html Msg
+viewBaselineChanges baselineLabel entryNumberLabel baselineModel modelAfter =
+    let
+        fields =
+            Comparison.fieldDifferences baselineModel modelAfter
+    in
+    div [ id "baseline-changes", class "bg-base-100 rounded-lg border border-base-300 p-4" ]
+        [ if List.isEmpty fields then
+            p [ class "text-sm text-base-content/60" ] [ text "The model is the same as at the baseline." ]
 
-        SubscriptionChangeEntry data ->
-            viewSubscriptionEntry model data
+          else
+            viewFieldDifferences "Changes since baseline" ( baselineLabel, entryNumberLabel ) fields
+        ]
 
 
 {-| Render an error entry.
@@ -2629,6 +6801,9 @@ viewInitEntry model index data =
                 , searchMatches = model.searchResult.afterPathsWithMatches
                 , currentMatchPath = currentMatchPath
                 , onQuickAddFilter = Just quickAddModelFilter
+                , onPin = Just PinChartField
+                , onHistory = Just ShowFieldHistory
+                , typeRegistry = model.typeRegistry
                 }
                 data.model
                 viewState.afterExpandedPaths
@@ -2665,6 +6840,9 @@ viewSubscriptionEntry model data =
             , searchMatches = Set.empty
             , currentMatchPath = Nothing
             , onQuickAddFilter = Nothing
+            , onPin = Nothing
+            , onHistory = Nothing
+            , typeRegistry = model.typeRegistry
             }
 
         stoppedConfig : TreeView.UnifiedConfig Msg
@@ -2673,6 +6851,9 @@ viewSubscriptionEntry model data =
             , searchMatches = Set.empty
             , currentMatchPath = Nothing
             , onQuickAddFilter = Nothing
+            , onPin = Nothing
+            , onHistory = Nothing
+            , typeRegistry = model.typeRegistry
             }
     in
     div [ class "bg-base-100 rounded-lg border border-base-300 p-4" ]
@@ -2730,6 +6911,9 @@ viewSingleStateMode model index data =
                 , searchMatches = model.searchResult.afterPathsWithMatches
                 , currentMatchPath = currentMatchPath
                 , onQuickAddFilter = Just quickAddModelFilter
+                , onPin = Just PinChartField
+                , onHistory = Just ShowFieldHistory
+                , typeRegistry = model.typeRegistry
                 }
         in
         div [ class "bg-base-100 rounded-lg border border-base-300 flex flex-col h-full overflow-hidden" ]
@@ -2763,6 +6947,9 @@ viewSingleStateMode model index data =
                     , searchMatches = model.searchResult.afterPathsWithMatches
                     , currentMatchPath = currentMatchPath
                     , onQuickAddFilter = Just quickAddModelFilter
+                    , onPin = Just PinChartField
+                    , onHistory = Just ShowFieldHistory
+                    , typeRegistry = model.typeRegistry
                     }
                     data.modelAfter
                     viewState.afterExpandedPaths
@@ -2798,15 +6985,21 @@ viewSplitMode model index data isFirstMessage =
             , searchMatches = model.searchResult.afterPathsWithMatches
             , currentMatchPath = currentMatchPath
             , onQuickAddFilter = Just quickAddModelFilter
+            , onPin = Just PinChartField
+            , onHistory = Just ShowFieldHistory
+            , typeRegistry = model.typeRegistry
             }
 
         beforeDiffConfig =
             { changedPaths = model.changedPaths
-            , changes = treeViewChanges
+            , changes = Dict.map (\_ change -> diffChangeToTreeViewChange change) model.beforeChanges
             , onToggleExpand = SetBeforeExpanded
             , searchMatches = model.searchResult.beforePathsWithMatches
             , currentMatchPath = currentMatchPath
             , onQuickAddFilter = Just quickAddModelFilter
+            , onPin = Just PinChartField
+            , onHistory = Just ShowFieldHistory
+            , typeRegistry = model.typeRegistry
             }
 
         unifiedConfigBefore =
@@ -2814,6 +7007,9 @@ viewSplitMode model index data isFirstMessage =
             , searchMatches = model.searchResult.beforePathsWithMatches
             , currentMatchPath = currentMatchPath
             , onQuickAddFilter = Just quickAddModelFilter
+            , onPin = Just PinChartField
+            , onHistory = Just ShowFieldHistory
+            , typeRegistry = model.typeRegistry
             }
 
         unifiedConfigAfter =
@@ -2821,6 +7017,9 @@ viewSplitMode model index data isFirstMessage =
             , searchMatches = model.searchResult.afterPathsWithMatches
             , currentMatchPath = currentMatchPath
             , onQuickAddFilter = Just quickAddModelFilter
+            , onPin = Just PinChartField
+            , onHistory = Just ShowFieldHistory
+            , typeRegistry = model.typeRegistry
             }
     in
     div [ class "flex flex-col h-full gap-4" ]
@@ -2958,6 +7157,10 @@ viewDiffLegend =
             [ span [ class "w-3 h-3 bg-error/20 border-l-2 border-error" ] []
             , text "Removed"
             ]
+        , span [ class "flex items-center gap-1" ]
+            [ span [ class "w-3 h-3 bg-info/20 border-l-2 border-info" ] []
+            , text "Moved"
+            ]
         ]
 
 
@@ -2976,6 +7179,118 @@ diffChangeToTreeViewChange change =
         Diff.TypeChanged ->
             TreeView.TypeChanged
 
+        Diff.Moved ->
+            TreeView.Moved
+
+
+{-| Explain why the model rebuilt for the selected entry stopped matching the
+app's, when this is the entry where it did.
+-}
+viewDivergence : Model -> Int -> Html Msg
+viewDivergence model index =
+    case Dict.get index model.divergences of
+        Just reason ->
+            div [ id "model-divergence", class "mx-4 mt-4 alert alert-error text-sm items-start" ]
+                [ i [ class "fa-solid fa-code-branch mt-0.5" ] []
+                , div []
+                    [ p [ class "font-medium" ] [ text "The model shown may be wrong from this entry on" ]
+                    , p [ class "font-mono text-xs mt-1" ] [ text reason ]
+                    , p [ class "text-xs mt-1" ] [ text "Models stay unreliable until the next init entry or keyframe." ]
+                    ]
+                ]
+
+        Nothing ->
+            text ""
+
+
+{-| List how the selected entry differs from the types declared in the log
+header. Nothing is shown when it matches them.
+-}
+viewTypeWarnings : Model -> Int -> Html Msg
+viewTypeWarnings model index =
+    case Dict.get index model.typeWarnings of
+        Just warnings ->
+            div [ id "type-warnings", class "mx-4 mt-4 alert alert-warning text-sm items-start" ]
+                [ i [ class "fa-solid fa-triangle-exclamation mt-0.5" ] []
+                , div []
+                    [ p [ class "font-medium" ] [ text "Doesn't match the type registry" ]
+                    , ul [ class "list-disc ml-4 font-mono text-xs mt-1" ]
+                        (List.map (\warning -> li [] [ text warning ]) warnings)
+                    ]
+                ]
+
+        Nothing ->
+            text ""
+
+
+{-| Render the bookmark of the selected entry with its color tag and note.
+-}
+viewAnnotationPanel : Model -> Html Msg
+viewAnnotationPanel model =
+    let
+        annotation =
+            selectedEntryNumber model
+                |> Maybe.andThen (\entryIndex -> Dict.get entryIndex model.annotations)
+
+        colorButton color =
+            button
+                [ class "btn btn-circle btn-xs border-2"
+                , style "background-color" (Annotation.colorCss color)
+                , style "border-color"
+                    (if Maybe.andThen .color annotation == Just color then
+                        "currentColor"
+
+                     else
+                        "transparent"
+                    )
+                , title (Annotation.colorName color)
+                , onClick
+                    (if Maybe.andThen .color annotation == Just color then
+                        SetAnnotationColor Nothing
+
+                     else
+                        SetAnnotationColor (Just color)
+                    )
+                ]
+                []
+    in
+    div [ id "annotation", class "mx-4 mt-4 flex items-center gap-2" ]
+        [ button
+            [ class "btn btn-ghost btn-sm btn-square"
+            , title
+                (if annotation == Nothing then
+                    "Bookmark this message (\u{2318}B)"
+
+                 else
+                    "Remove the bookmark and its note (\u{2318}B)"
+                )
+            , onClick ToggleBookmark
+            ]
+            [ i
+                [ class
+                    (if annotation == Nothing then
+                        "fa-regular fa-bookmark"
+
+                     else
+                        "fa-solid fa-bookmark"
+                    )
+                , style "color" (annotation |> Maybe.andThen .color |> Maybe.map Annotation.colorCss |> Maybe.withDefault "currentColor")
+                ]
+                []
+            ]
+        , div [ class "flex items-center gap-1" ] (List.map colorButton Annotation.colors)
+        , input
+            [ type_ "text"
+            , id "annotation-note"
+            , class "input input-bordered input-sm flex-1"
+            , placeholder "Note, e.g. brownout starts here"
+            , value (annotation |> Maybe.map .note |> Maybe.withDefault "")
+            , onInput SetAnnotationNote
+            , onBlur AnnotationNoteBlurred
+            ]
+            []
+        ]
+
 
 {-| Render the message details panel section.
 -}
@@ -2993,14 +7308,14 @@ viewMessageDetailsPanel model =
                 Just entry ->
                     case entry of
                         UpdateEntry data ->
-                            viewMessageDetails model data
+                            viewMessageDetails model index data
 
                         _ ->
                             text ""
 
 
-viewMessageDetails : Model -> UpdateEntryData -> Html Msg
-viewMessageDetails model data =
+viewMessageDetails : Model -> Int -> UpdateEntryData -> Html Msg
+viewMessageDetails model index data =
     let
         viewState =
             getMessageViewState model
@@ -3014,6 +7329,9 @@ viewMessageDetails model data =
             , searchMatches = model.searchResult.payloadPathsWithMatches
             , currentMatchPath = currentMatchPath
             , onQuickAddFilter = Just quickAddMessageFieldFilter
+            , onPin = Nothing
+            , onHistory = Nothing
+            , typeRegistry = model.typeRegistry
             }
 
         messageNameHighlight =
@@ -3037,6 +7355,33 @@ viewMessageDetails model data =
                     ]
                 , viewCollapseExpandButtons CollapseAllPayload ExpandAllPayload
                 ]
+            , case Causality.causeOf index model.causality of
+                Just cause ->
+                    div [ class "flex items-center gap-2 px-3 py-1.5 border-b border-base-300 text-sm" ]
+                        [ span [ class "text-base-content/60" ]
+                            [ text
+                                (case cause.origin of
+                                    Causality.FromEffect _ ->
+                                        "Produced by effect"
+
+                                    Causality.FromSubscription ->
+                                        "Produced by subscription"
+                                )
+                            ]
+                        , span [ class "font-mono" ] [ text cause.name ]
+                        , button
+                            [ id "btn-message-cause"
+                            , class "btn btn-ghost btn-xs"
+                            , title "Go to the entry that returned it"
+                            , onClick (RevealMessage cause.entryIndex)
+                            ]
+                            [ i [ class "fa-solid fa-arrow-up" ] []
+                            , text (entryLabel model cause.entryIndex)
+                            ]
+                        ]
+
+                Nothing ->
+                    text ""
             , div [ class "p-3" ]
                 [ TreeView.viewUnified config data.message.payload viewState.payloadExpandedPaths ]
             ]
@@ -3083,6 +7428,67 @@ viewEffectsPanel model =
         ]
 
 
+{-| Render the subscriptions active after the selected entry, as rebuilt by
+the subscription timeline. Nothing is shown for logs without subscriptions.
+-}
+viewActiveSubscriptionsPanel : Model -> Int -> Html Msg
+viewActiveSubscriptionsPanel model index =
+    let
+        active =
+            SubscriptionTimeline.activeAt index model.subscriptionTimeline
+
+        viewActive ( lane, activeSpan ) =
+            li [ class "p-2 bg-base-100 rounded border border-base-300" ]
+                [ div [ class "flex items-center justify-between gap-2" ]
+                    [ span [ class "font-mono text-sm font-medium" ]
+                        [ text
+                            (lane.name
+                                ++ (case lane.subscriptionId of
+                                        Just subscriptionId ->
+                                            " " ++ subscriptionId
+
+                                        Nothing ->
+                                            ""
+                                   )
+                            )
+                        ]
+                    , button
+                        [ class "btn btn-ghost btn-xs"
+                        , title "Select the entry that started it"
+                        , onClick (GoToEntry (pageOffset model + activeSpan.startIndex))
+                        ]
+                        [ text ("since " ++ entryLabel model activeSpan.startIndex) ]
+                    ]
+                , ul [ class "text-xs font-mono text-base-content/70 mt-1" ]
+                    (List.map (\( field, value ) -> li [] [ text (field ++ ": " ++ value) ])
+                        (SubscriptionTimeline.details activeSpan)
+                    )
+                ]
+    in
+    if List.isEmpty (SubscriptionTimeline.lanes model.subscriptionTimeline) then
+        text ""
+
+    else
+        div [ id "active-subscriptions", class "mx-4 mt-4" ]
+            [ div [ class "collapse collapse-arrow bg-base-200 rounded-lg border border-base-300" ]
+                [ input [ type_ "checkbox", class "peer" ] []
+                , div [ class "collapse-title font-medium" ]
+                    [ text "Active subscriptions"
+                    , span [ class "badge badge-primary badge-sm ml-2" ]
+                        [ text (String.fromInt (List.length active)) ]
+                    ]
+                , div [ class "collapse-content" ]
+                    [ if List.isEmpty active then
+                        p [ class "text-sm text-base-content/60 py-2" ]
+                            [ text "No subscriptions are active at this point" ]
+
+                      else
+                        ul [ class "space-y-2 pt-2" ] (List.map viewActive active)
+                    ]
+                ]
+            ]
+
+
 viewEffectsList : Model -> Dict Int (Set String) -> List Effect -> Html Msg
 viewEffectsList model effectExpandedPaths effects =
     if List.isEmpty effects then
@@ -3114,11 +7520,18 @@ viewEffectItem model effectExpandedPaths index effect =
             , searchMatches = effectDataMatches
             , currentMatchPath = currentMatchPath
             , onQuickAddFilter = Just quickAddEffectFieldFilter
+            , onPin = Nothing
+            , onHistory = Nothing
+            , typeRegistry = model.typeRegistry
             }
 
         effectNameMatches =
             Set.member index model.searchResult.effectNameMatches
 
+        producedMessage =
+            model.selectedIndex
+                |> Maybe.andThen (\entryIndex -> Causality.messageFromEffect entryIndex index model.causality)
+
         effectNameHighlight =
             if effectNameMatches then
                 " search-match"
@@ -3137,6 +7550,20 @@ viewEffectItem model effectExpandedPaths index effect =
                     ]
                     [ text effect.name ]
                 , viewQuickAddIcon (QuickAddFilter (EffectNameFilter { query = effect.name })) "Filter by this effect name"
+                , case producedMessage of
+                    Just messageIndex ->
+                        button
+                            [ id ("effect-" ++ String.fromInt index ++ "-produced")
+                            , class "btn btn-ghost btn-xs"
+                            , title "Go to the message its callback produced"
+                            , onClick (RevealMessage messageIndex)
+                            ]
+                            [ i [ class "fa-solid fa-arrow-down" ] []
+                            , text (entryLabel model messageIndex)
+                            ]
+
+                    Nothing ->
+                        text ""
                 ]
             , viewCollapseExpandButtons (CollapseAllEffect index) (ExpandAllEffect index)
             ]
@@ -3145,6 +7572,24 @@ viewEffectItem model effectExpandedPaths index effect =
         ]
 
 
+{-| Label an entry with its number in the log and its message name.
+-}
+entryLabel : Model -> Int -> String
+entryLabel model entryIndex =
+    let
+        offset =
+            model.pagedFile
+                |> Maybe.map .pageStart
+                |> Maybe.withDefault 0
+    in
+    "#"
+        ++ String.fromInt (offset + entryIndex + 1)
+        ++ (Array.get entryIndex model.logEntries
+                |> Maybe.map (\entry -> " " ++ getMessageName entry)
+                |> Maybe.withDefault ""
+           )
+
+
 matchLocationToElementId : Search.MatchLocation -> String
 matchLocationToElementId location =
     case location of
@@ -3176,6 +7621,11 @@ subscriptions model =
     Sub.batch
         [ Ports.incoming GotPortMessage
         , Browser.Events.onKeyDown keyboardShortcutDecoder
+        , if model.playback.playing then
+            Browser.Events.onAnimationFrameDelta PlaybackFrame
+
+          else
+            Sub.none
         , if model.isResizingSidebar then
             Sub.batch
                 [ Browser.Events.onMouseMove (D.map ResizeSidebar (D.field "clientX" D.int))
@@ -3198,6 +7648,18 @@ keyboardShortcutDecoder =
             if key == "f" && (metaKey || ctrlKey) then
                 FocusSearch
 
+            else if key == "b" && (metaKey || ctrlKey) && not isInputElement then
+                ToggleBookmark
+
+            else if key == " " && not isInputElement then
+                TogglePlayback
+
+            else if key == "]" && not isInputElement then
+                SelectNextBookmark
+
+            else if key == "[" && not isInputElement then
+                SelectPreviousBookmark
+
             else if key == "ArrowDown" && not isInputElement then
                 SelectNextMessage
 
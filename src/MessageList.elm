@@ -3,6 +3,7 @@ module MessageList exposing
     , view
     , viewEmpty
     , viewItem
+    , formatTimestamp
     )
 
 {-| Message list component for the TeaForge Debugger sidebar.
@@ -11,14 +12,17 @@ This module provides a DaisyUI-styled menu component for displaying
 log entries in chronological order. It handles selection state,
 filtering, and provides callback configuration for user interactions.
 
-@docs Config, view, viewEmpty, viewItem
+@docs Config, view, viewEmpty, viewItem, formatTimestamp
 
 -}
 
+import Annotation exposing (Annotation, Annotations)
 import Array exposing (Array)
+import Dict exposing (Dict)
 import Html exposing (..)
 import Html.Attributes exposing (..)
 import Html.Events exposing (..)
+import Reconnect
 import Set exposing (Set)
 import Types exposing (DisplayOrder(..), LogEntry(..), getMessageName, getTimestamp)
 
@@ -31,6 +35,16 @@ import Types exposing (DisplayOrder(..), LogEntry(..), getMessageName, getTimest
   - `displayOrder`: How to order messages (newest or oldest first)
   - `visibleIndices`: Set of indices to show (empty = show all)
   - `isFiltered`: Whether filtering is active
+  - `warnings`: Ways entries differ from the log's type registry, by index;
+    entries with any are marked with a warning badge
+  - `divergences`: Why the model rebuilt from the log stopped matching the
+    app's, by the index of the entry where it did; each is shown as a marker
+    between that entry and the one before it
+  - `indexOffset`: Added to an entry's index when numbering it, for when
+    `entries` is one page of a larger file (0 otherwise)
+  - `annotations`: Bookmarks by entry number (`indexOffset + index`)
+  - `gaps`: Breaks in a live stream, by the index of the entry after them;
+    each is shown as a marker between that entry and the one before it
 
 -}
 type alias Config msg =
@@ -40,6 +54,11 @@ type alias Config msg =
     , displayOrder : DisplayOrder
     , visibleIndices : Set Int
     , isFiltered : Bool
+    , warnings : Dict Int (List String)
+    , divergences : Dict Int String
+    , indexOffset : Int
+    , annotations : Annotations
+    , gaps : Dict Int Reconnect.Gap
     }
 
 
@@ -83,11 +102,35 @@ view config =
                     Chronological ->
                         filteredEntries
 
-            viewItemWithDisplayIndex _ ( originalIndex, entry ) =
-                viewItem config.selectedIndex config.onSelect originalIndex entry
+            viewEntry ( originalIndex, entry ) =
+                let
+                    item =
+                        viewItem config.indexOffset
+                            config.selectedIndex
+                            config.onSelect
+                            (Dict.get originalIndex config.warnings |> Maybe.withDefault [])
+                            (Dict.get (config.indexOffset + originalIndex) config.annotations)
+                            originalIndex
+                            entry
+
+                    -- Markers go between their entry and the one logged before it
+                    markers =
+                        List.filterMap identity
+                            [ Dict.get originalIndex config.gaps
+                                |> Maybe.map (viewGap originalIndex)
+                            , Dict.get originalIndex config.divergences
+                                |> Maybe.map (viewDivergence originalIndex)
+                            ]
+                in
+                case config.displayOrder of
+                    ReverseChronological ->
+                        item :: List.reverse markers
+
+                    Chronological ->
+                        markers ++ [ item ]
         in
         ul [ class "flex flex-col gap-1 p-2 flex-1 overflow-y-auto overflow-x-hidden min-w-0" ]
-            (List.indexedMap viewItemWithDisplayIndex displayEntries)
+            (List.concatMap viewEntry displayEntries)
 
 
 {-| Render the empty state when no messages are loaded.
@@ -109,11 +152,13 @@ viewEmpty =
 
 Displays the message name and timestamp with appropriate styling
 for the selection state. Selected items have a highlighted background
-and a left border indicator.
+and a left border indicator. The displayed entry number is `indexOffset + index + 1`.
+Entries with type registry warnings get a badge listing them in its tooltip,
+and bookmarked entries a bookmark in their color with the note as its tooltip.
 
 -}
-viewItem : Maybe Int -> (Int -> msg) -> Int -> LogEntry -> Html msg
-viewItem selectedIndex onSelect index entry =
+viewItem : Int -> Maybe Int -> (Int -> msg) -> List String -> Maybe Annotation -> Int -> LogEntry -> Html msg
+viewItem indexOffset selectedIndex onSelect warnings annotation index entry =
     let
         isSelected =
             selectedIndex == Just index
@@ -149,6 +194,9 @@ viewItem selectedIndex onSelect index entry =
         messageName =
             getMessageName entry
 
+        entryNumber =
+            String.fromInt (indexOffset + index + 1)
+
         timestampText =
             case entry of
                 ErrorEntry data ->
@@ -157,10 +205,10 @@ viewItem selectedIndex onSelect index entry =
                 _ ->
                     case getTimestamp entry of
                         Just ts ->
-                            "#" ++ String.fromInt (index + 1) ++ " · " ++ formatTimestamp ts
+                            "#" ++ entryNumber ++ " · " ++ formatTimestamp ts
 
                         Nothing ->
-                            "#" ++ String.fromInt (index + 1)
+                            "#" ++ entryNumber
 
         iconHtml =
             case entry of
@@ -192,6 +240,26 @@ viewItem selectedIndex onSelect index entry =
                 , style "text-overflow" "ellipsis"
                 ]
                 [ iconHtml
+                , if List.isEmpty warnings then
+                    text ""
+
+                  else
+                    span
+                        [ class "badge badge-warning badge-xs mr-1 align-middle"
+                        , title (String.join "\n" warnings)
+                        ]
+                        [ i [ class "fa-solid fa-triangle-exclamation" ] [] ]
+                , case annotation of
+                    Just bookmark ->
+                        span
+                            [ class "mr-1"
+                            , title bookmark.note
+                            , style "color" (bookmark.color |> Maybe.map Annotation.colorCss |> Maybe.withDefault "currentColor")
+                            ]
+                            [ i [ class "fa-solid fa-bookmark" ] [] ]
+
+                    Nothing ->
+                        text ""
                 , text messageName
                 ]
             , span
@@ -203,6 +271,55 @@ viewItem selectedIndex onSelect index entry =
         ]
 
 
+{-| Render the marker for a break in a live stream, such as entries sent
+while the connection was down.
+-}
+viewGap : Int -> Reconnect.Gap -> Html msg
+viewGap index gap =
+    let
+        explanation =
+            case gap of
+                Reconnect.Missing _ ->
+                    "Entries were sent while the connection was down and never received. Models after this point may be missing their changes."
+
+                Reconnect.Restarted ->
+                    "The app started again while the connection was down. Entries after this point belong to the new run."
+    in
+    li
+        [ id ("stream-gap-" ++ String.fromInt index)
+        , class "min-w-0"
+        , attribute "role" "separator"
+        , title explanation
+        ]
+        [ div [ class "flex items-center gap-2 px-3 py-1 text-xs text-warning" ]
+            [ span [ class "flex-1 border-t border-dashed border-warning/50" ] []
+            , i [ class "fa-solid fa-link-slash" ] []
+            , span [ class "whitespace-nowrap" ] [ text (Reconnect.gapLabel gap) ]
+            , span [ class "flex-1 border-t border-dashed border-warning/50" ] []
+            ]
+        ]
+
+
+{-| Render the marker for the entry where the model rebuilt from the log
+stopped matching the app's, with the reason as its tooltip.
+-}
+viewDivergence : Int -> String -> Html msg
+viewDivergence index reason =
+    li
+        [ id ("model-divergence-" ++ String.fromInt index)
+        , class "min-w-0"
+        , attribute "role" "separator"
+        , title (reason ++ ". Models from this entry on may be wrong, until the next init entry or keyframe.")
+        ]
+        [ div [ class "flex items-center gap-2 px-3 py-1 text-xs text-error" ]
+            [ span [ class "flex-1 border-t border-dashed border-error/50" ] []
+            , i [ class "fa-solid fa-code-branch" ] []
+            , span [ class "whitespace-nowrap" ] [ text "Model diverges" ]
+            , span [ class "flex-1 border-t border-dashed border-error/50" ] []
+            ]
+        ]
+
+
 {-| Format a Unix timestamp (milliseconds since epoch) for display.
 
 Converts the timestamp to a human-readable time format with millisecond precision.
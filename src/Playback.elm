@@ -0,0 +1,208 @@
+module Playback exposing
+    ( Playback
+    , Timeline
+    , init
+    , speeds
+    , start
+    , pause
+    , tick
+    , seek
+    , bounds
+    )
+
+{-| Replaying a log in time: entries are selected one after another, with
+the same gaps between them as between their timestamps, scaled by a speed.
+
+The playhead is a `clock` holding a log timestamp in milliseconds. Each
+animation frame moves it on by the elapsed time times the speed, and
+playback selects the last entry whose timestamp it has passed. Entries
+without a timestamp, such as parse errors, are passed over.
+
+@docs Playback, Timeline, init, speeds, start, pause, tick, seek, bounds
+
+-}
+
+
+{-| Playback state.
+
+  - `clock`: Log timestamp of the playhead, in milliseconds
+  - `entryIndex`: Entry playback selected last. When the selection changes
+    some other way, playback continues from the newly selected entry.
+
+-}
+type alias Playback =
+    { playing : Bool
+    , speed : Float
+    , clock : Float
+    , entryIndex : Maybe Int
+    }
+
+
+{-| The entries being played: how many there are and the timestamp of each.
+-}
+type alias Timeline =
+    { timestampOf : Int -> Maybe Int
+    , count : Int
+    }
+
+
+{-| Paused at real speed.
+-}
+init : Playback
+init =
+    { playing = False
+    , speed = 1
+    , clock = 0
+    , entryIndex = Nothing
+    }
+
+
+{-| The speeds offered, as multiples of real time.
+-}
+speeds : List Float
+speeds =
+    [ 0.25, 0.5, 1, 2, 5, 10 ]
+
+
+{-| Start playing from the selected entry, or from the first entry when
+nothing is selected or the selected entry is the last.
+-}
+start : Timeline -> Maybe Int -> Playback -> Playback
+start timeline selected playback =
+    let
+        from =
+            case selected of
+                Just index ->
+                    if timeline.timestampOf index == Nothing || nextTimestamped timeline index == Nothing then
+                        nextTimestamped timeline (-1)
+
+                    else
+                        Just index
+
+                Nothing ->
+                    nextTimestamped timeline (-1)
+    in
+    case from |> Maybe.andThen timeline.timestampOf of
+        Just timestamp ->
+            { playback | playing = True, clock = toFloat timestamp, entryIndex = from }
+
+        Nothing ->
+            { playback | playing = False }
+
+
+{-| Stop where the playhead is.
+-}
+pause : Playback -> Playback
+pause playback =
+    { playback | playing = False }
+
+
+{-| Move the playhead on by some milliseconds of real time, from the entry
+that is selected now. Playback stops at the last entry.
+-}
+tick : Timeline -> Float -> Maybe Int -> Playback -> Playback
+tick timeline elapsed selected playback =
+    let
+        synced =
+            if selected /= playback.entryIndex then
+                { playback
+                    | entryIndex = selected
+                    , clock =
+                        selected
+                            |> Maybe.andThen timeline.timestampOf
+                            |> Maybe.map toFloat
+                            |> Maybe.withDefault playback.clock
+                }
+
+            else
+                playback
+
+        clock =
+            synced.clock + elapsed * synced.speed
+
+        reached =
+            reachedEntry timeline clock (Maybe.withDefault (-1) synced.entryIndex)
+    in
+    { synced
+        | clock = clock
+        , entryIndex = reached
+        , playing = synced.playing && (reached |> Maybe.andThen (nextTimestamped timeline)) /= Nothing
+    }
+
+
+{-| Move the playhead to a log timestamp, selecting the last entry at or
+before it.
+-}
+seek : Timeline -> Float -> Playback -> Playback
+seek timeline clock playback =
+    { playback
+        | clock = clock
+        , entryIndex =
+            case reachedEntry timeline clock (-1) of
+                Just index ->
+                    Just index
+
+                Nothing ->
+                    nextTimestamped timeline (-1)
+    }
+
+
+{-| The first and last timestamps of the timeline.
+-}
+bounds : Timeline -> Maybe ( Int, Int )
+bounds timeline =
+    let
+        lastTimestamp index =
+            if index < 0 then
+                Nothing
+
+            else
+                case timeline.timestampOf index of
+                    Just timestamp ->
+                        Just timestamp
+
+                    Nothing ->
+                        lastTimestamp (index - 1)
+    in
+    Maybe.map2 Tuple.pair
+        (nextTimestamped timeline (-1) |> Maybe.andThen timeline.timestampOf)
+        (lastTimestamp (timeline.count - 1))
+
+
+{-| The last entry after `current` whose timestamp the clock has passed,
+following entries in order and stopping at the first one still ahead. Gives
+`current` when the next entry is still ahead, and Nothing when that is -1.
+-}
+reachedEntry : Timeline -> Float -> Int -> Maybe Int
+reachedEntry timeline clock current =
+    case nextTimestamped timeline current of
+        Just index ->
+            if timeline.timestampOf index |> Maybe.map (\timestamp -> toFloat timestamp <= clock) |> Maybe.withDefault False then
+                reachedEntry timeline clock index
+
+            else if current < 0 then
+                Nothing
+
+            else
+                Just current
+
+        Nothing ->
+            if current < 0 then
+                Nothing
+
+            else
+                Just current
+
+
+{-| The first entry after an index that has a timestamp.
+-}
+nextTimestamped : Timeline -> Int -> Maybe Int
+nextTimestamped timeline index =
+    if index + 1 >= timeline.count then
+        Nothing
+
+    else if timeline.timestampOf (index + 1) /= Nothing then
+        Just (index + 1)
+
+    else
+        nextTimestamped timeline (index + 1)
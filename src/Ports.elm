@@ -4,11 +4,29 @@ port module Ports exposing
     , openFileDialog
     , openInput
     , closeInput
+    , getEntries
+    , saveExport
+    , saveSession
+    , openComparison
+    , saveFilterPresets
+    , importFilterPresets
+    , exportFilterPresets
+    , loadAnnotations
+    , saveAnnotations
     , scrollIntoView
     , focusElement
     , saveSidebarWidth
+    , saveReconnectSettings
     , connectWebSocket
+    , reconnectWebSocket
     , disconnectWebSocket
+    , sendWsControl
+    , startRecording
+    , stopRecording
+    , startLogServer
+    , stopLogServer
+    , selectLogClient
+    , saveLogServerPort
     )
 
 {-| Port module for JavaScript interop.
@@ -20,6 +38,21 @@ All messages are sent as JSON Values with a type discriminator for simpler archi
 
   - `openFileDialog`: Request native file dialog
   - `openInput`: Open an input source for streaming entries
+  - `getEntries`: Read a page of entries from an indexed (large) file
+  - `saveExport`: Ask where to save an export and write it
+  - `saveSession`: Ask where to save a session file and write it
+  - `openComparison`: Choose a second log to compare with the open one
+  - `saveFilterPresets`: Write the filter presets to the settings folder
+  - `importFilterPresets`: Choose a shared presets file and read it
+  - `exportFilterPresets`: Ask where to save the presets and write them
+  - `loadAnnotations`: Read the annotations saved next to a log file
+  - `saveAnnotations`: Write the annotations of a log file next to it
+  - `sendWsControl`: Send a control command to the application over its WebSocket
+  - `startRecording`: Ask where to record the WebSocket session and start recording
+  - `stopRecording`: Finish recording the WebSocket session
+  - `startLogServer`: Listen for applications pushing log lines
+  - `stopLogServer`: Stop the log server and drop its clients
+  - `selectLogClient`: Stream the entries of one log server client
 
 ## Incoming Responses (JavaScript -> Elm)
 
@@ -28,6 +61,27 @@ All messages are sent as JSON Values with a type discriminator for simpler archi
   - `entryReceived`: A log entry was received
   - `inputError`: An error occurred with the input source
   - `inputClosed`: The input source stream finished
+  - `inputReset`: A followed file was truncated or rotated and is being re-read
+  - `indexProgress`: Progress while a large file is being indexed
+  - `entriesLoaded`: A page of entries requested with `getEntries`
+  - `exportSaved`: Result of `saveExport`
+  - `openExportDialog`: File > Export Filtered View was chosen from the menu
+  - `saveSessionRequested`: File > Save Session was chosen from the menu
+  - `sessionSaved`: Result of `saveSession`
+  - `sessionOpened`: A session file was chosen with File > Open Session
+  - `comparisonOpened`: Entries of a log chosen with `openComparison` or File > Compare With
+  - `filterPresetsLoaded`: Filter presets saved in the settings folder, sent at startup
+  - `filterPresetsImported`: Result of `importFilterPresets`
+  - `filterPresetsExported`: Result of `exportFilterPresets`
+  - `annotationsLoaded`: Result of `loadAnnotations`
+  - `wsControl`: A control event the application sent over its WebSocket
+  - `recordingStarted`: Result of `startRecording`
+  - `recordingRotated`: The recording moved on to a new file
+  - `recordingStopped`: Result of `stopRecording`
+  - `recordingError`: The recording could not be written and has stopped
+  - `logServerStarted`: Result of `startLogServer`
+  - `logClientConnected`: A client connected to the log server
+  - `logClientDisconnected`: A log server client went away
 
 -}
 
@@ -74,19 +128,202 @@ openFileDialog =
 
 {-| Request to open an input source for streaming log entries.
 
-Sends: `{ type: "openInput", payload: { path: string } }`
+When `follow` is True the file is kept open after the existing lines have been
+read and newly appended lines keep arriving as `entryReceived` messages, like
+`tail -f`. No `inputClosed` is sent for a followed file until it is closed.
+
+Sends: `{ type: "openInput", payload: { path: string, follow: bool } }`
 Expects: `{ type: "inputOpened", payload: { success: bool, path: string, error: string } }`
 Then receives: `{ type: "entryReceived", payload: { lineNumber: int, entry?: value, error?: string, rawText?: string } }`
+While following may receive: `{ type: "inputReset", payload: { reason: "truncated" | "rotated" } }`
+
+Files too large to stream are indexed instead. Progress arrives as
+`{ type: "indexProgress", payload: { phase: "decompressing" | "indexing", bytesRead: int, totalBytes: int } }` and
+`inputOpened` then includes `entryCount: int`; no `entryReceived` messages are
+sent and entries must be requested with `getEntries`.
 
 -}
-openInput : String -> Cmd msg
-openInput path =
+openInput : String -> { follow : Bool } -> Cmd msg
+openInput path options =
     outgoing
         (E.object
             [ ( "type", E.string "openInput" )
             , ( "payload"
               , E.object
                     [ ( "path", E.string path )
+                    , ( "follow", E.bool options.follow )
+                    ]
+              )
+            ]
+        )
+
+
+{-| Request a page of entries from a file that was opened in indexed mode.
+
+Sends: `{ type: "getEntries", payload: { start: int, count: int } }`
+Expects: `{ type: "entriesLoaded", payload: { success: bool, path: string, start: int, total: int, baseModel: value, diverged: bool, activeSubscriptions: [{ entryIndex: int, timestamp: int, subscription: value }], entries: [entryReceived payload], error?: string } }`
+
+`baseModel` is the application model just before the first returned entry,
+`diverged` whether the model rebuilt up to then had already diverged from the
+app's, and `activeSubscriptions` the subscriptions active then, with the entry
+that started each. `path` is the input the page was read from, as it was opened.
+
+-}
+getEntries : { start : Int, count : Int } -> Cmd msg
+getEntries range =
+    outgoing
+        (E.object
+            [ ( "type", E.string "getEntries" )
+            , ( "payload"
+              , E.object
+                    [ ( "start", E.int range.start )
+                    , ( "count", E.int range.count )
+                    ]
+              )
+            ]
+        )
+
+
+{-| Ask the user where to save an export, then write the content there.
+
+Sends: `{ type: "saveExport", payload: { format: "jsonl" | "csv" | "html", defaultName: string, content: string } }`
+Expects: `{ type: "exportSaved", payload: { success: bool, canceled?: bool, path?: string, error?: string } }`
+
+-}
+saveExport : { format : String, defaultName : String, content : String } -> Cmd msg
+saveExport request =
+    outgoing
+        (E.object
+            [ ( "type", E.string "saveExport" )
+            , ( "payload"
+              , E.object
+                    [ ( "format", E.string request.format )
+                    , ( "defaultName", E.string request.defaultName )
+                    , ( "content", E.string request.content )
+                    ]
+              )
+            ]
+        )
+
+
+{-| Ask the user where to save a session file, then write the content there.
+
+Sends: `{ type: "saveSession", payload: { defaultName: string, content: string } }`
+Expects: `{ type: "sessionSaved", payload: { success: bool, canceled?: bool, path?: string, error?: string } }`
+
+-}
+saveSession : { defaultName : String, content : String } -> Cmd msg
+saveSession request =
+    outgoing
+        (E.object
+            [ ( "type", E.string "saveSession" )
+            , ( "payload"
+              , E.object
+                    [ ( "defaultName", E.string request.defaultName )
+                    , ( "content", E.string request.content )
+                    ]
+              )
+            ]
+        )
+
+
+{-| Ask the user for a second log to compare with the open one. The file is
+read in full and its entries come back in a single message.
+
+Sends: `{ type: "openComparison", payload: null }`
+Expects: `{ type: "comparisonOpened", payload: { success: bool, path?: string, entries?: [...], truncated?: bool, error?: string } }`
+
+-}
+openComparison : Cmd msg
+openComparison =
+    outgoing
+        (E.object
+            [ ( "type", E.string "openComparison" )
+            , ( "payload", E.null )
+            ]
+        )
+
+
+{-| Write the filter presets to the presets file in the settings folder.
+
+Sends: `{ type: "saveFilterPresets", payload: { content: string } }`
+No response expected.
+
+-}
+saveFilterPresets : String -> Cmd msg
+saveFilterPresets content =
+    outgoing
+        (E.object
+            [ ( "type", E.string "saveFilterPresets" )
+            , ( "payload", E.object [ ( "content", E.string content ) ] )
+            ]
+        )
+
+
+{-| Ask the user for a presets file shared by someone else and read it.
+
+Sends: `{ type: "importFilterPresets", payload: null }`
+Expects: `{ type: "filterPresetsImported", payload: { success: bool, canceled?: bool, content?: string, error?: string } }`
+
+-}
+importFilterPresets : Cmd msg
+importFilterPresets =
+    outgoing
+        (E.object
+            [ ( "type", E.string "importFilterPresets" )
+            , ( "payload", E.null )
+            ]
+        )
+
+
+{-| Ask the user where to save the presets for sharing, then write them there.
+
+Sends: `{ type: "exportFilterPresets", payload: { content: string } }`
+Expects: `{ type: "filterPresetsExported", payload: { success: bool, canceled?: bool, path?: string, error?: string } }`
+
+-}
+exportFilterPresets : { content : String } -> Cmd msg
+exportFilterPresets request =
+    outgoing
+        (E.object
+            [ ( "type", E.string "exportFilterPresets" )
+            , ( "payload", E.object [ ( "content", E.string request.content ) ] )
+            ]
+        )
+
+
+{-| Read the annotations sidecar file of a log file.
+
+Sends: `{ type: "loadAnnotations", payload: { logPath: string } }`
+Expects: `{ type: "annotationsLoaded", payload: { logPath: string, success: bool, content?: string, error?: string } }`
+There is no content when the log has no annotations file yet.
+
+-}
+loadAnnotations : String -> Cmd msg
+loadAnnotations logPath =
+    outgoing
+        (E.object
+            [ ( "type", E.string "loadAnnotations" )
+            , ( "payload", E.object [ ( "logPath", E.string logPath ) ] )
+            ]
+        )
+
+
+{-| Write the annotations sidecar file of a log file.
+
+Sends: `{ type: "saveAnnotations", payload: { logPath: string, content: string } }`
+No response expected.
+
+-}
+saveAnnotations : { logPath : String, content : String } -> Cmd msg
+saveAnnotations request =
+    outgoing
+        (E.object
+            [ ( "type", E.string "saveAnnotations" )
+            , ( "payload"
+              , E.object
+                    [ ( "logPath", E.string request.logPath )
+                    , ( "content", E.string request.content )
                     ]
               )
             ]
@@ -169,6 +406,21 @@ saveSidebarWidth width =
         )
 
 
+{-| Save the WebSocket reconnect settings to localStorage.
+
+Sends: `{ type: "saveReconnectSettings", payload: { enabled: bool, maxAttempts: int } }`
+
+-}
+saveReconnectSettings : E.Value -> Cmd msg
+saveReconnectSettings settings =
+    outgoing
+        (E.object
+            [ ( "type", E.string "saveReconnectSettings" )
+            , ( "payload", settings )
+            ]
+        )
+
+
 {-| Connect to a WebSocket server for streaming log entries.
 
 Sends: `{ type: "connectWebSocket", payload: { url: string } }`
@@ -190,6 +442,29 @@ connectWebSocket url =
         )
 
 
+{-| Connect again to a WebSocket server whose connection was lost. Line
+numbers carry on from where the lost connection left off.
+
+Sends: `{ type: "connectWebSocket", payload: { url: string, resume: true } }`
+Expects the same as `connectWebSocket`, with `{ type: "wsConnectionFailed" }`
+if the server can't be reached.
+
+-}
+reconnectWebSocket : String -> Cmd msg
+reconnectWebSocket url =
+    outgoing
+        (E.object
+            [ ( "type", E.string "connectWebSocket" )
+            , ( "payload"
+              , E.object
+                    [ ( "url", E.string url )
+                    , ( "resume", E.bool True )
+                    ]
+              )
+            ]
+        )
+
+
 {-| Disconnect from the current WebSocket server.
 
 Sends: `{ type: "disconnectWebSocket", payload: null }`
@@ -204,3 +479,139 @@ disconnectWebSocket =
             , ( "payload", E.null )
             ]
         )
+
+
+{-| Send a control command over the open WebSocket. The command is sent as
+given, as one JSON text frame; see `RemoteControl`.
+
+Sends: `{ type: "wsSendControl", payload: { type: "control", id, command, ... } }`
+May produce: `{ type: "wsControl", payload: { type: "control", event, ... } }`
+
+-}
+sendWsControl : E.Value -> Cmd msg
+sendWsControl command =
+    outgoing
+        (E.object
+            [ ( "type", E.string "wsSendControl" )
+            , ( "payload", command )
+            ]
+        )
+
+
+{-| Ask where to record the live WebSocket session and start appending every
+line received to that file. The header and `stringDict` lines already
+received are written first, followed by `snapshot`, an `init` line holding the
+current model (null before the first entry).
+
+Sends: `{ type: "startRecording", payload: { defaultName: string, snapshot: value } }`
+Expects: `{ type: "recordingStarted", payload: { success: bool, canceled?: bool, path?: string, error?: string } }`
+
+-}
+startRecording : { defaultName : String, snapshot : E.Value } -> Cmd msg
+startRecording request =
+    outgoing
+        (E.object
+            [ ( "type", E.string "startRecording" )
+            , ( "payload"
+              , E.object
+                    [ ( "defaultName", E.string request.defaultName )
+                    , ( "snapshot", request.snapshot )
+                    ]
+              )
+            ]
+        )
+
+
+{-| Finish recording the live WebSocket session.
+
+Sends: `{ type: "stopRecording", payload: null }`
+Expects: `{ type: "recordingStopped", payload: { success: bool, paths?: [string], error?: string } }`
+
+-}
+stopRecording : Cmd msg
+stopRecording =
+    outgoing
+        (E.object
+            [ ( "type", E.string "stopRecording" )
+            , ( "payload", E.null )
+            ]
+        )
+
+
+{-| Listen on a port for applications pushing newline-delimited JSON over raw
+TCP, HTTP POST or WebSocket. A server already running is stopped first.
+
+Sends: `{ type: "startLogServer", payload: { port: int } }`
+Expects: `{ type: "logServerStarted", payload: { success: bool, port?: int, error?: string } }`
+Then receives: `{ type: "logClientConnected", payload: { id: string, protocol: string, address: string, connectedAt: int } }`
+and `{ type: "logClientDisconnected", payload: { id: string } }`
+
+-}
+startLogServer : Int -> Cmd msg
+startLogServer port_ =
+    outgoing
+        (E.object
+            [ ( "type", E.string "startLogServer" )
+            , ( "payload"
+              , E.object
+                    [ ( "port", E.int port_ )
+                    ]
+              )
+            ]
+        )
+
+
+{-| Stop the log server, dropping its clients and what they sent.
+
+Sends: `{ type: "stopLogServer", payload: null }`
+
+-}
+stopLogServer : Cmd msg
+stopLogServer =
+    outgoing
+        (E.object
+            [ ( "type", E.string "stopLogServer" )
+            , ( "payload", E.null )
+            ]
+        )
+
+
+{-| Stream the entries a log server client sent, from its first line on, and
+keep streaming the lines it sends next.
+
+Sends: `{ type: "selectLogClient", payload: { id: string } }`
+Then receives: `{ type: "entryReceived", payload: { lineNumber: int, entry?: value, error?: string, rawText?: string } }`
+or `{ type: "inputError", payload: { error: string } }` if the client is gone
+
+-}
+selectLogClient : String -> Cmd msg
+selectLogClient id =
+    outgoing
+        (E.object
+            [ ( "type", E.string "selectLogClient" )
+            , ( "payload"
+              , E.object
+                    [ ( "id", E.string id )
+                    ]
+              )
+            ]
+        )
+
+
+{-| Save the log server port to localStorage.
+
+Sends: `{ type: "saveLogServerPort", payload: { port: int } }`
+
+-}
+saveLogServerPort : Int -> Cmd msg
+saveLogServerPort port_ =
+    outgoing
+        (E.object
+            [ ( "type", E.string "saveLogServerPort" )
+            , ( "payload"
+              , E.object
+                    [ ( "port", E.int port_ )
+                    ]
+              )
+            ]
+        )
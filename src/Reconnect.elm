@@ -0,0 +1,263 @@
+module Reconnect exposing
+    ( Settings
+    , defaultSettings
+    , delay
+    , settingsDecoder
+    , encodeSettings
+    , Continuity
+    , Line
+    , Gap(..)
+    , Verdict(..)
+    , initContinuity
+    , resume
+    , observe
+    , lineDecoder
+    , gapLabel
+    )
+
+{-| Reconnecting to a WebSocket that dropped, and picking the stream up
+again without merging a broken one silently.
+
+Attempts are spaced by exponential backoff: 1 s, then twice as long each
+time, up to 30 s between attempts.
+
+When the stream resumes, its lines are checked against what was received
+before. Entries carrying a `sequence` number that jumps ahead leave a gap,
+and an `init` entry with a different timestamp from the session's means the
+application restarted. Either is shown as a marker in the message list. An
+application that buffers its entries while disconnected may send some of them
+again; entries at or before the last sequence number received are dropped
+until the stream catches up, and so is the session's own `init` entry.
+
+@docs Settings, defaultSettings, delay, settingsDecoder, encodeSettings
+@docs Continuity, Line, Gap, Verdict, initContinuity, resume, observe, lineDecoder, gapLabel
+
+-}
+
+import Json.Decode as D
+import Json.Encode as E
+
+
+
+-- BACKOFF
+
+
+{-| Whether to reconnect when a connection is lost, and how many attempts
+to make before giving up.
+-}
+type alias Settings =
+    { enabled : Bool
+    , maxAttempts : Int
+    }
+
+
+{-| Reconnect, making up to 10 attempts.
+-}
+defaultSettings : Settings
+defaultSettings =
+    { enabled = True
+    , maxAttempts = 10
+    }
+
+
+{-| Milliseconds to wait before an attempt, counting attempts from 1.
+-}
+delay : Int -> Float
+delay attempt =
+    min 30000 (1000 * 2 ^ toFloat (max 0 (attempt - 1)))
+
+
+{-| Decode settings saved with `encodeSettings`, keeping the defaults for
+anything missing.
+-}
+settingsDecoder : D.Decoder Settings
+settingsDecoder =
+    D.map2 Settings
+        (D.oneOf [ D.field "enabled" D.bool, D.succeed defaultSettings.enabled ])
+        (D.oneOf [ D.field "maxAttempts" D.int, D.succeed defaultSettings.maxAttempts ])
+
+
+{-| Encode settings to save them.
+-}
+encodeSettings : Settings -> E.Value
+encodeSettings settings =
+    E.object
+        [ ( "enabled", E.bool settings.enabled )
+        , ( "maxAttempts", E.int settings.maxAttempts )
+        ]
+
+
+
+-- RESUMING
+
+
+{-| What has been received on a WebSocket session.
+
+  - `lastSequence`: Highest sequence number received, if lines have them
+  - `initTimestamp`: Timestamp of the first `init` entry of the session
+  - `resuming`: Whether the connection was just re-established and the
+    stream hasn't yet moved past what was received before
+
+-}
+type alias Continuity =
+    { lastSequence : Maybe Int
+    , initTimestamp : Maybe Int
+    , resuming : Bool
+    }
+
+
+{-| What a log line says about its place in the stream: its `sequence`, and
+for an `init` entry, its timestamp.
+-}
+type alias Line =
+    { sequence : Maybe Int
+    , initTimestamp : Maybe Int
+    }
+
+
+{-| A break in the stream, shown before the first entry after it.
+
+  - `Missing n`: `n` entries were sent while the debugger wasn't connected
+  - `Restarted`: The application started again with a new `init`
+
+-}
+type Gap
+    = Missing Int
+    | Restarted
+
+
+{-| Whether to keep a line, and whether a gap comes before it.
+-}
+type Verdict
+    = Keep (Maybe Gap)
+    | Skip
+
+
+{-| Nothing received yet.
+-}
+initContinuity : Continuity
+initContinuity =
+    { lastSequence = Nothing
+    , initTimestamp = Nothing
+    , resuming = False
+    }
+
+
+{-| The connection was re-established.
+-}
+resume : Continuity -> Continuity
+resume continuity =
+    { continuity | resuming = True }
+
+
+{-| Check a line against what was received before it.
+-}
+observe : Line -> Continuity -> ( Continuity, Verdict )
+observe line continuity =
+    case line.initTimestamp of
+        Just timestamp ->
+            if continuity.initTimestamp == Nothing then
+                ( { continuity
+                    | initTimestamp = Just timestamp
+                    , lastSequence = orElse continuity.lastSequence line.sequence
+                  }
+                , Keep Nothing
+                )
+
+            else if not continuity.resuming then
+                -- A snapshot or replay asked for by the debugger
+                ( { continuity | lastSequence = orElse continuity.lastSequence line.sequence }
+                , Keep Nothing
+                )
+
+            else if continuity.initTimestamp == Just timestamp then
+                -- The session's own init, sent again on reconnecting
+                ( continuity, Skip )
+
+            else
+                ( { lastSequence = line.sequence
+                  , initTimestamp = Just timestamp
+                  , resuming = False
+                  }
+                , Keep (Just Restarted)
+                )
+
+        Nothing ->
+            case ( line.sequence, continuity.lastSequence ) of
+                ( Just sequence, Just last ) ->
+                    if continuity.resuming && sequence <= last then
+                        ( continuity, Skip )
+
+                    else if sequence > last + 1 then
+                        ( { continuity | lastSequence = Just sequence, resuming = False }
+                        , Keep (Just (Missing (sequence - last - 1)))
+                        )
+
+                    else
+                        ( { continuity | lastSequence = Just sequence, resuming = False }
+                        , Keep Nothing
+                        )
+
+                ( Just sequence, Nothing ) ->
+                    ( { continuity | lastSequence = Just sequence, resuming = False }
+                    , Keep Nothing
+                    )
+
+                ( Nothing, _ ) ->
+                    ( { continuity | resuming = False }
+                    , Keep Nothing
+                    )
+
+
+orElse : Maybe a -> Maybe a -> Maybe a
+orElse fallback maybe =
+    case maybe of
+        Just _ ->
+            maybe
+
+        Nothing ->
+            fallback
+
+
+{-| Decode the place of a log line. Header and `stringDict` lines, which
+don't produce entries, decode to Nothing.
+-}
+lineDecoder : D.Decoder (Maybe Line)
+lineDecoder =
+    D.field "type" D.string
+        |> D.andThen
+            (\lineType ->
+                let
+                    sequence =
+                        D.maybe (D.field "sequence" D.int)
+                in
+                case lineType of
+                    "init" ->
+                        D.map2 (\seq timestamp -> Just { sequence = seq, initTimestamp = timestamp })
+                            sequence
+                            (D.maybe (D.field "timestamp" D.int))
+
+                    "update" ->
+                        D.map (\seq -> Just { sequence = seq, initTimestamp = Nothing }) sequence
+
+                    "subscriptionChange" ->
+                        D.map (\seq -> Just { sequence = seq, initTimestamp = Nothing }) sequence
+
+                    _ ->
+                        D.succeed Nothing
+            )
+
+
+{-| How a gap is described in the message list.
+-}
+gapLabel : Gap -> String
+gapLabel gap =
+    case gap of
+        Missing 1 ->
+            "1 entry missing"
+
+        Missing count ->
+            String.fromInt count ++ " entries missing"
+
+        Restarted ->
+            "App restarted"
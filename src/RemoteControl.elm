@@ -0,0 +1,205 @@
+module RemoteControl exposing
+    ( Remote
+    , Command(..)
+    , Event(..)
+    , init
+    , commandName
+    , send
+    , eventDecoder
+    , applyEvent
+    , supports
+    )
+
+{-| Controlling a live application over its WebSocket: pausing and resuming
+its update loop, stepping one message at a time, asking for a snapshot of its
+model and replaying entries from a sequence number.
+
+Control frames share the socket with log lines and are told apart by their
+`"type": "control"`. The debugger sends commands:
+
+    { "type": "control", "id": 3, "command": "replay", "fromSequence": 120 }
+
+and the application answers with events: `capabilities` in reply to `hello`,
+`ack` or `error` in reply to the other commands, and `state` whenever it is
+paused or resumed some other way. Snapshots and replays are answered with
+ordinary log lines. The protocol is described in
+`docs/websocket-control-protocol.md`.
+
+@docs Remote, Command, Event
+@docs init, commandName, send, eventDecoder, applyEvent, supports
+
+-}
+
+import Json.Decode as D
+import Json.Encode as E
+
+
+{-| What is known about the application's side of the connection.
+
+  - `commands`: Commands the application announced, or Nothing until it
+    answers `hello`. An application that never answers is read-only.
+  - `lastError`: The most recent command the application refused, and why
+  - `nextId`: Id of the next command sent, to match acknowledgements with
+
+-}
+type alias Remote =
+    { commands : Maybe (List String)
+    , paused : Bool
+    , lastError : Maybe String
+    , nextId : Int
+    }
+
+
+{-| Commands the debugger can send.
+
+  - `Hello`: Ask which commands the application supports
+  - `Snapshot`: Ask for an `init` line holding the current model
+  - `Replay n`: Ask for the entries from sequence number `n` on
+
+-}
+type Command
+    = Hello
+    | Pause
+    | Resume
+    | Step
+    | Snapshot
+    | Replay Int
+
+
+{-| Control frames the application sends.
+-}
+type Event
+    = Capabilities { commands : List String, paused : Bool }
+    | Ack { command : String, paused : Maybe Bool }
+    | Failed { command : String, error : String }
+    | State { paused : Bool }
+
+
+{-| Nothing known yet, before `hello` is answered.
+-}
+init : Remote
+init =
+    { commands = Nothing
+    , paused = False
+    , lastError = Nothing
+    , nextId = 1
+    }
+
+
+{-| The name a command is sent and announced with.
+-}
+commandName : Command -> String
+commandName command =
+    case command of
+        Hello ->
+            "hello"
+
+        Pause ->
+            "pause"
+
+        Resume ->
+            "resume"
+
+        Step ->
+            "step"
+
+        Snapshot ->
+            "snapshot"
+
+        Replay _ ->
+            "replay"
+
+
+{-| Encode a command to send, numbering it.
+-}
+send : Command -> Remote -> ( Remote, E.Value )
+send command remote =
+    let
+        arguments =
+            case command of
+                Replay fromSequence ->
+                    [ ( "fromSequence", E.int fromSequence ) ]
+
+                _ ->
+                    []
+    in
+    ( { remote | nextId = remote.nextId + 1, lastError = Nothing }
+    , E.object
+        ([ ( "type", E.string "control" )
+         , ( "id", E.int remote.nextId )
+         , ( "command", E.string (commandName command) )
+         ]
+            ++ arguments
+        )
+    )
+
+
+{-| Whether the application announced a command.
+-}
+supports : Command -> Remote -> Bool
+supports command remote =
+    case remote.commands of
+        Just commands ->
+            List.member (commandName command) commands
+
+        Nothing ->
+            False
+
+
+{-| Decode a control frame from the application.
+-}
+eventDecoder : D.Decoder Event
+eventDecoder =
+    D.field "event" D.string
+        |> D.andThen
+            (\event ->
+                case event of
+                    "capabilities" ->
+                        D.map2 (\commands paused -> Capabilities { commands = commands, paused = paused })
+                            (D.field "commands" (D.list D.string))
+                            (D.oneOf [ D.field "paused" D.bool, D.succeed False ])
+
+                    "ack" ->
+                        D.map2 (\command paused -> Ack { command = command, paused = paused })
+                            (D.field "command" D.string)
+                            (D.maybe (D.field "paused" D.bool))
+
+                    "error" ->
+                        D.map2 (\command error -> Failed { command = command, error = error })
+                            (D.oneOf [ D.field "command" D.string, D.succeed "" ])
+                            (D.field "error" D.string)
+
+                    "state" ->
+                        D.map (\paused -> State { paused = paused })
+                            (D.field "paused" D.bool)
+
+                    _ ->
+                        D.fail ("Unknown control event " ++ event)
+            )
+
+
+{-| Record what an event says about the application.
+-}
+applyEvent : Event -> Remote -> Remote
+applyEvent event remote =
+    case event of
+        Capabilities capabilities ->
+            { remote | commands = Just capabilities.commands, paused = capabilities.paused }
+
+        Ack ack ->
+            { remote | paused = Maybe.withDefault remote.paused ack.paused }
+
+        Failed failure ->
+            { remote
+                | lastError =
+                    Just
+                        (if String.isEmpty failure.command then
+                            failure.error
+
+                         else
+                            failure.command ++ ": " ++ failure.error
+                        )
+            }
+
+        State state ->
+            { remote | paused = state.paused }
@@ -2,10 +2,15 @@ module Search exposing
     ( SearchResult
     , EntrySearchResult
     , MatchLocation(..)
+    , SearchOptions
+    , Scope(..)
+    , defaultOptions
     , search
     , searchEntry
+    , searchEntryWith
     , searchInValue
     , matchesQuery
+    , queryError
     , pathToString
     , buildVisiblePaths
     , emptyEntrySearchResult
@@ -14,18 +19,22 @@ module Search exposing
 {-| Search functionality for the TeaForge Debugger.
 
 This module provides algorithms to search through JSON state trees and find
-paths where field names or values match a given query string. The search is
-case-insensitive.
+paths where field names or values match a given query string. By default the
+search is a case-insensitive substring match; `SearchOptions` switch to
+case-sensitive, regular expression or whole-word matching, restrict matches
+to keys, values or a path, and compare numbers with queries like `> 1.5`.
 
 ## Search
 
     search : String -> D.Value -> SearchResult
     searchEntry : String -> LogEntry -> EntrySearchResult
+    searchEntryWith : SearchOptions -> String -> LogEntry -> EntrySearchResult
     searchInValue : String -> D.Value -> List TreePath
 
 ## Matching
 
     matchesQuery : String -> String -> Bool
+    queryError : SearchOptions -> String -> Maybe String
 
 ## Utilities
 
@@ -36,6 +45,7 @@ case-insensitive.
 import Dict exposing (Dict)
 import Json.Decode as D
 import Json.Encode as E
+import Regex
 import Set exposing (Set)
 import Types exposing (Effect, MessageData, TreePath)
 
@@ -118,6 +128,51 @@ type MatchLocation
     | InModelAfter TreePath
 
 
+{-| Options that change how a query matches.
+
+  - `caseSensitive`: Match letter case exactly
+  - `regex`: Treat the query as a regular expression
+  - `wholeWord`: Only match where the query isn't part of a longer word, so
+    `kraken_can_4` doesn't match `kraken_can_40`
+  - `scope`: Whether field names, values or both are matched
+  - `pathPrefix`: Only match at or below this path, like `swerveModel.pods`.
+    A `*` segment matches any one key, so `swerveModel.*` matches everything
+    below `swerveModel`. Message and effect names are only matched when this
+    is empty.
+
+Unless `regex` is set, a query made of a comparison and a number, like
+`> 1.5`, `<= 0` or `!= 3`, matches number values by comparing them.
+
+-}
+type alias SearchOptions =
+    { caseSensitive : Bool
+    , regex : Bool
+    , wholeWord : Bool
+    , scope : Scope
+    , pathPrefix : String
+    }
+
+
+{-| Which parts of a JSON tree a query is matched against.
+-}
+type Scope
+    = KeysAndValues
+    | KeysOnly
+    | ValuesOnly
+
+
+{-| Case-insensitive substring matching of keys and values anywhere.
+-}
+defaultOptions : SearchOptions
+defaultOptions =
+    { caseSensitive = False
+    , regex = False
+    , wholeWord = False
+    , scope = KeysAndValues
+    , pathPrefix = ""
+    }
+
+
 {-| Empty search result for initialization.
 -}
 emptyEntrySearchResult : EntrySearchResult
@@ -156,11 +211,8 @@ search query jsonValue =
 
     else
         let
-            normalizedQuery =
-                String.toLower (String.trim query)
-
             matches =
-                searchInValue normalizedQuery jsonValue
+                searchInValue query jsonValue
 
             pathStrings =
                 List.map pathToStringInternal matches
@@ -172,6 +224,14 @@ search query jsonValue =
         }
 
 
+{-| Search all fields of a log entry for the query string, with the default
+options.
+-}
+searchEntry : String -> SearchableEntry -> EntrySearchResult
+searchEntry =
+    searchEntryWith defaultOptions
+
+
 {-| Search all fields of a log entry for the query string.
 
 Searches across:
@@ -182,185 +242,380 @@ Searches across:
   - Model before (JSON tree)
   - Model after (JSON tree)
 
-Returns structured results with matches organized by section.
+Returns structured results with matches organized by section. An empty
+query, or one that `queryError` rejects, matches nothing.
 
 -}
-searchEntry : String -> SearchableEntry -> EntrySearchResult
-searchEntry query entry =
-    if String.isEmpty (String.trim query) then
-        emptyEntrySearchResult
+searchEntryWith : SearchOptions -> String -> SearchableEntry -> EntrySearchResult
+searchEntryWith options query entry =
+    case compile options query of
+        Err _ ->
+            emptyEntrySearchResult
 
-    else
-        let
-            normalizedQuery =
-                String.toLower (String.trim query)
+        Ok matcher ->
+            let
+                -- Search message name
+                messageNameMatches =
+                    matcher.name entry.message.name
+
+                -- Search message payload
+                payloadMatches =
+                    searchWithMatcher matcher entry.message.payload
+
+                payloadPathStrings =
+                    List.map pathToStringInternal payloadMatches |> Set.fromList
+
+                -- Search effects
+                effectResults =
+                    List.indexedMap (searchEffect matcher) entry.effects
+
+                effectNameMatches =
+                    effectResults
+                        |> List.filterMap
+                            (\( idx, nameMatch, _ ) ->
+                                if nameMatch then
+                                    Just idx
+
+                                else
+                                    Nothing
+                            )
+                        |> Set.fromList
+
+                effectDataMatches =
+                    effectResults
+                        |> List.map (\( idx, _, dataMatches ) -> ( idx, dataMatches ))
+                        |> Dict.fromList
+
+                effectDataPathsWithMatches =
+                    Dict.map (\_ paths -> List.map pathToStringInternal paths |> Set.fromList) effectDataMatches
+
+                -- Search before model
+                beforeMatches =
+                    searchWithMatcher matcher entry.modelBefore
+
+                beforePathStrings =
+                    List.map pathToStringInternal beforeMatches |> Set.fromList
+
+                -- Search after model
+                afterMatches =
+                    searchWithMatcher matcher entry.modelAfter
+
+                afterPathStrings =
+                    List.map pathToStringInternal afterMatches |> Set.fromList
+
+                -- Build the combined match list for navigation
+                allMatches =
+                    (if messageNameMatches then
+                        [ InMessageName ]
+
+                     else
+                        []
+                    )
+                        ++ List.map InMessagePayload payloadMatches
+                        ++ List.concatMap
+                            (\( idx, nameMatch, dataMatches ) ->
+                                (if nameMatch then
+                                    [ InEffectName idx ]
+
+                                 else
+                                    []
+                                )
+                                    ++ List.map (InEffectData idx) dataMatches
+                            )
+                            effectResults
+                        ++ List.map InModelBefore beforeMatches
+                        ++ List.map InModelAfter afterMatches
+            in
+            { allMatches = allMatches
+            , totalMatchCount = List.length allMatches
+            , afterMatches = afterMatches
+            , afterPathsWithMatches = afterPathStrings
+            , beforeMatches = beforeMatches
+            , beforePathsWithMatches = beforePathStrings
+            , payloadMatches = payloadMatches
+            , payloadPathsWithMatches = payloadPathStrings
+            , effectNameMatches = effectNameMatches
+            , effectDataMatches = effectDataMatches
+            , effectDataPathsWithMatches = effectDataPathsWithMatches
+            , messageNameMatches = messageNameMatches
+            }
 
-            -- Search message name
-            messageNameMatches =
-                matchesQuery normalizedQuery entry.message.name
 
-            -- Search message payload
-            payloadMatches =
-                searchInValue normalizedQuery entry.message.payload
+{-| Search a single effect and return (index, nameMatches, dataMatches).
+-}
+searchEffect : Matcher -> Int -> Effect -> ( Int, Bool, List TreePath )
+searchEffect matcher idx effect =
+    let
+        nameMatches =
+            matcher.name effect.name
 
-            payloadPathStrings =
-                List.map pathToStringInternal payloadMatches |> Set.fromList
+        dataMatches =
+            searchWithMatcher matcher effect.data
+    in
+    ( idx, nameMatches, dataMatches )
 
-            -- Search effects
-            effectResults =
-                List.indexedMap (searchEffect normalizedQuery) entry.effects
 
-            effectNameMatches =
-                effectResults
-                    |> List.filterMap
-                        (\( idx, nameMatch, _ ) ->
-                            if nameMatch then
-                                Just idx
+{-| Search a JSON value and return a list of matching paths, with the default
+options.
+-}
+searchInValue : String -> D.Value -> List TreePath
+searchInValue query jsonValue =
+    case compile defaultOptions query of
+        Ok matcher ->
+            searchWithMatcher matcher jsonValue
 
-                            else
-                                Nothing
-                        )
-                    |> Set.fromList
+        Err _ ->
+            []
 
-            effectDataMatches =
-                effectResults
-                    |> List.map (\( idx, _, dataMatches ) -> ( idx, dataMatches ))
-                    |> Dict.fromList
 
-            effectDataPathsWithMatches =
-                Dict.map (\_ paths -> List.map pathToStringInternal paths |> Set.fromList) effectDataMatches
 
-            -- Search before model
-            beforeMatches =
-                searchInValue normalizedQuery entry.modelBefore
+-- MATCHERS
 
-            beforePathStrings =
-                List.map pathToStringInternal beforeMatches |> Set.fromList
 
-            -- Search after model
-            afterMatches =
-                searchInValue normalizedQuery entry.modelAfter
+{-| A query compiled with its options.
 
-            afterPathStrings =
-                List.map pathToStringInternal afterMatches |> Set.fromList
+  - `key`: Whether a field name matches
+  - `value`: Whether a primitive JSON value matches
+  - `name`: Whether a message or effect name matches
+  - `pathPrefix`: Segments of the path matches are restricted to
 
-            -- Build the combined match list for navigation
-            allMatches =
-                (if messageNameMatches then
-                    [ InMessageName ]
+-}
+type alias Matcher =
+    { key : String -> Bool
+    , value : D.Value -> Bool
+    , name : String -> Bool
+    , pathPrefix : List String
+    }
 
-                 else
-                    []
-                )
-                    ++ List.map InMessagePayload payloadMatches
-                    ++ List.concatMap
-                        (\( idx, nameMatch, dataMatches ) ->
-                            (if nameMatch then
-                                [ InEffectName idx ]
-
-                             else
-                                []
-                            )
-                                ++ List.map (InEffectData idx) dataMatches
-                        )
-                        effectResults
-                    ++ List.map InModelBefore beforeMatches
-                    ++ List.map InModelAfter afterMatches
-        in
-        { allMatches = allMatches
-        , totalMatchCount = List.length allMatches
-        , afterMatches = afterMatches
-        , afterPathsWithMatches = afterPathStrings
-        , beforeMatches = beforeMatches
-        , beforePathsWithMatches = beforePathStrings
-        , payloadMatches = payloadMatches
-        , payloadPathsWithMatches = payloadPathStrings
-        , effectNameMatches = effectNameMatches
-        , effectDataMatches = effectDataMatches
-        , effectDataPathsWithMatches = effectDataPathsWithMatches
-        , messageNameMatches = messageNameMatches
-        }
 
+{-| Why a query can't be searched for with these options, if it can't.
+
+    queryError { defaultOptions | regex = True } "pod[" -- Just "Invalid regular expression"
 
-{-| Search a single effect and return (index, nameMatches, dataMatches).
 -}
-searchEffect : String -> Int -> Effect -> ( Int, Bool, List TreePath )
-searchEffect query idx effect =
-    let
-        nameMatches =
-            matchesQuery query effect.name
+queryError : SearchOptions -> String -> Maybe String
+queryError options query =
+    case compile options query of
+        Err error ->
+            if String.isEmpty (String.trim query) then
+                Nothing
 
-        dataMatches =
-            searchInValue query effect.data
+            else
+                Just error
+
+        Ok _ ->
+            Nothing
+
+
+compile : SearchOptions -> String -> Result String Matcher
+compile options query =
+    let
+        trimmed =
+            String.trim query
+
+        prefix =
+            String.split "." (String.trim options.pathPrefix)
+                |> List.filter (not << String.isEmpty)
+
+        build matchesText matchesValue =
+            { key =
+                if options.scope == ValuesOnly then
+                    always False
+
+                else
+                    matchesText
+            , value =
+                if options.scope == KeysOnly then
+                    always False
+
+                else
+                    matchesValue
+            , name =
+                if options.scope == KeysOnly || not (List.isEmpty prefix) then
+                    always False
+
+                else
+                    matchesText
+            , pathPrefix = prefix
+            }
     in
-    ( idx, nameMatches, dataMatches )
+    if String.isEmpty trimmed then
+        Err "Empty query"
 
+    else
+        case ( options.regex, numericComparison trimmed ) of
+            ( False, Just compareNumber ) ->
+                Ok (build (always False) (numberMatches compareNumber))
 
-{-| Search a JSON value and return a list of matching paths.
+            _ ->
+                textMatcher options trimmed
+                    |> Result.map (\matchesText -> build matchesText (primitiveMatches matchesText))
 
-This is the main recursive search function. It traverses the JSON tree and
-collects all paths where the field name or value matches the query.
 
+{-| Match text as the options ask: a plain substring, or a regular expression
+for regex and whole-word searches.
 -}
-searchInValue : String -> D.Value -> List TreePath
-searchInValue query jsonValue =
-    searchValueAtPath query [] jsonValue
+textMatcher : SearchOptions -> String -> Result String (String -> Bool)
+textMatcher options query =
+    if not options.regex && not options.wholeWord then
+        if options.caseSensitive then
+            Ok (String.contains query)
 
+        else
+            let
+                lowered =
+                    String.toLower query
+            in
+            Ok (\target -> String.contains lowered (String.toLower target))
 
-{-| Recursively search at a specific path in the JSON tree.
+    else
+        let
+            pattern =
+                if options.regex then
+                    query
+
+                else
+                    escapeRegex query
+
+            bounded =
+                if options.wholeWord then
+                    "(?<!\\w)(?:" ++ pattern ++ ")(?!\\w)"
+
+                else
+                    pattern
+        in
+        case Regex.fromStringWith { caseInsensitive = not options.caseSensitive, multiline = False } bounded of
+            Just regex ->
+                Ok (Regex.contains regex)
+
+            Nothing ->
+                Err "Invalid regular expression"
+
+
+escapeRegex : String -> String
+escapeRegex text =
+    case Regex.fromString "[.*+?^${}()|[\\]\\\\/]" of
+        Just special ->
+            Regex.replace special (\found -> "\\" ++ found.match) text
+
+        Nothing ->
+            text
+
+
+{-| Parse a query like `> 1.5` into a test for numbers.
 -}
-searchValueAtPath : String -> TreePath -> D.Value -> List TreePath
-searchValueAtPath query currentPath jsonValue =
+numericComparison : String -> Maybe (Float -> Bool)
+numericComparison query =
     let
-        -- Check if the current key (last segment of path) matches
-        keyMatches =
-            case List.head (List.reverse currentPath) of
-                Just key ->
-                    matchesQuery query key
+        parseWith ( operator, compareWith ) =
+            if String.startsWith operator query then
+                String.dropLeft (String.length operator) query
+                    |> String.trim
+                    |> String.toFloat
+                    |> Maybe.map (\bound number -> compareWith number bound)
 
-                Nothing ->
-                    False
+            else
+                Nothing
+    in
+    [ ( ">=", (>=) ), ( "<=", (<=) ), ( "!=", (/=) ), ( ">", (>) ), ( "<", (<) ), ( "=", (==) ) ]
+        |> List.filterMap parseWith
+        |> List.head
+
+
+numberMatches : (Float -> Bool) -> D.Value -> Bool
+numberMatches compareNumber jsonValue =
+    case D.decodeValue D.float jsonValue of
+        Ok number ->
+            compareNumber number
+
+        Err _ ->
+            False
 
-        -- Get matches from the current value
-        valueMatches =
-            valueMatchesQuery query jsonValue
 
-        -- This path matches if key or value matches
-        thisPathMatches =
-            keyMatches || valueMatches
+{-| Where a path lies relative to the path prefix of a search.
+-}
+type PathScope
+    = InsidePrefix
+    | AbovePrefix
+    | OutsidePrefix
+
 
-        -- Recurse into children
-        childMatches =
-            case getValueType jsonValue of
-                ObjectType ->
-                    searchObject query currentPath jsonValue
+pathScope : List String -> TreePath -> PathScope
+pathScope prefix path =
+    case ( prefix, path ) of
+        ( [], _ ) ->
+            InsidePrefix
 
-                ArrayType ->
-                    searchArray query currentPath jsonValue
+        ( _, [] ) ->
+            AbovePrefix
 
-                _ ->
-                    []
+        ( expected :: restPrefix, segment :: restPath ) ->
+            if expected == "*" || expected == segment then
+                pathScope restPrefix restPath
+
+            else
+                OutsidePrefix
 
-        -- Combine current match with child matches
-        allMatches =
-            if thisPathMatches then
+
+{-| Search a JSON value and return the matching paths.
+
+This is the main recursive search function. It traverses the JSON tree and
+collects all paths where the field name or value matches the query.
+
+-}
+searchWithMatcher : Matcher -> D.Value -> List TreePath
+searchWithMatcher matcher jsonValue =
+    searchValueAtPath matcher [] jsonValue
+
+
+{-| Recursively search at a specific path in the JSON tree. Branches outside
+the path prefix are skipped.
+-}
+searchValueAtPath : Matcher -> TreePath -> D.Value -> List TreePath
+searchValueAtPath matcher currentPath jsonValue =
+    case pathScope matcher.pathPrefix currentPath of
+        OutsidePrefix ->
+            []
+
+        scope ->
+            let
+                -- Check if the current key (last segment of path) matches
+                keyMatches =
+                    case List.head (List.reverse currentPath) of
+                        Just key ->
+                            matcher.key key
+
+                        Nothing ->
+                            False
+
+                -- This path matches if key or value matches
+                thisPathMatches =
+                    scope == InsidePrefix && (keyMatches || matcher.value jsonValue)
+
+                -- Recurse into children
+                childMatches =
+                    case getValueType jsonValue of
+                        ObjectType ->
+                            searchObject matcher currentPath jsonValue
+
+                        ArrayType ->
+                            searchArray matcher currentPath jsonValue
+
+                        _ ->
+                            []
+            in
+            -- Only include non-empty paths in results
+            if thisPathMatches && not (List.isEmpty currentPath) then
                 currentPath :: childMatches
 
             else
                 childMatches
-    in
-    -- Only include non-empty paths in results
-    if List.isEmpty currentPath && thisPathMatches then
-        childMatches
-
-    else
-        allMatches
 
 
 {-| Search all fields of a JSON object.
 -}
-searchObject : String -> TreePath -> D.Value -> List TreePath
-searchObject query currentPath jsonValue =
+searchObject : Matcher -> TreePath -> D.Value -> List TreePath
+searchObject matcher currentPath jsonValue =
     let
         keys =
             getObjectKeys jsonValue
@@ -375,15 +630,15 @@ searchObject query currentPath jsonValue =
                     getObjectField key jsonValue
                         |> Maybe.withDefault E.null
             in
-            searchValueAtPath query childPath childValue
+            searchValueAtPath matcher childPath childValue
         )
         keys
 
 
 {-| Search all elements of a JSON array.
 -}
-searchArray : String -> TreePath -> D.Value -> List TreePath
-searchArray query currentPath jsonValue =
+searchArray : Matcher -> TreePath -> D.Value -> List TreePath
+searchArray matcher currentPath jsonValue =
     let
         items =
             getArrayItems jsonValue
@@ -394,26 +649,26 @@ searchArray query currentPath jsonValue =
                 childPath =
                     currentPath ++ [ String.fromInt idx ]
             in
-            searchValueAtPath query childPath item
+            searchValueAtPath matcher childPath item
         )
         items
         |> List.concat
 
 
-{-| Check if a JSON value matches the query string.
+{-| Check if a JSON value matches a text test.
 
 For primitive values (strings, numbers, booleans), converts to string and
-checks for substring match. For objects and arrays, always returns False
-(their children are checked separately).
+tests it. For objects and arrays, always returns False (their children are
+checked separately).
 
 -}
-valueMatchesQuery : String -> D.Value -> Bool
-valueMatchesQuery query jsonValue =
+primitiveMatches : (String -> Bool) -> D.Value -> Bool
+primitiveMatches matchesText jsonValue =
     case getValueType jsonValue of
         StringType ->
             case D.decodeValue D.string jsonValue of
                 Ok str ->
-                    matchesQuery query str
+                    matchesText str
 
                 Err _ ->
                     False
@@ -421,7 +676,7 @@ valueMatchesQuery query jsonValue =
         NumberType ->
             case D.decodeValue D.float jsonValue of
                 Ok num ->
-                    matchesQuery query (String.fromFloat num)
+                    matchesText (String.fromFloat num)
 
                 Err _ ->
                     False
@@ -429,7 +684,7 @@ valueMatchesQuery query jsonValue =
         BoolType ->
             case D.decodeValue D.bool jsonValue of
                 Ok b ->
-                    matchesQuery query
+                    matchesText
                         (if b then
                             "true"
 
@@ -441,7 +696,7 @@ valueMatchesQuery query jsonValue =
                     False
 
         NullType ->
-            matchesQuery query "null"
+            matchesText "null"
 
         _ ->
             -- Objects and arrays don't match directly
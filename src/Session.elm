@@ -0,0 +1,289 @@
+module Session exposing
+    ( Session
+    , Source(..)
+    , ExpandedPaths
+    , encode
+    , decoder
+    )
+
+{-| Debugging sessions saved to `.tfsession` files.
+
+A session records where the entries came from and how they were being
+viewed, so the same view can be opened again later or on another machine:
+the source file or WebSocket URL, filters, search query, selected entry,
+display options, fields pinned to the chart and the expanded tree paths of
+the selected entry.
+
+The file is JSON:
+
+    { "type": "tfsession"
+    , "version": 1
+    , "source": { "kind": "file", "path": "...", "follow": false }
+    , "filters": [ ... ]
+    , "selectedEntry": 42
+    , ...
+    }
+
+@docs Session, Source, ExpandedPaths, encode, decoder
+
+-}
+
+import Dict exposing (Dict)
+import Filter exposing (ActiveFilter)
+import Json.Decode as D
+import Json.Encode as E
+import Set exposing (Set)
+import Types exposing (DisplayOrder(..))
+
+
+{-| Everything a session file records.
+
+`selectedEntry` counts from 0 across the whole log, including entries on
+other pages of a large file.
+
+-}
+type alias Session =
+    { source : Maybe Source
+    , filters : List ActiveFilter
+    , filtersEnabled : Bool
+    , filterSidebarOpen : Bool
+    , searchQuery : String
+    , selectedEntry : Maybe Int
+    , expandedPaths : ExpandedPaths
+    , displayOrder : DisplayOrder
+    , showPreviousState : Bool
+    , showChangedValues : Bool
+    , sidebarWidth : Int
+    , chartPaths : List (List String)
+    }
+
+
+{-| Where the session's entries came from.
+-}
+type Source
+    = FileSource { path : String, follow : Bool }
+    | WebSocketSource { url : String }
+
+
+{-| Expanded tree paths of the selected entry, as dot-joined path keys.
+-}
+type alias ExpandedPaths =
+    { beforeExpandedPaths : Set String
+    , afterExpandedPaths : Set String
+    , effectExpandedPaths : Dict Int (Set String)
+    , payloadExpandedPaths : Set String
+    , startedSubExpandedPaths : Set String
+    , stoppedSubExpandedPaths : Set String
+    }
+
+
+currentVersion : Int
+currentVersion =
+    1
+
+
+{-| Encode a session for writing to a `.tfsession` file.
+-}
+encode : Session -> E.Value
+encode session =
+    E.object
+        [ ( "type", E.string "tfsession" )
+        , ( "version", E.int currentVersion )
+        , ( "source", encodeMaybe encodeSource session.source )
+        , ( "filters", E.list Filter.encodeActiveFilter session.filters )
+        , ( "filtersEnabled", E.bool session.filtersEnabled )
+        , ( "filterSidebarOpen", E.bool session.filterSidebarOpen )
+        , ( "searchQuery", E.string session.searchQuery )
+        , ( "selectedEntry", encodeMaybe E.int session.selectedEntry )
+        , ( "expandedPaths", encodeExpandedPaths session.expandedPaths )
+        , ( "displayOrder"
+          , E.string
+                (case session.displayOrder of
+                    Chronological ->
+                        "oldestFirst"
+
+                    ReverseChronological ->
+                        "newestFirst"
+                )
+          )
+        , ( "showPreviousState", E.bool session.showPreviousState )
+        , ( "showChangedValues", E.bool session.showChangedValues )
+        , ( "sidebarWidth", E.int session.sidebarWidth )
+        , ( "chartPaths", E.list (E.list E.string) session.chartPaths )
+        ]
+
+
+encodeMaybe : (a -> E.Value) -> Maybe a -> E.Value
+encodeMaybe encodeValue maybeValue =
+    maybeValue
+        |> Maybe.map encodeValue
+        |> Maybe.withDefault E.null
+
+
+encodeSource : Source -> E.Value
+encodeSource source =
+    case source of
+        FileSource file ->
+            E.object
+                [ ( "kind", E.string "file" )
+                , ( "path", E.string file.path )
+                , ( "follow", E.bool file.follow )
+                ]
+
+        WebSocketSource ws ->
+            E.object
+                [ ( "kind", E.string "websocket" )
+                , ( "url", E.string ws.url )
+                ]
+
+
+encodeExpandedPaths : ExpandedPaths -> E.Value
+encodeExpandedPaths paths =
+    let
+        encodeSet =
+            Set.toList >> E.list E.string
+    in
+    E.object
+        [ ( "before", encodeSet paths.beforeExpandedPaths )
+        , ( "after", encodeSet paths.afterExpandedPaths )
+        , ( "effects"
+          , E.object
+                (Dict.toList paths.effectExpandedPaths
+                    |> List.map (\( index, set ) -> ( String.fromInt index, encodeSet set ))
+                )
+          )
+        , ( "payload", encodeSet paths.payloadExpandedPaths )
+        , ( "startedSubscriptions", encodeSet paths.startedSubExpandedPaths )
+        , ( "stoppedSubscriptions", encodeSet paths.stoppedSubExpandedPaths )
+        ]
+
+
+{-| Decode a `.tfsession` file.
+
+Fields that are missing take their default values, so sessions written by
+older versions still open. Files from a newer version are rejected.
+
+-}
+decoder : D.Decoder Session
+decoder =
+    D.field "type" D.string
+        |> D.andThen
+            (\fileType ->
+                if fileType /= "tfsession" then
+                    D.fail "Not a TeaForge Debugger session file"
+
+                else
+                    D.field "version" D.int
+            )
+        |> D.andThen
+            (\version ->
+                if version > currentVersion then
+                    D.fail ("Session file version " ++ String.fromInt version ++ " is newer than this version of the debugger supports")
+
+                else
+                    sessionDecoder
+            )
+
+
+sessionDecoder : D.Decoder Session
+sessionDecoder =
+    D.succeed Session
+        |> optional "source" (D.nullable sourceDecoder) Nothing
+        |> optional "filters" (D.list Filter.activeFilterDecoder) []
+        |> optional "filtersEnabled" D.bool True
+        |> optional "filterSidebarOpen" D.bool False
+        |> optional "searchQuery" D.string ""
+        |> optional "selectedEntry" (D.nullable D.int) Nothing
+        |> optional "expandedPaths" expandedPathsDecoder defaultExpandedPaths
+        |> optional "displayOrder" displayOrderDecoder ReverseChronological
+        |> optional "showPreviousState" D.bool False
+        |> optional "showChangedValues" D.bool True
+        |> optional "sidebarWidth" D.int 320
+        |> optional "chartPaths" (D.list (D.list D.string)) []
+
+
+{-| Decode an optional field, using the default when it is missing or null.
+-}
+optional : String -> D.Decoder a -> a -> D.Decoder (a -> b) -> D.Decoder b
+optional field fieldDecoder default =
+    D.map2 (|>)
+        (D.oneOf
+            [ D.field field (D.nullable fieldDecoder) |> D.map (Maybe.withDefault default)
+            , D.succeed default
+            ]
+        )
+
+
+sourceDecoder : D.Decoder Source
+sourceDecoder =
+    D.field "kind" D.string
+        |> D.andThen
+            (\kind ->
+                case kind of
+                    "file" ->
+                        D.map2 (\path follow -> FileSource { path = path, follow = follow })
+                            (D.field "path" D.string)
+                            (D.oneOf [ D.field "follow" D.bool, D.succeed False ])
+
+                    "websocket" ->
+                        D.map (\url -> WebSocketSource { url = url }) (D.field "url" D.string)
+
+                    _ ->
+                        D.fail ("Unknown session source: " ++ kind)
+            )
+
+
+displayOrderDecoder : D.Decoder DisplayOrder
+displayOrderDecoder =
+    D.string
+        |> D.map
+            (\order ->
+                if order == "oldestFirst" then
+                    Chronological
+
+                else
+                    ReverseChronological
+            )
+
+
+defaultExpandedPaths : ExpandedPaths
+defaultExpandedPaths =
+    { beforeExpandedPaths = Set.singleton ""
+    , afterExpandedPaths = Set.singleton ""
+    , effectExpandedPaths = Dict.empty
+    , payloadExpandedPaths = Set.singleton ""
+    , startedSubExpandedPaths = Set.singleton ""
+    , stoppedSubExpandedPaths = Set.singleton ""
+    }
+
+
+expandedPathsDecoder : D.Decoder ExpandedPaths
+expandedPathsDecoder =
+    let
+        setField name =
+            D.oneOf
+                [ D.field name (D.list D.string) |> D.map Set.fromList
+                , D.succeed (Set.singleton "")
+                ]
+
+        effectsDecoder =
+            D.oneOf
+                [ D.field "effects" (D.keyValuePairs (D.list D.string))
+                    |> D.map
+                        (List.filterMap
+                            (\( key, paths ) ->
+                                String.toInt key
+                                    |> Maybe.map (\index -> ( index, Set.fromList paths ))
+                            )
+                            >> Dict.fromList
+                        )
+                , D.succeed Dict.empty
+                ]
+    in
+    D.map6 ExpandedPaths
+        (setField "before")
+        (setField "after")
+        effectsDecoder
+        (setField "payload")
+        (setField "startedSubscriptions")
+        (setField "stoppedSubscriptions")
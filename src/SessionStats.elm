@@ -0,0 +1,607 @@
+module SessionStats exposing
+    ( Stats
+    , MessageStats
+    , EffectStats
+    , GapBucket
+    , Gap
+    , ChangeCounts
+    , emptyChangeCounts
+    , countChanges
+    , fromEntries
+    , rateBucketCount
+    , Config
+    , view
+    )
+
+{-| Statistics over the loaded entries of a log, shown in the statistics
+dashboard.
+
+Messages are counted by name, along with how their arrivals spread over the
+time the log covers and how many model paths they changed in total, as found
+by `Diff.findChangedPaths`. Effects are counted by name. The time between
+consecutive timestamped entries is gathered into a histogram, and the longest
+gaps are listed, so a loop that overran its frame can be found without reading
+timestamps in the message list.
+
+Diffing the models is the slow part, so the number of paths each entry
+changed is kept in `ChangeCounts` and `countChanges` only diffs the entries
+added since it was last called. The rest is computed from all the loaded
+entries at once.
+
+@docs Stats, MessageStats, EffectStats, GapBucket, Gap, ChangeCounts, emptyChangeCounts, countChanges, fromEntries, rateBucketCount, Config, view
+
+-}
+
+import Array exposing (Array)
+import Diff
+import Dict exposing (Dict)
+import Html exposing (..)
+import Html.Attributes exposing (..)
+import Html.Events exposing (..)
+import Types exposing (LogEntry(..), getMessageName, getTimestamp)
+
+
+{-| Statistics for the loaded entries.
+
+  - `messages`: One row per message name, most frequent first
+  - `effects`: One row per effect name, most frequent first
+  - `gapBuckets`: Histogram of the time between consecutive timestamped entries
+  - `longestGaps`: The longest of those gaps, longest first
+  - `medianGap` / `p95Gap` / `maxGap`: Milliseconds, `Nothing` with fewer than
+    two timestamped entries
+  - `firstTimestamp` / `lastTimestamp`: Timestamps of the first and last
+    timestamped entries
+
+-}
+type alias Stats =
+    { messages : List MessageStats
+    , effects : List EffectStats
+    , gapBuckets : List GapBucket
+    , longestGaps : List Gap
+    , medianGap : Maybe Int
+    , p95Gap : Maybe Int
+    , maxGap : Maybe Int
+    , firstTimestamp : Maybe Int
+    , lastTimestamp : Maybe Int
+    }
+
+
+{-| How often one message arrived and how much it changed the model.
+
+  - `changedPaths`: Model paths changed, summed over every entry of the message
+  - `overTime`: Number of arrivals in each of `rateBucketCount` equal slices of
+    the time between the first and last timestamps
+
+-}
+type alias MessageStats =
+    { name : String
+    , count : Int
+    , changedPaths : Int
+    , overTime : List Int
+    }
+
+
+{-| How many times an effect was requested, by init or by an update.
+-}
+type alias EffectStats =
+    { name : String
+    , count : Int
+    }
+
+
+{-| Number of gaps of at least `from` and less than `to` milliseconds. The first
+bucket also holds negative gaps, from timestamps that went backwards; the last
+has no upper bound.
+-}
+type alias GapBucket =
+    { from : Int
+    , to : Maybe Int
+    , count : Int
+    }
+
+
+{-| Time between an entry and the timestamped entry before it.
+-}
+type alias Gap =
+    { entryIndex : Int
+    , milliseconds : Int
+    }
+
+
+{-| Number of time slices each message's arrivals are counted in.
+-}
+rateBucketCount : Int
+rateBucketCount =
+    40
+
+
+{-| Upper bounds in milliseconds of all but the last gap bucket.
+-}
+gapBucketEdges : List Int
+gapBucketEdges =
+    [ 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000 ]
+
+
+{-| Number of gaps listed in `longestGaps`.
+-}
+longestGapCount : Int
+longestGapCount =
+    10
+
+
+{-| Number of model paths each entry changed, by entry index.
+-}
+type ChangeCounts
+    = ChangeCounts (Array Int)
+
+
+{-| No entries counted yet.
+-}
+emptyChangeCounts : ChangeCounts
+emptyChangeCounts =
+    ChangeCounts Array.empty
+
+
+{-| Count the model paths changed by the entries that haven't been counted
+yet, the ones after the entries counted before. Only updates change paths.
+-}
+countChanges : Array LogEntry -> ChangeCounts -> ChangeCounts
+countChanges entries (ChangeCounts counts) =
+    let
+        changedBy entry =
+            case entry of
+                UpdateEntry data ->
+                    List.length (.changedPaths (Diff.findChangedPaths data.modelBefore data.modelAfter))
+
+                _ ->
+                    0
+    in
+    Array.slice (Array.length counts) (Array.length entries) entries
+        |> Array.map changedBy
+        |> Array.append counts
+        |> ChangeCounts
+
+
+{-| Compute the statistics of the loaded entries, given the paths each of them
+changed.
+-}
+fromEntries : ChangeCounts -> Array LogEntry -> Stats
+fromEntries changeCounts entries =
+    let
+        indexedEntries =
+            Array.toIndexedList entries
+
+        timestamps =
+            List.filterMap
+                (\( index, entry ) -> Maybe.map (Tuple.pair index) (getTimestamp entry))
+                indexedEntries
+
+        firstTimestamp =
+            List.head timestamps
+                |> Maybe.map Tuple.second
+
+        lastTimestamp =
+            List.foldl (\( _, time ) _ -> Just time) Nothing timestamps
+
+        gaps =
+            List.map2
+                (\( _, before ) ( index, after ) -> { entryIndex = index, milliseconds = after - before })
+                timestamps
+                (List.drop 1 timestamps)
+
+        sortedGaps =
+            List.sort (List.map .milliseconds gaps)
+    in
+    { messages = messageStats (timeSlice firstTimestamp lastTimestamp) changeCounts indexedEntries
+    , effects = effectStats indexedEntries
+    , gapBuckets = gapBuckets sortedGaps
+    , longestGaps =
+        gaps
+            |> List.sortBy (\gap -> ( negate gap.milliseconds, gap.entryIndex ))
+            |> List.take longestGapCount
+    , medianGap = percentile 50 sortedGaps
+    , p95Gap = percentile 95 sortedGaps
+    , maxGap = List.maximum sortedGaps
+    , firstTimestamp = firstTimestamp
+    , lastTimestamp = lastTimestamp
+    }
+
+
+{-| The slice of the log's time span a timestamp falls in. Everything falls in
+the first slice when the log covers no time.
+-}
+timeSlice : Maybe Int -> Maybe Int -> Int -> Int
+timeSlice firstTimestamp lastTimestamp time =
+    case ( firstTimestamp, lastTimestamp ) of
+        ( Just first, Just last ) ->
+            if last > first then
+                clamp 0 (rateBucketCount - 1) ((time - first) * rateBucketCount // (last - first))
+
+            else
+                0
+
+        _ ->
+            0
+
+
+messageStats : (Int -> Int) -> ChangeCounts -> List ( Int, LogEntry ) -> List MessageStats
+messageStats sliceOf (ChangeCounts counts) indexedEntries =
+    let
+        addMessage ( index, entry ) rows =
+            case entry of
+                UpdateEntry data ->
+                    let
+                        changed =
+                            Array.get index counts
+                                |> Maybe.withDefault 0
+
+                        slice =
+                            sliceOf data.timestamp
+                    in
+                    Dict.update (getMessageName entry)
+                        (\row ->
+                            let
+                                current =
+                                    Maybe.withDefault { count = 0, changedPaths = 0, slices = Dict.empty } row
+                            in
+                            Just
+                                { count = current.count + 1
+                                , changedPaths = current.changedPaths + changed
+                                , slices = increment slice current.slices
+                                }
+                        )
+                        rows
+
+                _ ->
+                    rows
+    in
+    List.foldl addMessage Dict.empty indexedEntries
+        |> Dict.toList
+        |> List.map
+            (\( name, row ) ->
+                { name = name
+                , count = row.count
+                , changedPaths = row.changedPaths
+                , overTime =
+                    List.map
+                        (\slice -> Maybe.withDefault 0 (Dict.get slice row.slices))
+                        (List.range 0 (rateBucketCount - 1))
+                }
+            )
+        |> List.sortBy (\row -> ( negate row.count, row.name ))
+
+
+effectStats : List ( Int, LogEntry ) -> List EffectStats
+effectStats indexedEntries =
+    let
+        addEffects ( _, entry ) counts =
+            case entry of
+                InitEntry data ->
+                    List.foldl (\effect -> increment effect.name) counts data.effects
+
+                UpdateEntry data ->
+                    List.foldl (\effect -> increment effect.name) counts data.effects
+
+                _ ->
+                    counts
+    in
+    List.foldl addEffects Dict.empty indexedEntries
+        |> Dict.toList
+        |> List.map (\( name, count ) -> { name = name, count = count })
+        |> List.sortBy (\row -> ( negate row.count, row.name ))
+
+
+gapBuckets : List Int -> List GapBucket
+gapBuckets gaps =
+    let
+        bucketOf gap =
+            List.length (List.filter (\edge -> edge <= gap) gapBucketEdges)
+
+        counts =
+            List.foldl (\gap -> increment (bucketOf gap)) Dict.empty gaps
+    in
+    List.map2 Tuple.pair (0 :: gapBucketEdges) (List.map Just gapBucketEdges ++ [ Nothing ])
+        |> List.indexedMap
+            (\index ( from, to ) ->
+                { from = from
+                , to = to
+                , count = Maybe.withDefault 0 (Dict.get index counts)
+                }
+            )
+
+
+{-| Nearest-rank percentile of a sorted list.
+-}
+percentile : Int -> List Int -> Maybe Int
+percentile rank sorted =
+    let
+        rankIndex =
+            ceiling (toFloat (rank * List.length sorted) / 100) - 1
+    in
+    List.head (List.drop (max 0 rankIndex) sorted)
+
+
+increment : comparable -> Dict comparable Int -> Dict comparable Int
+increment key =
+    Dict.update key (\count -> Just (Maybe.withDefault 0 count + 1))
+
+
+
+-- VIEW
+
+
+{-| Configuration for rendering the dashboard.
+
+  - `indexOffset`: Added to entry indices to show entry numbers, when the
+    loaded entries are a page of a larger file
+  - `onMessageName` / `onEffectName`: Called with the name of a clicked
+    message or effect bar
+  - `onSelect`: Called with the index of the entry after a clicked gap
+
+-}
+type alias Config msg =
+    { indexOffset : Int
+    , onMessageName : String -> msg
+    , onEffectName : String -> msg
+    , onSelect : Int -> msg
+    }
+
+
+{-| Render the dashboard.
+-}
+view : Config msg -> Stats -> Html msg
+view config stats =
+    let
+        durationSeconds =
+            Maybe.map2 (\first last -> toFloat (last - first) / 1000) stats.firstTimestamp stats.lastTimestamp
+                |> Maybe.withDefault 0
+
+        busiest =
+            List.head (List.map .count stats.messages)
+                |> Maybe.withDefault 0
+
+        mostChanging =
+            List.filter (\row -> row.changedPaths > 0) stats.messages
+                |> List.sortBy (\row -> ( negate row.changedPaths, row.name ))
+
+        mostChanged =
+            List.head (List.map .changedPaths mostChanging)
+                |> Maybe.withDefault 0
+
+        mostEffects =
+            List.head (List.map .count stats.effects)
+                |> Maybe.withDefault 0
+
+        mostGaps =
+            List.maximum (List.map .count stats.gapBuckets)
+                |> Maybe.withDefault 0
+    in
+    div [ class "flex flex-col gap-6" ]
+        [ viewSection "Messages"
+            "Arrivals of each message over the log. Click a message to filter by it."
+            (if List.isEmpty stats.messages then
+                [ viewEmpty "No messages in the loaded entries." ]
+
+             else
+                List.map
+                    (\row ->
+                        viewBar
+                            { label = row.name
+                            , value = row.count
+                            , maxValue = busiest
+                            , detail = String.fromInt row.count ++ rateText durationSeconds row.count
+                            , tooltip = "Filter by message " ++ row.name
+                            , onClickMsg = config.onMessageName row.name
+                            , extra = viewSparkline row.overTime
+                            }
+                    )
+                    stats.messages
+            )
+        , viewSection "Model changes"
+            "Model paths changed by each message, summed over its entries."
+            (if List.isEmpty mostChanging then
+                [ viewEmpty "No message changed the model." ]
+
+             else
+                List.map
+                    (\row ->
+                        viewBar
+                            { label = row.name
+                            , value = row.changedPaths
+                            , maxValue = mostChanged
+                            , detail =
+                                String.fromInt row.changedPaths
+                                    ++ " ("
+                                    ++ formatDecimal (toFloat row.changedPaths / toFloat row.count)
+                                    ++ " each)"
+                            , tooltip = "Filter by message " ++ row.name
+                            , onClickMsg = config.onMessageName row.name
+                            , extra = text ""
+                            }
+                    )
+                    mostChanging
+            )
+        , viewSection "Effects"
+            "Effects requested by init and updates. Click an effect to filter by it."
+            (if List.isEmpty stats.effects then
+                [ viewEmpty "No effects in the loaded entries." ]
+
+             else
+                List.map
+                    (\row ->
+                        viewBar
+                            { label = row.name
+                            , value = row.count
+                            , maxValue = mostEffects
+                            , detail = String.fromInt row.count
+                            , tooltip = "Filter by effect " ++ row.name
+                            , onClickMsg = config.onEffectName row.name
+                            , extra = text ""
+                            }
+                    )
+                    stats.effects
+            )
+        , viewSection "Time between entries"
+            "Gaps between consecutive timestamped entries. Long gaps point at loops that overran."
+            (case stats.maxGap of
+                Nothing ->
+                    [ viewEmpty "Fewer than two entries have timestamps." ]
+
+                Just maxGap ->
+                    [ div [ class "flex gap-4 text-xs mb-2" ]
+                        [ viewFigure "median" stats.medianGap
+                        , viewFigure "95th percentile" stats.p95Gap
+                        , viewFigure "longest" (Just maxGap)
+                        ]
+                    , div [ class "flex flex-col gap-0.5" ]
+                        (List.map (viewGapBucket mostGaps) stats.gapBuckets)
+                    , div [ class "text-xs font-medium mt-3 mb-1" ] [ text "Longest gaps" ]
+                    , div [ class "flex flex-wrap gap-1" ]
+                        (List.map (viewGap config) stats.longestGaps)
+                    ]
+            )
+        ]
+
+
+viewSection : String -> String -> List (Html msg) -> Html msg
+viewSection heading description content =
+    section []
+        [ h4 [ class "font-semibold text-sm" ] [ text heading ]
+        , p [ class "text-xs text-base-content/60 mb-2" ] [ text description ]
+        , div [ class "flex flex-col gap-0.5 max-h-64 overflow-auto" ] content
+        ]
+
+
+viewEmpty : String -> Html msg
+viewEmpty message =
+    p [ class "text-sm text-base-content/60" ] [ text message ]
+
+
+viewBar :
+    { label : String
+    , value : Int
+    , maxValue : Int
+    , detail : String
+    , tooltip : String
+    , onClickMsg : msg
+    , extra : Html msg
+    }
+    -> Html msg
+viewBar bar =
+    button
+        [ class "flex items-center gap-2 w-full text-left text-xs rounded px-1 py-0.5 hover:bg-base-200"
+        , title bar.tooltip
+        , onClick bar.onClickMsg
+        ]
+        [ span [ class "w-48 shrink-0 font-mono truncate" ] [ text bar.label ]
+        , span [ class "flex-1 h-3 bg-base-200 rounded" ]
+            [ span
+                [ class "block h-3 bg-primary rounded"
+                , style "width" (widthPercent bar.value bar.maxValue)
+                ]
+                []
+            ]
+        , bar.extra
+        , span [ class "w-32 shrink-0 text-right text-base-content/70" ] [ text bar.detail ]
+        ]
+
+
+{-| Arrivals of a message over the log, as a row of small columns.
+-}
+viewSparkline : List Int -> Html msg
+viewSparkline counts =
+    let
+        highest =
+            Maybe.withDefault 0 (List.maximum counts)
+    in
+    span [ class "w-40 shrink-0 h-4 flex items-end gap-px" ]
+        (List.map
+            (\count ->
+                span
+                    [ class "flex-1 bg-secondary/70"
+                    , style "height" (widthPercent count highest)
+                    ]
+                    []
+            )
+            counts
+        )
+
+
+viewGapBucket : Int -> GapBucket -> Html msg
+viewGapBucket mostGaps bucket =
+    let
+        label =
+            case bucket.to of
+                Just to ->
+                    if bucket.from == 0 then
+                        "< " ++ String.fromInt to ++ " ms"
+
+                    else
+                        String.fromInt bucket.from ++ "–" ++ String.fromInt to ++ " ms"
+
+                Nothing ->
+                    "≥ " ++ String.fromInt bucket.from ++ " ms"
+    in
+    div [ class "flex items-center gap-2 text-xs px-1" ]
+        [ span [ class "w-48 shrink-0 font-mono" ] [ text label ]
+        , span [ class "flex-1 h-3 bg-base-200 rounded" ]
+            [ span
+                [ class "block h-3 bg-accent rounded"
+                , style "width" (widthPercent bucket.count mostGaps)
+                ]
+                []
+            ]
+        , span [ class "w-32 shrink-0 text-right text-base-content/70" ] [ text (String.fromInt bucket.count) ]
+        ]
+
+
+viewGap : Config msg -> Gap -> Html msg
+viewGap config gap =
+    button
+        [ class "btn btn-xs btn-ghost font-mono"
+        , title "Show the entry after this gap"
+        , onClick (config.onSelect gap.entryIndex)
+        ]
+        [ text
+            (String.fromInt gap.milliseconds
+                ++ " ms before #"
+                ++ String.fromInt (gap.entryIndex + config.indexOffset + 1)
+            )
+        ]
+
+
+viewFigure : String -> Maybe Int -> Html msg
+viewFigure label milliseconds =
+    span []
+        [ span [ class "text-base-content/60" ] [ text (label ++ " ") ]
+        , span [ class "font-mono" ]
+            [ text
+                (milliseconds
+                    |> Maybe.map (\value -> String.fromInt value ++ " ms")
+                    |> Maybe.withDefault "–"
+                )
+            ]
+        ]
+
+
+rateText : Float -> Int -> String
+rateText durationSeconds count =
+    if durationSeconds > 0 then
+        " · " ++ formatDecimal (toFloat count / durationSeconds) ++ "/s"
+
+    else
+        ""
+
+
+formatDecimal : Float -> String
+formatDecimal value =
+    String.fromFloat (toFloat (round (value * 10)) / 10)
+
+
+widthPercent : Int -> Int -> String
+widthPercent value maxValue =
+    if maxValue > 0 then
+        String.fromFloat (toFloat value * 100 / toFloat maxValue) ++ "%"
+
+    else
+        "0%"
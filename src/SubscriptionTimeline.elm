@@ -0,0 +1,599 @@
+module SubscriptionTimeline exposing
+    ( Timeline
+    , Lane
+    , Span
+    , Problem
+    , ProblemKind(..)
+    , empty
+    , startingWith
+    , addEntry
+    , fromEntries
+    , lanes
+    , activeAt
+    , details
+    , Config
+    , view
+    )
+
+{-| Which subscriptions were active over a log, rebuilt from its
+`subscriptionChange` entries.
+
+Each subscription gets a lane, keyed by its `_type` and `_subscriptionId`.
+Subscriptions without an id are told apart by their other fields. A lane
+holds the spans during which the subscription was active, from the entry that
+started it to the entry that stopped it, or to the end of the log.
+
+Starting a subscription that is already active, or stopping one that isn't,
+is recorded as a problem on its lane. Either usually means the application
+lost track of its subscriptions.
+
+Entries are added one at a time as the log is read, so following a live
+source only processes each new entry once.
+
+@docs Timeline, Lane, Span, Problem, ProblemKind, empty, startingWith, addEntry, fromEntries, lanes, activeAt, details, Config, view
+
+-}
+
+import Array exposing (Array)
+import Chart
+import Dict exposing (Dict)
+import Html exposing (Html)
+import Json.Decode as D
+import Json.Encode as E
+import Svg exposing (Svg)
+import Svg.Attributes as SA
+import Svg.Events
+import Types exposing (LogEntry(..), getTimestamp)
+
+
+{-| The lanes found so far.
+-}
+type Timeline
+    = Timeline State
+
+
+type alias State =
+    { nextIndex : Int
+    , lanes : Dict String Lane
+    }
+
+
+{-| One subscription over the log.
+
+  - `name`: The `_type` of the subscription
+  - `subscriptionId`: Its `_subscriptionId`, if it has one
+  - `firstIndex`: Index of the first entry that started or stopped it
+  - `spans`: When it was active, oldest first
+  - `problems`: Starts and stops that didn't match, oldest first
+
+-}
+type alias Lane =
+    { key : String
+    , name : String
+    , subscriptionId : Maybe String
+    , firstIndex : Int
+    , spans : List Span
+    , problems : List Problem
+    }
+
+
+{-| A time during which a subscription was active.
+
+  - `startIndex` / `startTime`: Entry that started it and its timestamp
+  - `stopIndex` / `stopTime`: Entry that stopped it and its timestamp, if it was stopped
+  - `started` / `stopped`: The subscription as the entries that started and stopped it describe it
+
+-}
+type alias Span =
+    { startIndex : Int
+    , startTime : Int
+    , stopIndex : Maybe Int
+    , stopTime : Maybe Int
+    , started : D.Value
+    , stopped : Maybe D.Value
+    }
+
+
+{-| A start or stop of a subscription that didn't match its state.
+-}
+type alias Problem =
+    { entryIndex : Int
+    , time : Int
+    , kind : ProblemKind
+    }
+
+
+{-| What went wrong.
+-}
+type ProblemKind
+    = StartedWhileActive
+    | StoppedWhileInactive
+
+
+{-| No entries read yet.
+-}
+empty : Timeline
+empty =
+    Timeline { nextIndex = 0, lanes = Dict.empty }
+
+
+{-| No entries read yet from part way through a log, with the subscriptions
+that were already active. Each is given with the index of the entry that
+started it, counted from the first entry to be read (so below zero), and that
+entry's timestamp.
+-}
+startingWith : List { startIndex : Int, startTime : Int, started : D.Value } -> Timeline
+startingWith active =
+    Timeline
+        { nextIndex = 0
+        , lanes =
+            List.foldl
+                (\subscription -> startSubscription subscription.startIndex subscription.startTime subscription.started)
+                Dict.empty
+                active
+        }
+
+
+{-| Read the next entry of the log. Entries must be added in order, starting
+from the first. Within an entry, stops are applied before starts, so an entry
+that restarts a subscription ends one span and begins the next.
+-}
+addEntry : LogEntry -> Timeline -> Timeline
+addEntry entry (Timeline state) =
+    let
+        index =
+            state.nextIndex
+
+        nextLanes =
+            case entry of
+                SubscriptionChangeEntry data ->
+                    state.lanes
+                        |> (\current -> List.foldl (stopSubscription index data.timestamp) current data.stopped)
+                        |> (\current -> List.foldl (startSubscription index data.timestamp) current data.started)
+
+                _ ->
+                    state.lanes
+    in
+    Timeline { nextIndex = index + 1, lanes = nextLanes }
+
+
+{-| Build the timeline of a whole log.
+-}
+fromEntries : Array LogEntry -> Timeline
+fromEntries entries =
+    Array.foldl addEntry empty entries
+
+
+startSubscription : Int -> Int -> D.Value -> Dict String Lane -> Dict String Lane
+startSubscription index time value allLanes =
+    let
+        key =
+            subscriptionKey value
+
+        lane =
+            Dict.get key allLanes
+                |> Maybe.withDefault (newLane key index value)
+
+        span =
+            { startIndex = index
+            , startTime = time
+            , stopIndex = Nothing
+            , stopTime = Nothing
+            , started = value
+            , stopped = Nothing
+            }
+    in
+    if isActive lane then
+        Dict.insert key (withProblem index time StartedWhileActive lane) allLanes
+
+    else
+        Dict.insert key { lane | spans = span :: lane.spans } allLanes
+
+
+stopSubscription : Int -> Int -> D.Value -> Dict String Lane -> Dict String Lane
+stopSubscription index time value allLanes =
+    let
+        key =
+            subscriptionKey value
+
+        lane =
+            Dict.get key allLanes
+                |> Maybe.withDefault (newLane key index value)
+    in
+    case lane.spans of
+        current :: earlier ->
+            if current.stopIndex == Nothing then
+                Dict.insert key
+                    { lane
+                        | spans =
+                            { current | stopIndex = Just index, stopTime = Just time, stopped = Just value } :: earlier
+                    }
+                    allLanes
+
+            else
+                Dict.insert key (withProblem index time StoppedWhileInactive lane) allLanes
+
+        [] ->
+            Dict.insert key (withProblem index time StoppedWhileInactive lane) allLanes
+
+
+newLane : String -> Int -> D.Value -> Lane
+newLane key index value =
+    { key = key
+    , name = typeName value
+    , subscriptionId = subscriptionId value
+    , firstIndex = index
+    , spans = []
+    , problems = []
+    }
+
+
+withProblem : Int -> Int -> ProblemKind -> Lane -> Lane
+withProblem index time kind lane =
+    { lane | problems = { entryIndex = index, time = time, kind = kind } :: lane.problems }
+
+
+{-| Whether the latest span of a lane hasn't been stopped. Spans are kept
+newest first until they are read with `lanes`.
+-}
+isActive : Lane -> Bool
+isActive lane =
+    case lane.spans of
+        current :: _ ->
+            current.stopIndex == Nothing
+
+        [] ->
+            False
+
+
+{-| Identify a subscription so a later stop can be matched to its start. A
+subscription without an id is identified by its fields, apart from the
+`_reason` a stop may add.
+-}
+subscriptionKey : D.Value -> String
+subscriptionKey value =
+    case subscriptionId value of
+        Just id ->
+            typeName value ++ "#" ++ id
+
+        Nothing ->
+            case D.decodeValue (D.keyValuePairs D.value) value of
+                Ok fields ->
+                    typeName value
+                        ++ " "
+                        ++ E.encode 0 (E.object (List.filter (\( field, _ ) -> field /= "_reason") fields))
+
+                Err _ ->
+                    typeName value ++ " " ++ E.encode 0 value
+
+
+subscriptionId : D.Value -> Maybe String
+subscriptionId value =
+    D.decodeValue (D.field "_subscriptionId" D.string) value
+        |> Result.toMaybe
+
+
+typeName : D.Value -> String
+typeName value =
+    D.decodeValue (D.field "_type" D.string) value
+        |> Result.withDefault "Subscription"
+
+
+{-| Every lane, in the order its subscription was first seen, with spans and
+problems oldest first.
+-}
+lanes : Timeline -> List Lane
+lanes (Timeline state) =
+    Dict.values state.lanes
+        |> List.sortBy (\lane -> ( lane.firstIndex, lane.key ))
+        |> List.map (\lane -> { lane | spans = List.reverse lane.spans, problems = List.reverse lane.problems })
+
+
+{-| The subscriptions active after an entry, with the span each is in. A
+subscription stopped by the entry is no longer active.
+-}
+activeAt : Int -> Timeline -> List ( Lane, Span )
+activeAt entryIndex timeline =
+    lanes timeline
+        |> List.filterMap
+            (\lane ->
+                lane.spans
+                    |> List.filter
+                        (\span ->
+                            span.startIndex
+                                <= entryIndex
+                                && (case span.stopIndex of
+                                        Just stopIndex ->
+                                            stopIndex > entryIndex
+
+                                        Nothing ->
+                                            True
+                                   )
+                        )
+                    |> List.head
+                    |> Maybe.map (Tuple.pair lane)
+            )
+
+
+{-| The fields describing a span, such as `millisecondsBetweenReads`, as JSON.
+Fields of the subscription that started it are listed first, leaving out
+`_type` and `_subscriptionId`, followed by the `_reason` it was stopped for.
+-}
+details : Span -> List ( String, String )
+details span =
+    let
+        fieldsOf value =
+            D.decodeValue (D.keyValuePairs D.value) value
+                |> Result.withDefault []
+                |> List.map (\( field, fieldValue ) -> ( field, E.encode 0 fieldValue ))
+
+        stopReason =
+            span.stopped
+                |> Maybe.map fieldsOf
+                |> Maybe.withDefault []
+                |> List.filter (\( field, _ ) -> field == "_reason")
+                |> List.map (\( _, reason ) -> ( "stopped because", reason ))
+    in
+    (fieldsOf span.started
+        |> List.filter (\( field, _ ) -> field /= "_type" && field /= "_subscriptionId")
+    )
+        ++ stopReason
+
+
+
+-- VIEW
+
+
+{-| Configuration for rendering the timeline.
+
+  - `selectedIndex`: Index of the selected entry, drawn as a cursor
+  - `indexOffset`: Added to entry indices for display, when a page of a larger file is loaded
+  - `onSelect`: Called with the index of the entry that started or stopped a clicked span
+
+-}
+type alias Config msg =
+    { selectedIndex : Maybe Int
+    , indexOffset : Int
+    , onSelect : Int -> msg
+    }
+
+
+width : Float
+width =
+    800
+
+
+laneHeight : Float
+laneHeight =
+    22
+
+
+labelWidth : Float
+labelWidth =
+    200
+
+
+axisHeight : Float
+axisHeight =
+    18
+
+
+{-| Render each lane as a row of bars on a shared time axis, from the first
+to the last timestamped entry. Hovering a bar shows its details, and clicking
+it selects the entry that started it. Problems are drawn as red marks.
+-}
+view : Config msg -> Array LogEntry -> List Lane -> Html msg
+view config entries allLanes =
+    let
+        times =
+            Array.toList entries
+                |> List.filterMap getTimestamp
+    in
+    case ( List.minimum times, List.maximum times ) of
+        ( Just startTime, Just endTime ) ->
+            let
+                scale =
+                    { startTime = startTime
+                    , endTime = endTime
+                    , timeSpan = Basics.max 1 (endTime - startTime)
+                    }
+
+                totalHeight =
+                    axisHeight + toFloat (List.length allLanes) * laneHeight + 4
+
+                selectedTime =
+                    config.selectedIndex
+                        |> Maybe.andThen (\index -> Array.get index entries)
+                        |> Maybe.andThen getTimestamp
+            in
+            Svg.svg
+                [ SA.viewBox ("0 0 " ++ String.fromFloat width ++ " " ++ String.fromFloat totalHeight)
+                , SA.width "100%"
+                , SA.class "select-none"
+                ]
+                (viewAxis scale totalHeight
+                    ++ List.concat (List.indexedMap (viewLane config scale) allLanes)
+                    ++ viewCursor scale totalHeight selectedTime
+                )
+
+        _ ->
+            Html.div [] []
+
+
+type alias Scale =
+    { startTime : Int
+    , endTime : Int
+    , timeSpan : Int
+    }
+
+
+xPosition : Scale -> Int -> Float
+xPosition scale time =
+    labelWidth + toFloat (time - scale.startTime) / toFloat scale.timeSpan * (width - labelWidth - 10)
+
+
+laneTop : Int -> Float
+laneTop row =
+    axisHeight + toFloat row * laneHeight
+
+
+viewAxis : Scale -> Float -> List (Svg msg)
+viewAxis scale totalHeight =
+    Chart.ticks 8 0 (toFloat scale.timeSpan / 1000)
+        |> List.filter (\seconds -> seconds * 1000 <= toFloat scale.timeSpan)
+        |> List.concatMap
+            (\seconds ->
+                let
+                    x =
+                        String.fromFloat (xPosition scale (scale.startTime + round (seconds * 1000)))
+                in
+                [ Svg.line
+                    [ SA.x1 x
+                    , SA.y1 (String.fromFloat axisHeight)
+                    , SA.x2 x
+                    , SA.y2 (String.fromFloat totalHeight)
+                    , SA.stroke "currentColor"
+                    , SA.strokeOpacity "0.15"
+                    ]
+                    []
+                , Svg.text_
+                    [ SA.x x
+                    , SA.y "12"
+                    , SA.textAnchor "middle"
+                    , SA.fontSize "10"
+                    , SA.fill "currentColor"
+                    , SA.fillOpacity "0.6"
+                    ]
+                    [ Svg.text (String.fromFloat (toFloat (round (seconds * 1000)) / 1000) ++ "s") ]
+                ]
+            )
+
+
+viewLane : Config msg -> Scale -> Int -> Lane -> List (Svg msg)
+viewLane config scale row lane =
+    let
+        top =
+            laneTop row
+
+        label =
+            lane.name
+                ++ (case lane.subscriptionId of
+                        Just id ->
+                            " " ++ id
+
+                        Nothing ->
+                            ""
+                   )
+
+        entryNumber index =
+            "#" ++ String.fromInt (config.indexOffset + index + 1)
+
+        viewSpan span =
+            let
+                -- A span started before the loaded entries begins at their start
+                x1 =
+                    xPosition scale (Basics.max scale.startTime span.startTime)
+
+                x2 =
+                    xPosition scale (Maybe.withDefault scale.endTime span.stopTime)
+
+                summary =
+                    label
+                        :: ("Started at "
+                                ++ entryNumber span.startIndex
+                                ++ (case span.stopIndex of
+                                        Just stopIndex ->
+                                            ", stopped at " ++ entryNumber stopIndex
+
+                                        Nothing ->
+                                            ", still active"
+                                   )
+                           )
+                        :: List.map (\( field, value ) -> field ++ ": " ++ value) (details span)
+            in
+            Svg.g
+                [ SA.class "cursor-pointer"
+                , Svg.Events.onClick (config.onSelect span.startIndex)
+                ]
+                [ Svg.rect
+                    [ SA.x (String.fromFloat x1)
+                    , SA.y (String.fromFloat (top + 4))
+                    , SA.width (String.fromFloat (Basics.max 2 (x2 - x1)))
+                    , SA.height (String.fromFloat (laneHeight - 8))
+                    , SA.rx "2"
+                    , SA.fill "#10b981"
+                    , SA.fillOpacity "0.7"
+                    ]
+                    []
+                , Svg.title [] [ Svg.text (String.join "\n" summary) ]
+                ]
+
+        viewProblem problem =
+            Svg.g
+                [ SA.class "cursor-pointer"
+                , Svg.Events.onClick (config.onSelect problem.entryIndex)
+                ]
+                [ Svg.circle
+                    [ SA.cx (String.fromFloat (xPosition scale problem.time))
+                    , SA.cy (String.fromFloat (top + laneHeight / 2))
+                    , SA.r "4"
+                    , SA.fill "#e11d48"
+                    ]
+                    []
+                , Svg.title []
+                    [ Svg.text
+                        (case problem.kind of
+                            StartedWhileActive ->
+                                "Started again at " ++ entryNumber problem.entryIndex ++ " while already active"
+
+                            StoppedWhileInactive ->
+                                "Stopped at " ++ entryNumber problem.entryIndex ++ " without being active"
+                        )
+                    ]
+                ]
+    in
+    Svg.text_
+        [ SA.x "4"
+        , SA.y (String.fromFloat (top + laneHeight / 2 + 4))
+        , SA.fontSize "11"
+        , SA.fill "currentColor"
+        , SA.class "font-mono"
+        ]
+        [ Svg.text (shorten 30 label)
+        , Svg.title [] [ Svg.text label ]
+        ]
+        :: List.map viewSpan lane.spans
+        ++ List.map viewProblem lane.problems
+
+
+viewCursor : Scale -> Float -> Maybe Int -> List (Svg msg)
+viewCursor scale totalHeight selectedTime =
+    case selectedTime of
+        Just time ->
+            let
+                x =
+                    String.fromFloat (xPosition scale time)
+            in
+            [ Svg.line
+                [ SA.x1 x
+                , SA.y1 (String.fromFloat axisHeight)
+                , SA.x2 x
+                , SA.y2 (String.fromFloat totalHeight)
+                , SA.stroke "currentColor"
+                , SA.strokeWidth "1.5"
+                , SA.strokeDasharray "3 3"
+                ]
+                []
+            ]
+
+        Nothing ->
+            []
+
+
+shorten : Int -> String -> String
+shorten maxLength label =
+    if String.length label > maxLength then
+        String.left (maxLength - 1) label ++ "…"
+
+    else
+        label
@@ -39,11 +39,12 @@ import Dict exposing (Dict)
 import Filter
 import Html exposing (..)
 import Html.Attributes exposing (..)
-import Html.Events exposing (onClick)
+import Html.Events exposing (onClick, stopPropagationOn)
 import Json.Decode as D
 import Json.Encode as E
 import JsonTree
 import Set exposing (Set)
+import TypeRegistry exposing (TypeRegistry)
 
 
 {-| The internal state for the tree view, managing expand/collapse state.
@@ -77,6 +78,7 @@ type Change
     | Removed
     | Modified
     | TypeChanged
+    | Moved
 
 
 {-| Configuration for rendering the diff view.
@@ -88,6 +90,9 @@ type Change
   - `searchMatches`: Set of paths that match the search query (for highlighting)
   - `currentMatchPath`: The path of the current search match (for special highlighting)
   - `onQuickAddFilter`: Optional callback for quick-add filter icons (path, value as string)
+  - `onPin`: Optional callback for the chart icon shown next to numeric values (path)
+  - `onHistory`: Optional callback for the history icon shown on every node (path)
+  - `typeRegistry`: Types declared by the log, to describe typed nodes
 
 -}
 type alias DiffConfig msg =
@@ -98,6 +103,9 @@ type alias DiffConfig msg =
     , searchMatches : Set String
     , currentMatchPath : Maybe String
     , onQuickAddFilter : Maybe (List String -> String -> msg)
+    , onPin : Maybe (List String -> msg)
+    , onHistory : Maybe (List String -> msg)
+    , typeRegistry : TypeRegistry
     }
 
 
@@ -125,6 +133,9 @@ This uses the same styling as the diff view but without change highlighting.
   - `searchMatches`: Set of paths that match the search query (for highlighting)
   - `currentMatchPath`: The path of the current search match (for special highlighting)
   - `onQuickAddFilter`: Optional callback for quick-add filter icons (path, value as string)
+  - `onPin`: Optional callback for the chart icon shown next to numeric values (path)
+  - `onHistory`: Optional callback for the history icon shown on every node (path)
+  - `typeRegistry`: Types declared by the log, to describe typed nodes
 
 -}
 type alias UnifiedConfig msg =
@@ -132,6 +143,9 @@ type alias UnifiedConfig msg =
     , searchMatches : Set String
     , currentMatchPath : Maybe String
     , onQuickAddFilter : Maybe (List String -> String -> msg)
+    , onPin : Maybe (List String -> msg)
+    , onHistory : Maybe (List String -> msg)
+    , typeRegistry : TypeRegistry
     }
 
 
@@ -402,8 +416,8 @@ viewUnifiedObject config expandedPaths currentPath jsonValue =
                 Just typeName ->
                     [ span [ class "text-primary" ] [ text label ]
                     , span [ class "text-base-content/40" ] [ text " : " ]
-                    , span [ class "text-info" ] [ text typeName ]
                     ]
+                        ++ viewTypeName config.typeRegistry typeName
 
                 Nothing ->
                     [ span [ class "text-primary" ] [ text label ] ]
@@ -420,14 +434,14 @@ viewUnifiedObject config expandedPaths currentPath jsonValue =
                             )
                         ]
                   ]
-                , [ class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5" ++ highlightClass)
+                , [ class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5 group/filter" ++ highlightClass)
                   , onClick (config.onToggleExpand currentPath (not isExpanded))
                   ]
                 )
 
             else
                 ( [ span [ class "text-base-content/40 w-4" ] [ text "" ] ]
-                , [ class ("inline-flex items-center gap-1 rounded px-1 py-0.5" ++ highlightClass) ]
+                , [ class ("inline-flex items-center gap-1 rounded px-1 py-0.5 group/filter" ++ highlightClass) ]
                 )
 
         ( arrowPart, interactionAttrs ) =
@@ -436,7 +450,7 @@ viewUnifiedObject config expandedPaths currentPath jsonValue =
     div [ class "tree-node pl-2" ]
         [ div
             ([ id elementId ] ++ interactionAttrs)
-            (arrowPart ++ labelParts)
+            (arrowPart ++ labelParts ++ [ viewMaybeHistoryIcon config.onHistory currentPath ])
         , if isExpanded && hasChildren then
             div [ class "ml-4 border-l border-base-300 pl-2" ]
                 (List.map
@@ -492,7 +506,7 @@ viewUnifiedArray config expandedPaths currentPath jsonValue =
     div [ class "tree-node pl-2" ]
         [ div
             [ id elementId
-            , class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5" ++ highlightClass)
+            , class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5 group/filter" ++ highlightClass)
             , onClick (config.onToggleExpand currentPath (not isExpanded))
             ]
             [ span [ class "text-base-content/40 w-4" ]
@@ -507,6 +521,7 @@ viewUnifiedArray config expandedPaths currentPath jsonValue =
             , span [ class "text-primary" ] [ text label ]
             , span [ class "text-base-content/40" ]
                 [ text (" [" ++ String.fromInt itemCount ++ "]") ]
+            , viewMaybeHistoryIcon config.onHistory currentPath
             ]
         , if isExpanded then
             div [ class "ml-4 border-l border-base-300 pl-2" ]
@@ -554,6 +569,8 @@ viewUnifiedKeyValue config expandedPaths currentPath key childValue =
                     , span [ class "text-secondary" ] [ text (key ++ ":") ]
                     , viewPrimitiveValue childValue
                     , viewQuickAddFilterIcon config currentPath childValue
+                    , viewMaybePinIcon config.onPin currentPath childValue
+                    , viewMaybeHistoryIcon config.onHistory currentPath
                     ]
                 ]
 
@@ -581,10 +598,12 @@ viewUnifiedIndexValue config expandedPaths currentPath idx childValue =
 
         _ ->
             div [ class "tree-node pl-2" ]
-                [ div [ id elementId, class ("inline-flex items-center gap-1 py-0.5 px-1 rounded" ++ highlightClass) ]
+                [ div [ id elementId, class ("inline-flex items-center gap-1 py-0.5 px-1 rounded group/filter" ++ highlightClass) ]
                     [ span [ class "text-base-content/40 w-4" ] [ text "" ]
                     , span [ class "text-base-content/40" ] [ text (String.fromInt idx ++ ":") ]
                     , viewPrimitiveValue childValue
+                    , viewMaybePinIcon config.onPin currentPath childValue
+                    , viewMaybeHistoryIcon config.onHistory currentPath
                     ]
                 ]
 
@@ -642,6 +661,41 @@ viewMaybeQuickAddFilterIcon maybeCallback currentPath jsonValue =
             text ""
 
 
+{-| Render a chart icon for a numeric value given an optional callback.
+-}
+viewMaybePinIcon : Maybe (List String -> msg) -> List String -> D.Value -> Html msg
+viewMaybePinIcon maybeCallback currentPath jsonValue =
+    case ( maybeCallback, getValueType jsonValue ) of
+        ( Just callback, NumberType ) ->
+            span
+                [ class "opacity-0 group-hover/filter:opacity-100 transition-opacity cursor-pointer text-base-content/30 hover:text-primary ml-0.5"
+                , onClick (callback currentPath)
+                , Html.Attributes.title "Chart over time"
+                ]
+                [ Html.i [ class "fa-solid fa-chart-line text-[9px]" ] [] ]
+
+        _ ->
+            text ""
+
+
+{-| Render a history icon given an optional callback. The click does not
+reach the row, so it does not also expand or collapse an object or array.
+-}
+viewMaybeHistoryIcon : Maybe (List String -> msg) -> List String -> Html msg
+viewMaybeHistoryIcon maybeCallback currentPath =
+    case maybeCallback of
+        Just callback ->
+            span
+                [ class "opacity-0 group-hover/filter:opacity-100 transition-opacity cursor-pointer text-base-content/30 hover:text-primary ml-0.5"
+                , stopPropagationOn "click" (D.succeed ( callback currentPath, True ))
+                , Html.Attributes.title "History of changes"
+                ]
+                [ Html.i [ class "fa-solid fa-clock-rotate-left text-[9px]" ] [] ]
+
+        Nothing ->
+            text ""
+
+
 {-| Render a quick-add filter icon if the unified config has a callback.
 -}
 viewQuickAddFilterIcon : UnifiedConfig msg -> List String -> D.Value -> Html msg
@@ -1056,6 +1110,8 @@ removed fields with removed styling.
   - `searchMatches`: Set of paths that match the search query (for highlighting)
   - `currentMatchPath`: The path of the current search match (for special highlighting)
   - `onQuickAddFilter`: Optional callback for quick-add filter icons (path, value as string)
+  - `onPin`: Optional callback for the chart icon shown next to numeric values (path)
+  - `onHistory`: Optional callback for the history icon shown on every node (path)
 
 -}
 type alias BeforeDiffConfig msg =
@@ -1065,6 +1121,9 @@ type alias BeforeDiffConfig msg =
     , searchMatches : Set String
     , currentMatchPath : Maybe String
     , onQuickAddFilter : Maybe (List String -> String -> msg)
+    , onPin : Maybe (List String -> msg)
+    , onHistory : Maybe (List String -> msg)
+    , typeRegistry : TypeRegistry
     }
 
 
@@ -1135,6 +1194,9 @@ viewDiffBeforeNode config expandedPaths currentPath jsonValue =
                 Just TypeChanged ->
                     " diff-changed"
 
+                Just Moved ->
+                    " diff-moved"
+
                 Just Added ->
                     -- Added items shouldn't appear in before state
                     ""
@@ -1196,8 +1258,8 @@ viewDiffBeforeObject config expandedPaths currentPath jsonValue highlightClass =
                 Just typeName ->
                     [ span [ class "text-primary" ] [ text label ]
                     , span [ class "text-base-content/40" ] [ text " : " ]
-                    , span [ class "text-info" ] [ text typeName ]
                     ]
+                        ++ viewTypeName config.typeRegistry typeName
 
                 Nothing ->
                     [ span [ class "text-primary" ] [ text label ] ]
@@ -1214,14 +1276,14 @@ viewDiffBeforeObject config expandedPaths currentPath jsonValue highlightClass =
                             )
                         ]
                   ]
-                , [ class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5" ++ highlightClass)
+                , [ class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5 group/filter" ++ highlightClass)
                   , onClick (config.onToggleExpand currentPath (not isExpanded))
                   ]
                 )
 
             else
                 ( [ span [ class "text-base-content/40 w-4" ] [ text "" ] ]
-                , [ class ("inline-flex items-center gap-1 rounded px-1 py-0.5" ++ highlightClass) ]
+                , [ class ("inline-flex items-center gap-1 rounded px-1 py-0.5 group/filter" ++ highlightClass) ]
                 )
 
         ( arrowPart, interactionAttrs ) =
@@ -1230,7 +1292,7 @@ viewDiffBeforeObject config expandedPaths currentPath jsonValue highlightClass =
     div [ class "tree-node pl-2" ]
         [ div
             ([ id elementId ] ++ interactionAttrs)
-            (arrowPart ++ labelParts)
+            (arrowPart ++ labelParts ++ [ viewMaybeHistoryIcon config.onHistory currentPath ])
         , if isExpanded && hasChildren then
             div [ class "ml-4 border-l border-base-300 pl-2" ]
                 (List.map
@@ -1283,7 +1345,7 @@ viewDiffBeforeArray config expandedPaths currentPath jsonValue highlightClass =
     div [ class "tree-node pl-2" ]
         [ div
             [ id elementId
-            , class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5" ++ highlightClass)
+            , class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5 group/filter" ++ highlightClass)
             , onClick (config.onToggleExpand currentPath (not isExpanded))
             ]
             [ span [ class "text-base-content/40 w-4" ]
@@ -1298,6 +1360,7 @@ viewDiffBeforeArray config expandedPaths currentPath jsonValue highlightClass =
             , span [ class "text-primary" ] [ text label ]
             , span [ class "text-base-content/40" ]
                 [ text (" [" ++ String.fromInt itemCount ++ "]") ]
+            , viewMaybeHistoryIcon config.onHistory currentPath
             ]
         , if isExpanded then
             div [ class "ml-4 border-l border-base-300 pl-2" ]
@@ -1339,6 +1402,9 @@ viewDiffBeforeKeyValue config expandedPaths currentPath key childValue =
                 Just TypeChanged ->
                     " diff-changed"
 
+                Just Moved ->
+                    " diff-moved"
+
                 Just Added ->
                     ""
 
@@ -1368,6 +1434,8 @@ viewDiffBeforeKeyValue config expandedPaths currentPath key childValue =
                     , span [ class "text-secondary" ] [ text (key ++ ":") ]
                     , viewPrimitiveValue childValue
                     , viewMaybeQuickAddFilterIcon config.onQuickAddFilter currentPath childValue
+                    , viewMaybePinIcon config.onPin currentPath childValue
+                    , viewMaybeHistoryIcon config.onHistory currentPath
                     ]
                 ]
 
@@ -1394,6 +1462,9 @@ viewDiffBeforeIndexValue config expandedPaths currentPath idx childValue =
                 Just TypeChanged ->
                     " diff-changed"
 
+                Just Moved ->
+                    " diff-moved"
+
                 Just Added ->
                     ""
 
@@ -1418,10 +1489,12 @@ viewDiffBeforeIndexValue config expandedPaths currentPath idx childValue =
 
         _ ->
             div [ class "tree-node pl-2" ]
-                [ div [ id elementId, class ("inline-flex items-center gap-1 py-0.5 px-1 rounded" ++ highlightClass) ]
+                [ div [ id elementId, class ("inline-flex items-center gap-1 py-0.5 px-1 rounded group/filter" ++ highlightClass) ]
                     [ span [ class "text-base-content/40 w-4" ] [ text "" ]
                     , span [ class "text-base-content/40" ] [ text (String.fromInt idx ++ ":") ]
                     , viewPrimitiveValue childValue
+                    , viewMaybePinIcon config.onPin currentPath childValue
+                    , viewMaybeHistoryIcon config.onHistory currentPath
                     ]
                 ]
 
@@ -1582,6 +1655,9 @@ viewDiffNode config expandedPaths visiblePaths currentPath jsonValue =
                 Just TypeChanged ->
                     " diff-changed"
 
+                Just Moved ->
+                    " diff-moved"
+
                 Nothing ->
                     ""
 
@@ -1677,8 +1753,8 @@ viewDiffObject config expandedPaths visiblePaths currentPath jsonValue highlight
                 Just typeName ->
                     [ span [ class "text-primary" ] [ text label ]
                     , span [ class "text-base-content/40" ] [ text " : " ]
-                    , span [ class "text-info" ] [ text typeName ]
                     ]
+                        ++ viewTypeName config.typeRegistry typeName
 
                 Nothing ->
                     [ span [ class "text-primary" ] [ text label ] ]
@@ -1695,14 +1771,14 @@ viewDiffObject config expandedPaths visiblePaths currentPath jsonValue highlight
                             )
                         ]
                   ]
-                , [ class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5" ++ highlightClass)
+                , [ class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5 group/filter" ++ highlightClass)
                   , onClick (config.onToggleExpand currentPath (not isExpanded))
                   ]
                 )
 
             else
                 ( [ span [ class "text-base-content/40 w-4" ] [ text "" ] ]
-                , [ class ("inline-flex items-center gap-1 rounded px-1 py-0.5" ++ highlightClass) ]
+                , [ class ("inline-flex items-center gap-1 rounded px-1 py-0.5 group/filter" ++ highlightClass) ]
                 )
 
         ( arrowPart, interactionAttrs ) =
@@ -1711,7 +1787,7 @@ viewDiffObject config expandedPaths visiblePaths currentPath jsonValue highlight
     div [ class "tree-node pl-2" ]
         [ div
             ([ id elementId ] ++ interactionAttrs)
-            (arrowPart ++ labelParts)
+            (arrowPart ++ labelParts ++ [ viewMaybeHistoryIcon config.onHistory currentPath ])
         , if isExpanded && hasChildren then
             div [ class "ml-4 border-l border-base-300 pl-2" ]
                 (List.map
@@ -1786,7 +1862,7 @@ viewDiffArray config expandedPaths visiblePaths currentPath jsonValue highlightC
     div [ class "tree-node pl-2" ]
         [ div
             [ id elementId
-            , class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5" ++ highlightClass)
+            , class ("inline-flex items-center gap-1 cursor-pointer hover:bg-base-200 rounded px-1 py-0.5 group/filter" ++ highlightClass)
             , onClick (config.onToggleExpand currentPath (not isExpanded))
             ]
             [ span [ class "text-base-content/40 w-4" ]
@@ -1801,6 +1877,7 @@ viewDiffArray config expandedPaths visiblePaths currentPath jsonValue highlightC
             , span [ class "text-primary" ] [ text label ]
             , span [ class "text-base-content/40" ]
                 [ text (" [" ++ String.fromInt itemCount ++ "]") ]
+            , viewMaybeHistoryIcon config.onHistory currentPath
             ]
         , if isExpanded then
             div [ class "ml-4 border-l border-base-300 pl-2" ]
@@ -1845,6 +1922,9 @@ viewDiffKeyValue config expandedPaths visiblePaths currentPath key childValue =
                 Just TypeChanged ->
                     " diff-changed"
 
+                Just Moved ->
+                    " diff-moved"
+
                 Nothing ->
                     ""
 
@@ -1871,6 +1951,8 @@ viewDiffKeyValue config expandedPaths visiblePaths currentPath key childValue =
                     , span [ class "text-secondary" ] [ text (key ++ ":") ]
                     , viewPrimitiveValue childValue
                     , viewMaybeQuickAddFilterIcon config.onQuickAddFilter currentPath childValue
+                    , viewMaybePinIcon config.onPin currentPath childValue
+                    , viewMaybeHistoryIcon config.onHistory currentPath
                     ]
                 ]
 
@@ -1900,6 +1982,9 @@ viewDiffIndexValue config expandedPaths visiblePaths currentPath idx childValue
                 Just TypeChanged ->
                     " diff-changed"
 
+                Just Moved ->
+                    " diff-moved"
+
                 Nothing ->
                     ""
 
@@ -1921,10 +2006,12 @@ viewDiffIndexValue config expandedPaths visiblePaths currentPath idx childValue
 
         _ ->
             div [ class "tree-node pl-2" ]
-                [ div [ id elementId, class ("inline-flex items-center gap-1 py-0.5 px-1 rounded" ++ highlightClass) ]
+                [ div [ id elementId, class ("inline-flex items-center gap-1 py-0.5 px-1 rounded group/filter" ++ highlightClass) ]
                     [ span [ class "text-base-content/40 w-4" ] [ text "" ]
                     , span [ class "text-base-content/40" ] [ text (String.fromInt idx ++ ":") ]
                     , viewPrimitiveValue childValue
+                    , viewMaybePinIcon config.onPin currentPath childValue
+                    , viewMaybeHistoryIcon config.onHistory currentPath
                     ]
                 ]
 
@@ -2113,6 +2200,35 @@ getObjectKeys value =
             []
 
 
+{-| Render the `_type` of an object. When the type registry declares it, the
+type it belongs to and its field names follow, with the field types in a
+tooltip.
+-}
+viewTypeName : TypeRegistry -> String -> List (Html msg)
+viewTypeName registry typeName =
+    case TypeRegistry.variant typeName registry of
+        Just declared ->
+            let
+                fieldNames =
+                    if List.isEmpty declared.fields then
+                        ""
+
+                    else
+                        " { " ++ String.join ", " (List.map .name declared.fields) ++ " }"
+
+                tooltip =
+                    (typeName ++ " is a variant of " ++ declared.declaredType)
+                        :: List.map (\field -> field.name ++ " : " ++ field.typeName) declared.fields
+                        |> String.join "\n"
+            in
+            [ span [ class "text-info", title tooltip ] [ text typeName ]
+            , span [ class "text-base-content/40 text-xs ml-1" ] [ text (declared.declaredType ++ fieldNames) ]
+            ]
+
+        Nothing ->
+            [ span [ class "text-info" ] [ text typeName ] ]
+
+
 {-| Get the _type field value from an object, if present.
 -}
 getTypeAnnotation : D.Value -> Maybe String
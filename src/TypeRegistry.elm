@@ -0,0 +1,443 @@
+module TypeRegistry exposing
+    ( TypeRegistry
+    , Category(..)
+    , Variant
+    , Field
+    , empty
+    , decoder
+    , isEmpty
+    , variant
+    , names
+    , validate
+    )
+
+{-| The types an application declares in the `typeRegistry` of a v1 log
+header: its messages, effects, subscriptions and data objects.
+
+Every serialized value names its variant in `_type`, such as
+`SwervePod.FrontLeft`. The registry gives the type it belongs to and the
+fields it declares, which lets the debugger label tree nodes, suggest names
+in filters and flag entries that don't match what the application declared.
+
+@docs TypeRegistry, Category, Variant, Field
+@docs empty, decoder, isEmpty, variant, names, validate
+
+-}
+
+import Dict exposing (Dict)
+import Json.Decode as D
+import Types exposing (LogEntry(..))
+
+
+{-| The declared types, indexed by the qualified name of each variant.
+-}
+type TypeRegistry
+    = TypeRegistry
+        { variants : Dict String Variant
+        , types : Dict String (List String)
+        }
+
+
+{-| The section of the registry a type is declared in.
+-}
+type Category
+    = Messages
+    | Effects
+    | Subscriptions
+    | DataObjects
+
+
+{-| One variant of a declared type.
+
+  - `declaredType`: Name of the type the variant belongs to, like `SwervePod`
+  - `qualifiedName`: The `_type` that values of this variant are logged with
+
+-}
+type alias Variant =
+    { name : String
+    , qualifiedName : String
+    , declaredType : String
+    , category : Category
+    , fields : List Field
+    }
+
+
+{-| A field of a variant and the name of its declared type.
+-}
+type alias Field =
+    { name : String
+    , typeName : String
+    }
+
+
+{-| A registry with no types, for logs without one.
+-}
+empty : TypeRegistry
+empty =
+    TypeRegistry { variants = Dict.empty, types = Dict.empty }
+
+
+{-| Whether the registry declares no types.
+-}
+isEmpty : TypeRegistry -> Bool
+isEmpty (TypeRegistry registry) =
+    Dict.isEmpty registry.variants
+
+
+{-| Decode the `typeRegistry` object of a header. Every section is optional.
+
+A type either lists its `variants`, or declares `fields` directly, in which
+case it is its own single variant.
+
+-}
+decoder : D.Decoder TypeRegistry
+decoder =
+    D.keyValuePairs D.value
+        |> D.andThen (\_ -> sectionsDecoder)
+
+
+sectionsDecoder : D.Decoder TypeRegistry
+sectionsDecoder =
+    D.map4
+        (\messages effects subscriptions dataObjects ->
+            let
+                declared =
+                    messages ++ effects ++ subscriptions ++ dataObjects
+            in
+            TypeRegistry
+                { variants =
+                    declared
+                        |> List.concatMap Tuple.second
+                        |> List.map (\v -> ( v.qualifiedName, v ))
+                        |> Dict.fromList
+                , types =
+                    declared
+                        |> List.map (Tuple.mapSecond (List.map .qualifiedName))
+                        |> Dict.fromList
+                }
+        )
+        (sectionDecoder "messages" Messages)
+        (sectionDecoder "effects" Effects)
+        (sectionDecoder "subscriptions" Subscriptions)
+        (sectionDecoder "dataObjects" DataObjects)
+
+
+sectionDecoder : String -> Category -> D.Decoder (List ( String, List Variant ))
+sectionDecoder section category =
+    D.oneOf
+        [ D.field section
+            (D.keyValuePairs D.value
+                |> D.map
+                    (List.filterMap
+                        (\( typeName, typeValue ) ->
+                            D.decodeValue (typeDecoder category typeName) typeValue
+                                |> Result.toMaybe
+                                |> Maybe.map (Tuple.pair typeName)
+                        )
+                    )
+            )
+        , D.succeed []
+        ]
+
+
+typeDecoder : Category -> String -> D.Decoder (List Variant)
+typeDecoder category typeName =
+    D.oneOf
+        [ D.field "variants" (D.list (variantDecoder category typeName))
+        , D.field "fields" (D.list fieldDecoder)
+            |> D.map
+                (\fields ->
+                    [ { name = typeName
+                      , qualifiedName = typeName
+                      , declaredType = typeName
+                      , category = category
+                      , fields = fields
+                      }
+                    ]
+                )
+        , D.succeed []
+        ]
+
+
+variantDecoder : Category -> String -> D.Decoder Variant
+variantDecoder category typeName =
+    D.map3
+        (\name qualifiedName fields ->
+            { name = name
+            , qualifiedName = Maybe.withDefault (typeName ++ "." ++ name) qualifiedName
+            , declaredType = typeName
+            , category = category
+            , fields = fields
+            }
+        )
+        (D.field "name" D.string)
+        (D.maybe (D.field "qualifiedName" D.string))
+        (D.oneOf [ D.field "fields" (D.list fieldDecoder), D.succeed [] ])
+
+
+fieldDecoder : D.Decoder Field
+fieldDecoder =
+    D.map2 Field
+        (D.field "name" D.string)
+        (D.oneOf [ D.field "type" D.string, D.succeed "" ])
+
+
+
+-- LOOKUP
+
+
+{-| Find the variant logged with a `_type`.
+-}
+variant : String -> TypeRegistry -> Maybe Variant
+variant qualifiedName (TypeRegistry registry) =
+    Dict.get qualifiedName registry.variants
+
+
+{-| The qualified names of the variants declared in one section, sorted.
+-}
+names : Category -> TypeRegistry -> List String
+names category (TypeRegistry registry) =
+    registry.variants
+        |> Dict.values
+        |> List.filter (\v -> v.category == category)
+        |> List.map .qualifiedName
+
+
+hasCategory : Category -> TypeRegistry -> Bool
+hasCategory category registry =
+    not (List.isEmpty (names category registry))
+
+
+
+-- VALIDATION
+
+
+{-| Describe every way an entry differs from the registry.
+
+The message of an update, and each effect and subscription, must be a
+declared variant of its section with the fields that variant declares.
+Sections the registry leaves empty aren't checked. Nested values are checked
+when their `_type` is declared: a field declared as a registered type must
+hold one of its variants, and a field declared as a number, boolean or string
+must hold one.
+
+-}
+validate : TypeRegistry -> LogEntry -> List String
+validate registry entry =
+    let
+        checkSection category location items =
+            if hasCategory category registry then
+                items
+                    |> List.indexedMap (\index ( typeName, value ) -> checkTopLevel registry category (location index) typeName value)
+                    |> List.concat
+
+            else
+                []
+
+        logged value =
+            ( typeOf value, Just value )
+
+        -- Effects logged as a bare name are only checked by name
+        loggedEffect effect =
+            case typeOf effect.data of
+                Just typeName ->
+                    ( Just typeName, Just effect.data )
+
+                Nothing ->
+                    ( Just effect.name, Nothing )
+
+        effectLocation index =
+            "effect " ++ String.fromInt (index + 1)
+    in
+    case entry of
+        UpdateEntry data ->
+            checkSection Messages (always "message") [ logged data.message.payload ]
+                ++ checkSection Effects effectLocation (List.map loggedEffect data.effects)
+
+        InitEntry data ->
+            checkSection Effects effectLocation (List.map loggedEffect data.effects)
+
+        SubscriptionChangeEntry data ->
+            checkSection Subscriptions (\index -> "started subscription " ++ String.fromInt (index + 1)) (List.map logged data.started)
+                ++ checkSection Subscriptions (\index -> "stopped subscription " ++ String.fromInt (index + 1)) (List.map logged data.stopped)
+
+        ErrorEntry _ ->
+            []
+
+
+checkTopLevel : TypeRegistry -> Category -> String -> Maybe String -> Maybe D.Value -> List String
+checkTopLevel registry category location maybeTypeName maybeValue =
+    case maybeTypeName of
+        Just typeName ->
+            case variant typeName registry of
+                Just found ->
+                    if found.category == category then
+                        maybeValue
+                            |> Maybe.map (checkFields registry location found)
+                            |> Maybe.withDefault []
+
+                    else
+                        [ location ++ ": " ++ typeName ++ " is declared as " ++ categoryLabel found.category ++ ", not " ++ categoryLabel category ]
+
+                Nothing ->
+                    [ location ++ ": " ++ typeName ++ " is not declared as " ++ categoryLabel category ]
+
+        Nothing ->
+            [ location ++ ": no _type" ]
+
+
+checkFields : TypeRegistry -> String -> Variant -> D.Value -> List String
+checkFields registry location declared value =
+    let
+        keys =
+            D.decodeValue (D.keyValuePairs D.value) value
+                |> Result.withDefault []
+
+        declaredNames =
+            List.map .name declared.fields
+
+        -- A wrapper message logs its single field as `_unwrapped`
+        fieldValue fieldName =
+            case ( lookup fieldName keys, declared.fields ) of
+                ( Just found, _ ) ->
+                    Just found
+
+                ( Nothing, [ _ ] ) ->
+                    lookup "_unwrapped" keys
+
+                ( Nothing, _ ) ->
+                    Nothing
+
+        fieldProblems fieldDef =
+            let
+                fieldLocation =
+                    location ++ "." ++ fieldDef.name
+            in
+            case fieldValue fieldDef.name of
+                Just found ->
+                    checkValue registry fieldLocation fieldDef.typeName found
+
+                Nothing ->
+                    [ location ++ ": missing field " ++ fieldDef.name ++ " of " ++ declared.qualifiedName ]
+
+        unexpected =
+            keys
+                |> List.map Tuple.first
+                |> List.filter (\key -> not (String.startsWith "_" key) && not (List.member key declaredNames))
+                |> List.map (\key -> location ++ ": unexpected field " ++ key ++ " in " ++ declared.qualifiedName)
+    in
+    List.concatMap fieldProblems declared.fields ++ unexpected
+
+
+checkValue : TypeRegistry -> String -> String -> D.Value -> List String
+checkValue ((TypeRegistry internals) as registry) location typeName value =
+    let
+        nullable =
+            String.endsWith "?" typeName
+
+        baseType =
+            if nullable then
+                String.dropRight 1 typeName
+
+            else
+                typeName
+
+        isNull =
+            isOk (D.null ()) value
+
+        nested =
+            case typeOf value of
+                Just valueType ->
+                    case variant valueType registry of
+                        Just found ->
+                            checkFields registry location found value
+
+                        Nothing ->
+                            []
+
+                Nothing ->
+                    []
+    in
+    if nullable && isNull then
+        []
+
+    else
+        case primitiveDecoder baseType of
+            Just ( expected, primitiveCheck ) ->
+                if isOk primitiveCheck value then
+                    []
+
+                else
+                    [ location ++ ": expected " ++ expected ]
+
+            Nothing ->
+                case ( Dict.get baseType internals.types, typeOf value ) of
+                    ( Just variantNames, Just valueType ) ->
+                        if List.member valueType variantNames then
+                            nested
+
+                        else
+                            [ location ++ ": expected a " ++ baseType ++ " but found " ++ valueType ]
+
+                    _ ->
+                        nested
+
+
+{-| The `_type` of a serialized value, if it has one.
+-}
+typeOf : D.Value -> Maybe String
+typeOf value =
+    D.decodeValue (D.field "_type" D.string) value
+        |> Result.toMaybe
+
+
+lookup : String -> List ( String, D.Value ) -> Maybe D.Value
+lookup key pairs =
+    pairs
+        |> List.filter (\( k, _ ) -> k == key)
+        |> List.head
+        |> Maybe.map Tuple.second
+
+
+isOk : D.Decoder a -> D.Value -> Bool
+isOk valueDecoder value =
+    case D.decodeValue valueDecoder value of
+        Ok _ ->
+            True
+
+        Err _ ->
+            False
+
+
+{-| What a value of a built-in type must look like, for the primitive type
+names the registry uses.
+-}
+primitiveDecoder : String -> Maybe ( String, D.Decoder () )
+primitiveDecoder typeName =
+    if List.member typeName [ "Double", "Float", "Int", "Long", "Short", "Byte", "Number" ] then
+        Just ( "a number", D.map (always ()) D.float )
+
+    else if List.member typeName [ "Boolean", "Bool" ] then
+        Just ( "a boolean", D.map (always ()) D.bool )
+
+    else if typeName == "String" then
+        Just ( "a string", D.map (always ()) D.string )
+
+    else
+        Nothing
+
+
+categoryLabel : Category -> String
+categoryLabel category =
+    case category of
+        Messages ->
+            "a message"
+
+        Effects ->
+            "an effect"
+
+        Subscriptions ->
+            "a subscription"
+
+        DataObjects ->
+            "a data object"
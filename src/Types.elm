@@ -103,17 +103,25 @@ type alias Effect =
 
 
 {-| Represents an active input source for log entries.
+
+A `FileSource` with `follow` set keeps streaming lines appended to the file.
+A `LogServerSource` streams the entries of the selected `client` of the
+built-in log server, once it is `listening`.
+
 -}
 type InputSource
-    = FileSource { path : String, label : String }
+    = FileSource { path : String, label : String, follow : Bool }
     | WebSocketSource { url : String, status : WebSocketStatus }
+    | LogServerSource { listenPort : Int, listening : Bool, client : Maybe String }
 
 
-{-| Status of a WebSocket connection.
+{-| Status of a WebSocket connection. `Reconnecting n` is waiting for, or
+making, the nth attempt to reconnect after the connection was lost.
 -}
 type WebSocketStatus
     = Connecting
     | Connected
+    | Reconnecting Int
     | Disconnected
     | ConnectionError String
 
@@ -0,0 +1,106 @@
+module AnnotationTest exposing (suite)
+
+{-| Unit tests for the Annotation module.
+
+Tests cover:
+
+  - Bookmarking and unbookmarking entries
+  - Setting a color or note bookmarks an entry
+  - Stepping to the next and previous bookmark, wrapping around
+  - Round-tripping the sidecar file and rejecting other files
+
+-}
+
+import Annotation exposing (Color(..))
+import Dict
+import Expect
+import Json.Decode as D
+import Json.Encode as E
+import Test exposing (..)
+
+
+suite : Test
+suite =
+    describe "Annotation"
+        [ editTests
+        , navigationTests
+        , sidecarTests
+        ]
+
+
+sample : Annotation.Annotations
+sample =
+    Annotation.empty
+        |> Annotation.setNote 42 "brownout starts here"
+        |> Annotation.setColor 42 (Just Red)
+        |> Annotation.toggle 7
+        |> Annotation.setColor 120 (Just Blue)
+
+
+editTests : Test
+editTests =
+    describe "editing"
+        [ test "toggle bookmarks an entry and then removes it" <|
+            \_ ->
+                ( Annotation.toggle 3 Annotation.empty |> Dict.get 3
+                , Annotation.toggle 3 Annotation.empty |> Annotation.toggle 3 |> Dict.member 3
+                )
+                    |> Expect.equal ( Just { color = Nothing, note = "" }, False )
+        , test "setting a note and color keeps both" <|
+            \_ ->
+                Dict.get 42 sample
+                    |> Expect.equal (Just { color = Just Red, note = "brownout starts here" })
+        , test "removing a bookmark drops its note" <|
+            \_ ->
+                Annotation.toggle 42 sample
+                    |> Dict.keys
+                    |> Expect.equal [ 7, 120 ]
+        ]
+
+
+navigationTests : Test
+navigationTests =
+    describe "next and previous"
+        [ test "next finds the first bookmark after the entry" <|
+            \_ ->
+                [ Annotation.next 7 sample, Annotation.next 50 sample, Annotation.next (-1) sample ]
+                    |> Expect.equal [ Just 42, Just 120, Just 7 ]
+        , test "next wraps around to the first bookmark" <|
+            \_ ->
+                Annotation.next 120 sample
+                    |> Expect.equal (Just 7)
+        , test "previous finds the last bookmark before the entry, wrapping around" <|
+            \_ ->
+                [ Annotation.previous 120 sample, Annotation.previous 42 sample, Annotation.previous 7 sample ]
+                    |> Expect.equal [ Just 42, Just 7, Just 120 ]
+        , test "there is nothing to step to without bookmarks" <|
+            \_ ->
+                Annotation.next 0 Annotation.empty
+                    |> Expect.equal Nothing
+        ]
+
+
+sidecarTests : Test
+sidecarTests =
+    describe "sidecar file"
+        [ test "round-trips annotations" <|
+            \_ ->
+                Annotation.encode sample
+                    |> D.decodeValue Annotation.decoder
+                    |> Expect.equal (Ok sample)
+        , test "leaves out empty colors and notes" <|
+            \_ ->
+                Annotation.encode (Annotation.toggle 7 Annotation.empty)
+                    |> E.encode 0
+                    |> Expect.equal "{\"type\":\"tfannotations\",\"version\":1,\"annotations\":[{\"entry\":7}]}"
+        , test "drops an unknown color" <|
+            \_ ->
+                D.decodeString Annotation.decoder
+                    "{\"type\":\"tfannotations\",\"version\":1,\"annotations\":[{\"entry\":3,\"color\":\"teal\",\"note\":\"x\"}]}"
+                    |> Expect.equal (Ok (Dict.fromList [ ( 3, { color = Nothing, note = "x" } ) ]))
+        , test "rejects other files" <|
+            \_ ->
+                D.decodeString Annotation.decoder "{\"type\":\"tfsession\",\"version\":1}"
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        ]
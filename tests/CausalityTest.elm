@@ -0,0 +1,168 @@
+module CausalityTest exposing (suite)
+
+{-| Unit tests for the Causality module.
+
+Tests cover:
+
+  - Linking a message to the effect whose callback produced it
+  - Each effect producing only one message, oldest first
+  - Linking messages to active subscriptions until they stop
+  - Matching wrapped messages by their `_unwrapped` type
+  - Building chains for the graph, limited to a set of entries
+
+-}
+
+import Array
+import Causality exposing (Origin(..))
+import Expect
+import Fixtures exposing (effect, initEntry, subscriptionChangeEntry, updateEntry, withEffects, withPayload)
+import Json.Encode as E
+import Test exposing (..)
+import Types exposing (LogEntry)
+
+
+suite : Test
+suite =
+    describe "Causality"
+        [ linkTests
+        , subscriptionTests
+        , graphTests
+        ]
+
+
+callback : String -> String -> E.Value
+callback callbackId messageType =
+    E.object
+        [ ( "_callbackId", E.string callbackId )
+        , ( "_producesMessageType", E.string messageType )
+        ]
+
+
+subscription : String -> String -> E.Value
+subscription subscriptionId messageType =
+    E.object
+        [ ( "_subscriptionId", E.string subscriptionId )
+        , ( "_type", E.string "Subscription.Every" )
+        , ( "callback", E.object [ ( "_producesMessageType", E.string messageType ) ] )
+        ]
+
+
+build : List LogEntry -> Causality.Causality
+build entries =
+    Causality.fromEntries (Array.fromList entries)
+
+
+linkTests : Test
+linkTests =
+    describe "effect callbacks"
+        [ test "links a message to the effect that produced it" <|
+            \_ ->
+                build
+                    [ initEntry 0 []
+                        |> withEffects [ effect "Effect.Log" [], effect "Effect.InitCanDevice" [ ( "callback", callback "cb_001" "InitKraken" ) ] ]
+                    , updateEntry 5 "InitKraken"
+                    ]
+                    |> Causality.causeOf 1
+                    |> Expect.equal (Just { entryIndex = 0, origin = FromEffect 1, name = "Effect.InitCanDevice" })
+        , test "finds callbacks nested inside effect data" <|
+            \_ ->
+                build
+                    [ updateEntry 0 "Load" |> withEffects [ effect "Http.Get" [ ( "expect", E.object [ ( "onResult", callback "cb_002" "Loaded" ) ] ) ] ]
+                    , updateEntry 5 "Loaded"
+                    ]
+                    |> Causality.messageFromEffect 0 0
+                    |> Expect.equal (Just 1)
+        , test "each effect produces one message, oldest effect first" <|
+            \_ ->
+                let
+                    causality =
+                        build
+                            [ updateEntry 0 "Fetch" |> withEffects [ effect "Http.Get" [ ( "callback", callback "a" "Fetched" ) ] ]
+                            , updateEntry 1 "Fetch" |> withEffects [ effect "Http.Get" [ ( "callback", callback "b" "Fetched" ) ] ]
+                            , updateEntry 2 "Fetched"
+                            , updateEntry 3 "Fetched"
+                            , updateEntry 4 "Fetched"
+                            ]
+                in
+                [ 2, 3, 4 ]
+                    |> List.map (\index -> Causality.causeOf index causality |> Maybe.map .entryIndex)
+                    |> Expect.equal [ Just 0, Just 1, Nothing ]
+        , test "matches the unwrapped type of a wrapped message" <|
+            \_ ->
+                build
+                    [ updateEntry 0 "Start" |> withEffects [ effect "Effect.Read" [ ( "callback", callback "c" "Swerve.Position" ) ] ]
+                    , updateEntry 1 "Message.Swerve"
+                        |> withPayload (E.object [ ( "_unwrapped", E.object [ ( "_type", E.string "Swerve.Position" ) ] ) ])
+                    ]
+                    |> Causality.causeOf 1
+                    |> Maybe.map .entryIndex
+                    |> Expect.equal (Just 0)
+        , test "an effect does not produce the message of its own entry" <|
+            \_ ->
+                build [ updateEntry 0 "Tick" |> withEffects [ effect "Effect.Delay" [ ( "callback", callback "d" "Tick" ) ] ] ]
+                    |> Causality.causeOf 0
+                    |> Expect.equal Nothing
+        ]
+
+
+subscriptionTests : Test
+subscriptionTests =
+    describe "subscriptions"
+        [ test "links every message from a subscription while it is active" <|
+            \_ ->
+                let
+                    causality =
+                        build
+                            [ subscriptionChangeEntry 0 [ subscription "sub_1" "Tick" ] []
+                            , updateEntry 10 "Tick"
+                            , updateEntry 20 "Tick"
+                            , subscriptionChangeEntry 25 [] [ subscription "sub_1" "Tick" ]
+                            , updateEntry 30 "Tick"
+                            ]
+                in
+                [ 1, 2, 4 ]
+                    |> List.map (\index -> Causality.causeOf index causality |> Maybe.map .origin)
+                    |> Expect.equal [ Just FromSubscription, Just FromSubscription, Nothing ]
+        , test "prefers a waiting effect over a subscription" <|
+            \_ ->
+                build
+                    [ subscriptionChangeEntry 0 [ subscription "sub_1" "Tick" ] []
+                    , updateEntry 5 "Start" |> withEffects [ effect "Effect.Delay" [ ( "callback", callback "e" "Tick" ) ] ]
+                    , updateEntry 10 "Tick"
+                    ]
+                    |> Causality.causeOf 2
+                    |> Expect.equal (Just { entryIndex = 1, origin = FromEffect 0, name = "Effect.Delay" })
+        ]
+
+
+graphTests : Test
+graphTests =
+    describe "graph"
+        [ test "lists chains depth first, each entry after its cause" <|
+            \_ ->
+                build
+                    [ updateEntry 0 "Start" |> withEffects [ effect "A" [ ( "callback", callback "1" "GotA" ) ], effect "B" [ ( "callback", callback "2" "GotB" ) ] ]
+                    , updateEntry 1 "Unrelated"
+                    , updateEntry 2 "GotA" |> withEffects [ effect "C" [ ( "callback", callback "3" "GotC" ) ] ]
+                    , updateEntry 3 "GotB"
+                    , updateEntry 4 "GotC"
+                    ]
+                    |> Causality.graph (always True)
+                    |> List.map (\node -> ( node.entryIndex, node.depth, node.parent ))
+                    |> Expect.equal
+                        [ ( 0, 0, Nothing )
+                        , ( 2, 1, Just 0 )
+                        , ( 4, 2, Just 2 )
+                        , ( 3, 1, Just 0 )
+                        ]
+        , test "starts chains inside the included entries" <|
+            \_ ->
+                build
+                    [ updateEntry 0 "Start" |> withEffects [ effect "A" [ ( "callback", callback "1" "GotA" ) ] ]
+                    , updateEntry 1 "GotA" |> withEffects [ effect "B" [ ( "callback", callback "2" "GotB" ) ] ]
+                    , updateEntry 2 "GotB"
+                    ]
+                    |> Causality.graph (\index -> index > 0)
+                    |> List.map (\node -> ( node.entryIndex, node.parent ))
+                    |> Expect.equal [ ( 1, Nothing ), ( 2, Just 1 ) ]
+        ]
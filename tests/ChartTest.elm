@@ -0,0 +1,92 @@
+module ChartTest exposing (suite)
+
+{-| Unit tests for the Chart module.
+
+Tests cover:
+
+  - Collecting a numeric field across entries, with entry indices and timestamps
+  - Skipping entries where the field is missing or not a number
+  - Reading array elements by index
+  - Round axis tick values
+
+-}
+
+import Array
+import Chart
+import Expect
+import Fixtures exposing (errorEntry, initEntry, subscriptionChangeEntry, updateEntry, withModels)
+import Json.Encode as E
+import Test exposing (..)
+
+
+suite : Test
+suite =
+    describe "Chart"
+        [ seriesTests
+        , ticksTests
+        ]
+
+
+seriesTests : Test
+seriesTests =
+    describe "series"
+        [ test "collects the field from the model after each entry" <|
+            \_ ->
+                Chart.series
+                    (Array.fromList
+                        [ initEntry 100 [ ( "joystick", E.object [ ( "x", E.float 0.5 ) ] ) ]
+                        , updateEntry 120 "Tick" |> withModels [] [ ( "joystick", E.object [ ( "x", E.int -1 ) ] ) ]
+                        ]
+                    )
+                    [ "joystick", "x" ]
+                    |> .points
+                    |> Expect.equal
+                        [ { entryIndex = 0, time = 100, value = 0.5 }
+                        , { entryIndex = 1, time = 120, value = -1 }
+                        ]
+        , test "skips entries without a number at the path" <|
+            \_ ->
+                Chart.series
+                    (Array.fromList
+                        [ initEntry 0 [ ( "heading", E.string "north" ) ]
+                        , subscriptionChangeEntry 5 [] []
+                        , updateEntry 10 "Tick"
+                        , errorEntry 4
+                        , updateEntry 20 "Tick" |> withModels [] [ ( "heading", E.int 90 ) ]
+                        ]
+                    )
+                    [ "heading" ]
+                    |> .points
+                    |> List.map .entryIndex
+                    |> Expect.equal [ 4 ]
+        , test "reads array elements by index" <|
+            \_ ->
+                Chart.series
+                    (Array.fromList [ initEntry 0 [ ( "elevators", E.list E.int [ 3, 7 ] ) ] ])
+                    [ "elevators", "1" ]
+                    |> .points
+                    |> List.map .value
+                    |> Expect.equal [ 7 ]
+        ]
+
+
+ticksTests : Test
+ticksTests =
+    describe "ticks"
+        [ test "uses round steps across the range" <|
+            \_ ->
+                Chart.ticks 5 0 10
+                    |> Expect.equal [ 0, 2, 4, 6, 8, 10 ]
+        , test "starts at the first round value inside the range" <|
+            \_ ->
+                Chart.ticks 5 0.3 9.7
+                    |> Expect.equal [ 2, 4, 6, 8 ]
+        , test "scales to the magnitude of the range" <|
+            \_ ->
+                Chart.ticks 4 0 2000
+                    |> Expect.equal [ 0, 500, 1000, 1500, 2000 ]
+        , test "returns the single value of an empty range" <|
+            \_ ->
+                Chart.ticks 5 3 3
+                    |> Expect.equal [ 3 ]
+        ]
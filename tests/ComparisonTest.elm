@@ -0,0 +1,197 @@
+module ComparisonTest exposing (suite)
+
+{-| Unit tests for the Comparison module.
+
+Tests cover:
+
+  - Alignment by sequence number, message name and timestamp
+  - Entries that only appear in one run
+  - Model, message and effect differences within a row
+  - Finding the first row where the runs diverge
+  - Listing the fields that differ between any two models
+
+-}
+
+import Array
+import Comparison exposing (Alignment(..), RowStatus(..))
+import Diff
+import Expect
+import Fixtures exposing (effect, updateEntry, withEffects, withModels)
+import Json.Encode as E
+import Test exposing (..)
+import Types exposing (LogEntry, getMessageName)
+
+
+suite : Test
+suite =
+    describe "Comparison"
+        [ alignTests
+        , compareRowTests
+        , firstDivergenceTests
+        , fieldDifferencesTests
+        ]
+
+
+{-| Show each row as "left|right" message names, with "-" for a missing side.
+-}
+rowNames : List Comparison.Row -> List String
+rowNames rows =
+    let
+        side =
+            Maybe.map (Tuple.second >> getMessageName) >> Maybe.withDefault "-"
+    in
+    List.map (\row -> side row.left ++ "|" ++ side row.right) rows
+
+
+alignNames : Alignment -> List LogEntry -> List LogEntry -> List String
+alignNames alignment left right =
+    Comparison.align alignment (Array.fromList left) (Array.fromList right)
+        |> rowNames
+
+
+alignTests : Test
+alignTests =
+    describe "align"
+        [ test "by sequence pairs entries by position and pads the shorter log" <|
+            \_ ->
+                alignNames BySequence
+                    [ updateEntry 0 "A", updateEntry 1 "B", updateEntry 2 "C" ]
+                    [ updateEntry 0 "A", updateEntry 1 "C" ]
+                    |> Expect.equal [ "A|A", "B|C", "C|-" ]
+        , test "by message name keeps matching messages together around an extra one" <|
+            \_ ->
+                alignNames ByMessageName
+                    [ updateEntry 0 "A", updateEntry 1 "B", updateEntry 2 "C", updateEntry 3 "D" ]
+                    [ updateEntry 0 "A", updateEntry 1 "C", updateEntry 2 "X", updateEntry 3 "D" ]
+                    |> Expect.equal [ "A|A", "B|-", "C|C", "-|X", "D|D" ]
+        , test "by message name keeps the index of each entry in its own log" <|
+            \_ ->
+                Comparison.align ByMessageName
+                    (Array.fromList [ updateEntry 0 "A", updateEntry 1 "B" ])
+                    (Array.fromList [ updateEntry 0 "B" ])
+                    |> List.map (\row -> ( Maybe.map Tuple.first row.left, Maybe.map Tuple.first row.right ))
+                    |> Expect.equal [ ( Just 0, Nothing ), ( Just 1, Just 0 ) ]
+        , test "by timestamp pairs entries at the same time since the start of each log" <|
+            \_ ->
+                alignNames ByTimestamp
+                    [ updateEntry 1000 "A", updateEntry 1100 "B", updateEntry 1500 "C" ]
+                    [ updateEntry 5000 "A", updateEntry 5120 "B", updateEntry 5300 "X", updateEntry 5510 "C" ]
+                    |> Expect.equal [ "A|A", "B|B", "-|X", "C|C" ]
+        , test "by timestamp keeps entries from either side in time order" <|
+            \_ ->
+                alignNames ByTimestamp
+                    [ updateEntry 0 "A", updateEntry 400 "L" ]
+                    [ updateEntry 0 "A", updateEntry 200 "R" ]
+                    |> Expect.equal [ "A|A", "-|R", "L|-" ]
+        ]
+
+
+compareRowTests : Test
+compareRowTests =
+    describe "compareRow"
+        [ test "rows with matching messages, models and effects are the same" <|
+            \_ ->
+                Comparison.compareRow
+                    { left = Just ( 0, updateEntry 0 "A" |> withModels [] [ ( "count", E.int 1 ) ] |> withEffects [ effect "Log" [] ] )
+                    , right = Just ( 0, updateEntry 9 "A" |> withModels [] [ ( "count", E.int 1 ) ] |> withEffects [ effect "Log" [] ] )
+                    }
+                    |> .status
+                    |> Expect.equal Same
+        , test "lists the differing model fields with both values" <|
+            \_ ->
+                Comparison.compareRow
+                    { left = Just ( 0, updateEntry 0 "A" |> withModels [] [ ( "user", E.object [ ( "name", E.string "Ann" ), ( "age", E.int 3 ) ] ) ] )
+                    , right = Just ( 0, updateEntry 0 "A" |> withModels [] [ ( "user", E.object [ ( "name", E.string "Bob" ), ( "age", E.int 3 ) ] ) ] )
+                    }
+                    |> .fields
+                    |> List.map (\field -> ( field.path, field.left, field.right ))
+                    |> Expect.equal [ ( "user.name", Just "\"Ann\"", Just "\"Bob\"" ) ]
+        , test "reports a field added on one side once" <|
+            \_ ->
+                Comparison.compareRow
+                    { left = Just ( 0, updateEntry 0 "A" )
+                    , right = Just ( 0, updateEntry 0 "A" |> withModels [] [ ( "extra", E.object [ ( "a", E.int 1 ), ( "b", E.int 2 ) ] ) ] )
+                    }
+                    |> .fields
+                    |> List.map (\field -> ( field.path, field.change == Diff.Added, field.left ))
+                    |> Expect.equal [ ( "extra", True, Nothing ) ]
+        , test "lists effects produced by only one run" <|
+            \_ ->
+                let
+                    comparison =
+                        Comparison.compareRow
+                            { left = Just ( 0, updateEntry 0 "A" |> withEffects (List.map (\name -> effect name []) [ "Http", "Log", "Log" ]) )
+                            , right = Just ( 0, updateEntry 0 "A" |> withEffects (List.map (\name -> effect name []) [ "Log", "Save" ]) )
+                            }
+                in
+                Expect.equal ( comparison.status, comparison.leftOnlyEffects, comparison.rightOnlyEffects )
+                    ( Different, [ "Http", "Log" ], [ "Save" ] )
+        , test "different messages at the same row differ" <|
+            \_ ->
+                Comparison.compareRow { left = Just ( 0, updateEntry 0 "A" ), right = Just ( 0, updateEntry 0 "B" ) }
+                    |> (\comparison -> ( comparison.status, comparison.messageDiffers ))
+                    |> Expect.equal ( Different, True )
+        , test "rows with one side are only in that run" <|
+            \_ ->
+                [ Comparison.compareRow { left = Just ( 0, updateEntry 0 "A" ), right = Nothing }
+                , Comparison.compareRow { left = Nothing, right = Just ( 0, updateEntry 0 "A" ) }
+                ]
+                    |> List.map .status
+                    |> Expect.equal [ OnlyLeft, OnlyRight ]
+        ]
+
+
+firstDivergenceTests : Test
+firstDivergenceTests =
+    describe "firstDivergence"
+        [ test "finds the first row that differs" <|
+            \_ ->
+                Comparison.align ByMessageName
+                    (Array.fromList [ updateEntry 0 "A", updateEntry 1 "B", updateEntry 2 "C" ])
+                    (Array.fromList [ updateEntry 0 "A", updateEntry 1 "B", updateEntry 2 "D" ])
+                    |> List.map Comparison.compareRow
+                    |> Comparison.firstDivergence
+                    |> Expect.equal (Just 2)
+        , test "is Nothing when the runs match" <|
+            \_ ->
+                Comparison.align BySequence
+                    (Array.fromList [ updateEntry 0 "A" ])
+                    (Array.fromList [ updateEntry 5 "A" ])
+                    |> List.map Comparison.compareRow
+                    |> Comparison.firstDivergence
+                    |> Expect.equal Nothing
+        ]
+
+
+fieldDifferencesTests : Test
+fieldDifferencesTests =
+    describe "fieldDifferences"
+        [ test "lists the changed fields with their values on each side" <|
+            \_ ->
+                Comparison.fieldDifferences
+                    (E.object [ ( "mode", E.string "idle" ), ( "speed", E.int 0 ) ])
+                    (E.object [ ( "mode", E.string "auto" ), ( "speed", E.int 0 ) ])
+                    |> List.map (\field -> ( field.path, field.left, field.right ))
+                    |> Expect.equal [ ( "mode", Just "\"idle\"", Just "\"auto\"" ) ]
+        , test "reports an item removed from the front of a list at its path on the left" <|
+            \_ ->
+                Comparison.fieldDifferences
+                    (E.object [ ( "queue", E.list E.string [ "a", "b" ] ) ])
+                    (E.object [ ( "queue", E.list E.string [ "b" ] ) ])
+                    |> List.map (\field -> ( field.path, field.left, field.right ))
+                    |> Expect.equal [ ( "queue.0", Just "\"a\"", Nothing ) ]
+        , test "takes the left value of an item that shifted from where it was on the left" <|
+            \_ ->
+                let
+                    item id name =
+                        E.object [ ( "id", E.int id ), ( "name", E.string name ) ]
+                in
+                Comparison.fieldDifferences
+                    (E.object [ ( "queue", E.list identity [ item 1 "a", item 2 "b" ] ) ])
+                    (E.object [ ( "queue", E.list identity [ item 3 "x", item 1 "a", item 2 "B" ] ) ])
+                    |> List.map (\field -> ( field.path, field.left, field.right ))
+                    |> Expect.equal
+                        [ ( "queue.0", Nothing, Just "{\"id\":3,\"name\":\"x\"}" )
+                        , ( "queue.2.name", Just "\"b\"", Just "\"B\"" )
+                        ]
+        ]
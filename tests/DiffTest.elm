@@ -8,8 +8,13 @@ Tests cover:
 - Correctly identifying modified values
 - Detecting type changes (e.g., string to object)
 - Handling deeply nested structures
+- Matching array elements by identity or value (insertions, deletions, moves)
 - Returning empty result for identical states
 - JSON Patch (RFC 6902) application via applyPatch / diffOperationDecoder
+- Strict patch application via applyPatchStrict (move, copy, test, missing paths)
+- Model checksums via canonicalJson / modelChecksum
+- Patch creation via createPatch / encodeDiffOperation
+- Looking up and comparing the value at a single path
 
 -}
 
@@ -257,6 +262,135 @@ suite =
                     Dict.get "items.2" result.changes
                         |> Expect.equal (Just Removed)
             ]
+        , describe "array element matching"
+            [ test "an item inserted at the front is the only change" <|
+                \_ ->
+                    let
+                        before =
+                            E.object [ ( "queue", E.list E.string [ "a", "b", "c" ] ) ]
+
+                        after =
+                            E.object [ ( "queue", E.list E.string [ "z", "a", "b", "c" ] ) ]
+
+                        result =
+                            findChangedPaths before after
+                    in
+                    Expect.equal ( Dict.toList result.changes, Dict.toList result.beforeChanges )
+                        ( [ ( "queue.0", Added ) ], [] )
+            , test "an item removed from the front is reported at its path before" <|
+                \_ ->
+                    let
+                        before =
+                            E.object [ ( "queue", E.list E.string [ "a", "b", "c" ] ) ]
+
+                        after =
+                            E.object [ ( "queue", E.list E.string [ "b", "c" ] ) ]
+
+                        result =
+                            findChangedPaths before after
+                    in
+                    Expect.equal ( Dict.toList result.changes, Dict.toList result.beforeChanges, result.removedCount )
+                        ( [], [ ( "queue.0", Removed ) ], 1 )
+            , test "matches items by their identity field" <|
+                \_ ->
+                    let
+                        token id count =
+                            E.object [ ( "_tokenId", E.int id ), ( "count", E.int count ) ]
+
+                        before =
+                            E.object [ ( "tokens", E.list identity [ token 1 0, token 2 0 ] ) ]
+
+                        after =
+                            E.object [ ( "tokens", E.list identity [ token 3 0, token 1 0, token 2 5 ] ) ]
+                    in
+                    findChangedPaths before after
+                        |> .changes
+                        |> Dict.toList
+                        |> Expect.equal [ ( "tokens.0", Added ), ( "tokens.2.count", Modified ) ]
+            , test "a change inside a shifted item maps back to its path before" <|
+                \_ ->
+                    let
+                        token id count =
+                            E.object [ ( "_tokenId", E.int id ), ( "count", E.int count ) ]
+
+                        before =
+                            E.object [ ( "mode", E.int 0 ), ( "tokens", E.list identity [ token 1 0, token 2 0 ] ) ]
+
+                        after =
+                            E.object [ ( "mode", E.int 1 ), ( "tokens", E.list identity [ token 3 0, token 1 0, token 2 5 ] ) ]
+
+                        result =
+                            findChangedPaths before after
+                    in
+                    Expect.equal ( beforePathOf result "tokens.2.count", beforePathOf result "mode" )
+                        ( "tokens.1.count", "mode" )
+            , test "items with different identities are not compared field by field" <|
+                \_ ->
+                    let
+                        before =
+                            E.list identity [ E.object [ ( "id", E.string "x" ), ( "name", E.string "Ann" ) ] ]
+
+                        after =
+                            E.list identity [ E.object [ ( "id", E.string "y" ), ( "name", E.string "Bob" ) ] ]
+
+                        result =
+                            findChangedPaths before after
+                    in
+                    Expect.equal ( Dict.toList result.changes, Dict.toList result.beforeChanges )
+                        ( [ ( "0", Added ) ], [ ( "0", Removed ) ] )
+            , test "detects an item moved to another place" <|
+                \_ ->
+                    let
+                        subscription id =
+                            E.object [ ( "_subscriptionId", E.string id ) ]
+
+                        before =
+                            E.list subscription [ "a", "b", "c" ]
+
+                        after =
+                            E.list subscription [ "b", "c", "a" ]
+
+                        result =
+                            findChangedPaths before after
+                    in
+                    Expect.equal ( Dict.toList result.changes, Dict.toList result.beforeChanges, result.movedCount )
+                        ( [ ( "2", Moved ) ], [ ( "0", Moved ) ], 1 )
+            , test "a moved item also reports the changes inside it" <|
+                \_ ->
+                    let
+                        item id count =
+                            E.object [ ( "id", E.int id ), ( "count", E.int count ) ]
+
+                        before =
+                            E.list identity [ item 1 0, item 2 0, item 3 0 ]
+
+                        after =
+                            E.list identity [ item 2 0, item 3 0, item 1 4 ]
+                    in
+                    findChangedPaths before after
+                        |> .changes
+                        |> Dict.toList
+                        |> Expect.equal [ ( "2", Moved ), ( "2.count", Modified ) ]
+            , test "an item changed in place among unchanged ones is modified" <|
+                \_ ->
+                    let
+                        before =
+                            E.list E.int [ 1, 2, 3, 4 ]
+
+                        after =
+                            E.list E.int [ 0, 1, 7, 3, 4 ]
+                    in
+                    findChangedPaths before after
+                        |> .changes
+                        |> Dict.toList
+                        |> Expect.equal [ ( "0", Added ), ( "2", Modified ) ]
+            , test "changeAt sees an item removed from an array" <|
+                \_ ->
+                    changeAt [ "queue" ]
+                        (E.object [ ( "queue", E.list E.int [ 1, 2 ] ) ])
+                        (E.object [ ( "queue", E.list E.int [ 2 ] ) ])
+                        |> Expect.equal (Just Modified)
+            ]
         , describe "pathToString"
             [ test "converts path to dot notation" <|
                 \_ ->
@@ -271,6 +405,51 @@ suite =
                     pathToString [ "name" ]
                         |> Expect.equal "name"
             ]
+        , describe "valueAt"
+            [ test "reads nested fields and array items" <|
+                \_ ->
+                    E.object [ ( "user", E.object [ ( "tags", E.list E.string [ "a", "b" ] ) ] ) ]
+                        |> valueAt [ "user", "tags", "1" ]
+                        |> Maybe.map (E.encode 0)
+                        |> Expect.equal (Just "\"b\"")
+            , test "returns the whole value for the empty path" <|
+                \_ ->
+                    E.int 3
+                        |> valueAt []
+                        |> Maybe.map (E.encode 0)
+                        |> Expect.equal (Just "3")
+            , test "is Nothing for a missing path" <|
+                \_ ->
+                    E.object [ ( "items", E.list E.int [ 1 ] ) ]
+                        |> valueAt [ "items", "4" ]
+                        |> Expect.equal Nothing
+            ]
+        , describe "changeAt"
+            [ test "is Nothing when the value at the path is unchanged" <|
+                \_ ->
+                    changeAt [ "count" ]
+                        (E.object [ ( "count", E.int 1 ), ( "other", E.int 1 ) ])
+                        (E.object [ ( "count", E.int 1 ), ( "other", E.int 2 ) ])
+                        |> Expect.equal Nothing
+            , test "reports a change anywhere below the path as modified" <|
+                \_ ->
+                    changeAt [ "user" ]
+                        (E.object [ ( "user", E.object [ ( "name", E.string "Ann" ) ] ) ])
+                        (E.object [ ( "user", E.object [ ( "name", E.string "Bob" ) ] ) ])
+                        |> Expect.equal (Just Modified)
+            , test "reports type changes at the path" <|
+                \_ ->
+                    changeAt [ "value" ]
+                        (E.object [ ( "value", E.string "1" ) ])
+                        (E.object [ ( "value", E.int 1 ) ])
+                        |> Expect.equal (Just TypeChanged)
+            , test "reports fields that appear or disappear" <|
+                \_ ->
+                    [ changeAt [ "new" ] (E.object []) (E.object [ ( "new", E.null ) ])
+                    , changeAt [ "old" ] (E.object [ ( "old", E.null ) ]) (E.object [])
+                    ]
+                        |> Expect.equal [ Just Added, Just Removed ]
+            ]
         , describe "diffOperationDecoder"
             [ test "decodes add operation with correct fields" <|
                 \_ ->
@@ -312,7 +491,7 @@ suite =
                     let
                         json =
                             E.object
-                                [ ( "op", E.string "move" )
+                                [ ( "op", E.string "merge" )
                                 , ( "path", E.string "/foo" )
                                 ]
                     in
@@ -322,6 +501,23 @@ suite =
 
                         Ok _ ->
                             Expect.fail "Expected decode failure for unknown op"
+            , test "decodes move, copy and test operations" <|
+                \_ ->
+                    D.decodeString (D.list diffOperationDecoder)
+                        """[{"op":"move","from":"/a","path":"/b"},{"op":"copy","from":"/b","path":"/c"},{"op":"test","path":"/c","value":1}]"""
+                        |> Result.map (List.map (encodeDiffOperation >> E.encode 0))
+                        |> Expect.equal
+                            (Ok
+                                [ """{"op":"move","from":"/a","path":"/b"}"""
+                                , """{"op":"copy","from":"/b","path":"/c"}"""
+                                , """{"op":"test","path":"/c","value":1}"""
+                                ]
+                            )
+            , test "fails on a move without from" <|
+                \_ ->
+                    D.decodeString diffOperationDecoder """{"op":"move","path":"/b"}"""
+                        |> Result.toMaybe
+                        |> Expect.equal Nothing
             , test "decodes list of operations" <|
                 \_ ->
                     let
@@ -502,6 +698,19 @@ suite =
                         in
                         D.decodeValue (D.field "items" (D.list D.int)) result
                             |> Expect.equal (Ok [ 10, 30 ])
+                , test "add inserts before an array index" <|
+                    \_ ->
+                        applyPatch (E.list E.int [ 1, 3 ]) [ AddOp "/1" (E.int 2) ]
+                            |> E.encode 0
+                            |> Expect.equal "[1,2,3]"
+                , test "skips operations that can't be applied" <|
+                    \_ ->
+                        applyPatch (E.object [ ( "x", E.int 1 ) ])
+                            [ RemoveOp "/missing"
+                            , ReplaceOp "/x" (E.int 2)
+                            ]
+                            |> E.encode 0
+                            |> Expect.equal """{"x":2}"""
                 , test "remove root is a no-op" <|
                     \_ ->
                         let
@@ -676,4 +885,169 @@ suite =
                             |> Expect.equal (Ok "tilde")
                 ]
             ]
+        , describe "applyPatchStrict"
+            [ test "applies a patch whose paths all exist" <|
+                \_ ->
+                    applyPatchStrict (E.object [ ( "x", E.int 1 ) ]) [ ReplaceOp "/x" (E.int 2), AddOp "/y" (E.int 3) ]
+                        |> Result.map (E.encode 0)
+                        |> Expect.equal (Ok """{"x":2,"y":3}""")
+            , test "reports a remove of a missing path" <|
+                \_ ->
+                    applyPatchStrict (E.object [ ( "items", E.list E.int [ 1 ] ) ]) [ RemoveOp "/items/5" ]
+                        |> Expect.equal (Err "\"remove\" at /items/5: path doesn't exist")
+            , test "reports a replace of a missing key" <|
+                \_ ->
+                    applyPatchStrict (E.object []) [ ReplaceOp "/x" (E.int 1) ]
+                        |> Expect.equal (Err "\"replace\" at /x: path doesn't exist")
+            , test "reports an add below a missing parent" <|
+                \_ ->
+                    applyPatchStrict (E.object []) [ AddOp "/a/b" (E.int 1) ]
+                        |> Expect.equal (Err "\"add\" at /a/b: path doesn't exist")
+            , test "reports an add past the end of an array" <|
+                \_ ->
+                    applyPatchStrict (E.list E.int [ 1 ]) [ AddOp "/3" (E.int 2) ]
+                        |> Expect.equal (Err "\"add\" at /3: array index out of range")
+            , test "rejects array indices with leading zeros" <|
+                \_ ->
+                    applyPatchStrict (E.list E.int [ 1, 2 ]) [ ReplaceOp "/01" (E.int 3) ]
+                        |> Result.toMaybe
+                        |> Expect.equal Nothing
+            , test "rejects pointers without a leading slash" <|
+                \_ ->
+                    applyPatchStrict (E.object [ ( "x", E.int 1 ) ]) [ ReplaceOp "x" (E.int 2) ]
+                        |> Expect.equal (Err "\"replace\" at x: \"x\" isn't a JSON Pointer")
+            , test "stops at the first operation that fails" <|
+                \_ ->
+                    applyPatchStrict (E.object []) [ RemoveOp "/a", RemoveOp "/b" ]
+                        |> Expect.equal (Err "\"remove\" at /a: path doesn't exist")
+            , test "move takes the value from one path to another" <|
+                \_ ->
+                    applyPatchStrict (E.object [ ( "a", E.object [ ( "b", E.int 1 ) ] ) ]) [ MoveOp "/a/b" "/c" ]
+                        |> Result.map (E.encode 0)
+                        |> Expect.equal (Ok """{"a":{},"c":1}""")
+            , test "move within an array" <|
+                \_ ->
+                    applyPatchStrict (E.list E.string [ "a", "b", "c" ]) [ MoveOp "/0" "/2" ]
+                        |> Result.map (E.encode 0)
+                        |> Expect.equal (Ok """["b","c","a"]""")
+            , test "move into itself is reported" <|
+                \_ ->
+                    applyPatchStrict (E.object [ ( "a", E.object [] ) ]) [ MoveOp "/a" "/a/b" ]
+                        |> Expect.equal (Err "\"move\" at /a/b from /a: a value can't be moved into itself")
+            , test "move from a missing path is reported" <|
+                \_ ->
+                    applyPatchStrict (E.object []) [ MoveOp "/a" "/b" ]
+                        |> Expect.equal (Err "\"move\" at /b from /a: path doesn't exist")
+            , test "copy duplicates the value" <|
+                \_ ->
+                    applyPatchStrict (E.object [ ( "a", E.list E.int [ 1 ] ) ]) [ CopyOp "/a" "/b" ]
+                        |> Result.map (E.encode 0)
+                        |> Expect.equal (Ok """{"a":[1],"b":[1]}""")
+            , test "test passes when the value is equal whatever its key order" <|
+                \_ ->
+                    applyPatchStrict
+                        (E.object [ ( "a", E.object [ ( "x", E.int 1 ), ( "y", E.int 2 ) ] ) ])
+                        [ TestOp "/a" (E.object [ ( "y", E.int 2 ), ( "x", E.int 1 ) ]) ]
+                        |> Result.map (E.encode 0)
+                        |> Expect.equal (Ok """{"a":{"x":1,"y":2}}""")
+            , test "test fails when the value differs" <|
+                \_ ->
+                    applyPatchStrict (E.object [ ( "a", E.int 1 ) ]) [ TestOp "/a" (E.int 2) ]
+                        |> Expect.equal (Err "\"test\" at /a: expected 2 but found 1")
+            , test "remove of the whole model is reported" <|
+                \_ ->
+                    applyPatchStrict (E.object []) [ RemoveOp "" ]
+                        |> Expect.equal (Err "\"remove\" at the root: the whole model can't be removed")
+            ]
+        , describe "checksums"
+            [ test "canonicalJson sorts object keys at every level" <|
+                \_ ->
+                    canonicalJson (E.object [ ( "b", E.int 1 ), ( "a", E.list identity [ E.object [ ( "d", E.null ), ( "c", E.string "x" ) ] ] ) ])
+                        |> Expect.equal """{"a":[{"c":"x","d":null}],"b":1}"""
+            , test "modelChecksum is the FNV-1a hash of the canonical JSON" <|
+                \_ ->
+                    List.map modelChecksum [ E.object [], E.object [ ( "b", E.int 1 ), ( "a", E.list E.int [ 2 ] ) ] ]
+                        |> Expect.equal [ "5465b825", "badcd74d" ]
+            , test "modelChecksum hashes the UTF-8 bytes of non-ASCII text" <|
+                \_ ->
+                    modelChecksum (E.string "h\u{00E9}llo\u{1F600}")
+                        |> Expect.equal "d80fe3dd"
+            ]
+        , describe "createPatch"
+            [ test "returns no operations for identical values" <|
+                \_ ->
+                    let
+                        state =
+                            E.object [ ( "items", E.list E.int [ 1, 2 ] ), ( "name", E.string "a" ) ]
+                    in
+                    createPatch state state
+                        |> Expect.equal []
+            , test "adds, replaces and removes object fields" <|
+                \_ ->
+                    let
+                        before =
+                            E.object [ ( "count", E.int 1 ), ( "old", E.bool True ) ]
+
+                        after =
+                            E.object [ ( "count", E.int 2 ), ( "new", E.string "x" ) ]
+                    in
+                    createPatch before after
+                        |> List.map (encodeDiffOperation >> E.encode 0)
+                        |> Expect.equal
+                            [ """{"op":"remove","path":"/old"}"""
+                            , """{"op":"replace","path":"/count","value":2}"""
+                            , """{"op":"add","path":"/new","value":"x"}"""
+                            ]
+            , test "appends and removes array elements from the end" <|
+                \_ ->
+                    let
+                        grown =
+                            createPatch (E.list E.int [ 1 ]) (E.list E.int [ 1, 2, 3 ])
+                                |> List.map (encodeDiffOperation >> E.encode 0)
+
+                        shrunk =
+                            createPatch (E.list E.int [ 1, 2, 3 ]) (E.list E.int [ 1 ])
+                                |> List.map (encodeDiffOperation >> E.encode 0)
+                    in
+                    ( grown, shrunk )
+                        |> Expect.equal
+                            ( [ """{"op":"add","path":"/-","value":2}"""
+                              , """{"op":"add","path":"/-","value":3}"""
+                              ]
+                            , [ """{"op":"remove","path":"/2"}"""
+                              , """{"op":"remove","path":"/1"}"""
+                              ]
+                            )
+            , test "replaces a value whose type changed" <|
+                \_ ->
+                    createPatch
+                        (E.object [ ( "data", E.string "simple" ) ])
+                        (E.object [ ( "data", E.object [ ( "complex", E.bool True ) ] ) ])
+                        |> List.map (encodeDiffOperation >> E.encode 0)
+                        |> Expect.equal [ """{"op":"replace","path":"/data","value":{"complex":true}}""" ]
+            , test "escapes keys containing / and ~" <|
+                \_ ->
+                    createPatch (E.object []) (E.object [ ( "a/b~c", E.int 1 ) ])
+                        |> List.map (encodeDiffOperation >> E.encode 0)
+                        |> Expect.equal [ """{"op":"add","path":"/a~1b~0c","value":1}""" ]
+            , test "applying the patch reproduces the target value" <|
+                \_ ->
+                    let
+                        before =
+                            E.object
+                                [ ( "user", E.object [ ( "name", E.string "Alice" ), ( "tags", E.list E.string [ "a", "b" ] ) ] )
+                                , ( "count", E.int 3 )
+                                , ( "pending", E.null )
+                                ]
+
+                        after =
+                            E.object
+                                [ ( "user", E.object [ ( "name", E.string "Bob" ), ( "tags", E.list E.string [ "b" ] ) ] )
+                                , ( "pending", E.list E.int [ 1 ] )
+                                , ( "items", E.list (\n -> E.object [ ( "id", E.int n ) ]) [ 1, 2 ] )
+                                ]
+                    in
+                    compareStates (applyPatch before (createPatch before after)) after
+                        |> Expect.equal []
+            ]
         ]
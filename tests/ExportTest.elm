@@ -0,0 +1,212 @@
+module ExportTest exposing (suite)
+
+{-| Unit tests for the Export module.
+
+Tests cover:
+
+  - JSONL export: header, stringDict and entries that parse back to the same models
+  - Diffs relative to the previous exported entry when entries are skipped
+  - Message encoding round-trips through LogParser
+  - CSV columns, field paths and quoting
+  - HTML report escaping
+
+-}
+
+import Expect
+import Export
+import Fixtures exposing (effect, errorEntry, initEntry, updateEntry, withEffects, withModels, withPayload)
+import Json.Decode as D
+import Json.Encode as E
+import LogParser
+import Test exposing (..)
+import Types exposing (LogEntry(..))
+
+
+suite : Test
+suite =
+    describe "Export"
+        [ jsonlTests
+        , csvTests
+        , htmlTests
+        ]
+
+
+{-| Parse exported JSONL back into entries.
+-}
+parseJsonl : String -> List LogEntry
+parseJsonl content =
+    content
+        |> String.lines
+        |> List.filter (not << String.isEmpty)
+        |> List.filterMap (D.decodeString D.value >> Result.toMaybe)
+        |> List.indexedMap Tuple.pair
+        |> List.foldl
+            (\( index, line ) ( state, entries ) ->
+                case LogParser.parseLine (index + 1) line state of
+                    ( nextState, Just entry ) ->
+                        ( nextState, entries ++ [ entry ] )
+
+                    ( nextState, Nothing ) ->
+                        ( nextState, entries )
+            )
+            ( LogParser.initialParseState, [] )
+        |> Tuple.second
+
+
+jsonlTests : Test
+jsonlTests =
+    describe "toJsonl"
+        [ test "starts with a compressed v2 header" <|
+            \_ ->
+                Export.toJsonl [ ( 1, initEntry 100 [ ( "count", E.int 0 ) ] ) ]
+                    |> String.lines
+                    |> List.head
+                    |> Expect.equal (Just """{"type":"header","version":2,"compression":"stringDict"}""")
+        , test "exported entries parse back to the same models and messages" <|
+            \_ ->
+                Export.toJsonl
+                    [ ( 1, initEntry 100 [ ( "count", E.int 0 ) ] )
+                    , ( 2
+                      , updateEntry 110 "Increment"
+                            |> withModels [ ( "count", E.int 0 ) ] [ ( "count", E.int 1 ) ]
+                            |> withEffects [ effect "Log" [ ( "text", E.string "hi" ) ] ]
+                      )
+                    ]
+                    |> parseJsonl
+                    |> List.map
+                        (\entry ->
+                            case entry of
+                                InitEntry data ->
+                                    "init " ++ E.encode 0 data.model
+
+                                UpdateEntry data ->
+                                    String.join " "
+                                        [ data.message.name
+                                        , E.encode 0 data.modelAfter
+                                        , String.join "," (List.map .name data.effects)
+                                        ]
+
+                                _ ->
+                                    "other"
+                        )
+                    |> Expect.equal [ """init {"count":0}""", """Increment {"count":1} Log""" ]
+        , test "diffs from the previous exported entry when entries are skipped" <|
+            \_ ->
+                Export.toJsonl
+                    [ ( 1, initEntry 100 [ ( "count", E.int 0 ) ] )
+                    , ( 5, updateEntry 150 "Increment" |> withModels [ ( "count", E.int 3 ) ] [ ( "count", E.int 4 ) ] )
+                    ]
+                    |> parseJsonl
+                    |> List.filterMap
+                        (\entry ->
+                            case entry of
+                                UpdateEntry data ->
+                                    Just ( E.encode 0 data.modelBefore, E.encode 0 data.modelAfter )
+
+                                _ ->
+                                    Nothing
+                        )
+                    |> Expect.equal [ ( """{"count":0}""", """{"count":4}""" ) ]
+        , test "leaves out parse errors" <|
+            \_ ->
+                Export.toJsonl
+                    [ ( 1, initEntry 100 [] )
+                    , ( 2, errorEntry 2 )
+                    ]
+                    |> parseJsonl
+                    |> List.length
+                    |> Expect.equal 1
+        , test "keeps inner messages without their own type" <|
+            \_ ->
+                Export.toJsonl
+                    [ ( 1, updateEntry 0 "Wrapped" |> withPayload (E.object [ ( "value", E.int 1 ) ]) ) ]
+                    |> parseJsonl
+                    |> List.map
+                        (\entry ->
+                            case entry of
+                                UpdateEntry data ->
+                                    data.message.name ++ " " ++ E.encode 0 data.message.payload
+
+                                _ ->
+                                    "other"
+                        )
+                    |> Expect.equal [ """Wrapped {"value":1}""" ]
+        ]
+
+
+csvTests : Test
+csvTests =
+    describe "toCsv"
+        [ test "writes fixed columns and field paths" <|
+            \_ ->
+                Export.toCsv [ "model.count", "message.amount" ]
+                    [ ( 1, initEntry 100 [ ( "count", E.int 0 ) ] )
+                    , ( 2
+                      , updateEntry 110 "Increment"
+                            |> withModels [ ( "count", E.int 0 ) ] [ ( "count", E.int 1 ) ]
+                            |> withPayload (E.object [ ( "_type", E.string "Increment" ), ( "amount", E.int 5 ) ])
+                      )
+                    ]
+                    |> Expect.equal
+                        ("entry,type,timestamp,message,model.count,message.amount\u{000D}\n"
+                            ++ "1,init,100,Init,0,\u{000D}\n"
+                            ++ "2,update,110,Increment,1,5\u{000D}\n"
+                        )
+        , test "reads array indices and writes objects as JSON" <|
+            \_ ->
+                Export.toCsv [ "model.items.1", "model.user" ]
+                    [ ( 1
+                      , initEntry 100
+                            [ ( "items", E.list E.string [ "a", "b" ] )
+                            , ( "user", E.object [ ( "id", E.int 7 ) ] )
+                            ]
+                      )
+                    ]
+                    |> String.lines
+                    |> List.drop 1
+                    |> List.head
+                    |> Expect.equal (Just "1,init,100,Init,b,\"{\"\"id\"\":7}\"")
+        , test "quotes fields with commas" <|
+            \_ ->
+                Export.toCsv [ "model.name" ] [ ( 1, initEntry 100 [ ( "name", E.string "Smith, J" ) ] ) ]
+                    |> String.contains "\"Smith, J\""
+                    |> Expect.equal True
+        , test "parses a comma-separated column list" <|
+            \_ ->
+                Export.parseColumns " model.a , ,message.b"
+                    |> Expect.equal [ "model.a", "message.b" ]
+        ]
+
+
+htmlTests : Test
+htmlTests =
+    describe "toHtml"
+        [ test "escapes message names" <|
+            \_ ->
+                Export.toHtml { title = "Report", source = "log.jsonl" }
+                    [ ( 3, updateEntry 0 "<script>" ) ]
+                    |> (\html -> ( String.contains "&lt;script&gt;" html, String.contains "<script>" html ))
+                    |> Expect.equal ( True, False )
+        , test "lists changed fields" <|
+            \_ ->
+                Export.toHtml { title = "Report", source = "log.jsonl" }
+                    [ ( 2, updateEntry 0 "Increment" |> withModels [ ( "count", E.int 0 ) ] [ ( "count", E.int 1 ) ] ) ]
+                    |> String.contains "<code>count</code>: <code class=\"before\">0</code> &rarr; <code class=\"after\">1</code>"
+                    |> Expect.equal True
+        , test "shows the value before of a field whose list item shifted" <|
+            \_ ->
+                let
+                    item id name =
+                        E.object [ ( "id", E.int id ), ( "name", E.string name ) ]
+                in
+                Export.toHtml { title = "Report", source = "log.jsonl" }
+                    [ ( 2
+                      , updateEntry 0 "Rename"
+                            |> withModels
+                                [ ( "queue", E.list identity [ item 1 "a", item 2 "b" ] ) ]
+                                [ ( "queue", E.list identity [ item 3 "x", item 1 "a", item 2 "B" ] ) ]
+                      )
+                    ]
+                    |> String.contains "<code>queue.2.name</code>: <code class=\"before\">&quot;b&quot;</code> &rarr; <code class=\"after\">&quot;B&quot;</code>"
+                    |> Expect.equal True
+        ]
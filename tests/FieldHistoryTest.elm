@@ -0,0 +1,66 @@
+module FieldHistoryTest exposing (suite)
+
+{-| Unit tests for the FieldHistory module.
+
+Tests cover:
+
+  - Listing only the updates that changed the field
+  - Values before and after each change, with message name and timestamp
+  - Fields that are added and removed during the log
+
+-}
+
+import Array
+import Diff
+import Expect
+import FieldHistory
+import Fixtures exposing (initEntry, updateEntry, withModels)
+import Json.Encode as E
+import Test exposing (..)
+
+
+suite : Test
+suite =
+    describe "FieldHistory"
+        [ historyTests
+        ]
+
+
+historyTests : Test
+historyTests =
+    describe "history"
+        [ test "lists only the updates that changed the field" <|
+            \_ ->
+                FieldHistory.history [ "count" ]
+                    (Array.fromList
+                        [ initEntry 0 [ ( "count", E.int 0 ) ]
+                        , updateEntry 10 "Increment" |> withModels [ ( "count", E.int 0 ) ] [ ( "count", E.int 1 ) ]
+                        , updateEntry 20 "Rename" |> withModels [ ( "count", E.int 1 ), ( "name", E.string "a" ) ] [ ( "count", E.int 1 ), ( "name", E.string "b" ) ]
+                        , updateEntry 30 "Increment" |> withModels [ ( "count", E.int 1 ) ] [ ( "count", E.int 2 ) ]
+                        ]
+                    )
+                    |> List.map (\change -> ( change.entryIndex, change.messageName, change.timestamp ))
+                    |> Expect.equal [ ( 1, "Increment", 10 ), ( 3, "Increment", 30 ) ]
+        , test "keeps the values before and after each change" <|
+            \_ ->
+                FieldHistory.history [ "user", "name" ]
+                    (Array.fromList
+                        [ updateEntry 0 "SetName"
+                            |> withModels
+                                [ ( "user", E.object [ ( "name", E.string "Ann" ) ] ) ]
+                                [ ( "user", E.object [ ( "name", E.string "Bob" ) ] ) ]
+                        ]
+                    )
+                    |> List.map (\change -> ( change.change, Maybe.map (E.encode 0) change.before, Maybe.map (E.encode 0) change.after ))
+                    |> Expect.equal [ ( Diff.Modified, Just "\"Ann\"", Just "\"Bob\"" ) ]
+        , test "records the field appearing and disappearing" <|
+            \_ ->
+                FieldHistory.history [ "error" ]
+                    (Array.fromList
+                        [ updateEntry 0 "Fail" |> withModels [] [ ( "error", E.string "timeout" ) ]
+                        , updateEntry 5 "Retry" |> withModels [ ( "error", E.string "timeout" ) ] []
+                        ]
+                    )
+                    |> List.map (\change -> ( change.change, change.before == Nothing, change.after == Nothing ))
+                    |> Expect.equal [ ( Diff.Added, True, False ), ( Diff.Removed, False, True ) ]
+        ]
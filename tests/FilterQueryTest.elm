@@ -0,0 +1,217 @@
+module FilterQueryTest exposing (suite)
+
+{-| Unit tests for the FilterQuery module.
+
+Tests cover:
+
+  - Parse errors for incomplete or unknown expressions
+  - and, or, not and grouping with parentheses
+  - Equality, numeric comparisons and ranges
+  - Glob patterns and regular expressions
+  - changed(), delta() and abs()
+  - Effects and subscriptions matching when any of them does
+
+-}
+
+import Expect
+import Fixtures exposing (effect, subscriptionChangeEntry, updateEntry, withEffects, withModels, withPayload)
+import FilterQuery
+import Json.Encode as E
+import Test exposing (..)
+import Types exposing (LogEntry)
+
+
+suite : Test
+suite =
+    describe "FilterQuery"
+        [ parseTests
+        , logicTests
+        , comparisonTests
+        , patternTests
+        , functionTests
+        , multiValueTests
+        ]
+
+
+{-| Whether the expression parses and matches the entry. An expression that
+does not parse fails the test with the parse error.
+-}
+expectMatch : Bool -> String -> LogEntry -> Expect.Expectation
+expectMatch expected source entry =
+    case FilterQuery.parse source of
+        Ok query ->
+            FilterQuery.matches query entry
+                |> Expect.equal expected
+
+        Err error ->
+            Expect.fail ("Could not parse " ++ source ++ ": " ++ error)
+
+
+heading : Int -> Int -> LogEntry
+heading before after =
+    updateEntry 0 "Swerve.SetHeading"
+        |> withModels [ ( "heading", E.int before ) ] [ ( "heading", E.int after ) ]
+        |> withPayload (E.object [ ( "id", E.int 7 ) ])
+
+
+parseTests : Test
+parseTests =
+    describe "parse"
+        [ test "rejects an empty expression" <|
+            \_ ->
+                FilterQuery.parse "  "
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        , test "explains a missing value" <|
+            \_ ->
+                FilterQuery.parse "model.heading >"
+                    |> Expect.equal (Err "Expected a number after >")
+        , test "rejects unknown fields" <|
+            \_ ->
+                FilterQuery.parse "foo = 1"
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        , test "rejects an unclosed group" <|
+            \_ ->
+                FilterQuery.parse "(msg = \"A\""
+                    |> Expect.equal (Err "Missing )")
+        , test "rejects an invalid regular expression" <|
+            \_ ->
+                FilterQuery.parse "msg =~ /(/"
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        , test "asks for quotes around text values" <|
+            \_ ->
+                FilterQuery.parse "msg = Click"
+                    |> Expect.equal (Err "Expected a value after =; put text in quotes, like \"Click\"")
+        ]
+
+
+logicTests : Test
+logicTests =
+    describe "and, or, not"
+        [ test "and needs both sides" <|
+            \_ ->
+                expectMatch False "msg = \"Swerve.SetHeading\" and model.heading > 200" (heading 0 90)
+        , test "or needs either side" <|
+            \_ ->
+                expectMatch True "msg = \"Other\" or model.heading > 45" (heading 0 90)
+        , test "not negates a condition" <|
+            \_ ->
+                expectMatch True "not msg = \"Other\"" (heading 0 90)
+        , test "and binds tighter than or" <|
+            \_ ->
+                expectMatch True "msg = \"Swerve.SetHeading\" or msg = \"Other\" and model.heading > 200" (heading 0 90)
+        , test "parentheses group conditions" <|
+            \_ ->
+                expectMatch False "(msg = \"Swerve.SetHeading\" or msg = \"Other\") and model.heading > 200" (heading 0 90)
+        , test "keywords are case-insensitive" <|
+            \_ ->
+                expectMatch True "NOT model.heading < 10 AND msg.id = 7" (heading 0 90)
+        ]
+
+
+comparisonTests : Test
+comparisonTests =
+    describe "comparisons"
+        [ test "compares numbers" <|
+            \_ ->
+                [ "model.heading > 89", "model.heading >= 90", "model.heading <= 90", "model.heading < 90", "model.heading != 90" ]
+                    |> List.map (\source -> FilterQuery.parse source |> Result.map (\query -> FilterQuery.matches query (heading 0 90)))
+                    |> Expect.equal [ Ok True, Ok True, Ok True, Ok False, Ok False ]
+        , test "in matches an inclusive range" <|
+            \_ ->
+                expectMatch True "model.heading in 90..180" (heading 0 90)
+        , test "ranges accept negative and decimal bounds" <|
+            \_ ->
+                expectMatch True "before.heading in -0.5..0.5" (heading 0 90)
+        , test "before reads the model before the update" <|
+            \_ ->
+                expectMatch True "before.heading = 0" (heading 0 90)
+        , test "numeric comparisons ignore text values" <|
+            \_ ->
+                expectMatch False "model.mode > 1" (updateEntry 0 "Msg" |> withModels [] [ ( "mode", E.string "5" ) ])
+        , test "compares booleans and null" <|
+            \_ ->
+                expectMatch True "model.enabled = true and model.error = null"
+                    (updateEntry 0 "Msg" |> withModels [] [ ( "enabled", E.bool True ), ( "error", E.null ) ])
+        , test "numeric path segments index into arrays" <|
+            \_ ->
+                expectMatch True "model.modules.1.speed > 2"
+                    (updateEntry 0 "Msg" |> withModels [] [ ( "modules", E.list identity [ E.object [ ( "speed", E.int 1 ) ], E.object [ ( "speed", E.int 3 ) ] ] ) ])
+        , test "a missing field does not match" <|
+            \_ ->
+                expectMatch False "model.missing = 0" (heading 0 90)
+        ]
+
+
+patternTests : Test
+patternTests =
+    describe "patterns"
+        [ test "~ matches a case-insensitive glob against the whole text" <|
+            \_ ->
+                [ "msg ~ \"swerve*\"", "msg ~ \"*Heading\"", "msg ~ \"Swerve\"", "msg ~ \"Swerve.Set??ading\"" ]
+                    |> List.map (\source -> FilterQuery.parse source |> Result.map (\query -> FilterQuery.matches query (heading 0 90)))
+                    |> Expect.equal [ Ok True, Ok True, Ok False, Ok True ]
+        , test "=~ searches with a regular expression" <|
+            \_ ->
+                expectMatch True "msg =~ /^Swerve\\.Set/" (heading 0 90)
+        , test "regular expressions are case-sensitive" <|
+            \_ ->
+                expectMatch False "msg =~ /swerve/" (heading 0 90)
+        , test "patterns match the text of numbers" <|
+            \_ ->
+                expectMatch True "model.heading ~ \"9*\"" (heading 0 90)
+        ]
+
+
+functionTests : Test
+functionTests =
+    describe "functions"
+        [ test "changed is true when the update changed the field" <|
+            \_ ->
+                [ heading 0 90, heading 90 90 ]
+                    |> List.map
+                        (\entry ->
+                            FilterQuery.parse "changed(model.heading)"
+                                |> Result.map (\query -> FilterQuery.matches query entry)
+                        )
+                    |> Expect.equal [ Ok True, Ok False ]
+        , test "changed only accepts model fields" <|
+            \_ ->
+                FilterQuery.parse "changed(msg.id)"
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        , test "delta is the change in a number" <|
+            \_ ->
+                expectMatch True "delta(model.heading) = -30" (heading 120 90)
+        , test "abs makes a change positive" <|
+            \_ ->
+                expectMatch True "abs(delta(model.heading)) > 10" (heading 120 90)
+        ]
+
+
+multiValueTests : Test
+multiValueTests =
+    describe "effects and subscriptions"
+        [ test "effect matches when any effect does" <|
+            \_ ->
+                expectMatch True
+                    "effect = \"Http.Get\" and effect.url ~ \"/api/*\""
+                    (updateEntry 0 "Load"
+                        |> withEffects
+                            [ effect "Effect.Log" [ ( "text", E.string "loading" ) ]
+                            , effect "Http.Get" [ ( "url", E.string "/api/items" ) ]
+                            ]
+                    )
+        , test "sub matches started and stopped subscriptions" <|
+            \_ ->
+                expectMatch True
+                    "sub ~ \"Time.*\" and sub.interval >= 1000"
+                    (subscriptionChangeEntry 0 [] [ E.object [ ( "_type", E.string "Time.Every" ), ( "interval", E.int 1000 ) ] ])
+        , test "message and model fields do not match subscription changes" <|
+            \_ ->
+                expectMatch False
+                    "msg ~ \"*\""
+                    (subscriptionChangeEntry 0 [] [])
+        ]
@@ -8,6 +8,9 @@ Tests cover:
   - matchFieldValue: dot-path navigation, wildcard `*` key
   - deepValueSearch: nested JSON structures
   - matchesEntry: multiple filter AND logic, ErrorEntry/InitEntry always pass
+  - encodeActiveFilter/activeFilterDecoder: round-trip of every filter kind
+  - QueryFilter: expressions evaluated with FilterQuery, invalid ones match nothing
+  - Presets: saving by name and the presets file round-trip
 
 -}
 
@@ -21,6 +24,7 @@ import Filter
         , fuzzyMatch
         , matchesEntry
         )
+import Json.Decode as D
 import Json.Encode as E
 import Test exposing (..)
 import Types
@@ -37,6 +41,9 @@ suite =
         , deepValueSearchSuite
         , matchesEntrySuite
         , primitiveValueToStringSuite
+        , encodeActiveFilterSuite
+        , queryFilterSuite
+        , presetSuite
         ]
 
 
@@ -683,6 +690,115 @@ primitiveValueToStringSuite =
 
 
 
+-- ENCODE / DECODE TESTS
+
+
+encodeActiveFilterSuite : Test
+encodeActiveFilterSuite =
+    describe "encodeActiveFilter"
+        [ test "every filter kind round-trips through JSON" <|
+            \_ ->
+                let
+                    filters =
+                        [ { status = Enabled, filter = MessageNameFilter { query = "Click" } }
+                        , { status = Disabled, filter = MessageFieldFilter { key = "id", value = "7" } }
+                        , { status = Enabled, filter = ModelChangedFilter }
+                        , { status = Enabled, filter = ModelFieldChangedFilter { fieldPath = "user.name" } }
+                        , { status = Enabled, filter = ModelValueFilter { key = "count", value = "3" } }
+                        , { status = Enabled, filter = HasEffectsFilter }
+                        , { status = Enabled, filter = EffectNameFilter { query = "Http" } }
+                        , { status = Enabled, filter = EffectFieldFilter { key = "url", value = "/api" } }
+                        , { status = Enabled, filter = SubscriptionNameFilter { query = "Tick" } }
+                        , { status = Disabled, filter = SubscriptionFieldFilter { key = "interval", value = "1000" } }
+                        , { status = Enabled, filter = QueryFilter { query = "model.count > 1 or not changed(model.count)" } }
+                        ]
+                in
+                filters
+                    |> List.map (Filter.encodeActiveFilter >> D.decodeValue Filter.activeFilterDecoder)
+                    |> Expect.equal (List.map Ok filters)
+        , test "rejects unknown filter kinds" <|
+            \_ ->
+                D.decodeString Filter.activeFilterDecoder """{"enabled":true,"filter":{"kind":"nope"}}"""
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        ]
+
+
+
+-- QUERY FILTER TESTS
+
+
+queryFilterSuite : Test
+queryFilterSuite =
+    describe "QueryFilter"
+        [ test "matches entries that satisfy the expression" <|
+            \_ ->
+                [ E.int 5, E.int 50 ]
+                    |> List.map
+                        (\count ->
+                            makeUpdateEntry "Tick" E.null (E.object []) (E.object [ ( "count", count ) ])
+                                |> matchesEntry [ QueryFilter { query = "msg = \"Tick\" and model.count in 10..100" } ]
+                        )
+                    |> Expect.equal [ False, True ]
+        , test "combines with other filters using AND" <|
+            \_ ->
+                makeUpdateEntry "Tick" E.null (E.object []) (E.object [ ( "count", E.int 50 ) ])
+                    |> matchesEntry [ QueryFilter { query = "model.count > 10" }, HasEffectsFilter ]
+                    |> Expect.equal False
+        , test "an expression that does not parse matches nothing" <|
+            \_ ->
+                makeUpdateEntry "Tick" E.null E.null E.null
+                    |> matchesEntry [ QueryFilter { query = "model.count >" } ]
+                    |> Expect.equal False
+        , test "an invalid expression cannot be saved from the editor" <|
+            \_ ->
+                Filter.editingFilterToFilter (Filter.EditingQuery { query = "msg = " })
+                    |> Expect.equal Nothing
+        ]
+
+
+
+-- PRESET TESTS
+
+
+presetSuite : Test
+presetSuite =
+    let
+        swerve =
+            [ { status = Enabled, filter = MessageNameFilter { query = "Swerve" } } ]
+
+        errors =
+            [ { status = Disabled, filter = QueryFilter { query = "model.error != null" } } ]
+    in
+    describe "presets"
+        [ test "savePreset appends a new name" <|
+            \_ ->
+                Filter.savePreset "Errors" errors [ { name = "Swerve", filters = swerve } ]
+                    |> List.map .name
+                    |> Expect.equal [ "Swerve", "Errors" ]
+        , test "savePreset replaces a preset with the same name in place" <|
+            \_ ->
+                [ { name = "Swerve", filters = swerve }, { name = "Errors", filters = [] } ]
+                    |> Filter.savePreset "Swerve" errors
+                    |> Expect.equal [ { name = "Swerve", filters = errors }, { name = "Errors", filters = [] } ]
+        , test "presets round-trip through the presets file" <|
+            \_ ->
+                let
+                    presets =
+                        [ { name = "Swerve", filters = swerve }, { name = "Errors", filters = errors } ]
+                in
+                Filter.encodePresets presets
+                    |> D.decodeValue Filter.presetsDecoder
+                    |> Expect.equal (Ok presets)
+        , test "rejects files that are not presets" <|
+            \_ ->
+                D.decodeString Filter.presetsDecoder """{"type":"tfsession","presets":[]}"""
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        ]
+
+
+
 -- TEST HELPERS
 
 
@@ -0,0 +1,115 @@
+module Fixtures exposing
+    ( effect
+    , errorEntry
+    , initEntry
+    , subscriptionChangeEntry
+    , updateEntry
+    , withEffects
+    , withModels
+    , withPayload
+    )
+
+{-| Log entries for the unit tests.
+
+Entries start out as small as possible: an update has a `{ "_type": name }`
+payload, empty models before and after it and no effects. The `with` helpers
+fill in what a test looks at.
+
+    updateEntry 10 "Click"
+        |> withModels [ ( "count", E.int 0 ) ] [ ( "count", E.int 1 ) ]
+        |> withEffects [ effect "Http" [] ]
+
+-}
+
+import Json.Encode as E
+import Types exposing (Effect, LogEntry(..))
+
+
+{-| An init entry at the given time with the given model fields.
+-}
+initEntry : Int -> List ( String, E.Value ) -> LogEntry
+initEntry timestamp model =
+    InitEntry { timestamp = timestamp, model = E.object model, effects = [] }
+
+
+{-| An update entry at the given time for a message with the given name.
+-}
+updateEntry : Int -> String -> LogEntry
+updateEntry timestamp messageName =
+    UpdateEntry
+        { timestamp = timestamp
+        , message = { name = messageName, payload = E.object [ ( "_type", E.string messageName ) ] }
+        , modelBefore = E.object []
+        , modelAfter = E.object []
+        , effects = []
+        }
+
+
+{-| A subscription change entry at the given time, with the subscriptions it
+started and stopped.
+-}
+subscriptionChangeEntry : Int -> List E.Value -> List E.Value -> LogEntry
+subscriptionChangeEntry timestamp started stopped =
+    SubscriptionChangeEntry { timestamp = timestamp, started = started, stopped = stopped }
+
+
+{-| An entry for a line of the given number that couldn't be parsed.
+-}
+errorEntry : Int -> LogEntry
+errorEntry lineNumber =
+    ErrorEntry { lineNumber = lineNumber, rawText = "", error = "bad line" }
+
+
+{-| An effect with the given name, whose data holds its `_type` and the given
+fields.
+-}
+effect : String -> List ( String, E.Value ) -> Effect
+effect name fields =
+    { name = name, data = E.object (( "_type", E.string name ) :: fields) }
+
+
+{-| Set the model fields of an update entry before and after its message, or
+the model of an init entry to the fields after.
+-}
+withModels : List ( String, E.Value ) -> List ( String, E.Value ) -> LogEntry -> LogEntry
+withModels before after entry =
+    case entry of
+        InitEntry data ->
+            InitEntry { data | model = E.object after }
+
+        UpdateEntry data ->
+            UpdateEntry { data | modelBefore = E.object before, modelAfter = E.object after }
+
+        _ ->
+            entry
+
+
+{-| Set the payload of an update entry's message.
+-}
+withPayload : E.Value -> LogEntry -> LogEntry
+withPayload payload entry =
+    case entry of
+        UpdateEntry data ->
+            let
+                message =
+                    data.message
+            in
+            UpdateEntry { data | message = { message | payload = payload } }
+
+        _ ->
+            entry
+
+
+{-| Set the effects of an init or update entry.
+-}
+withEffects : List Effect -> LogEntry -> LogEntry
+withEffects effects entry =
+    case entry of
+        InitEntry data ->
+            InitEntry { data | effects = effects }
+
+        UpdateEntry data ->
+            UpdateEntry { data | effects = effects }
+
+        _ ->
+            entry
@@ -0,0 +1,182 @@
+module LogConverterTest exposing (suite)
+
+{-| Unit tests for the LogConverter module.
+
+Tests cover:
+
+  - Header lines for each output format
+  - Converting v1 full models to v2 modelDiff patches and back
+  - Keeping the other fields of an entry
+  - stringDict compression of the output, readable again by LogParser
+  - Skipping input header and stringDict lines
+
+-}
+
+import Expect
+import Json.Decode as D
+import Json.Encode as E
+import LogConverter exposing (Format(..))
+import LogParser
+import Test exposing (..)
+import Types exposing (LogEntry(..))
+
+
+suite : Test
+suite =
+    describe "LogConverter"
+        [ headerTests
+        , convertLineTests
+        , compressionTests
+        ]
+
+
+{-| Convert a sequence of lines, returning all output lines (including the
+header) encoded as strings.
+-}
+convertAll : LogConverter.Options -> List E.Value -> List String
+convertAll options lines =
+    lines
+        |> List.indexedMap Tuple.pair
+        |> List.foldl
+            (\( index, line ) ( converter, output ) ->
+                let
+                    converted =
+                        LogConverter.convertLine (index + 1) line converter
+                in
+                ( converted.converter, output ++ converted.lines )
+            )
+            ( LogConverter.init options, [ LogConverter.header options ] )
+        |> Tuple.second
+        |> List.map (E.encode 0)
+
+
+{-| Parse output lines with LogParser and return the model after each entry.
+-}
+parsedModels : List String -> List String
+parsedModels lines =
+    lines
+        |> List.filterMap (D.decodeString D.value >> Result.toMaybe)
+        |> List.indexedMap Tuple.pair
+        |> List.foldl
+            (\( index, line ) ( state, models ) ->
+                case LogParser.parseLine (index + 1) line state of
+                    ( nextState, Just (InitEntry data) ) ->
+                        ( nextState, models ++ [ E.encode 0 data.model ] )
+
+                    ( nextState, Just (UpdateEntry data) ) ->
+                        ( nextState, models ++ [ E.encode 0 data.modelAfter ] )
+
+                    ( nextState, _ ) ->
+                        ( nextState, models )
+            )
+            ( LogParser.initialParseState, [] )
+        |> Tuple.second
+
+
+v1Log : List E.Value
+v1Log =
+    [ E.object [ ( "type", E.string "header" ), ( "version", E.int 1 ) ]
+    , E.object
+        [ ( "type", E.string "init" )
+        , ( "timestamp", E.int 0 )
+        , ( "model", E.object [ ( "count", E.int 0 ), ( "name", E.string "counter" ) ] )
+        ]
+    , E.object
+        [ ( "type", E.string "update" )
+        , ( "timestamp", E.int 10 )
+        , ( "message", E.object [ ( "_type", E.string "Increment" ) ] )
+        , ( "model", E.object [ ( "count", E.int 1 ), ( "name", E.string "counter" ) ] )
+        , ( "effects", E.list identity [] )
+        ]
+    ]
+
+
+headerTests : Test
+headerTests =
+    describe "header"
+        [ test "writes version 2 for modelDiff output" <|
+            \_ ->
+                LogConverter.header { format = ModelDiff, compress = False }
+                    |> E.encode 0
+                    |> Expect.equal """{"type":"header","version":2}"""
+        , test "writes version 1 and compression when requested" <|
+            \_ ->
+                LogConverter.header { format = FullModel, compress = True }
+                    |> E.encode 0
+                    |> Expect.equal """{"type":"header","version":1,"compression":"stringDict"}"""
+        ]
+
+
+convertLineTests : Test
+convertLineTests =
+    describe "convertLine"
+        [ test "converts v1 full models to modelDiff patches" <|
+            \_ ->
+                convertAll { format = ModelDiff, compress = False } v1Log
+                    |> Expect.equal
+                        [ """{"type":"header","version":2}"""
+                        , """{"type":"init","timestamp":0,"modelDiff":[{"op":"add","path":"/count","value":0},{"op":"add","path":"/name","value":"counter"}]}"""
+                        , """{"type":"update","timestamp":10,"message":{"_type":"Increment"},"effects":[],"modelDiff":[{"op":"replace","path":"/count","value":1}]}"""
+                        ]
+        , test "converts modelDiff patches back to full models" <|
+            \_ ->
+                convertAll { format = ModelDiff, compress = False } v1Log
+                    |> List.filterMap (D.decodeString D.value >> Result.toMaybe)
+                    |> convertAll { format = FullModel, compress = False }
+                    |> Expect.equal
+                        [ """{"type":"header","version":1}"""
+                        , """{"type":"init","timestamp":0,"model":{"count":0,"name":"counter"}}"""
+                        , """{"type":"update","timestamp":10,"message":{"_type":"Increment"},"effects":[],"model":{"count":1,"name":"counter"}}"""
+                        ]
+        , test "reports the parsed entry and writes nothing for invalid lines" <|
+            \_ ->
+                let
+                    converted =
+                        LogConverter.convertLine 4
+                            (E.object [ ( "type", E.string "update" ) ])
+                            (LogConverter.init { format = ModelDiff, compress = False })
+                in
+                case ( converted.entry, converted.lines ) of
+                    ( Just (ErrorEntry data), [] ) ->
+                        Expect.equal 4 data.lineNumber
+
+                    _ ->
+                        Expect.fail "Expected an error entry and no output"
+        ]
+
+
+compressionTests : Test
+compressionTests =
+    describe "compression"
+        [ test "defines strings before the entry that uses them" <|
+            \_ ->
+                convertAll { format = FullModel, compress = True } (List.take 2 v1Log)
+                    |> Expect.equal
+                        [ """{"type":"header","version":1,"compression":"stringDict"}"""
+                        , """{"type":"stringDict","strings":{"0":"count","1":"name","2":"counter"}}"""
+                        , """{"type":"init","timestamp":0,"model":{"@0":0,"@1":"@2"}}"""
+                        ]
+        , test "only defines new strings on later lines" <|
+            \_ ->
+                convertAll { format = FullModel, compress = True } v1Log
+                    |> List.drop 3
+                    |> Expect.equal
+                        [ """{"type":"stringDict","strings":{"3":"_type","4":"Increment"}}"""
+                        , """{"type":"update","timestamp":10,"message":{"@3":"@4"},"effects":[],"model":{"@0":1,"@1":"@2"}}"""
+                        ]
+        , test "compressed output parses to the same models" <|
+            \_ ->
+                convertAll { format = ModelDiff, compress = True } v1Log
+                    |> parsedModels
+                    |> Expect.equal
+                        [ """{"count":0,"name":"counter"}"""
+                        , """{"count":1,"name":"counter"}"""
+                        ]
+        , test "input header and stringDict lines produce no output" <|
+            \_ ->
+                convertAll { format = ModelDiff, compress = True } v1Log
+                    |> List.filterMap (D.decodeString D.value >> Result.toMaybe)
+                    |> convertAll { format = ModelDiff, compress = False }
+                    |> List.length
+                    |> Expect.equal 3
+        ]
@@ -5,21 +5,25 @@ module LogParserTest exposing (suite)
 Tests cover:
 
   - Entry type detection
-  - Header decoding (with and without compression)
+  - Header decoding (with and without compression, and the type registry)
   - Init entry decoding (v2 format with modelDiff)
   - Update entry decoding (v2 format with modelDiff)
   - Subscription change entry decoding
   - Effect decoding (v2 formats)
+  - Line-by-line parsing with parseLine (v1 and v2 models, compression, errors)
+  - Noticing where a rebuilt model diverges: failing patches, keyframes and checksums
 
 -}
 
 import CompressionDict
+import Diff
 import Expect
 import Json.Decode as D
 import Json.Encode as E
 import LogParser
 import Test exposing (..)
-import Types exposing (Effect, MessageData)
+import TypeRegistry
+import Types exposing (Effect, LogEntry(..), MessageData)
 
 
 suite : Test
@@ -31,6 +35,8 @@ suite =
         , updateDataDecoderTests
         , subscriptionChangeDataDecoderTests
         , effectDecoderTests
+        , parseLineTests
+        , divergenceTests
         ]
 
 
@@ -130,6 +136,17 @@ headerDecoderTests =
 
                     Err e ->
                         Expect.fail (D.errorToString e)
+        , test "decodes the type registry" <|
+            \_ ->
+                D.decodeString LogParser.headerDecoder
+                    """{"type":"header","version":1,"typeRegistry":{"messages":{"Message":{"variants":[{"name":"Tick","qualifiedName":"Message.Tick","fields":[]}]}}}}"""
+                    |> Result.map (.typeRegistry >> Maybe.map (TypeRegistry.names TypeRegistry.Messages))
+                    |> Expect.equal (Ok (Just [ "Message.Tick" ]))
+        , test "ignores a type registry it can't decode" <|
+            \_ ->
+                D.decodeString LogParser.headerDecoder """{"type":"header","version":1,"typeRegistry":[1,2]}"""
+                    |> Result.map .typeRegistry
+                    |> Expect.equal (Ok Nothing)
         ]
 
 
@@ -413,3 +430,293 @@ effectDecoderTests =
                     Err e ->
                         Expect.fail (D.errorToString e)
         ]
+
+
+{-| Parse a sequence of lines, returning the entries they produced.
+-}
+parseLines : List E.Value -> List LogEntry
+parseLines lines =
+    lines
+        |> List.indexedMap Tuple.pair
+        |> List.foldl
+            (\( index, line ) ( state, entries ) ->
+                let
+                    ( nextState, maybeEntry ) =
+                        LogParser.parseLine (index + 1) line state
+                in
+                ( nextState
+                , case maybeEntry of
+                    Just entry ->
+                        entry :: entries
+
+                    Nothing ->
+                        entries
+                )
+            )
+            ( LogParser.initialParseState, [] )
+        |> Tuple.second
+        |> List.reverse
+
+
+{-| The model after each init and update entry, encoded for comparison.
+-}
+modelsAfter : List LogEntry -> List String
+modelsAfter entries =
+    List.filterMap
+        (\entry ->
+            case entry of
+                InitEntry data ->
+                    Just (E.encode 0 data.model)
+
+                UpdateEntry data ->
+                    Just (E.encode 0 data.modelAfter)
+
+                _ ->
+                    Nothing
+        )
+        entries
+
+
+parseLineTests : Test
+parseLineTests =
+    describe "parseLine"
+        [ test "applies v2 modelDiff patches to the previous model" <|
+            \_ ->
+                parseLines
+                    [ E.object
+                        [ ( "type", E.string "init" )
+                        , ( "modelDiff"
+                          , E.list identity
+                                [ E.object [ ( "op", E.string "add" ), ( "path", E.string "/count" ), ( "value", E.int 0 ) ] ]
+                          )
+                        ]
+                    , E.object
+                        [ ( "type", E.string "update" )
+                        , ( "message", E.object [ ( "_type", E.string "Increment" ) ] )
+                        , ( "modelDiff"
+                          , E.list identity
+                                [ E.object [ ( "op", E.string "replace" ), ( "path", E.string "/count" ), ( "value", E.int 1 ) ] ]
+                          )
+                        ]
+                    ]
+                    |> modelsAfter
+                    |> Expect.equal [ """{"count":0}""", """{"count":1}""" ]
+        , test "reads v1 entries with a full model" <|
+            \_ ->
+                parseLines
+                    [ E.object [ ( "type", E.string "header" ), ( "version", E.int 1 ) ]
+                    , E.object
+                        [ ( "type", E.string "init" )
+                        , ( "model", E.object [ ( "count", E.int 0 ) ] )
+                        ]
+                    , E.object
+                        [ ( "type", E.string "update" )
+                        , ( "message", E.object [ ( "_type", E.string "Increment" ) ] )
+                        , ( "model", E.object [ ( "count", E.int 1 ) ] )
+                        ]
+                    ]
+                    |> modelsAfter
+                    |> Expect.equal [ """{"count":0}""", """{"count":1}""" ]
+        , test "sets modelBefore to the previous model" <|
+            \_ ->
+                case
+                    parseLines
+                        [ E.object [ ( "type", E.string "init" ), ( "model", E.object [ ( "count", E.int 0 ) ] ) ]
+                        , E.object
+                            [ ( "type", E.string "update" )
+                            , ( "message", E.object [ ( "_type", E.string "Increment" ) ] )
+                            , ( "model", E.object [ ( "count", E.int 1 ) ] )
+                            ]
+                        ]
+                of
+                    [ _, UpdateEntry data ] ->
+                        Expect.equal """{"count":0}""" (E.encode 0 data.modelBefore)
+
+                    _ ->
+                        Expect.fail "Expected an init and an update entry"
+        , test "decompresses entries after a stringDict line" <|
+            \_ ->
+                parseLines
+                    [ E.object [ ( "type", E.string "header" ), ( "version", E.int 2 ), ( "compression", E.string "stringDict" ) ]
+                    , E.object
+                        [ ( "type", E.string "stringDict" )
+                        , ( "strings", E.object [ ( "0", E.string "modelDiff" ), ( "1", E.string "op" ), ( "2", E.string "add" ), ( "3", E.string "path" ), ( "4", E.string "/name" ), ( "5", E.string "value" ), ( "6", E.string "Alice" ) ] )
+                        ]
+                    , E.object
+                        [ ( "type", E.string "init" )
+                        , ( "@0"
+                          , E.list identity
+                                [ E.object [ ( "@1", E.string "@2" ), ( "@3", E.string "@4" ), ( "@5", E.string "@6" ) ] ]
+                          )
+                        ]
+                    ]
+                    |> modelsAfter
+                    |> Expect.equal [ """{"name":"Alice"}""" ]
+        , test "produces no entries for header, stringDict and unknown lines" <|
+            \_ ->
+                parseLines
+                    [ E.object [ ( "type", E.string "header" ), ( "version", E.int 2 ) ]
+                    , E.object [ ( "type", E.string "stringDict" ), ( "strings", E.object [] ) ]
+                    , E.object [ ( "type", E.string "somethingNew" ) ]
+                    ]
+                    |> List.length
+                    |> Expect.equal 0
+        , test "produces an error entry with the line number for an invalid entry" <|
+            \_ ->
+                case
+                    parseLines
+                        [ E.object [ ( "type", E.string "init" ), ( "model", E.object [] ) ]
+                        , E.object [ ( "type", E.string "update" ) ]
+                        ]
+                of
+                    [ _, ErrorEntry data ] ->
+                        Expect.equal 2 data.lineNumber
+
+                    _ ->
+                        Expect.fail "Expected an init entry and an error entry"
+        ]
+
+
+{-| Parse a sequence of lines, returning the line numbers and reasons of the
+divergences they revealed.
+-}
+divergencesIn : List E.Value -> List ( Int, String )
+divergencesIn lines =
+    lines
+        |> List.indexedMap Tuple.pair
+        |> List.foldl
+            (\( index, line ) ( state, found ) ->
+                let
+                    ( nextState, _ ) =
+                        LogParser.parseLine (index + 1) line state
+                in
+                ( nextState
+                , case nextState.divergence of
+                    Just reason ->
+                        ( index + 1, reason ) :: found
+
+                    Nothing ->
+                        found
+                )
+            )
+            ( LogParser.initialParseState, [] )
+        |> Tuple.second
+        |> List.reverse
+
+
+{-| An init line setting `count` to 0, with any extra fields.
+-}
+initLine : List ( String, E.Value ) -> E.Value
+initLine fields =
+    E.object
+        (( "type", E.string "init" )
+            :: ( "modelDiff", E.list identity [ E.object [ ( "op", E.string "add" ), ( "path", E.string "" ), ( "value", E.object [ ( "count", E.int 0 ) ] ) ] ] )
+            :: fields
+        )
+
+
+{-| An update line whose patch sets `count`, with any extra fields.
+-}
+setCountLine : String -> Int -> List ( String, E.Value ) -> E.Value
+setCountLine op count fields =
+    E.object
+        (( "type", E.string "update" )
+            :: ( "message", E.object [ ( "_type", E.string "Increment" ) ] )
+            :: ( "modelDiff", E.list identity [ E.object [ ( "op", E.string op ), ( "path", E.string "/count" ), ( "value", E.int count ) ] ] )
+            :: fields
+        )
+
+
+divergenceTests : Test
+divergenceTests =
+    describe "divergence"
+        [ test "a log whose patches all apply doesn't diverge" <|
+            \_ ->
+                divergencesIn [ initLine [], setCountLine "replace" 1 [], setCountLine "replace" 2 [] ]
+                    |> Expect.equal []
+        , test "reports the first patch that targets a missing path" <|
+            \_ ->
+                divergencesIn
+                    [ initLine []
+                    , E.object
+                        [ ( "type", E.string "update" )
+                        , ( "message", E.object [ ( "_type", E.string "Reset" ) ] )
+                        , ( "modelDiff", E.list identity [ E.object [ ( "op", E.string "remove" ), ( "path", E.string "/items/5" ) ] ] )
+                        ]
+                    , setCountLine "replace" 2 [ ( "modelChecksum", E.string "00000000" ) ]
+                    ]
+                    |> Expect.equal [ ( 2, "Patch doesn't apply: \"remove\" at /items/5: path doesn't exist" ) ]
+        , test "still applies the operations of a failing patch that can be" <|
+            \_ ->
+                parseLines
+                    [ initLine []
+                    , E.object
+                        [ ( "type", E.string "update" )
+                        , ( "message", E.object [ ( "_type", E.string "Increment" ) ] )
+                        , ( "modelDiff"
+                          , E.list identity
+                                [ E.object [ ( "op", E.string "remove" ), ( "path", E.string "/missing" ) ]
+                                , E.object [ ( "op", E.string "replace" ), ( "path", E.string "/count" ), ( "value", E.int 1 ) ]
+                                ]
+                          )
+                        ]
+                    ]
+                    |> modelsAfter
+                    |> Expect.equal [ """{"count":0}""", """{"count":1}""" ]
+        , test "a keyframe that doesn't match is reported and replaces the model" <|
+            \_ ->
+                let
+                    lines =
+                        [ initLine []
+                        , setCountLine "replace" 1 [ ( "model", E.object [ ( "count", E.int 7 ) ] ) ]
+                        ]
+                in
+                ( divergencesIn lines |> List.map Tuple.first
+                , modelsAfter (parseLines lines)
+                )
+                    |> Expect.equal ( [ 2 ], [ """{"count":0}""", """{"count":7}""" ] )
+        , test "a matching keyframe is not reported whatever its key order" <|
+            \_ ->
+                divergencesIn
+                    [ initLine []
+                    , E.object
+                        [ ( "type", E.string "update" )
+                        , ( "message", E.object [ ( "_type", E.string "Increment" ) ] )
+                        , ( "modelDiff", E.list identity [ E.object [ ( "op", E.string "add" ), ( "path", E.string "/name" ), ( "value", E.string "a" ) ] ] )
+                        , ( "model", E.object [ ( "name", E.string "a" ), ( "count", E.int 0 ) ] )
+                        ]
+                    ]
+                    |> Expect.equal []
+        , test "a checksum that doesn't match is reported" <|
+            \_ ->
+                divergencesIn
+                    [ initLine [ ( "modelChecksum", E.string "00000000" ) ] ]
+                    |> List.map Tuple.first
+                    |> Expect.equal [ 1 ]
+        , test "a matching checksum is not reported" <|
+            \_ ->
+                divergencesIn
+                    [ initLine [ ( "modelChecksum", E.string (Diff.modelChecksum (E.object [ ( "count", E.int 0 ) ])) ) ] ]
+                    |> Expect.equal []
+        , test "only the first diverging entry is reported until a keyframe" <|
+            \_ ->
+                divergencesIn
+                    [ initLine []
+                    , setCountLine "replace" 1 [ ( "modelChecksum", E.string "00000000" ) ]
+                    , setCountLine "replace" 2 [ ( "modelChecksum", E.string "00000000" ) ]
+                    , setCountLine "replace" 3 [ ( "model", E.object [ ( "count", E.int 3 ) ] ) ]
+                    , setCountLine "replace" 4 [ ( "modelChecksum", E.string "00000000" ) ]
+                    ]
+                    |> List.map Tuple.first
+                    |> Expect.equal [ 2, 5 ]
+        , test "an init entry starts over" <|
+            \_ ->
+                divergencesIn
+                    [ initLine []
+                    , setCountLine "replace" 1 [ ( "modelChecksum", E.string "00000000" ) ]
+                    , initLine []
+                    , setCountLine "replace" 1 [ ( "modelChecksum", E.string "00000000" ) ]
+                    ]
+                    |> List.map Tuple.first
+                    |> Expect.equal [ 2, 4 ]
+        ]
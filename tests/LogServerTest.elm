@@ -0,0 +1,89 @@
+module LogServerTest exposing (suite)
+
+{-| Unit tests for the LogServer module.
+
+Tests cover:
+
+  - Reading port numbers typed by the user
+  - Decoding clients reported by the server
+  - Keeping the list of clients as they connect, go away and come back
+
+-}
+
+import Expect
+import Json.Decode as D
+import LogServer exposing (Protocol(..))
+import Test exposing (..)
+
+
+suite : Test
+suite =
+    describe "LogServer"
+        [ portTests
+        , clientDecoderTests
+        , clientListTests
+        ]
+
+
+client : String -> LogServer.Client
+client id =
+    { id = id, protocol = Tcp, address = "10.0.0." ++ id ++ ":5000", connected = True }
+
+
+portTests : Test
+portTests =
+    describe "parsePort"
+        [ test "reads a port number" <|
+            \_ ->
+                LogServer.parsePort " 9400 "
+                    |> Expect.equal (Just 9400)
+        , test "rejects ports out of range" <|
+            \_ ->
+                List.map LogServer.parsePort [ "0", "65536", "-1" ]
+                    |> Expect.equal [ Nothing, Nothing, Nothing ]
+        , test "rejects text" <|
+            \_ ->
+                LogServer.parsePort "http"
+                    |> Expect.equal Nothing
+        ]
+
+
+clientDecoderTests : Test
+clientDecoderTests =
+    describe "clientDecoder"
+        [ test "decodes a client" <|
+            \_ ->
+                D.decodeString LogServer.clientDecoder "{\"id\":\"3\",\"protocol\":\"websocket\",\"address\":\"::1:50122\",\"connectedAt\":1700000000000}"
+                    |> Expect.equal (Ok { id = "3", protocol = WebSocket, address = "::1:50122", connected = True })
+        , test "rejects unknown protocols" <|
+            \_ ->
+                D.decodeString LogServer.clientDecoder "{\"id\":\"3\",\"protocol\":\"udp\",\"address\":\"::1:50122\"}"
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        ]
+
+
+clientListTests : Test
+clientListTests =
+    describe "connect and disconnect"
+        [ test "lists clients in the order they connected" <|
+            \_ ->
+                []
+                    |> LogServer.connect (client "1")
+                    |> LogServer.connect (client "2")
+                    |> List.map .id
+                    |> Expect.equal [ "1", "2" ]
+        , test "a client that went away stays listed" <|
+            \_ ->
+                [ client "1", client "2" ]
+                    |> LogServer.disconnect "1"
+                    |> List.map .connected
+                    |> Expect.equal [ False, True ]
+        , test "a client that comes back keeps its place" <|
+            \_ ->
+                [ client "1", client "2" ]
+                    |> LogServer.disconnect "1"
+                    |> LogServer.connect (client "1")
+                    |> List.map (\c -> ( c.id, c.connected ))
+                    |> Expect.equal [ ( "1", True ), ( "2", True ) ]
+        ]
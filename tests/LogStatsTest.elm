@@ -0,0 +1,110 @@
+module LogStatsTest exposing (suite)
+
+{-| Unit tests for the LogStats module.
+
+Tests cover:
+
+  - Counting entries by type
+  - Counting messages and effects by name
+  - Timing: first/last timestamps and intervals between updates
+  - JSON encoding of the statistics
+
+-}
+
+import Dict
+import Expect
+import Fixtures exposing (effect, errorEntry, initEntry, subscriptionChangeEntry, updateEntry, withEffects)
+import Json.Decode as D
+import LogStats
+import Test exposing (..)
+import Types exposing (LogEntry)
+
+
+suite : Test
+suite =
+    describe "LogStats"
+        [ addEntryTests
+        , encodeTests
+        ]
+
+
+collect : List LogEntry -> LogStats.Stats
+collect entries =
+    List.foldl LogStats.addEntry LogStats.empty entries
+
+
+addEntryTests : Test
+addEntryTests =
+    describe "addEntry"
+        [ test "counts entries by type" <|
+            \_ ->
+                let
+                    stats =
+                        collect
+                            [ initEntry 0 []
+                            , updateEntry 10 "Tick"
+                            , updateEntry 20 "Tick"
+                            , subscriptionChangeEntry 30 [] []
+                            , errorEntry 5
+                            ]
+                in
+                Expect.equal ( ( stats.initCount, stats.updateCount ), ( stats.subscriptionChangeCount, stats.errorCount ) )
+                    ( ( 1, 2 ), ( 1, 1 ) )
+        , test "counts messages by name" <|
+            \_ ->
+                collect [ updateEntry 0 "Tick", updateEntry 1 "Click", updateEntry 2 "Tick" ]
+                    |> .messageCounts
+                    |> Dict.toList
+                    |> Expect.equal [ ( "Click", 1 ), ( "Tick", 2 ) ]
+        , test "counts effects from init and update entries" <|
+            \_ ->
+                collect
+                    [ initEntry 0 [] |> withEffects [ effect "Http" [] ]
+                    , updateEntry 1 "Tick" |> withEffects [ effect "Http" [], effect "Log" [] ]
+                    ]
+                    |> .effectCounts
+                    |> Dict.toList
+                    |> Expect.equal [ ( "Http", 2 ), ( "Log", 1 ) ]
+        , test "records first and last timestamps" <|
+            \_ ->
+                let
+                    stats =
+                        collect [ initEntry 100 [], updateEntry 150 "Tick", errorEntry 3, updateEntry 400 "Tick" ]
+                in
+                Expect.equal ( stats.firstTimestamp, stats.lastTimestamp ) ( Just 100, Just 400 )
+        , test "tracks intervals between consecutive updates" <|
+            \_ ->
+                collect [ initEntry 0 [], updateEntry 100 "Tick", updateEntry 150 "Tick", updateEntry 300 "Tick" ]
+                    |> .updateIntervals
+                    |> Expect.equal { min = Just 50, max = Just 150, total = 200, count = 2 }
+        ]
+
+
+encodeTests : Test
+encodeTests =
+    describe "encode"
+        [ test "lists messages from most to least frequent" <|
+            \_ ->
+                collect [ updateEntry 0 "Click", updateEntry 1 "Tick", updateEntry 2 "Tick" ]
+                    |> LogStats.encode
+                    |> D.decodeValue (D.field "messages" (D.list (D.field "name" D.string)))
+                    |> Expect.equal (Ok [ "Tick", "Click" ])
+        , test "includes duration and mean update interval" <|
+            \_ ->
+                collect [ initEntry 0 [], updateEntry 100 "Tick", updateEntry 200 "Tick", updateEntry 400 "Tick" ]
+                    |> LogStats.encode
+                    |> D.decodeValue
+                        (D.field "timing"
+                            (D.map2 Tuple.pair
+                                (D.field "durationMs" D.int)
+                                (D.at [ "updateIntervalMs", "mean" ] D.float)
+                            )
+                        )
+                    |> Expect.equal (Ok ( 400, 150 ))
+        , test "encodes missing timing as null" <|
+            \_ ->
+                LogStats.empty
+                    |> LogStats.encode
+                    |> D.decodeValue (D.at [ "timing", "durationMs" ] (D.nullable D.int))
+                    |> Expect.equal (Ok Nothing)
+        ]
@@ -0,0 +1,129 @@
+module PlaybackTest exposing (suite)
+
+{-| Unit tests for the Playback module.
+
+Tests cover:
+
+  - Starting from the selected entry, or from the first one
+  - Advancing through entries by the gaps between their timestamps
+  - Scaling time by the playback speed
+  - Stopping at the last entry and skipping entries without a timestamp
+  - Continuing from an entry selected while playing
+  - Seeking to a time and the bounds of the timeline
+
+-}
+
+import Array
+import Expect
+import Playback exposing (Playback)
+import Test exposing (..)
+
+
+suite : Test
+suite =
+    describe "Playback"
+        [ startTests
+        , tickTests
+        , seekTests
+        ]
+
+
+{-| Entries at 1000, 1100, 1500, a parse error, then 3000 ms.
+-}
+timeline : Playback.Timeline
+timeline =
+    let
+        timestamps =
+            Array.fromList [ Just 1000, Just 1100, Just 1500, Nothing, Just 3000 ]
+    in
+    { timestampOf = \index -> Array.get index timestamps |> Maybe.andThen identity
+    , count = Array.length timestamps
+    }
+
+
+playingFrom : Int -> Playback
+playingFrom index =
+    Playback.start timeline (Just index) Playback.init
+
+
+startTests : Test
+startTests =
+    describe "start"
+        [ test "starts at the selected entry" <|
+            \_ ->
+                playingFrom 1
+                    |> (\playback -> ( playback.playing, playback.entryIndex, playback.clock ))
+                    |> Expect.equal ( True, Just 1, 1100 )
+        , test "starts at the first entry when nothing is selected" <|
+            \_ ->
+                Playback.start timeline Nothing Playback.init
+                    |> .entryIndex
+                    |> Expect.equal (Just 0)
+        , test "starts over from the first entry at the end" <|
+            \_ ->
+                playingFrom 4
+                    |> .entryIndex
+                    |> Expect.equal (Just 0)
+        , test "does not play an empty log" <|
+            \_ ->
+                Playback.start { timestampOf = always Nothing, count = 0 } Nothing Playback.init
+                    |> .playing
+                    |> Expect.equal False
+        ]
+
+
+tickTests : Test
+tickTests =
+    describe "tick"
+        [ test "stays on an entry until the gap to the next has passed" <|
+            \_ ->
+                playingFrom 0
+                    |> Playback.tick timeline 99 (Just 0)
+                    |> .entryIndex
+                    |> Expect.equal (Just 0)
+        , test "moves to the last entry the playhead has passed" <|
+            \_ ->
+                playingFrom 0
+                    |> Playback.tick timeline 600 (Just 0)
+                    |> .entryIndex
+                    |> Expect.equal (Just 2)
+        , test "scales time by the speed" <|
+            \_ ->
+                playingFrom 0
+                    |> (\playback -> { playback | speed = 0.25 })
+                    |> Playback.tick timeline 400 (Just 0)
+                    |> (\playback -> ( playback.entryIndex, playback.clock ))
+                    |> Expect.equal ( Just 1, 1100 )
+        , test "skips entries without a timestamp and stops at the last entry" <|
+            \_ ->
+                playingFrom 2
+                    |> Playback.tick timeline 5000 (Just 2)
+                    |> (\playback -> ( playback.entryIndex, playback.playing ))
+                    |> Expect.equal ( Just 4, False )
+        , test "continues from an entry selected while playing" <|
+            \_ ->
+                playingFrom 0
+                    |> Playback.tick timeline 10 (Just 2)
+                    |> (\playback -> ( playback.entryIndex, playback.clock ))
+                    |> Expect.equal ( Just 2, 1510 )
+        ]
+
+
+seekTests : Test
+seekTests =
+    describe "seek"
+        [ test "selects the last entry at or before the time" <|
+            \_ ->
+                Playback.seek timeline 2000 Playback.init
+                    |> .entryIndex
+                    |> Expect.equal (Just 2)
+        , test "selects the first entry before the timeline starts" <|
+            \_ ->
+                Playback.seek timeline 0 Playback.init
+                    |> .entryIndex
+                    |> Expect.equal (Just 0)
+        , test "bounds are the first and last timestamps" <|
+            \_ ->
+                Playback.bounds timeline
+                    |> Expect.equal (Just ( 1000, 3000 ))
+        ]
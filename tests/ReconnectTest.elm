@@ -0,0 +1,144 @@
+module ReconnectTest exposing (suite)
+
+{-| Unit tests for the Reconnect module.
+
+Tests cover:
+
+  - Backoff delays doubling up to their limit
+  - Reading saved settings, with defaults for anything missing
+  - Detecting entries missing from a stream by their sequence numbers
+  - Dropping entries sent again after reconnecting
+  - Detecting an application that restarted while disconnected
+
+-}
+
+import Expect
+import Json.Decode as D
+import Json.Encode as E
+import Reconnect exposing (Gap(..), Verdict(..))
+import Test exposing (..)
+
+
+suite : Test
+suite =
+    describe "Reconnect"
+        [ backoffTests
+        , settingsTests
+        , observeTests
+        , lineTests
+        ]
+
+
+update : Int -> Reconnect.Line
+update sequence =
+    { sequence = Just sequence, initTimestamp = Nothing }
+
+
+initLine : Int -> Reconnect.Line
+initLine timestamp =
+    { sequence = Just 0, initTimestamp = Just timestamp }
+
+
+{-| Feed lines in order, collecting the verdict on each.
+-}
+observeAll : List Reconnect.Line -> Reconnect.Continuity -> ( Reconnect.Continuity, List Verdict )
+observeAll lines continuity =
+    List.foldl
+        (\line ( current, verdicts ) ->
+            let
+                ( next, verdict ) =
+                    Reconnect.observe line current
+            in
+            ( next, verdicts ++ [ verdict ] )
+        )
+        ( continuity, [] )
+        lines
+
+
+{-| A session that received its init and updates 1 to 5 before the
+connection was lost and re-established.
+-}
+resumed : Reconnect.Continuity
+resumed =
+    observeAll (initLine 1000 :: List.map update (List.range 1 5)) Reconnect.initContinuity
+        |> Tuple.first
+        |> Reconnect.resume
+
+
+backoffTests : Test
+backoffTests =
+    describe "delay"
+        [ test "doubles after each attempt" <|
+            \_ ->
+                List.map Reconnect.delay [ 1, 2, 3, 4 ]
+                    |> Expect.equal [ 1000, 2000, 4000, 8000 ]
+        , test "waits at most 30 seconds" <|
+            \_ ->
+                Reconnect.delay 12
+                    |> Expect.equal 30000
+        ]
+
+
+settingsTests : Test
+settingsTests =
+    describe "settings"
+        [ test "round-trips settings" <|
+            \_ ->
+                Reconnect.encodeSettings { enabled = False, maxAttempts = 3 }
+                    |> D.decodeValue Reconnect.settingsDecoder
+                    |> Expect.equal (Ok { enabled = False, maxAttempts = 3 })
+        , test "uses the defaults when nothing was saved" <|
+            \_ ->
+                D.decodeValue Reconnect.settingsDecoder E.null
+                    |> Expect.equal (Ok Reconnect.defaultSettings)
+        ]
+
+
+observeTests : Test
+observeTests =
+    describe "observe"
+        [ test "keeps entries that follow on" <|
+            \_ ->
+                observeAll [ initLine 1000, update 1, update 2 ] Reconnect.initContinuity
+                    |> Tuple.second
+                    |> Expect.equal [ Keep Nothing, Keep Nothing, Keep Nothing ]
+        , test "counts the entries a jump in sequence numbers skipped" <|
+            \_ ->
+                observeAll [ update 9 ] resumed
+                    |> Tuple.second
+                    |> Expect.equal [ Keep (Just (Missing 3)) ]
+        , test "drops entries sent again until the stream catches up" <|
+            \_ ->
+                observeAll [ initLine 1000, update 4, update 5, update 6, update 7 ] resumed
+                    |> Tuple.second
+                    |> Expect.equal [ Skip, Skip, Skip, Keep Nothing, Keep Nothing ]
+        , test "a new init after reconnecting marks a restart" <|
+            \_ ->
+                observeAll [ initLine 2000, update 1 ] resumed
+                    |> Tuple.second
+                    |> Expect.equal [ Keep (Just Restarted), Keep Nothing ]
+        , test "a snapshot while connected is not a restart" <|
+            \_ ->
+                observeAll [ initLine 1000, update 1, initLine 5000 ] Reconnect.initContinuity
+                    |> Tuple.second
+                    |> Expect.equal [ Keep Nothing, Keep Nothing, Keep Nothing ]
+        , test "entries without sequence numbers are kept" <|
+            \_ ->
+                observeAll [ { sequence = Nothing, initTimestamp = Nothing } ] resumed
+                    |> Tuple.second
+                    |> Expect.equal [ Keep Nothing ]
+        ]
+
+
+lineTests : Test
+lineTests =
+    describe "lineDecoder"
+        [ test "reads the sequence and init timestamp" <|
+            \_ ->
+                D.decodeString Reconnect.lineDecoder "{\"type\":\"init\",\"sequence\":0,\"timestamp\":1000,\"model\":{},\"effects\":[]}"
+                    |> Expect.equal (Ok (Just { sequence = Just 0, initTimestamp = Just 1000 }))
+        , test "ignores header lines" <|
+            \_ ->
+                D.decodeString Reconnect.lineDecoder "{\"type\":\"header\",\"version\":2}"
+                    |> Expect.equal (Ok Nothing)
+        ]
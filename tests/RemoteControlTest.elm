@@ -0,0 +1,128 @@
+module RemoteControlTest exposing (suite)
+
+{-| Unit tests for the RemoteControl module.
+
+Tests cover:
+
+  - Encoding and numbering commands
+  - Decoding capabilities, acknowledgements, errors and state changes
+  - Which commands are supported before and after `hello` is answered
+  - Tracking whether the application is paused
+
+-}
+
+import Expect
+import Json.Decode as D
+import Json.Encode as E
+import RemoteControl exposing (Command(..), Event(..))
+import Test exposing (..)
+
+
+suite : Test
+suite =
+    describe "RemoteControl"
+        [ sendTests
+        , eventTests
+        , applyTests
+        ]
+
+
+{-| Decode a control frame and apply it.
+-}
+receive : String -> RemoteControl.Remote -> RemoteControl.Remote
+receive frame remote =
+    case D.decodeString RemoteControl.eventDecoder frame of
+        Ok event ->
+            RemoteControl.applyEvent event remote
+
+        Err _ ->
+            remote
+
+
+connected : RemoteControl.Remote
+connected =
+    RemoteControl.init
+        |> receive "{\"type\":\"control\",\"event\":\"capabilities\",\"commands\":[\"pause\",\"resume\",\"snapshot\"]}"
+
+
+sendTests : Test
+sendTests =
+    describe "send"
+        [ test "encodes a command with its id" <|
+            \_ ->
+                RemoteControl.send Pause RemoteControl.init
+                    |> Tuple.second
+                    |> E.encode 0
+                    |> Expect.equal "{\"type\":\"control\",\"id\":1,\"command\":\"pause\"}"
+        , test "numbers commands in order" <|
+            \_ ->
+                RemoteControl.send Hello RemoteControl.init
+                    |> Tuple.first
+                    |> RemoteControl.send (Replay 120)
+                    |> Tuple.second
+                    |> E.encode 0
+                    |> Expect.equal "{\"type\":\"control\",\"id\":2,\"command\":\"replay\",\"fromSequence\":120}"
+        , test "sending a command clears the last error" <|
+            \_ ->
+                { connected | lastError = Just "pause: busy" }
+                    |> RemoteControl.send Pause
+                    |> Tuple.first
+                    |> .lastError
+                    |> Expect.equal Nothing
+        ]
+
+
+eventTests : Test
+eventTests =
+    describe "eventDecoder"
+        [ test "decodes capabilities" <|
+            \_ ->
+                D.decodeString RemoteControl.eventDecoder "{\"type\":\"control\",\"event\":\"capabilities\",\"commands\":[\"step\"],\"paused\":true}"
+                    |> Expect.equal (Ok (Capabilities { commands = [ "step" ], paused = True }))
+        , test "decodes an acknowledgement without a state" <|
+            \_ ->
+                D.decodeString RemoteControl.eventDecoder "{\"type\":\"control\",\"event\":\"ack\",\"id\":3,\"command\":\"snapshot\"}"
+                    |> Expect.equal (Ok (Ack { command = "snapshot", paused = Nothing }))
+        , test "decodes an error" <|
+            \_ ->
+                D.decodeString RemoteControl.eventDecoder "{\"type\":\"control\",\"event\":\"error\",\"id\":5,\"command\":\"replay\",\"error\":\"too old\"}"
+                    |> Expect.equal (Ok (Failed { command = "replay", error = "too old" }))
+        , test "rejects unknown events" <|
+            \_ ->
+                D.decodeString RemoteControl.eventDecoder "{\"type\":\"control\",\"event\":\"reboot\"}"
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        ]
+
+
+applyTests : Test
+applyTests =
+    describe "applyEvent"
+        [ test "nothing is supported until hello is answered" <|
+            \_ ->
+                RemoteControl.supports Pause RemoteControl.init
+                    |> Expect.equal False
+        , test "only announced commands are supported" <|
+            \_ ->
+                [ Pause, Step, Snapshot, Replay 0 ]
+                    |> List.map (\command -> RemoteControl.supports command connected)
+                    |> Expect.equal [ True, False, True, False ]
+        , test "an acknowledgement updates the paused state" <|
+            \_ ->
+                connected
+                    |> receive "{\"type\":\"control\",\"event\":\"ack\",\"id\":2,\"command\":\"pause\",\"paused\":true}"
+                    |> .paused
+                    |> Expect.equal True
+        , test "a state change made in the application is followed" <|
+            \_ ->
+                { connected | paused = True }
+                    |> receive "{\"type\":\"control\",\"event\":\"state\",\"paused\":false}"
+                    |> .paused
+                    |> Expect.equal False
+        , test "an error is kept with the command it refused" <|
+            \_ ->
+                connected
+                    |> receive "{\"type\":\"control\",\"event\":\"error\",\"command\":\"resume\",\"error\":\"not paused\"}"
+                    |> .lastError
+                    |> Expect.equal (Just "resume: not paused")
+        ]
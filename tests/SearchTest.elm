@@ -9,6 +9,9 @@ Tests cover:
 - Finding matches in boolean values
 - Returning empty result for no matches
 - Correctly building visible paths for parent nodes
+- Case-sensitive, whole-word and regular expression matching
+- Restricting matches to keys, values or a path prefix
+- Comparing number values with queries like `> 1.5`
 
 -}
 
@@ -332,4 +335,79 @@ suite =
                         |> Set.isEmpty
                         |> Expect.equal True
             ]
+        , describe "searchEntryWith"
+            [ test "whole word does not match inside a longer token" <|
+                \_ ->
+                    optionMatches { defaultOptions | wholeWord = True } "kraken_can_4"
+                        |> Expect.equal [ "devices.0" ]
+            , test "case-sensitive matching respects letter case" <|
+                \_ ->
+                    ( optionMatches defaultOptions "KRAKEN_CAN_4"
+                    , optionMatches { defaultOptions | caseSensitive = True } "KRAKEN_CAN_4"
+                    )
+                        |> Expect.equal ( [ "devices.0", "devices.1" ], [] )
+            , test "regex matches values and keys" <|
+                \_ ->
+                    optionMatches { defaultOptions | regex = True } "^kraken_can_\\d$"
+                        |> Expect.equal [ "devices.0" ]
+            , test "an invalid regex matches nothing and reports an error" <|
+                \_ ->
+                    ( optionMatches { defaultOptions | regex = True } "can_("
+                    , queryError { defaultOptions | regex = True } "can_("
+                    )
+                        |> Expect.equal ( [], Just "Invalid regular expression" )
+            , test "keys only ignores values" <|
+                \_ ->
+                    optionMatches { defaultOptions | scope = KeysOnly } "speed"
+                        |> Expect.equal [ "swerveModel.speed" ]
+            , test "values only ignores keys" <|
+                \_ ->
+                    optionMatches { defaultOptions | scope = ValuesOnly } "devices"
+                        |> Expect.equal []
+            , test "a path prefix restricts matches to a subtree" <|
+                \_ ->
+                    optionMatches { defaultOptions | pathPrefix = "swerveModel.*" } "1"
+                        |> Expect.equal [ "swerveModel.speed", "swerveModel.heading" ]
+            , test "a numeric query compares number values" <|
+                \_ ->
+                    ( optionMatches defaultOptions "> 1.5"
+                    , optionMatches defaultOptions "<= 1.25"
+                    )
+                        |> Expect.equal ( [ "swerveModel.heading" ], [ "swerveModel.speed" ] )
+            , test "a numeric query is text when regex is on" <|
+                \_ ->
+                    optionMatches { defaultOptions | regex = True } "> 1.5"
+                        |> Expect.equal []
+            , test "message names are not matched under a path prefix" <|
+                \_ ->
+                    (searchEntryWith { defaultOptions | pathPrefix = "devices" } "Tick" optionsEntry).messageNameMatches
+                        |> Expect.equal False
+            ]
         ]
+
+
+optionsEntry : { timestamp : Int, message : { name : String, payload : E.Value }, modelBefore : E.Value, modelAfter : E.Value, effects : List { name : String, data : E.Value } }
+optionsEntry =
+    { timestamp = 0
+    , message = { name = "Tick", payload = E.null }
+    , modelBefore = E.null
+    , modelAfter =
+        E.object
+            [ ( "devices", E.list E.string [ "kraken_can_4", "kraken_can_40" ] )
+            , ( "swerveModel"
+              , E.object
+                    [ ( "speed", E.float 1.25 )
+                    , ( "heading", E.float 91 )
+                    ]
+              )
+            ]
+    , effects = []
+    }
+
+
+{-| The paths in the model after `optionsEntry` that match the query.
+-}
+optionMatches : SearchOptions -> String -> List String
+optionMatches options query =
+    (searchEntryWith options query optionsEntry).afterMatches
+        |> List.map pathToString
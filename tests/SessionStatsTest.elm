@@ -0,0 +1,120 @@
+module SessionStatsTest exposing (suite)
+
+{-| Unit tests for the SessionStats module.
+
+Tests cover:
+
+  - Counting messages and effects by name, most frequent first
+  - Summing the model paths each message changed
+  - Spreading each message's arrivals over the time the log covers
+  - Gathering the time between entries into buckets and percentiles
+
+-}
+
+import Array
+import Expect
+import Fixtures exposing (effect, errorEntry, updateEntry, withEffects, withModels)
+import Json.Encode as E
+import SessionStats
+import Test exposing (..)
+import Types exposing (LogEntry)
+
+
+suite : Test
+suite =
+    describe "SessionStats"
+        [ countTests
+        , overTimeTests
+        , gapTests
+        ]
+
+
+statsOf : List LogEntry -> SessionStats.Stats
+statsOf entries =
+    let
+        loaded =
+            Array.fromList entries
+    in
+    SessionStats.fromEntries (SessionStats.countChanges loaded SessionStats.emptyChangeCounts) loaded
+
+
+countTests : Test
+countTests =
+    let
+        stats =
+            statsOf
+                [ updateEntry 0 "Tick"
+                , updateEntry 10 "Click"
+                    |> withModels [ ( "counter", E.int 0 ) ] [ ( "counter", E.int 1 ) ]
+                    |> withEffects [ effect "Http" [] ]
+                , updateEntry 20 "Tick" |> withEffects [ effect "Log" [], effect "Http" [] ]
+                , updateEntry 30 "Tick"
+                ]
+    in
+    describe "counts"
+        [ test "messages are counted by name, most frequent first" <|
+            \_ ->
+                List.map (\row -> ( row.name, row.count )) stats.messages
+                    |> Expect.equal [ ( "Tick", 3 ), ( "Click", 1 ) ]
+        , test "effects are counted by name, most frequent first" <|
+            \_ ->
+                List.map (\row -> ( row.name, row.count )) stats.effects
+                    |> Expect.equal [ ( "Http", 2 ), ( "Log", 1 ) ]
+        , test "changed model paths are summed per message" <|
+            \_ ->
+                List.map (\row -> ( row.name, row.changedPaths )) stats.messages
+                    |> Expect.equal [ ( "Tick", 0 ), ( "Click", 1 ) ]
+        ]
+
+
+overTimeTests : Test
+overTimeTests =
+    describe "overTime"
+        [ test "arrivals are counted in equal slices of the log's time span" <|
+            \_ ->
+                statsOf [ updateEntry 0 "Tick", updateEntry 10 "Tick", updateEntry 4000 "Tick" ]
+                    |> .messages
+                    |> List.map (.overTime >> List.indexedMap Tuple.pair >> List.filter (\( _, count ) -> count > 0))
+                    |> Expect.equal [ [ ( 0, 2 ), ( SessionStats.rateBucketCount - 1, 1 ) ] ]
+        , test "a log covering no time puts every arrival in the first slice" <|
+            \_ ->
+                statsOf [ updateEntry 5 "Tick", updateEntry 5 "Tick" ]
+                    |> .messages
+                    |> List.map (.overTime >> List.head)
+                    |> Expect.equal [ Just 2 ]
+        ]
+
+
+gapTests : Test
+gapTests =
+    let
+        stats =
+            statsOf
+                [ updateEntry 0 "Tick"
+                , updateEntry 1 "Tick"
+                , updateEntry 3 "Tick"
+                , updateEntry 1503 "Tick"
+                , updateEntry 1553 "Tick"
+                ]
+    in
+    describe "gaps"
+        [ test "gaps are counted in buckets" <|
+            \_ ->
+                stats.gapBuckets
+                    |> List.filter (\bucket -> bucket.count > 0)
+                    |> List.map (\bucket -> ( bucket.from, bucket.to, bucket.count ))
+                    |> Expect.equal [ ( 1, Just 2, 1 ), ( 2, Just 5, 1 ), ( 50, Just 100, 1 ), ( 1000, Nothing, 1 ) ]
+        , test "median, 95th percentile and longest gap" <|
+            \_ ->
+                ( stats.medianGap, stats.p95Gap, stats.maxGap )
+                    |> Expect.equal ( Just 2, Just 1500, Just 1500 )
+        , test "the longest gaps are listed with the entry that ended them" <|
+            \_ ->
+                List.map (\gap -> ( gap.entryIndex, gap.milliseconds )) stats.longestGaps
+                    |> Expect.equal [ ( 3, 1500 ), ( 4, 50 ), ( 2, 2 ), ( 1, 1 ) ]
+        , test "entries without timestamps are skipped" <|
+            \_ ->
+                statsOf [ updateEntry 0 "Tick", errorEntry 2, updateEntry 40 "Tick" ]
+                    |> .longestGaps
+                    |> Expect.equal [ { entryIndex = 2, milliseconds = 40 } ]
+        ]
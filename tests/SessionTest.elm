@@ -0,0 +1,104 @@
+module SessionTest exposing (suite)
+
+{-| Unit tests for the Session module.
+
+Tests cover:
+
+  - Round-trip of a full session through JSON
+  - Defaults for fields missing from older session files
+  - Rejecting other file types and newer versions
+
+-}
+
+import Dict
+import Expect
+import Filter exposing (Filter(..), FilterStatus(..))
+import Json.Decode as D
+import Json.Encode as E
+import Session exposing (Source(..))
+import Set
+import Test exposing (..)
+import Types exposing (DisplayOrder(..))
+
+
+suite : Test
+suite =
+    describe "Session"
+        [ roundTripTests
+        , decoderTests
+        ]
+
+
+fullSession : Session.Session
+fullSession =
+    { source = Just (FileSource { path = "/logs/app.jsonl", follow = True })
+    , filters = [ { status = Enabled, filter = MessageNameFilter { query = "Click" } } ]
+    , filtersEnabled = False
+    , filterSidebarOpen = True
+    , searchQuery = "user"
+    , selectedEntry = Just 42
+    , expandedPaths =
+        { beforeExpandedPaths = Set.fromList [ "", "user" ]
+        , afterExpandedPaths = Set.fromList [ "", "user", "user.address" ]
+        , effectExpandedPaths = Dict.fromList [ ( 1, Set.fromList [ "", "body" ] ) ]
+        , payloadExpandedPaths = Set.singleton ""
+        , startedSubExpandedPaths = Set.empty
+        , stoppedSubExpandedPaths = Set.singleton ""
+        }
+    , displayOrder = Chronological
+    , showPreviousState = True
+    , showChangedValues = False
+    , sidebarWidth = 410
+    , chartPaths = [ [ "joystick", "x" ], [ "heading" ] ]
+    }
+
+
+roundTripTests : Test
+roundTripTests =
+    describe "encode"
+        [ test "a session decodes to the session that was encoded" <|
+            \_ ->
+                fullSession
+                    |> Session.encode
+                    |> D.decodeValue Session.decoder
+                    |> Expect.equal (Ok fullSession)
+        , test "WebSocket sources round-trip" <|
+            \_ ->
+                { fullSession | source = Just (WebSocketSource { url = "ws://localhost:8080" }) }
+                    |> Session.encode
+                    |> D.decodeValue (D.map .source Session.decoder)
+                    |> Expect.equal (Ok (Just (WebSocketSource { url = "ws://localhost:8080" })))
+        , test "writes the file type and version" <|
+            \_ ->
+                fullSession
+                    |> Session.encode
+                    |> D.decodeValue (D.map2 Tuple.pair (D.field "type" D.string) (D.field "version" D.int))
+                    |> Expect.equal (Ok ( "tfsession", 1 ))
+        ]
+
+
+decoderTests : Test
+decoderTests =
+    describe "decoder"
+        [ test "missing fields take their defaults" <|
+            \_ ->
+                D.decodeString Session.decoder """{"type":"tfsession","version":1}"""
+                    |> Result.map
+                        (\session ->
+                            ( ( session.source, session.selectedEntry, session.filtersEnabled )
+                            , ( session.displayOrder, session.showChangedValues, session.sidebarWidth )
+                            )
+                        )
+                    |> Expect.equal (Ok ( ( Nothing, Nothing, True ), ( ReverseChronological, True, 320 ) ))
+        , test "rejects files that are not sessions" <|
+            \_ ->
+                D.decodeString Session.decoder """{"type":"header","version":1}"""
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        , test "rejects sessions from a newer version" <|
+            \_ ->
+                E.object [ ( "type", E.string "tfsession" ), ( "version", E.int 2 ) ]
+                    |> D.decodeValue Session.decoder
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        ]
@@ -0,0 +1,174 @@
+module SubscriptionTimelineTest exposing (suite)
+
+{-| Unit tests for the SubscriptionTimeline module.
+
+Tests cover:
+
+  - Rebuilding when each subscription was active from started and stopped lists
+  - Telling subscriptions apart by `_type` and `_subscriptionId`
+  - Flagging subscriptions started twice or stopped without being started
+  - Listing the subscriptions active after an entry, with their details
+  - Starting part way through a log with subscriptions already active
+
+-}
+
+import Array
+import Expect
+import Fixtures exposing (subscriptionChangeEntry, updateEntry)
+import Json.Encode as E
+import SubscriptionTimeline exposing (ProblemKind(..))
+import Test exposing (..)
+import Types exposing (LogEntry)
+
+
+suite : Test
+suite =
+    describe "SubscriptionTimeline"
+        [ laneTests
+        , problemTests
+        , activeTests
+        , startingWithTests
+        ]
+
+
+subscription : String -> String -> List ( String, E.Value ) -> E.Value
+subscription typeName subscriptionId fields =
+    E.object
+        (( "_type", E.string typeName )
+            :: ( "_subscriptionId", E.string subscriptionId )
+            :: fields
+        )
+
+
+timelineOf : List LogEntry -> SubscriptionTimeline.Timeline
+timelineOf entries =
+    SubscriptionTimeline.fromEntries (Array.fromList entries)
+
+
+spansOf : List LogEntry -> List ( String, List ( Int, Maybe Int ) )
+spansOf entries =
+    SubscriptionTimeline.lanes (timelineOf entries)
+        |> List.map (\lane -> ( lane.key, List.map (\span -> ( span.startIndex, span.stopIndex )) lane.spans ))
+
+
+laneTests : Test
+laneTests =
+    describe "lanes"
+        [ test "a subscription is active from the entry that started it to the one that stopped it" <|
+            \_ ->
+                spansOf
+                    [ updateEntry 0 "Tick"
+                    , subscriptionChangeEntry 10 [ subscription "Every" "s1" [] ] []
+                    , updateEntry 20 "Tick"
+                    , subscriptionChangeEntry 30 [] [ subscription "Every" "s1" [] ]
+                    ]
+                    |> Expect.equal [ ( "Every#s1", [ ( 1, Just 3 ) ] ) ]
+        , test "a restarted subscription gets a new span" <|
+            \_ ->
+                spansOf
+                    [ subscriptionChangeEntry 0 [ subscription "Every" "s1" [] ] []
+                    , subscriptionChangeEntry 10 [ subscription "Every" "s1" [] ] [ subscription "Every" "s1" [] ]
+                    ]
+                    |> Expect.equal [ ( "Every#s1", [ ( 0, Just 1 ), ( 1, Nothing ) ] ) ]
+        , test "lanes are keyed by type and id, in the order they were first seen" <|
+            \_ ->
+                spansOf
+                    [ subscriptionChangeEntry 0 [ subscription "Every" "s2" [], subscription "Every" "s1" [] ] []
+                    , subscriptionChangeEntry 10 [ subscription "OnKey" "s1" [] ] []
+                    ]
+                    |> List.map Tuple.first
+                    |> Expect.equal [ "Every#s1", "Every#s2", "OnKey#s1" ]
+        , test "a subscription without an id is matched by its fields, ignoring the stop reason" <|
+            \_ ->
+                let
+                    tick =
+                        E.object [ ( "_type", E.string "Every" ), ( "interval", E.int 20 ) ]
+
+                    stoppedTick =
+                        E.object [ ( "_type", E.string "Every" ), ( "interval", E.int 20 ), ( "_reason", E.string "disabled" ) ]
+                in
+                spansOf [ subscriptionChangeEntry 0 [ tick ] [], subscriptionChangeEntry 10 [] [ stoppedTick ] ]
+                    |> List.map Tuple.second
+                    |> Expect.equal [ [ ( 0, Just 1 ) ] ]
+        ]
+
+
+problemTests : Test
+problemTests =
+    describe "problems"
+        [ test "starting an active subscription again is flagged" <|
+            \_ ->
+                timelineOf
+                    [ subscriptionChangeEntry 0 [ subscription "Every" "s1" [] ] []
+                    , subscriptionChangeEntry 10 [ subscription "Every" "s1" [] ] []
+                    ]
+                    |> SubscriptionTimeline.lanes
+                    |> List.concatMap .problems
+                    |> List.map (\problem -> ( problem.entryIndex, problem.kind ))
+                    |> Expect.equal [ ( 1, StartedWhileActive ) ]
+        , test "stopping a subscription that was never started is flagged" <|
+            \_ ->
+                timelineOf [ subscriptionChangeEntry 0 [] [ subscription "Every" "s1" [] ] ]
+                    |> SubscriptionTimeline.lanes
+                    |> List.map (\lane -> ( List.length lane.spans, List.map .kind lane.problems ))
+                    |> Expect.equal [ ( 0, [ StoppedWhileInactive ] ) ]
+        ]
+
+
+activeTests : Test
+activeTests =
+    let
+        entries =
+            [ subscriptionChangeEntry 0 [ subscription "Every" "s1" [ ( "millisecondsBetweenReads", E.int 20 ) ] ] []
+            , subscriptionChangeEntry 10 [ subscription "Every" "s2" [] ] []
+            , updateEntry 20 "Tick"
+            , subscriptionChangeEntry 30 [] [ subscription "Every" "s1" [ ( "_reason", E.string "disabled" ) ] ]
+            ]
+
+        activeKeys entryIndex =
+            timelineOf entries
+                |> SubscriptionTimeline.activeAt entryIndex
+                |> List.map (Tuple.first >> .key)
+    in
+    describe "activeAt"
+        [ test "lists the subscriptions active after an entry" <|
+            \_ ->
+                Expect.equal ( activeKeys 0, activeKeys 2, activeKeys 3 )
+                    ( [ "Every#s1" ], [ "Every#s1", "Every#s2" ], [ "Every#s2" ] )
+        , test "details list the subscription's fields and why it stopped" <|
+            \_ ->
+                timelineOf entries
+                    |> SubscriptionTimeline.lanes
+                    |> List.concatMap .spans
+                    |> List.head
+                    |> Maybe.map SubscriptionTimeline.details
+                    |> Expect.equal (Just [ ( "millisecondsBetweenReads", "20" ), ( "stopped because", "\"disabled\"" ) ])
+        ]
+
+
+startingWithTests : Test
+startingWithTests =
+    let
+        timeline =
+            SubscriptionTimeline.startingWith
+                [ { startIndex = -5, startTime = 0, started = subscription "Every" "s1" [] } ]
+                |> SubscriptionTimeline.addEntry (updateEntry 20 "Tick")
+                |> SubscriptionTimeline.addEntry (subscriptionChangeEntry 30 [] [ subscription "Every" "s1" [] ])
+    in
+    describe "startingWith"
+        [ test "a subscription started before the first entry read is active until stopped" <|
+            \_ ->
+                SubscriptionTimeline.lanes timeline
+                    |> List.map (\lane -> ( lane.key, List.map (\span -> ( span.startIndex, span.stopIndex )) lane.spans ))
+                    |> Expect.equal [ ( "Every#s1", [ ( -5, Just 1 ) ] ) ]
+        , test "stopping it is not flagged" <|
+            \_ ->
+                SubscriptionTimeline.lanes timeline
+                    |> List.concatMap .problems
+                    |> Expect.equal []
+        , test "it is listed as active after the first entry read" <|
+            \_ ->
+                SubscriptionTimeline.activeAt 0 timeline
+                    |> List.map (Tuple.first >> .key)
+                    |> Expect.equal [ "Every#s1" ]
+        ]
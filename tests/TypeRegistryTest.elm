@@ -0,0 +1,178 @@
+module TypeRegistryTest exposing (suite)
+
+{-| Unit tests for the TypeRegistry module.
+
+Tests cover:
+
+  - Decoding the registry of a v1 header, with optional sections
+  - Looking up variants and listing the names of a section
+  - Warnings for undeclared messages, effects and subscriptions
+  - Warnings for missing, unexpected and mistyped fields
+  - Wrapper messages that log their field as `_unwrapped`
+
+-}
+
+import Expect
+import Fixtures exposing (effect, subscriptionChangeEntry, updateEntry, withEffects, withPayload)
+import Json.Decode as D
+import Json.Encode as E
+import Test exposing (..)
+import TypeRegistry exposing (Category(..), TypeRegistry)
+import Types exposing (LogEntry)
+
+
+suite : Test
+suite =
+    describe "TypeRegistry"
+        [ decoderTests
+        , validateTests
+        ]
+
+
+registryJson : String
+registryJson =
+    """
+    {
+      "messages": {
+        "Message": {
+          "kind": "sealed_interface",
+          "variants": [
+            {"name": "Swerve", "qualifiedName": "Message.Swerve", "fields": [{"name": "message", "type": "SwerveSubsystem.Message"}]},
+            {"name": "Tick", "qualifiedName": "Message.Tick", "fields": []}
+          ]
+        },
+        "SwerveSubsystem.Message": {
+          "kind": "sealed_interface",
+          "variants": [
+            {"name": "UpdateSwervePodPosition", "qualifiedName": "SwerveSubsystem.Message.UpdateSwervePodPosition", "fields": [{"name": "pod", "type": "SwervePod"}, {"name": "position", "type": "Double"}]}
+          ]
+        }
+      },
+      "effects": {
+        "Effect": {
+          "kind": "sealed_interface",
+          "variants": [
+            {"name": "Log", "qualifiedName": "Effect.Log", "fields": [{"name": "text", "type": "String"}]}
+          ]
+        }
+      },
+      "dataObjects": {
+        "SwervePod": {
+          "kind": "sealed_interface",
+          "variants": [
+            {"name": "FrontLeft", "qualifiedName": "SwervePod.FrontLeft", "kind": "data_object"},
+            {"name": "BackRight", "kind": "data_object"}
+          ]
+        }
+      }
+    }
+    """
+
+
+registry : TypeRegistry
+registry =
+    D.decodeString TypeRegistry.decoder registryJson
+        |> Result.withDefault TypeRegistry.empty
+
+
+typed : String -> List ( String, E.Value ) -> E.Value
+typed typeName fields =
+    E.object (( "_type", E.string typeName ) :: fields)
+
+
+{-| An update entry for the message logged with the given payload.
+-}
+messageEntry : E.Value -> LogEntry
+messageEntry payload =
+    updateEntry 0 (D.decodeValue (D.field "_type" D.string) payload |> Result.withDefault "")
+        |> withPayload payload
+
+
+podPosition : E.Value -> E.Value -> E.Value
+podPosition pod position =
+    typed "SwerveSubsystem.Message.UpdateSwervePodPosition" [ ( "pod", pod ), ( "position", position ) ]
+
+
+decoderTests : Test
+decoderTests =
+    describe "decoder"
+        [ test "finds variants by qualified name" <|
+            \_ ->
+                TypeRegistry.variant "SwerveSubsystem.Message.UpdateSwervePodPosition" registry
+                    |> Maybe.map (\v -> ( v.declaredType, List.map .name v.fields, v.category == Messages ))
+                    |> Expect.equal (Just ( "SwerveSubsystem.Message", [ "pod", "position" ], True ))
+        , test "derives a missing qualified name from the type name" <|
+            \_ ->
+                TypeRegistry.variant "SwervePod.BackRight" registry
+                    |> Maybe.map .name
+                    |> Expect.equal (Just "BackRight")
+        , test "lists the names declared in a section" <|
+            \_ ->
+                TypeRegistry.names Messages registry
+                    |> Expect.equal [ "Message.Swerve", "Message.Tick", "SwerveSubsystem.Message.UpdateSwervePodPosition" ]
+        , test "treats missing sections as empty" <|
+            \_ ->
+                D.decodeString TypeRegistry.decoder "{}"
+                    |> Result.map TypeRegistry.isEmpty
+                    |> Expect.equal (Ok True)
+        ]
+
+
+validateTests : Test
+validateTests =
+    describe "validate"
+        [ test "an entry that matches the registry has no warnings" <|
+            \_ ->
+                messageEntry (podPosition (typed "SwervePod.FrontLeft" []) (E.float 45.7))
+                    |> withEffects [ effect "Effect.Log" [ ( "text", E.string "moved" ) ] ]
+                    |> TypeRegistry.validate registry
+                    |> Expect.equal []
+        , test "warns about a message name that isn't declared" <|
+            \_ ->
+                messageEntry (typed "Message.Tik" [])
+                    |> TypeRegistry.validate registry
+                    |> Expect.equal [ "message: Message.Tik is not declared as a message" ]
+        , test "warns about missing and unexpected fields" <|
+            \_ ->
+                messageEntry
+                    (typed "SwerveSubsystem.Message.UpdateSwervePodPosition"
+                        [ ( "pod", typed "SwervePod.FrontLeft" [] ), ( "postion", E.float 1 ) ]
+                    )
+                    |> TypeRegistry.validate registry
+                    |> Expect.equal
+                        [ "message: missing field position of SwerveSubsystem.Message.UpdateSwervePodPosition"
+                        , "message: unexpected field postion in SwerveSubsystem.Message.UpdateSwervePodPosition"
+                        ]
+        , test "checks field types against the registry" <|
+            \_ ->
+                messageEntry (podPosition (typed "Effect.Log" []) (E.string "45"))
+                    |> TypeRegistry.validate registry
+                    |> Expect.equal
+                        [ "message.pod: expected a SwervePod but found Effect.Log"
+                        , "message.position: expected a number"
+                        ]
+        , test "checks the field a wrapper message logs as _unwrapped" <|
+            \_ ->
+                messageEntry (typed "Message.Swerve" [ ( "_unwrapped", podPosition (typed "SwervePod.Middle" []) (E.float 1) ) ])
+                    |> TypeRegistry.validate registry
+                    |> Expect.equal [ "message.message.pod: expected a SwervePod but found SwervePod.Middle" ]
+        , test "warns about undeclared effects, including those logged by name" <|
+            \_ ->
+                messageEntry (typed "Message.Tick" [])
+                    |> withEffects
+                        [ effect "Effect.Log" [ ( "text", E.string "ok" ) ]
+                        , { name = "Effect.Beep", data = E.null }
+                        ]
+                    |> TypeRegistry.validate registry
+                    |> Expect.equal [ "effect 2: Effect.Beep is not declared as an effect" ]
+        , test "skips sections the registry leaves empty" <|
+            \_ ->
+                subscriptionChangeEntry 0 [ typed "Subscription.Every" [] ] []
+                    |> TypeRegistry.validate registry
+                    |> Expect.equal []
+        , test "an empty registry accepts everything" <|
+            \_ ->
+                messageEntry (typed "Anything" [ ( "x", E.int 1 ) ])
+                    |> TypeRegistry.validate TypeRegistry.empty
+                    |> Expect.equal []
+        ]